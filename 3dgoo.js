@@ -22,6 +22,13 @@ const projectionMatrix = mat4.create();
 //Skybox rotation matrix
 const skyBoxRotationMatrix = mat4.create();
 
+// Width and height in pixels of each skybox face the goo is rendered into
+const GOO_FACE_SIZE = 512;
+
+// Skybox the goo is rendered into, and the framebuffer used to render it
+let skyBox = null;
+let frameBuffer = null;
+
 // Player (camera)
 let player = {
 
@@ -34,37 +41,20 @@ let player = {
     forwardVec: vec3.fromValues(0.0, 0.0, -1.0),
 };
 
-/**
- * Object: lastMousePosition
- * 
- * Description: contains data on last mouse position relative to the canvas
- * 
- * Attributes: Boolean inWindow,
- *             Double x, y,
- * 
- */
- let lastMousePosition = {
-
-    inWindow: false,
-    x: 0,
-    y: 0,
-};
-
 let shaderData = {
 
     vertexShaderCode: `
     
         attribute vec4 a_vertexPosition;
 
-        uniform mat4 u_projectionMatrix;
-        uniform mat4 u_worldViewMatrix;
+        uniform mat4 u_faceMatrix; // Matrix pointing the viewport square at the skybox face, from getSkyboxFaceMatrix
 
         varying highp vec4 v_untransVertexPosition;
 
         void main(void)
         {
-            v_untransVertexPosition = a_vertexPosition;
-            gl_Position = u_projectionMatrix * u_worldViewMatrix * a_vertexPosition;
+            v_untransVertexPosition = u_faceMatrix * a_vertexPosition;
+            gl_Position = vec4(a_vertexPosition.xy, 0.0, 1.0);
         }
     `,
 
@@ -264,8 +254,7 @@ let shaderData = {
         };
         this.uniforms = {
 
-            projectionMatrix: ctx.getUniformLocation(this.program, "u_projectionMatrix"),
-            worldViewMatrix: ctx.getUniformLocation(this.program, "u_worldViewMatrix"),
+            faceMatrix: ctx.getUniformLocation(this.program, "u_faceMatrix"),
             time: ctx.getUniformLocation(this.program, "u_time"),
             sampler: ctx.getUniformLocation(this.program, "u_sampler"),
             dimension: ctx.getUniformLocation(this.program, "u_dimension"),
@@ -276,121 +265,25 @@ let shaderData = {
     },
 };
 
-let skyBoxModels = {
-    nzPlane: {
-
-        vertexCoordinates: [
-
-            -1.0, -1.0, -1.0,
-            1.0, -1.0, -1.0,
-            1.0, 1.0, -1.0,
-            -1.0, 1.0, -1.0,
-        ],
-
-        elementIndices: [
-
-            0, 2, 3,
-            0, 1, 2,
-        ],
-
-        elementCount: 6,
-    },
-
-    pxPlane: {
-
-        vertexCoordinates: [
-
-            1.0, -1.0, -1.0,
-            1.0, -1.0, 1.0,
-            1.0, 1.0, 1.0,
-            1.0, 1.0, -1.0,
-        ],
-
-        elementIndices: [
-
-            0, 2, 3,
-            0, 1, 2,
-        ],
-
-        elementCount: 6,
-    },
-
-    pzPlane: {
-
-        vertexCoordinates: [
-
-            1.0, -1.0, 1.0,
-            -1.0, -1.0, 1.0,
-            -1.0, 1.0, 1.0,
-            1.0, 1.0, 1.0,
-        ],
-
-        elementIndices: [
-
-            0, 2, 3,
-            0, 1, 2,
-        ],
-
-        elementCount: 6,
-    },
-
-    nxPlane: {
-
-        vertexCoordinates: [
+// Square covering the whole viewport, drawn to render each skybox face
+let viewportQuad = {
 
-            -1.0, -1.0, 1.0,
-            -1.0, -1.0, -1.0,
-            -1.0, 1.0, -1.0,
-            -1.0, 1.0, 1.0,
-        ],
+    vertexCoordinates: [
 
-        elementIndices: [
-
-            0, 2, 3,
-            0, 1, 2,
-        ],
-
-        elementCount: 6,
-    },
+        -1.0, -1.0, -1.0,
+        1.0, -1.0, -1.0,
+        1.0, 1.0, -1.0,
+        -1.0, 1.0, -1.0,
+    ],
 
-    pyPlane: {
+    elementIndices: [
 
-        vertexCoordinates: [
+        0, 2, 3,
+        0, 1, 2,
+    ],
 
-            -1.0, 1.0, -1.0,
-            1.0, 1.0, -1.0,
-            1.0, 1.0, 1.0,
-            -1.0, 1.0, 1.0,
-        ],
-
-        elementIndices: [
-
-            0, 2, 3,
-            0, 1, 2,
-        ],
-
-        elementCount: 6,
-    },
-
-    nyPlane: {
-
-        vertexCoordinates: [
-
-            -1.0, -1.0, 1.0,
-            1.0, -1.0, 1.0,
-            1.0, -1.0, -1.0,
-            -1.0, -1.0, -1.0,
-        ],
-
-        elementIndices: [
-
-            0, 2, 3,
-            0, 1, 2,
-        ],
-
-        elementCount: 6,
-    },
-}
+    elementCount: 6,
+};
 
 function main()
 {
@@ -400,20 +293,22 @@ function main()
     //Get canvas context
     ctx = canvas.getContext("webgl");
 
-    //If unable to get context, alert user and end program
+    //If unable to get context, tell the user and end program
     if (!ctx) {
 
-        alert("Unable to initialize WebGL. It may not be supported by this browser.");
+        showMessageOverlay("Unable to initialize WebGL", "It may not be supported by this browser.");
         return;
     }
 
     createShaderProgram(shaderData);
 
-    // Load skybox panels
-    for (panel in skyBoxModels)
-    {
-        loadModel(skyBoxModels[panel]);
-    }
+    // Load the square the skybox faces are rendered with
+    loadModel(viewportQuad);
+
+    // Create the skybox, and the framebuffer used to render the goo into its faces
+    skyBox = createSkybox();
+    allocateSkyboxFaces(skyBox, GOO_FACE_SIZE);
+    frameBuffer = ctx.createFramebuffer();
 
     // Compute rowLength and textureDimension
     if (po2 % 2 == 0)
@@ -512,9 +407,8 @@ function main()
     
     let texture = loadArrayToTexture(textureDimension, textureDimension, textureData);
 
-    //Add mouse event listeners
-    canvas.addEventListener("mousemove", updateMouse);
-    canvas.addEventListener("mouseleave", mouseLeave);
+    //Look around with the mouse once the canvas is clicked
+    enableMouseLook(canvas, lookAround);
 
     // Animation loop
     function newFrame(currentTime)
@@ -614,8 +508,7 @@ function main()
  * 
  * Description: This function takes the given model, and creates buffers for them
  *              and places the appropriate data in these buffers. It creates a buffer
- *              for vertex position data, a buffer for vertex normals, a buffer for
- *              vertex colors, and a buffer for vertex indices.
+ *              for vertex position data, and a buffer for vertex indices.
  */
  function loadModel(model) {
 
@@ -683,6 +576,13 @@ function renderFrame(currentTime, texture)
     ctx.canvas.width = ctx.canvas.clientWidth;   //Resize canvas to fit CSS styling
     ctx.canvas.height = ctx.canvas.clientHeight;
 
+    //Enable backface culling
+    ctx.enable(ctx.CULL_FACE);
+    ctx.cullFace(ctx.BACK);
+
+    // Render the goo into each face of the skybox
+    renderGooFaces(currentTime, texture);
+
     ctx.viewport(0, 0, ctx.canvas.width, ctx.canvas.height); //Resize viewport
 
     //Clear the canvas
@@ -690,26 +590,31 @@ function renderFrame(currentTime, texture)
     ctx.clearDepth(1.0); //set clear depth to 1.0
     ctx.clear(ctx.COLOR_BUFFER_BIT, ctx.DEPTH_BUFFER_BIT);
 
-    //Enable backface culling
-    ctx.enable(ctx.CULL_FACE);
-    ctx.cullFace(ctx.BACK);
-
-    //Tell WebGL to use the shader program
-    ctx.useProgram(shaderData.program);
-
     //Compute projection matrix based on new window size
     mat4.perspective(projectionMatrix, 45 * Math.PI / 180, ctx.canvas.width / ctx.canvas.height, 0.1, 1000.0);
 
-    //Set projection uniform
-    ctx.uniformMatrix4fv(shaderData.uniforms.projectionMatrix, false, projectionMatrix);
-
     // Compute skyBoxRotationMatrix
     mat4.identity(skyBoxRotationMatrix);
     mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, player.pitchAngle * -1.0, XAXIS); // Second transform, rotate the whole world around x axis (in the opposite direction the player is facing)
     mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, player.yawAngle * -1.0, YAXIS); // First transform, rotate the whole world around y axis (in the opposite direction the player is facing)
 
-    // Set world view uniform
-    ctx.uniformMatrix4fv(shaderData.uniforms.worldViewMatrix, false, skyBoxRotationMatrix);
+    // Draw the skybox
+    drawSkybox(skyBox, projectionMatrix, skyBoxRotationMatrix);
+}
+
+/**
+ * Function: renderGooFaces
+ * 
+ * Input: double currentTime, WebGLTexture texture
+ * Output: None
+ * 
+ * Description: Ray marches the goo for the given time into all six faces of skyBox,
+ *              using texture as the noise volume. Leaves the default framebuffer bound.
+ */
+function renderGooFaces(currentTime, texture)
+{
+    //Tell WebGL to use the shader program
+    ctx.useProgram(shaderData.program);
 
     //Instruct WebGL on which texture to use
     ctx.activeTexture(ctx.TEXTURE0);
@@ -728,71 +633,47 @@ function renderFrame(currentTime, texture)
     // Set tile layout dimension
     ctx.uniform1f(shaderData.uniforms.rowLength, rowLength);
 
-    // For each panel of the skybox
-    for (panel in skyBoxModels)
-    {
-        //Instruct WebGL how to pull out vertices
-        ctx.bindBuffer(ctx.ARRAY_BUFFER, skyBoxModels[panel].buffers.vertex);
-        ctx.vertexAttribPointer(shaderData.attributes.vertexPosition, 3, ctx.FLOAT, false, 0, 0); //Pull out 3 values at a time, no offsets
-        ctx.enableVertexAttribArray(shaderData.attributes.vertexPosition); //Enable the pointer to the buffer
-
-        //Give WebGL the element array
-        ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, skyBoxModels[panel].buffers.elementIndices);
-
-        //Draw triangles
-        ctx.drawElements(ctx.TRIANGLES, skyBoxModels[panel].elementCount, ctx.UNSIGNED_SHORT, 0);
-    }
-}
-
-/**
- * Function: updateMouse
- * 
- * Input: KeyboardEvent event
- * Output: None
- * 
- * Description: Updates lastMousePosition, and uses the change in mouse position to
- *              update the direction that the player is facing by calling pithcUp
- *              and yawRight
- */
- function updateMouse(event) {
+    //Instruct WebGL how to pull out vertices
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, viewportQuad.buffers.vertex);
+    ctx.vertexAttribPointer(shaderData.attributes.vertexPosition, 3, ctx.FLOAT, false, 0, 0); //Pull out 3 values at a time, no offsets
+    ctx.enableVertexAttribArray(shaderData.attributes.vertexPosition); //Enable the pointer to the buffer
 
-    //If the mouse is not in the window, record coordinates, set that it is in window, and return
-    if (!lastMousePosition.inWindow) {
-     
-        lastMousePosition.x = event.offsetX; //record x
-        lastMousePosition.y = event.offsetY; //record y
-        lastMousePosition.inWindow = true; //Set that mouse is in window
+    //Give WebGL the element array
+    ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, viewportQuad.buffers.elementIndices);
 
-        return;
-	}
-
-    //Record change in x and y
-    let deltaX = event.offsetX - lastMousePosition.x;
-    let deltaY = event.offsetY - lastMousePosition.y;
+    // Resize viewport to the skybox faces
+    ctx.bindFramebuffer(ctx.FRAMEBUFFER, frameBuffer);
+    ctx.viewport(0, 0, GOO_FACE_SIZE, GOO_FACE_SIZE);
 
-    //Update mouse position
-    lastMousePosition.x = event.offsetX;
-    lastMousePosition.y = event.offsetY;
+    // For each face of the skybox
+    for (let i = 0; i < SKYBOX_FACES.length; i++)
+    {
+        // Attach the face to the frame buffer, and point the rays in its direction
+        attachSkyboxFace(skyBox, SKYBOX_FACES[i]);
+        ctx.uniformMatrix4fv(shaderData.uniforms.faceMatrix, false, getSkyboxFaceMatrix(SKYBOX_FACES[i]));
 
-    //console.log("deltaX: " + deltaX + " deltaY: " + deltaY);
+        //Draw triangles
+        ctx.drawElements(ctx.TRIANGLES, viewportQuad.elementCount, ctx.UNSIGNED_SHORT, 0);
+    }
 
-    //Yaw and pitch based on change in x and y
-    pitchUp(deltaY * -0.01);
-    yawRight(deltaX * -0.01);
+    // Go back to drawing to the canvas
+    ctx.bindFramebuffer(ctx.FRAMEBUFFER, null);
 }
 
 /**
- * Function: mouseLeave
+ * Function: lookAround
  * 
- * Input: KeyboardEvent event
+ * Input: Double yawAngle, Double pitchAngle
  * Output: None
  * 
- * Description: Sets lastMousePosition to false. This function should be called
- *              in the event the mouse leaves the window.
+ * Description: Called by mouse look whenever the mouse moves while the pointer is locked.
+ *              Updates the direction that the player is facing by calling pitchUp
+ *              and yawRight.
  */
-function mouseLeave(event) {
+function lookAround(yawAngle, pitchAngle) {
 
-    lastMousePosition.inWindow = false;
+    pitchUp(pitchAngle);
+    yawRight(yawAngle);
 }
 
 /**
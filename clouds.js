@@ -159,75 +159,7 @@ let player = {
 
 let skyboxRotation = 0.0; // Angle of rotation around y axis before camera angle is applied, to mimic clouds moving in a circle
 let skyboxRotationSpeed = 0.02; // Angle skybox should rotate every frame/second/etc
-
-/**
- * Object: lastMousePosition
- * 
- * Description: contains data on last mouse position relative to the canvas
- * 
- * Attributes: Boolean inWindow,
- *             Double x, y,
- * 
- */
- let lastMousePosition = {
-
-    inWindow: false,
-    x: 0,
-    y: 0,
-};
-
-let skyBoxShader = {
-
-    vertexShaderCode: `
-    
-        attribute vec4 a_vertexPosition;
-        attribute vec2 a_textureCoordinates;
-
-        uniform mat4 u_projectionMatrix;
-        uniform mat4 u_worldViewMatrix;
-
-        varying highp vec2 v_textureCoordinates;
-
-        void main(void)
-        {
-            gl_Position = u_projectionMatrix * u_worldViewMatrix * a_vertexPosition; // Calculate vertex position in frame
-            v_textureCoordinates = a_textureCoordinates;
-        }
-    `,
-
-    fragmentShaderCode: `
-    
-        varying highp vec2 v_textureCoordinates;
-
-        uniform sampler2D u_sampler;
-
-        void main(void)
-        {
-            gl_FragColor = texture2D(u_sampler, v_textureCoordinates); // The color of the texture mapped to the current point
-        }
-    `,
-
-    program: null,
-    attributes: null,
-    uniforms: null,
-
-    tieLocations: function() {
-
-        //Get location of attributes and uniforms, store in the ShaderData object
-        this.attributes = {
-
-            vertexPosition: ctx.getAttribLocation(this.program, "a_vertexPosition"),
-            textureCoordinates: ctx.getAttribLocation(this.program, "a_textureCoordinates"),
-        };
-        
-        this.uniforms = {
-
-            projectionMatrix: ctx.getUniformLocation(this.program, "u_projectionMatrix"),
-            worldViewMatrix: ctx.getUniformLocation(this.program, "u_worldViewMatrix"),
-            uSampler: ctx.getUniformLocation(this.program, "u_sampler"),
-        };
-    },
-};
+let previousSkyboxRotation = 0.0; // skyboxRotation before the last tick of the game loop, to draw frames between ticks
 
 let cloudShader = {
 
@@ -240,7 +172,7 @@ let cloudShader = {
                                         // .y: lower y coordinate
                                         // .z: upper x coordinate
                                         // .w: upper y coordinate
-        uniform mat4 u_rotationMatrix; // Matrix rotate v_vertexPosition to point to the correct skybox panel
+        uniform mat4 u_rotationMatrix; // Matrix rotate v_vertexPosition to point to the correct skybox face, from getSkyboxFaceMatrix
 
         varying highp vec4 v_vertexPosition;
 
@@ -628,193 +560,28 @@ let cloudShader = {
     },
 };
 
-let skyBoxModels = {
-    nzPlane: {
-
-        vertexCoordinates: [
-
-            -1.0, -1.0, -1.0,
-            1.0, -1.0, -1.0,
-            1.0, 1.0, -1.0,
-            -1.0, 1.0, -1.0,
-        ],
-
-        uvValues: [
-
-            0.0, 0.0,
-            1.0, 0.0,
-            1.0, 1.0,
-            0.0, 1.0,
-        ],
-
-        elementIndices: [
-
-            0, 2, 3,
-            0, 1, 2,
-        ],
-
-        elementCount: 6,
-
-        texture: null,
-    },
-
-    pxPlane: {
-
-        vertexCoordinates: [
-
-            1.0, -1.0, -1.0,
-            1.0, -1.0, 1.0,
-            1.0, 1.0, 1.0,
-            1.0, 1.0, -1.0,
-        ],
-
-        uvValues: [
-
-            0.0, 0.0,
-            1.0, 0.0,
-            1.0, 1.0,
-            0.0, 1.0,
-        ],
-
-        elementIndices: [
-
-            0, 2, 3,
-            0, 1, 2,
-        ],
-
-        elementCount: 6,
-
-        texture: null,
-    },
-
-    pzPlane: {
-
-        vertexCoordinates: [
-
-            1.0, -1.0, 1.0,
-            -1.0, -1.0, 1.0,
-            -1.0, 1.0, 1.0,
-            1.0, 1.0, 1.0,
-        ],
-
-        uvValues: [
-
-            0.0, 0.0,
-            1.0, 0.0,
-            1.0, 1.0,
-            0.0, 1.0,
-        ],
-
-        elementIndices: [
-
-            0, 2, 3,
-            0, 1, 2,
-        ],
-
-        elementCount: 6,
-
-        texture: null,
-    },
-
-    nxPlane: {
-
-        vertexCoordinates: [
-
-            -1.0, -1.0, 1.0,
-            -1.0, -1.0, -1.0,
-            -1.0, 1.0, -1.0,
-            -1.0, 1.0, 1.0,
-        ],
-
-        uvValues: [
-
-            0.0, 0.0,
-            1.0, 0.0,
-            1.0, 1.0,
-            0.0, 1.0,
-        ],
-
-        elementIndices: [
-
-            0, 2, 3,
-            0, 1, 2,
-        ],
-
-        elementCount: 6,
-
-        texture: null,
-    },
-
-    pyPlane: {
-
-        vertexCoordinates: [
-
-            
-            -1.0, 1.0, -1.0,
-            1.0, 1.0, -1.0,
-            1.0, 1.0, 1.0,
-            -1.0, 1.0, 1.0
-            
-        ],
-
-        uvValues: [
-            
-            0.0, 0.0,
-            1.0, 0.0,
-            1.0, 1.0,
-            0.0, 1.0,
-        ],
-
-        elementIndices: [
-
-            0, 2, 3,
-            0, 1, 2,
-        ],
-
-        elementCount: 6,
-
-        texture: null,
-    },
-
-    nyPlane: {
-
-        vertexCoordinates: [
+// Square covering the whole viewport, drawn to render each tile of a skybox face
+let viewportQuad = {
 
-            -1.0, -1.0, 1.0,
-            1.0, -1.0, 1.0,
-            1.0, -1.0, -1.0,
-            -1.0, -1.0, -1.0,
-        ],
+    vertexCoordinates: [
 
-        uvValues: [
+        -1.0, -1.0, -1.0,
+        1.0, -1.0, -1.0,
+        1.0, 1.0, -1.0,
+        -1.0, 1.0, -1.0,
+    ],
 
-            0.0, 0.0,
-            1.0, 0.0,
-            1.0, 1.0,
-            0.0, 1.0,
-        ],
+    elementIndices: [
 
-        elementIndices: [
+        0, 2, 3,
+        0, 1, 2,
+    ],
 
-            0, 2, 3,
-            0, 1, 2,
-        ],
-
-        elementCount: 6,
-
-        texture: null,
-    },
+    elementCount: 6,
 };
 
-let skyBoxTextures = {
-
-    nzPlane: null,
-    pxPlane: null,
-    pzPlane: null,
-    nxPlane: null,
-    pyPlane: null,
-    nyPlane: null,
-};
+// Skybox the clouds are rendered into
+let skyBox = null;
 
 function main()
 {
@@ -824,16 +591,15 @@ function main()
     //Get canvas context
     ctx = canvas.getContext("webgl");
 
-    //If unable to get context, alert user and end program
+    //If unable to get context, tell the user and end program
     if (!ctx) {
 
-        alert("Unable to initialize WebGL. It may not be supported by this browser.");
+        showMessageOverlay("Unable to initialize WebGL", "It may not be supported by this browser.");
         return;
     }
 
-    //Add mouse event listeners
-    canvas.addEventListener("mousemove", updateMouse);
-    canvas.addEventListener("mouseleave", mouseLeave);
+    //Look around with the mouse once the canvas is clicked
+    enableMouseLook(canvas, lookAround);
 
     //Get tmin densityfalloff tmax and step size inputs
     tminInput = document.getElementById("tminInput");
@@ -953,28 +719,17 @@ function main()
     noise5SlopeInput.addEventListener("change", inputChangeHandler);
     noise5OffsetInput.addEventListener("change", inputChangeHandler);
 
-    createShaderProgram(skyBoxShader);
     createShaderProgram(cloudShader);
 
     // Create the framebuffer
     frameBuffer = ctx.createFramebuffer();
 
-    // Load skybox panels
-    for (panel in skyBoxModels)
-    {
-        loadModel(skyBoxModels[panel]);
-    }
-
-    // Load space for skybox textures
-    loadSkyboxTextures();
+    // Load the square tiles are rendered with
+    loadModel(viewportQuad);
 
-    // Attach textures to the proper models
-    skyBoxModels.nzPlane.texture = skyBoxTextures.nzPlane;
-    skyBoxModels.pxPlane.texture = skyBoxTextures.pxPlane;
-    skyBoxModels.pzPlane.texture = skyBoxTextures.pzPlane;
-    skyBoxModels.nxPlane.texture = skyBoxTextures.nxPlane;
-    skyBoxModels.pyPlane.texture = skyBoxTextures.pyPlane;
-    skyBoxModels.nyPlane.texture = skyBoxTextures.nyPlane;
+    // Create the skybox, with space for the faces the clouds are rendered into
+    skyBox = createSkybox();
+    allocateSkyboxFaces(skyBox, SKYBOX_TILE_SIZE * MAX_X_TILES);
     
     
     // Load the noiseBase texture
@@ -985,37 +740,37 @@ function main()
 
     requestNewSkybox();
 
-    let previousTimeStamp = 0.0;
-    let deltaT = 0.0;
-
     // Whether or not we are on the first animation frame, see below
     //let firstFrame = true;
 
-    // Animation loop
-    function newFrame(now)
+    // Advance the skybox rotation one tick of the game loop
+    function updateRotation(deltaT)
     {
-        //Get change in time
-        now *= 0.001; //Convert to seconds
-
-        deltaT = now - previousTimeStamp;
-        previousTimeStamp = now;
+        previousSkyboxRotation = skyboxRotation;
 
         // Update skybox rotation
         skyboxRotation += skyboxRotationSpeed * deltaT;
+    }
+
+    // Draw the skybox alpha of the way between its rotation at the last two ticks
+    function newFrame(alpha)
+    {
+        let tickRotation = skyboxRotation;
+        skyboxRotation = previousSkyboxRotation + (tickRotation - previousSkyboxRotation) * alpha;
         
         renderFrame();
 
+        skyboxRotation = tickRotation;
+
         // This bit of code is here because for some reason the clouds on the negative z skybox panel do not render on the very first frame, so I need to call requestNewSkybox again at least once in the animation loop. This is a temporary fix
         /*if (firstFrame)
         {
             requestNewSkybox();
             firstFrame = false;
         }*/
-
-        requestAnimationFrame(newFrame);
     }
 
-    requestAnimationFrame(newFrame);
+    startGameLoop(createGameLoop(GAME_LOOP_TICK_LENGTH, updateRotation, newFrame));
 }
 
 /**
@@ -1102,8 +857,7 @@ function main()
  * 
  * Description: This function takes the given model, and creates buffers for them
  *              and places the appropriate data in these buffers. It creates a buffer
- *              for vertex position data, a buffer for vertex normals, a buffer for
- *              vertex colors, and a buffer for vertex indices.
+ *              for vertex position data, and a buffer for vertex indices.
  */
  function loadModel(model) {
 
@@ -1116,15 +870,6 @@ function main()
     //Pass in the vertex data
     ctx.bufferData(ctx.ARRAY_BUFFER, new Float32Array(model.vertexCoordinates), ctx.STATIC_DRAW);
 
-    // Create pointer to a new buffer
-    let uvBuffer = ctx.createBuffer();
-
-    //Bind buffer to array buffer
-    ctx.bindBuffer(ctx.ARRAY_BUFFER, uvBuffer);
-
-    // Pass in uv data
-    ctx.bufferData(ctx.ARRAY_BUFFER, new Float32Array(model.uvValues), ctx.STATIC_DRAW);
-
 
     //Create pointer to a new buffer
     let elementIndicesBuffer = ctx.createBuffer();
@@ -1138,7 +883,6 @@ function main()
     model.buffers = {
 
         vertex: vertexBuffer,
-        uv: uvBuffer,
         elementIndices: elementIndicesBuffer,
     };
 }
@@ -1200,57 +944,6 @@ function loadNewNoise()
     );
 }
 
-/**
- * Function: loadSkyboxTextures
- * 
- * Input: None
- * Output: None
- * 
- * Description: allocates space on the GPU for the skybox panel textures
- */
-function loadSkyboxTextures()
-{
-    skyBoxTextures.nzPlane = loadSingleSkyboxTexture(255, 0, 0); // Forward red
-    skyBoxTextures.pxPlane = loadSingleSkyboxTexture(0, 255, 0); // right green
-    skyBoxTextures.pzPlane = loadSingleSkyboxTexture(0, 0, 255); // back blue
-    skyBoxTextures.nxPlane = loadSingleSkyboxTexture(255, 0, 255); // left purple
-    skyBoxTextures.pyPlane = loadSingleSkyboxTexture(255, 255, 0); // up yellow
-    skyBoxTextures.nyPlane = loadSingleSkyboxTexture(0, 255, 255); // down cyan  
-}
-
-/**
- * Function: loadSingleSkyboxTexture
- * 
- * Input: WebGLTexture texture, int red, int green, int blue
- * Output: None
- * 
- * Description: allocates space on the GPU for one skybox texture of the given color
- */
-function loadSingleSkyboxTexture(red, green, blue)
-{
-    let texture = ctx.createTexture();
-    ctx.bindTexture(ctx.TEXTURE_2D, texture);
-
-    ctx.texImage2D(
-        ctx.TEXTURE_2D,
-        0, // LOD
-        ctx.RGBA, // internal format
-        1024, // Width
-        1024, // Height
-        0, // Border
-        ctx.RGBA, // source format
-        ctx.UNSIGNED_BYTE, // source type
-        null
-    );
-
-    ctx.texParameteri(ctx.TEXTURE_2D, ctx.TEXTURE_WRAP_S, ctx.CLAMP_TO_EDGE);
-    ctx.texParameteri(ctx.TEXTURE_2D, ctx.TEXTURE_WRAP_T, ctx.CLAMP_TO_EDGE);
-    ctx.texParameteri(ctx.TEXTURE_2D, ctx.TEXTURE_MIN_FILTER, ctx.LINEAR);
-    ctx.texParameteri(ctx.TEXTURE_2D, ctx.TEXTURE_MAG_FILTER, ctx.LINEAR);
-
-    return texture;
-}
-
 /**
  * Function: requestNewSkybox
  * 
@@ -1286,48 +979,17 @@ function renderFrame()
     ctx.enable(ctx.CULL_FACE);
     ctx.cullFace(ctx.BACK);
 
-    //Tell WebGL to use the shader program
-    ctx.useProgram(skyBoxShader.program);
-
     //Compute projection matrix based on new window size
     mat4.perspective(projectionMatrix, 45 * Math.PI / 180, ctx.canvas.width / ctx.canvas.height, 0.1, 1000.0);
 
-    //Set projection uniform
-    ctx.uniformMatrix4fv(skyBoxShader.uniforms.projectionMatrix, false, projectionMatrix);
-
     // Compute skyBoxRotationMatrix
     mat4.identity(skyBoxRotationMatrix);
     mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, player.pitchAngle * -1.0, XAXIS); // Third transform, rotate the whole world around x axis (in the opposite direction the player is facing)
     mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, player.yawAngle * -1.0, YAXIS); // Second transform, rotate the whole world around y axis (in the opposite direction the player is facing)
     mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, skyboxRotation * -1.0, YAXIS); // First transform, rotate the skybox around y axis based on skyboxRotation
 
-    // Set world view uniform
-    ctx.uniformMatrix4fv(skyBoxShader.uniforms.worldViewMatrix, false, skyBoxRotationMatrix);
-
-    // For each panel of the skybox
-    for (panel in skyBoxModels)
-    {
-        //Instruct WebGL how to pull out vertices
-        ctx.bindBuffer(ctx.ARRAY_BUFFER, skyBoxModels[panel].buffers.vertex);
-        ctx.vertexAttribPointer(skyBoxShader.attributes.vertexPosition, 3, ctx.FLOAT, false, 0, 0); //Pull out 3 values at a time, no offsets
-        ctx.enableVertexAttribArray(skyBoxShader.attributes.vertexPosition); //Enable the pointer to the buffer
-
-        //Instruct WebGL how to pull out texture coordinates
-        ctx.bindBuffer(ctx.ARRAY_BUFFER, skyBoxModels[panel].buffers.uv);
-        ctx.vertexAttribPointer(skyBoxShader.attributes.textureCoordinates, 2, ctx.FLOAT, false, 0, 0);
-        ctx.enableVertexAttribArray(skyBoxShader.attributes.textureCoordinates);
-
-        //Instruct WebGL on which texture to use
-        ctx.activeTexture(ctx.TEXTURE0);
-        ctx.bindTexture(ctx.TEXTURE_2D, skyBoxModels[panel].texture);
-        ctx.uniform1i(skyBoxShader.uniforms.uSampler, 0);
-
-        //Give WebGL the element array
-        ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, skyBoxModels[panel].buffers.elementIndices);
-
-        //Draw triangles
-        ctx.drawElements(ctx.TRIANGLES, skyBoxModels[panel].elementCount, ctx.UNSIGNED_SHORT, 0);
-    }
+    // Draw the skybox
+    drawSkybox(skyBox, projectionMatrix, skyBoxRotationMatrix);
 }
 
 function renderNewSkybox()
@@ -1392,7 +1054,7 @@ function renderNewSkybox()
         skyboxRenderingStage.y = 0;
     }
     // If panel index is at maximum, reset to 0 and increment lightning index
-    if (skyboxRenderingStage.panel >= 6)
+    if (skyboxRenderingStage.panel >= SKYBOX_FACES.length)
     {
         skyboxRenderingStage.lightning++;
         skyboxRenderingStage.panel = 0;
@@ -1404,38 +1066,8 @@ function renderNewSkybox()
     }
 
     
-    // select skybox panel to render to and set rotation matrix
-    let panelToRender = null;
-    mat4.identity(skyBoxRotationMatrix);
-    switch (skyboxRenderingStage.panel)
-    {
-        case 0:
-            panelToRender = skyBoxModels.nzPlane;
-            // No rotation
-            break;
-        case 1:
-            panelToRender = skyBoxModels.nxPlane;
-            mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, piOver2, YAXIS);
-            break;
-        case 2:
-            panelToRender = skyBoxModels.pzPlane;
-            mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, Math.PI, YAXIS);
-            break;
-        case 3:
-            panelToRender = skyBoxModels.pxPlane;
-            mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, piOver2 * -1.0, YAXIS);
-            break;
-        case 4:
-            panelToRender = skyBoxModels.pyPlane;
-            mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, piOver2, XAXIS);
-            break;
-        case 5:
-            panelToRender = skyBoxModels.nyPlane;
-            mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, piOver2 * -1.0, XAXIS);
-            break;
-        default:      //Any other number, exit the function
-            return;
-    }
+    // select skybox face to render to
+    let faceToRender = SKYBOX_FACES[skyboxRenderingStage.panel];
     
     
     //Tell WebGL to use the cloud shader program
@@ -1446,8 +1078,8 @@ function renderNewSkybox()
     ctx.bindTexture(ctx.TEXTURE_2D, noiseBase);
     ctx.uniform1i(cloudShader.uniforms.sampler, 0);
 
-    // Set rotation uniform
-    ctx.uniformMatrix4fv(cloudShader.uniforms.rotationMatrix, false, skyBoxRotationMatrix);
+    // Set rotation uniform, pointing each pixel of the face in the direction it is seen in
+    ctx.uniformMatrix4fv(cloudShader.uniforms.rotationMatrix, false, getSkyboxFaceMatrix(faceToRender));
 
     // Set dimension uniform
     ctx.uniform1f(cloudShader.uniforms.dimension, noiseBaseDimension);
@@ -1508,14 +1140,14 @@ function renderNewSkybox()
     ctx.bindFramebuffer(ctx.FRAMEBUFFER, frameBuffer);
 
     // Render the selected panel
-    renderPanelTexture(skyboxRenderingStage.x, skyboxRenderingStage.y, panelToRender);
+    renderPanelTexture(skyboxRenderingStage.x, skyboxRenderingStage.y, faceToRender);
     skyboxRenderingStage.x++;
 }
 
-function renderPanelTexture(xIndex, yIndex, panel)
+function renderPanelTexture(xIndex, yIndex, face)
 {
-    // Attach correct texture to frame buffer
-    ctx.framebufferTexture2D(ctx.FRAMEBUFFER, ctx.COLOR_ATTACHMENT0, ctx.TEXTURE_2D, panel.texture, 0);
+    // Attach correct skybox face to frame buffer
+    attachSkyboxFace(skyBox, face);
 
     // Resize viewport to the current tile we are rendering to
     ctx.viewport(xIndex * SKYBOX_TILE_SIZE, yIndex * SKYBOX_TILE_SIZE, SKYBOX_TILE_SIZE, SKYBOX_TILE_SIZE);
@@ -1530,66 +1162,31 @@ function renderPanelTexture(xIndex, yIndex, panel)
     
 
     // Instruct WebGL how to pull out vertices
-    ctx.bindBuffer(ctx.ARRAY_BUFFER, skyBoxModels.nzPlane.buffers.vertex);
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, viewportQuad.buffers.vertex);
     ctx.vertexAttribPointer(cloudShader.attributes.viewportVertexPosition, 3, ctx.FLOAT, false, 0, 0);
     ctx.enableVertexAttribArray(cloudShader.attributes.viewportVertexPosition);
 
     // Give WebGL the element array
-    ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, skyBoxModels.nzPlane.buffers.elementIndices);
+    ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, viewportQuad.buffers.elementIndices);
 
     // Draw triangles
-    ctx.drawElements(ctx.TRIANGLES, skyBoxModels.nzPlane.elementCount, ctx.UNSIGNED_SHORT, 0);
-}
-
-/**
- * Function: updateMouse
- * 
- * Input: KeyboardEvent event
- * Output: None
- * 
- * Description: Updates lastMousePosition, and uses the change in mouse position to
- *              update the direction that the player is facing by calling pithcUp
- *              and yawRight
- */
- function updateMouse(event) {
-
-    //If the mouse is not in the window, record coordinates, set that it is in window, and return
-    if (!lastMousePosition.inWindow) {
-     
-        lastMousePosition.x = event.offsetX; //record x
-        lastMousePosition.y = event.offsetY; //record y
-        lastMousePosition.inWindow = true; //Set that mouse is in window
-
-        return;
-	}
-
-    //Record change in x and y
-    let deltaX = event.offsetX - lastMousePosition.x;
-    let deltaY = event.offsetY - lastMousePosition.y;
-
-    //Update mouse position
-    lastMousePosition.x = event.offsetX;
-    lastMousePosition.y = event.offsetY;
-
-    //console.log("deltaX: " + deltaX + " deltaY: " + deltaY);
-
-    //Yaw and pitch based on change in x and y
-    pitchUp(deltaY * -0.01);
-    yawRight(deltaX * -0.01);
+    ctx.drawElements(ctx.TRIANGLES, viewportQuad.elementCount, ctx.UNSIGNED_SHORT, 0);
 }
 
 /**
- * Function: mouseLeave
+ * Function: lookAround
  * 
- * Input: KeyboardEvent event
+ * Input: Double yawAngle, Double pitchAngle
  * Output: None
  * 
- * Description: Sets lastMousePosition to false. This function should be called
- *              in the event the mouse leaves the window.
+ * Description: Called by mouse look whenever the mouse moves while the pointer is locked.
+ *              Updates the direction that the player is facing by calling pitchUp
+ *              and yawRight.
  */
-function mouseLeave(event) {
+function lookAround(yawAngle, pitchAngle) {
 
-    lastMousePosition.inWindow = false;
+    pitchUp(pitchAngle);
+    yawRight(yawAngle);
 }
 
 /**
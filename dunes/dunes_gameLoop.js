@@ -0,0 +1,65 @@
+/**
+ *               Filename: dunes_gameLoop.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Moves Dunes over to the fixed ticks of the shared game loop. Dunes' own
+ *                         animation frame calls updateRoll and then updatePosition with the time
+ *                         since its last frame, which is the whole page's age on the first frame.
+ *                         Both are replaced here: updateRoll does nothing, and updatePosition runs
+ *                         as many ticks of the original two as the game loop says are due, ignoring
+ *                         the time it is given.
+ *
+ *                         Dunes draws the player straight from the simulation, so frames are not
+ *                         drawn between ticks as they are in Nimbus and Clouds.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *
+ *           Dependencies: gameLoopLibrary.js
+ *                         dunes_methodLibrary.js, which must be loaded before this file
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Dunes' original updateRoll and updatePosition, run once a tick
+const dunesUpdateRoll = updateRoll;
+const dunesUpdatePosition = updatePosition;
+
+// Game loop running the ticks, created on the first frame
+let dunesGameLoop = null;
+
+/**
+ * Function: updateRoll
+ *
+ * Input: Double deltaT
+ * Output: None
+ *
+ * Description: Does nothing, the roll is updated every tick by updatePosition instead
+ */
+updateRoll = function(deltaT) {};
+
+/**
+ * Function: updatePosition
+ *
+ * Input: Double deltaT, WebGLRenderingContext ctx
+ * Output: None
+ *
+ * Description: Runs every tick due since the last frame, each updating the roll and then
+ *              the position by one tick's length
+ */
+updatePosition = function(deltaT, ctx) {
+
+    if (dunesGameLoop == null)
+    {
+        dunesGameLoop = createGameLoop(GAME_LOOP_TICK_LENGTH, function(tickLength) {
+
+            dunesUpdateRoll(tickLength);
+            dunesUpdatePosition(tickLength, ctx);
+
+        }, null);
+    }
+
+    stepGameLoop(dunesGameLoop, performance.now() * 0.001);
+};
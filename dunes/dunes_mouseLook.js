@@ -0,0 +1,45 @@
+/**
+ *               Filename: dunes_mouseLook.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Moves Dunes over to the shared mouse look. Once main has run, the
+ *                         listeners it added to the hud for the old cursor tracking are removed,
+ *                         and mouse look is enabled on the hud in their place, turning the
+ *                         player with Dunes' own pitchUp and yawRight.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support the Pointer Lock API.
+ *
+ *           Dependencies: mouseLookLibrary.js
+ *                         dunes_methodLibrary.js
+ *                         dunes.js, which must be loaded before this file so main runs first
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+window.addEventListener("load", enableDunesMouseLook);
+
+/**
+ * Function: enableDunesMouseLook
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Replaces the hud's mousemove and mouseleave listeners with mouse look
+ */
+function enableDunesMouseLook()
+{
+    let hud = document.getElementById("hud");
+
+    hud.removeEventListener("mousemove", updateMouse);
+    hud.removeEventListener("mouseleave", mouseLeave);
+
+    enableMouseLook(hud, function(yawAngle, pitchAngle) {
+
+        pitchUp(pitchAngle);
+        yawRight(yawAngle);
+    });
+}
@@ -0,0 +1,183 @@
+/**
+ *               Filename: gameLoopLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Game loop shared by Nimbus, Clouds and Dunes. The simulation is always
+ *                         advanced in ticks of the same length, however fast frames are drawn, so it
+ *                         behaves the same on every machine and at every frame rate. Time left over
+ *                         between ticks is carried to the next frame, and passed to the render
+ *                         function as how far the world is between the last two ticks, so it can be
+ *                         drawn part way between them. No single frame advances the simulation by
+ *                         more than GAME_LOOP_MAX_FRAME_TIME, so coming back to a tab that was in
+ *                         the background does not send everything flying. A paused loop keeps
+ *                         rendering, but runs no ticks.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *
+ *           Dependencies: None
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Seconds of simulation in every tick
+const GAME_LOOP_TICK_LENGTH = 1.0 / 60.0;
+
+// Most seconds of simulation a single frame can run, however long it has been since the last one
+const GAME_LOOP_MAX_FRAME_TIME = 0.25;
+
+/**
+ * Function: createGameLoop
+ *
+ * Input: Double tickLength, Function update, Function render
+ * Output: gameLoop
+ *
+ * Description: Returns a new game loop, which calls update(tickLength, tick) for every tick
+ *              of tickLength seconds, then render(alpha) once a frame. alpha goes from 0 to 1
+ *              as the world gets from the second to last tick to the last one. render may be
+ *              null if the demo draws its frames itself.
+ *
+ *              Object: gameLoop
+ *
+ *              Attributes: Double tickLength - Seconds of simulation in every tick
+ *                          Function update, render
+ *                          Double accumulator - Seconds of simulation waiting for the next tick
+ *                          Double previousTime - Time of the last frame in seconds, or null before the first
+ *                          Integer tick - Number of ticks run so far
+ *                          Boolean isPaused - Whether ticks are held back
+ */
+function createGameLoop(tickLength, update, render)
+{
+    return {
+
+        tickLength: tickLength,
+        update: update,
+        render: render,
+        accumulator: 0.0,
+        previousTime: null,
+        tick: 0,
+        isPaused: false,
+    };
+}
+
+/**
+ * Function: startGameLoop
+ *
+ * Input: gameLoop loop
+ * Output: None
+ *
+ * Description: Runs loop on every animation frame
+ */
+function startGameLoop(loop)
+{
+    function newFrame(now)
+    {
+        stepGameLoop(loop, now * 0.001); //Convert to seconds
+
+        requestAnimationFrame(newFrame);
+    }
+
+    requestAnimationFrame(newFrame);
+}
+
+/**
+ * Function: stepGameLoop
+ *
+ * Input: gameLoop loop, Double now
+ * Output: None
+ *
+ * Description: Advances loop by the seconds since its last frame, with now in seconds. The
+ *              first frame advances it by nothing, and no frame by more than
+ *              GAME_LOOP_MAX_FRAME_TIME. Nothing is advanced while loop is paused.
+ */
+function stepGameLoop(loop, now)
+{
+    if (loop.previousTime == null)
+    {
+        loop.previousTime = now;
+    }
+
+    let frameTime = Math.min(now - loop.previousTime, GAME_LOOP_MAX_FRAME_TIME);
+    loop.previousTime = now;
+
+    if (loop.isPaused)
+    {
+        frameTime = 0.0;
+    }
+
+    advanceGameLoop(loop, frameTime);
+}
+
+/**
+ * Function: advanceGameLoop
+ *
+ * Input: gameLoop loop, Double frameTime
+ * Output: None
+ *
+ * Description: Runs as many ticks of loop as fit in frameTime seconds plus whatever was left
+ *              over from the last frame, then renders it
+ */
+function advanceGameLoop(loop, frameTime)
+{
+    loop.accumulator += frameTime;
+
+    while (loop.accumulator >= loop.tickLength)
+    {
+        loop.update(loop.tickLength, loop.tick);
+
+        loop.tick++;
+        loop.accumulator -= loop.tickLength;
+    }
+
+    if (loop.render != null)
+    {
+        loop.render(loop.accumulator / loop.tickLength);
+    }
+}
+
+/**
+ * Function: runGameLoopTicks
+ *
+ * Input: gameLoop loop, Integer count
+ * Output: None
+ *
+ * Description: Runs count ticks of loop straight away, without rendering, whether or not
+ *              it is paused. Time carried over between frames is left alone.
+ */
+function runGameLoopTicks(loop, count)
+{
+    for (let i = 0; i < count; i++)
+    {
+        loop.update(loop.tickLength, loop.tick);
+
+        loop.tick++;
+    }
+}
+
+/**
+ * Function: pauseGameLoop
+ *
+ * Input: gameLoop loop
+ * Output: None
+ *
+ * Description: Stops loop from running ticks until it is resumed. Frames are still rendered.
+ */
+function pauseGameLoop(loop)
+{
+    loop.isPaused = true;
+}
+
+/**
+ * Function: resumeGameLoop
+ *
+ * Input: gameLoop loop
+ * Output: None
+ *
+ * Description: Lets loop run ticks again, picking up from where it was paused
+ */
+function resumeGameLoop(loop)
+{
+    loop.isPaused = false;
+}
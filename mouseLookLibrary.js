@@ -0,0 +1,314 @@
+/**
+ *               Filename: mouseLookLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Mouse look shared by Nimbus, Clouds, 3D Goo and Dunes. Clicking the
+ *                         element mouse look is enabled on locks the pointer to it, after which
+ *                         every mouse movement turns the camera, however far the mouse travels.
+ *                         Pressing Escape gives the pointer back. Sensitivity and whether the
+ *                         vertical axis is inverted are saved in localStorage, so they carry
+ *                         over between demos.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support the Pointer Lock API.
+ *
+ *           Dependencies: None
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Key that mouse look settings are saved under in localStorage
+const MOUSE_LOOK_STORAGE_KEY = "mouseLook.settings";
+
+// Radians turned per pixel of mouse movement at the default sensitivity
+const MOUSE_LOOK_DEFAULT_SENSITIVITY = 0.01;
+
+/**
+ * Object: mouseLookSettings
+ *
+ * Description: Settings of mouse look, which the player can change
+ *
+ * Attributes: Double sensitivity, radians turned per pixel of mouse movement
+ *             Boolean invertY, whether moving the mouse up looks down
+ */
+const mouseLookSettings = {
+
+    sensitivity: MOUSE_LOOK_DEFAULT_SENSITIVITY,
+    invertY: false,
+};
+
+/**
+ * Object: mouseLook
+ *
+ * Description: State of mouse look
+ *
+ * Attributes: HTMLElement element, that mouse look is enabled on, or null
+ *             Function onLook, called with the yaw and pitch angles to turn by
+ *             Function onRelease, called when the pointer is given back, or null
+ *             Boolean isLocked, whether the pointer is currently locked to element
+ */
+const mouseLook = {
+
+    element: null,
+    onLook: null,
+    onRelease: null,
+    isLocked: false,
+};
+
+/**
+ * Function: enableMouseLook
+ *
+ * Input: HTMLElement element, Function onLook, Function onRelease
+ * Output: None
+ *
+ * Description: Loads the saved settings and locks the pointer to element whenever it is
+ *              clicked. While locked, onLook(yawAngle, pitchAngle) is called on every mouse
+ *              movement, with angles that go straight into the demo's yawRight and pitchUp.
+ *              Moving the mouse right gives a negative yawAngle, and moving it up a positive
+ *              pitchAngle, unless invertY is set.
+ *
+ *              onRelease is optional, and is called whenever the pointer is given back, such
+ *              as when the player presses Escape, which the browser keeps for itself.
+ */
+function enableMouseLook(element, onLook, onRelease)
+{
+    loadMouseLookSettings();
+
+    mouseLook.element = element;
+    mouseLook.onLook = onLook;
+
+    if (onRelease !== undefined)
+    {
+        mouseLook.onRelease = onRelease;
+    }
+
+    element.addEventListener("click", captureMouseLook);
+
+    document.addEventListener("pointerlockchange", function() {
+
+        let wasLocked = mouseLook.isLocked;
+        mouseLook.isLocked = document.pointerLockElement == element;
+
+        if (wasLocked && !mouseLook.isLocked && mouseLook.onRelease != null)
+        {
+            mouseLook.onRelease();
+        }
+    });
+
+    // The pointer stays free after a refused lock, and clicking element again tries again
+    document.addEventListener("pointerlockerror", function() {
+
+        mouseLook.isLocked = document.pointerLockElement == element;
+    });
+
+    document.addEventListener("mousemove", updateMouseLook);
+}
+
+/**
+ * Function: updateMouseLook
+ *
+ * Input: MouseEvent event
+ * Output: None
+ *
+ * Description: Turns the camera by the distance the mouse moved since the last event,
+ *              if the pointer is locked
+ */
+function updateMouseLook(event)
+{
+    if (!mouseLook.isLocked)
+    {
+        return;
+    }
+
+    lookByMovement(event.movementX, event.movementY);
+}
+
+/**
+ * Function: lookByMovement
+ *
+ * Input: Double movementX, Double movementY
+ * Output: None
+ *
+ * Description: Turns the camera as if the mouse had moved movementX pixels right and
+ *              movementY pixels down, using the player's sensitivity and inversion. Lets
+ *              other pointers, such as a finger dragged across the screen, look around.
+ */
+function lookByMovement(movementX, movementY)
+{
+    if (mouseLook.onLook == null)
+    {
+        return;
+    }
+
+    let yawAngle = movementX * mouseLookSettings.sensitivity * -1.0;
+    let pitchAngle = movementY * mouseLookSettings.sensitivity * -1.0;
+
+    if (mouseLookSettings.invertY)
+    {
+        pitchAngle *= -1.0;
+    }
+
+    mouseLook.onLook(yawAngle, pitchAngle);
+}
+
+/**
+ * Function: captureMouseLook
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Locks the pointer to the element mouse look is enabled on. Should only be
+ *              called from a click, as browsers refuse the lock otherwise, and also for a
+ *              moment after the player presses Escape to give the pointer back. A refused
+ *              lock leaves the pointer free until the next click.
+ */
+function captureMouseLook()
+{
+    // Touch screen browsers may not support pointer lock at all
+    if (!mouseLook.isLocked && mouseLook.element != null && mouseLook.element.requestPointerLock !== undefined)
+    {
+        let request = mouseLook.element.requestPointerLock();
+
+        // Chrome returns a promise, rejected when the lock is refused, which pointerlockerror also reports
+        if (request !== undefined)
+        {
+            request.catch(function() {});
+        }
+    }
+}
+
+/**
+ * Function: releaseMouseLook
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Gives the pointer back if it is locked, so that menus can be clicked
+ */
+function releaseMouseLook()
+{
+    if (mouseLook.isLocked)
+    {
+        document.exitPointerLock();
+    }
+}
+
+/**
+ * Function: loadMouseLookSettings
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Replaces mouseLookSettings with any that were saved. Settings that are
+ *              missing or invalid keep their current values.
+ */
+function loadMouseLookSettings()
+{
+    let saved = null;
+
+    try
+    {
+        saved = JSON.parse(localStorage.getItem(MOUSE_LOOK_STORAGE_KEY));
+    }
+    catch (error)
+    {
+        console.error("Unable to load mouse look settings: " + error);
+    }
+
+    if (saved == null)
+    {
+        return;
+    }
+
+    if (typeof saved.sensitivity === "number" && saved.sensitivity > 0.0)
+    {
+        mouseLookSettings.sensitivity = saved.sensitivity;
+    }
+
+    if (typeof saved.invertY === "boolean")
+    {
+        mouseLookSettings.invertY = saved.invertY;
+    }
+}
+
+/**
+ * Function: saveMouseLookSettings
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Saves mouseLookSettings to localStorage
+ */
+function saveMouseLookSettings()
+{
+    try
+    {
+        localStorage.setItem(MOUSE_LOOK_STORAGE_KEY, JSON.stringify(mouseLookSettings));
+    }
+    catch (error)
+    {
+        console.error("Unable to save mouse look settings: " + error);
+    }
+}
+
+/**
+ * Function: addMouseLookSettings
+ *
+ * Input: HTMLElement container
+ * Output: None
+ *
+ * Description: Adds inputs for the sensitivity, as a multiple of the default, and for
+ *              inverting the vertical axis to container. Changes are saved right away.
+ */
+function addMouseLookSettings(container)
+{
+    let heading = document.createElement("h3");
+    heading.textContent = "Mouse";
+    container.appendChild(heading);
+
+    let sensitivityLabel = document.createElement("label");
+    sensitivityLabel.textContent = "Sensitivity ";
+
+    let sensitivityInput = document.createElement("input");
+    sensitivityInput.type = "number";
+    sensitivityInput.min = "0.1";
+    sensitivityInput.max = "5";
+    sensitivityInput.step = "0.1";
+    sensitivityInput.value = (mouseLookSettings.sensitivity / MOUSE_LOOK_DEFAULT_SENSITIVITY).toFixed(1);
+
+    sensitivityInput.addEventListener("change", function() {
+
+        let multiple = parseFloat(sensitivityInput.value);
+
+        if (isNaN(multiple) || multiple <= 0.0)
+        {
+            sensitivityInput.value = (mouseLookSettings.sensitivity / MOUSE_LOOK_DEFAULT_SENSITIVITY).toFixed(1);
+            return;
+        }
+
+        mouseLookSettings.sensitivity = multiple * MOUSE_LOOK_DEFAULT_SENSITIVITY;
+        saveMouseLookSettings();
+    });
+
+    sensitivityLabel.appendChild(sensitivityInput);
+    container.appendChild(sensitivityLabel);
+
+    let invertLabel = document.createElement("label");
+    invertLabel.textContent = " Invert vertical ";
+
+    let invertInput = document.createElement("input");
+    invertInput.type = "checkbox";
+    invertInput.checked = mouseLookSettings.invertY;
+
+    invertInput.addEventListener("change", function() {
+
+        mouseLookSettings.invertY = invertInput.checked;
+        saveMouseLookSettings();
+    });
+
+    invertLabel.appendChild(invertInput);
+    container.appendChild(invertLabel);
+}
@@ -14,8 +14,30 @@
  *                         and one with the id "hud"
  * 
  *           Dependencies: gl-matrix.js https://cdnjs.cloudflare.com/ajax/libs/gl-matrix/2.8.1/gl-matrix-min.js
+ *                         skyboxLibrary.js
+ *                         mouseLookLibrary.js
+ *                         gameLoopLibrary.js
  *                         nimbus_objLibrary.js
+ *                         nimbus_assetLibrary.js
+ *                         nimbus_inputLibrary.js
+ *                         nimbus_gamepadLibrary.js
  *                         nimbus_methodLibrary.js
+ *                         nimbus_hudLibrary.js
+ *                         nimbus_radarLibrary.js
+ *                         nimbus_touchLibrary.js
+ *                         nimbus_interpolationLibrary.js
+ *                         nimbus_menuLibrary.js
+ *                         overlayLibrary.js
+ *                         nimbus_materialLibrary.js
+ *                         nimbus_collisionLibrary.js
+ *                         nimbus_instancingLibrary.js
+ *                         nimbus_spatialLibrary.js
+ *                         nimbus_chunkLibrary.js
+ *                         nimbus_weaponLibrary.js
+ *                         nimbus_lightingLibrary.js
+ *                         nimbus_shadowLibrary.js
+ *                         nimbus_saveLibrary.js
+ *                         nimbus_replayLibrary.js
  * 
  * Copyright (c) 2020, Browning Keith Smith. All rights reserved.
  */
@@ -35,7 +57,8 @@
  * 
  *              Once these tasks are accomplished, the function calls other functions to compile and
  *              link the shader programs, retrieve attribute locations from the compiled programs, calls
- *              functions to initialize buffer data, and begins the loop of calling animation frames.
+ *              functions to initialize buffer data, and begins the loop of calling animation frames
+ *              once the required assets have loaded.
  */
 function main() {
 
@@ -45,49 +68,54 @@ function main() {
     //Get hud canvas element
     hud = document.getElementById("hud");
 
-    //Add mouse event listeners
-    hud.addEventListener("mousemove", updateMouse);
-    hud.addEventListener("mouseleave", mouseLeave);
+    //Look around with the mouse once the hud is clicked, and listen for keys
+    enableMouseLook(hud, lookAround, openPauseMenu);
+    initTouchControls(hud);
     window.addEventListener("keydown", parseDownKey);
     window.addEventListener("keyup", parseUpKey);
 
     //Get canvas context
     ctx = canvas.getContext("webgl");
 
-    //If unable to get context, alert user and end program
+    //If unable to get context, tell the user and end program
     if (!ctx) {
 
-        alert("Unable to initialize WebGL. It may not be supported by this browser.");
+        showMessageOverlay("Unable to initialize WebGL", "It may not be supported by this browser.");
         return;
     }
 
     //Get hud context
     hudCtx = hud.getContext("2d");
 
+    //Use the key bindings and gamepad settings the player saved last time
+    initInputBindings();
+    initGamepad();
+
     //Create the shader programs
-    createShaderProgram(skyBoxShader);
     createShaderProgram(shipInteriorShader);
     createShaderProgram(shipExteriorShader);
 
-    //Load textures
-    for (textureData in textures)
-    {
-        loadTexture(textures[textureData]);
-    }
+    //Draw exterior objects in batches if the browser supports instancing
+    initInstancing();
 
-    // Attach skybox textures to the respective models
-    skyBoxModels.negZplane.texture = textures.negZplane.texture;
-    skyBoxModels.posXplane.texture = textures.posXplane.texture;
-    skyBoxModels.posZplane.texture = textures.posZplane.texture;
-    skyBoxModels.negXplane.texture = textures.negXplane.texture;
-    skyBoxModels.posYplane.texture = textures.posYplane.texture;
-    skyBoxModels.negYplane.texture = textures.negYplane.texture;
+    // Light the ship interior from its ceiling, and everything outside with a distant sun
+    addLight(interiorLights, createPointLight([0.0, 2.4, 0.0], [1.0, 1.0, 1.0], 1.0));
+    sunLight = addLight(exteriorLights, createDirectionalLight([0.0, -1.0, 1.0], [1.0, 1.0, 1.0], 1.0));
+    sunLight.castsShadows = true;
 
-    //Create and fill buffers for skybox panels
-    for (model in skyBoxModels)
-    {
-        initSkyBoxBuffers(skyBoxModels[model]);
-    }
+    // Sunlight coming in through the cockpit windows, so the cockpit frame shadows the instruments
+    cockpitSunLight = addLight(interiorLights, createDirectionalLight([0.0, -1.0, 1.0], [1.0, 1.0, 1.0], 0.6));
+    cockpitSunLight.castsShadows = true;
+
+    //Cast shadows from the sun if the browser supports depth textures
+    initShadows();
+
+    //Apply the graphics settings the player chose last time
+    initGraphicsSettings();
+
+    // Create the skybox and start loading its images
+    skyBox = createSkybox();
+    loadSkyboxAssets(skyBox, skyBoxImages);
 
     //Create and fill buffers, attach them to their respective models
     for (model in models) {
@@ -95,86 +123,137 @@ function main() {
         initBuffers(models[model]);
 	}
 
-    // Create more cubes in random places
-    for (let i=0; i<2000; i++)
-    {
-        let newCube = {
+    //Set up the models for collisions, and create the ships and the chunks around them
+    createWorld();
 
-            x: Math.random() * chunkSize * 2.0 - chunkSize,
-            y: Math.random() * chunkSize * 2.0 - chunkSize,
-            z: Math.random() * chunkSize * 2.0 - chunkSize,
+    /**
+     * Function: renderWorld
+     * 
+     * Input: Double alpha
+     * Output: none
+     * 
+     * Description: Calls drawScene and drawHUD to render a new animation
+     *              frame, with ships and the player drawn alpha of the way
+     *              between the last two ticks.
+     */
+    function renderWorld(alpha) {
 
-            roll: 0.0,
-            pitch: 0.0,
-            yaw: 0.0,
+        blendRenderStates(alpha);
 
-            rollSpeed: 0.0,
-            pitchSpeed: 0.0,
-            yawSpeed: 0.0,
+        drawScene();
+        drawHUD();
 
-            scale: 1.0,
+        restoreTickStates();
+    }
 
-            model: models.cube
-        };
+    //Advance the world in fixed ticks, however fast frames are drawn
+    gameLoop = createGameLoop(GAME_LOOP_TICK_LENGTH, updateWorld, renderWorld);
 
-        exteriorObjects.push(newCube);
-    }
+    // Start the animation loop once everything needed to draw the scene has loaded
+    waitForRequiredAssets().then(function() {
 
-    // Set current boarded ship
-    player.boardedShip = ship;
-    player.isPiloting = true;
+        startGameLoop(gameLoop);
 
-    // Randomize rotation speeds of each object
-    randomizeRotations(exteriorObjects);
+        // Show the controls and settings before the game starts
+        openPauseMenu();
 
-    //Initialize previousTimestamp
-    let previousTimeStamp = 0;
+    }).catch(function(error) {
 
-    //Initialize deltaT
-    let deltaT = 0.0;
+        console.error(error.message);
+    });
+}
 
-    /**
-     * Function: newFrame
-     * 
-     * Input: Double now
-     * Output: none
-     * 
-     * Description: This function is responsible for calculating a deltaT
-     *              in order to update object rotations and camera movement
-     *              smoothly. Calls drawScene and drawHUD to render a new
-     *              animation frame.
-     */
+/**
+ * Function: createWorld
+ * 
+ * Input: None
+ * Output: None
+ * 
+ * Description: Finds the bounding radius of every model and the collision mesh of the ship
+ *              interior, creates the player's ship and a second ship, puts the player at the
+ *              controls, and generates the chunks around them. Needs no WebGL, so the world
+ *              can also be simulated without being drawn.
+ */
+function createWorld() {
 
-    function newFrame(now) {
+    //Find how far each model reaches, for collisions
+    for (model in models) {
 
-        //Get change in time
-        now *= 0.001; //Convert to seconds
+        computeBoundingRadius(models[model]);
+	}
 
-        deltaT = now - previousTimeStamp;
-        previousTimeStamp = now;
+    //Let the player walk on the inside of the ship
+    buildCollisionMesh(models.shipInterior);
 
-        // Update object rotations
-        for (object in exteriorObjects)
-        {
-            shiftToNextChunk(exteriorObjects[object]);
-            updateObjectRotation(object, deltaT);
-        }
+    // Create the grid exterior objects are sorted into for culling and collision queries
+    exteriorSpatialIndex = createSpatialIndex(chunkSize / SPATIAL_CELLS_PER_CHUNK);
 
-        //Update ship position
-        updateShipSpeedAndPosition(ship, deltaT);
+    // Create the player's ship, already under way, and a second ship parked to the side of its course
+    ships.push(createShip(0.0, 0.0, 0.0, models.shipInterior, models.shipHull));
+    ships[0].forwardSpeed = 200.0;
+    ships.push(createShip(40.0, 0.0, -60.0, models.shipInterior, models.shipHull));
 
-        //Update player position
-        updatePlayerPosition(deltaT);
+    // Set current boarded ship
+    player.boardedShip = ships[0];
+    player.isPiloting = true;
 
-        drawScene();
-        drawHUD();
+    // Generate the chunks around the starting position
+    getPlayerWorldPosition(playerWorldPosition);
+    updateLoadedChunks(playerWorldPosition);
+}
 
-        requestAnimationFrame(newFrame);
+/**
+ * Function: updateWorld
+ * 
+ * Input: Double deltaT
+ * Output: none
+ * 
+ * Description: Advances the world by one tick of the game loop, deltaT
+ *              seconds long, updating object rotations, ship movement
+ *              and player movement.
+ */
+function updateWorld(deltaT) {
+
+    //Remember where everything was, so frames can be drawn between ticks
+    recordPreviousStates();
+
+    //Feed in the keys and mouse movements of a recording being replayed
+    playReplayTick();
+
+    //Steer with the gamepad, if one is connected
+    pollGamepad(deltaT);
+
+    // Generate chunks the player has come near, and unload the ones left behind
+    getPlayerWorldPosition(playerWorldPosition);
+    updateLoadedChunks(playerWorldPosition);
+
+    // Update object rotations
+    for (object in exteriorObjects)
+    {
+        updateObjectRotation(object, deltaT);
     }
 
-    alert("Movement Controls:\n\nMove cursor to look around cockpit\nE - Increase ship speed\nQ - Decrease ship speed\nA - Turn ship left\nD - Turn ship right\nW - Pitch ship down\nS - Pitch ship up\nF - Switch between ship control and player control");
+    //Update ship positions
+    for (let i = 0; i < ships.length; i++)
+    {
+        updateShipSpeedAndPosition(ships[i], deltaT);
+
+        //Keep ship from flying through exterior objects, only checking the ones near it
+        querySpatialIndex(exteriorSpatialIndex, ships[i].x, ships[i].y, ships[i].z, ships[i].hullRadius, nearbyExteriorObjects);
+        updateShipCollisions(ships[i], nearbyExteriorObjects);
+    }
+
+    //Keep ships from flying through each other
+    updateShipPairCollisions(ships);
+
+    //Drop the radar target once it has left the radar, before a missile can be fired at it
+    updateRadarTarget();
+
+    //Fire the ship's weapons and move projectiles, now that ships are where they fire from
+    updateWeapons(deltaT);
 
-    requestAnimationFrame(newFrame);
+    //Update player position
+    updatePlayerPosition(deltaT);
 }
 
 window.onload = main;
\ No newline at end of file
@@ -0,0 +1,271 @@
+/**
+ *               Filename: nimbus_assetLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Keeps track of the images and files Nimbus loads. Asset URLs are relative
+ *                         to the page, so Nimbus runs from wherever it is hosted, or offline. Every
+ *                         load is counted, and failures are reported, while a progress screen is
+ *                         drawn on the hud canvas. Assets marked as required must all load before
+ *                         the animation loop is started.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element and WebGL context.
+ *
+ *           Dependencies: skyboxLibrary.js
+ *                         nimbus_objLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Stages of loading shown on the progress screen
+const ASSETS_LOADING = 0;
+const ASSETS_READY = 1;
+const ASSETS_FAILED = 2;
+
+// Size of the progress bar on the loading screen, in pixels
+const LOADING_BAR_WIDTH = 300;
+const LOADING_BAR_HEIGHT = 12;
+
+/**
+ * Object: assetLoading
+ *
+ * Description: Progress of every asset requested so far
+ *
+ * Attributes: Integer stage - ASSETS_LOADING, ASSETS_READY or ASSETS_FAILED
+ *             Integer total - Number of assets requested
+ *             Integer loaded - Number of assets loaded successfully
+ *             Array failures - Message for each asset that could not be loaded
+ *             Array required - Tracked promise of each required asset
+ */
+const assetLoading = {
+
+    stage: ASSETS_LOADING,
+    total: 0,
+    loaded: 0,
+    failures: [],
+    required: [],
+};
+
+/**
+ * Function: resolveAssetUrl
+ *
+ * Input: String url
+ * Output: String
+ *
+ * Description: Returns url resolved against the address of the page, so assets are
+ *              loaded from the same place as Nimbus itself
+ */
+function resolveAssetUrl(url)
+{
+    return new URL(url, document.baseURI).href;
+}
+
+/**
+ * Function: trackAsset
+ *
+ * Input: String name, Promise promise, Boolean required
+ * Output: Promise
+ *
+ * Description: Counts promise as an asset being loaded, and returns a promise settling
+ *              the same way once it has been counted as loaded or failed. Failures are
+ *              logged under name. If required is true, waitForRequiredAssets waits for it.
+ */
+function trackAsset(name, promise, required)
+{
+    assetLoading.total++;
+
+    let tracked = promise.then(function(result) {
+
+        assetLoading.loaded++;
+        drawLoadingScreen();
+
+        return result;
+
+    }, function(error) {
+
+        assetLoading.failures.push(name + ": " + error.message);
+        console.error("Unable to load " + name + ": " + error.message);
+        drawLoadingScreen();
+
+        throw error;
+    });
+
+    if (required)
+    {
+        assetLoading.required.push(tracked);
+    }
+
+    drawLoadingScreen();
+
+    return tracked;
+}
+
+/**
+ * Function: loadImage
+ *
+ * Input: String url
+ * Output: Promise
+ *
+ * Description: Returns a promise resolving with the image at url, relative to the page,
+ *              once it has loaded. Rejects with an Error if it cannot be loaded.
+ */
+function loadImage(url)
+{
+    return new Promise(function(resolve, reject) {
+
+        const image = new Image();
+
+        image.onload = function() {
+
+            resolve(image);
+        };
+
+        image.onerror = function() {
+
+            reject(new Error("Could not load image " + url));
+        };
+
+        image.crossOrigin = "";
+        image.src = resolveAssetUrl(url);
+    });
+}
+
+/**
+ * Function: loadSkyboxAssets
+ *
+ * Input: skybox skybox, Object urls
+ * Output: None
+ *
+ * Description: Starts loading the image for each face of skybox from urls, keyed by face
+ *              name, as required assets. Each face is filled as soon as its image arrives.
+ */
+function loadSkyboxAssets(skybox, urls)
+{
+    for (let i = 0; i < SKYBOX_FACES.length; i++)
+    {
+        let face = SKYBOX_FACES[i];
+
+        trackAsset(urls[face], loadImage(urls[face]).then(function(image) {
+
+            setSkyboxFace(skybox, face, image);
+
+        }), true);
+    }
+}
+
+/**
+ * Function: waitForRequiredAssets
+ *
+ * Input: None
+ * Output: Promise
+ *
+ * Description: Returns a promise resolving once every required asset has loaded. If any
+ *              of them fails, the promise rejects once the rest have finished, and the
+ *              loading screen is left showing what went wrong.
+ */
+function waitForRequiredAssets()
+{
+    let settled = [];
+
+    // Wait for all of them, even after one has failed, so every failure is reported
+    for (let i = 0; i < assetLoading.required.length; i++)
+    {
+        settled.push(assetLoading.required[i].then(function() {
+
+            return true;
+
+        }, function() {
+
+            return false;
+        }));
+    }
+
+    return Promise.all(settled).then(function(results) {
+
+        let failed = 0;
+
+        for (let i = 0; i < results.length; i++)
+        {
+            if (!results[i])
+            {
+                failed++;
+            }
+        }
+
+        if (failed > 0)
+        {
+            assetLoading.stage = ASSETS_FAILED;
+            drawLoadingScreen();
+
+            throw new Error(failed + " required assets could not be loaded");
+        }
+
+        assetLoading.stage = ASSETS_READY;
+    });
+}
+
+/**
+ * Function: drawLoadingScreen
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Covers the hud canvas with a progress bar for the assets loaded so far,
+ *              followed by a line for each failure. Does nothing once loading has finished
+ *              and the hud is being drawn by drawHUD.
+ */
+function drawLoadingScreen()
+{
+    if (hudCtx == null || assetLoading.stage == ASSETS_READY)
+    {
+        return;
+    }
+
+    hudCtx.canvas.width = hudCtx.canvas.clientWidth;   //Resize canvas to fit CSS styling
+    hudCtx.canvas.height = hudCtx.canvas.clientHeight;
+
+    let centerX = hudCtx.canvas.width / 2;
+    let centerY = hudCtx.canvas.height / 2;
+
+    // Cover the scene, which has not been drawn yet
+    hudCtx.fillStyle = 'black';
+    hudCtx.fillRect(0, 0, hudCtx.canvas.width, hudCtx.canvas.height);
+
+    // Title, with the number of assets finished
+    let finished = assetLoading.loaded + assetLoading.failures.length;
+    let title = "Loading " + finished + " / " + assetLoading.total;
+
+    if (assetLoading.stage == ASSETS_FAILED)
+    {
+        title = "Unable to start, required assets could not be loaded";
+    }
+
+    hudCtx.font = '20px sans-serif';
+    hudCtx.textAlign = 'center';
+    hudCtx.fillStyle = 'white';
+    hudCtx.fillText(title, centerX, centerY - LOADING_BAR_HEIGHT);
+
+    // Progress bar
+    let progress = 0.0;
+
+    if (assetLoading.total > 0)
+    {
+        progress = finished / assetLoading.total;
+    }
+
+    hudCtx.strokeStyle = 'white';
+    hudCtx.strokeRect(centerX - LOADING_BAR_WIDTH / 2, centerY, LOADING_BAR_WIDTH, LOADING_BAR_HEIGHT);
+    hudCtx.fillRect(centerX - LOADING_BAR_WIDTH / 2, centerY, LOADING_BAR_WIDTH * progress, LOADING_BAR_HEIGHT);
+
+    // List what went wrong
+    hudCtx.font = '14px sans-serif';
+    hudCtx.fillStyle = 'red';
+
+    for (let i = 0; i < assetLoading.failures.length; i++)
+    {
+        hudCtx.fillText(assetLoading.failures[i], centerX, centerY + LOADING_BAR_HEIGHT + 30 + i * 20);
+    }
+}
@@ -0,0 +1,413 @@
+/**
+ *               Filename: nimbus_chunkLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Splits space into chunks of chunkSize on every side, and fills each
+ *                         chunk with objects generated from worldSeed and the chunk's coordinates.
+ *                         Chunks are generated as the player comes near them and unloaded as the
+ *                         player leaves, and the same seed always generates the same chunks.
+ *                         Objects destroyed in a chunk are remembered, and left out whenever the
+ *                         chunk is generated again. Pieces broken off objects belong to the chunk
+ *                         they are in, and are lost when it unloads.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element and WebGL context.
+ *
+ *           Dependencies: gameLoopLibrary.js
+ *                         nimbus_objLibrary.js
+ *                         nimbus_methodLibrary.js
+ *                         nimbus_spatialLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Chunks this many chunks away from the player's chunk on any axis are loaded
+const CHUNK_LOAD_RADIUS = 1;
+
+// Chunks farther than this many chunks away are unloaded. Larger than CHUNK_LOAD_RADIUS so
+// that moving back and forth across a chunk border does not regenerate the same chunks
+const CHUNK_UNLOAD_RADIUS = 2;
+
+// Range of how many objects are generated in each chunk
+const CHUNK_MIN_OBJECTS = 300;
+const CHUNK_MAX_OBJECTS = 500;
+
+// Seed every chunk is generated from
+let worldSeed = 1;
+
+/**
+ * Object: chunk
+ *
+ * Description: One cube of space and the objects generated inside of it
+ *
+ * Attributes: Integer cx, cy, cz - Chunk coordinates, the chunk spans cx * chunkSize to (cx + 1) * chunkSize on x
+ *             Array objects - Exterior objects generated in the chunk
+ *             Array fragments - Exterior objects broken off other objects inside the chunk
+ *             Integer loadedTick - Game loop tick the chunk was loaded before, the first its objects spun in
+ */
+
+// Loaded chunks, keyed by chunkKey
+const loadedChunks = new Map();
+
+// Coordinates of the chunk the player was in when chunks were last loaded, or null before the first load
+let centerChunk = null;
+
+// Indices in chunk.objects of the objects destroyed in each chunk, as Sets keyed by chunkKey,
+// kept while the chunk is unloaded
+let destroyedChunkObjects = new Map();
+
+/**
+ * Function: createRandom
+ *
+ * Input: Integer seed
+ * Output: Function
+ *
+ * Description: Returns a function that, like Math.random, returns a number from 0 up to but
+ *              not including 1 every time it is called. The numbers come from a small
+ *              deterministic generator (mulberry32), so the same seed always gives the same numbers.
+ */
+function createRandom(seed)
+{
+    let state = seed >>> 0;
+
+    return function() {
+
+        state = (state + 0x6D2B79F5) >>> 0;
+
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Function: getChunkSeed
+ *
+ * Input: Integer seed, cx, cy, cz
+ * Output: Integer
+ *
+ * Description: Mixes the world seed with a chunk's coordinates into the seed that chunk is generated from
+ */
+function getChunkSeed(seed, cx, cy, cz)
+{
+    let hash = seed >>> 0;
+
+    hash = Math.imul(hash ^ cx, 0x85EBCA6B);
+    hash = Math.imul(hash ^ (hash >>> 13) ^ cy, 0xC2B2AE35);
+    hash = Math.imul(hash ^ (hash >>> 16) ^ cz, 0x27D4EB2F);
+
+    return (hash ^ (hash >>> 15)) >>> 0;
+}
+
+/**
+ * Function: chunkKey
+ *
+ * Input: Integer cx, cy, cz
+ * Output: String
+ *
+ * Description: Returns the key a chunk is stored under in loadedChunks
+ */
+function chunkKey(cx, cy, cz)
+{
+    return cx + "," + cy + "," + cz;
+}
+
+/**
+ * Function: generateChunk
+ *
+ * Input: Integer cx, cy, cz
+ * Output: chunk
+ *
+ * Description: Generates the objects of the chunk at (cx, cy, cz) from worldSeed.
+ *              Every random choice is drawn from the chunk's own generator, in the
+ *              same order every time, so a chunk always comes out the same.
+ */
+function generateChunk(cx, cy, cz)
+{
+    let random = createRandom(getChunkSeed(worldSeed, cx, cy, cz));
+
+    let chunk = {
+
+        cx: cx,
+        cy: cy,
+        cz: cz,
+        objects: [],
+        fragments: [],
+        loadedTick: getCurrentTick(),
+    };
+
+    let objectCount = CHUNK_MIN_OBJECTS + Math.floor(random() * (CHUNK_MAX_OBJECTS - CHUNK_MIN_OBJECTS + 1));
+
+    for (let i = 0; i < objectCount; i++)
+    {
+        let newCube = {
+
+            x: (cx + random()) * chunkSize,
+            y: (cy + random()) * chunkSize,
+            z: (cz + random()) * chunkSize,
+
+            roll: 0.0,
+            pitch: 0.0,
+            yaw: 0.0,
+
+            rollSpeed: 0.0,
+            pitchSpeed: 0.0,
+            yawSpeed: 0.0,
+
+            scale: 1.0,
+
+            model: models.cube
+        };
+
+        chunk.objects.push(newCube);
+    }
+
+    randomizeRotations(chunk.objects, random);
+
+    return chunk;
+}
+
+/**
+ * Function: getCurrentTick
+ *
+ * Input: None
+ * Output: Integer
+ *
+ * Description: Returns the tick the game loop is about to run, or 0 before it has been created
+ */
+function getCurrentTick()
+{
+    if (gameLoop == null)
+    {
+        return 0;
+    }
+
+    return gameLoop.tick;
+}
+
+/**
+ * Function: getChunkSpinTicks
+ *
+ * Input: chunk chunk
+ * Output: Integer
+ *
+ * Description: Returns how many ticks the objects of chunk have spun for since it was loaded
+ */
+function getChunkSpinTicks(chunk)
+{
+    return getCurrentTick() - chunk.loadedTick;
+}
+
+/**
+ * Function: spinChunkObjects
+ *
+ * Input: chunk chunk, Integer spinTicks
+ * Output: None
+ *
+ * Description: Turns the objects of a newly generated chunk to where they would be after
+ *              spinning for spinTicks ticks from when it was generated, and counts the chunk
+ *              as loaded that many ticks ago. Every object starts unturned and spins at a
+ *              steady speed, so this only differs from spinning them tick by tick by rounding.
+ */
+function spinChunkObjects(chunk, spinTicks)
+{
+    let spinTime = spinTicks * GAME_LOOP_TICK_LENGTH;
+
+    for (let i = 0; i < chunk.objects.length; i++)
+    {
+        chunk.objects[i].roll = chunk.objects[i].rollSpeed * spinTime;
+        chunk.objects[i].pitch = chunk.objects[i].pitchSpeed * spinTime;
+        chunk.objects[i].yaw = chunk.objects[i].yawSpeed * spinTime;
+    }
+
+    chunk.loadedTick -= spinTicks;
+}
+
+/**
+ * Function: loadChunk
+ *
+ * Input: Integer cx, cy, cz
+ * Output: None
+ *
+ * Description: Generates the chunk at (cx, cy, cz), and adds its objects to
+ *              exteriorObjects and exteriorSpatialIndex, apart from the ones that
+ *              have been destroyed
+ */
+function loadChunk(cx, cy, cz)
+{
+    let chunk = generateChunk(cx, cy, cz);
+    let destroyed = destroyedChunkObjects.get(chunkKey(cx, cy, cz));
+
+    for (let i = 0; i < chunk.objects.length; i++)
+    {
+        if (destroyed !== undefined && destroyed.has(i))
+        {
+            chunk.objects[i].isDestroyed = true;
+            continue;
+        }
+
+        exteriorObjects.push(chunk.objects[i]);
+        insertIntoSpatialIndex(exteriorSpatialIndex, chunk.objects[i]);
+    }
+
+    loadedChunks.set(chunkKey(cx, cy, cz), chunk);
+}
+
+/**
+ * Function: markChunkObjectDestroyed
+ *
+ * Input: object object
+ * Output: None
+ *
+ * Description: Remembers that object has been destroyed, if it was generated by a loaded
+ *              chunk, so it is left out when the chunk is generated again. A destroyed
+ *              fragment is taken out of its chunk instead. Objects never move out of the
+ *              chunk they belong to.
+ */
+function markChunkObjectDestroyed(object)
+{
+    let key = chunkKey(Math.floor(object.x / chunkSize), Math.floor(object.y / chunkSize), Math.floor(object.z / chunkSize));
+    let chunk = loadedChunks.get(key);
+
+    if (chunk === undefined)
+    {
+        return;
+    }
+
+    let index = chunk.objects.indexOf(object);
+
+    if (index == -1)
+    {
+        let fragmentIndex = chunk.fragments.indexOf(object);
+
+        if (fragmentIndex != -1)
+        {
+            chunk.fragments.splice(fragmentIndex, 1);
+        }
+
+        return;
+    }
+
+    if (!destroyedChunkObjects.has(key))
+    {
+        destroyedChunkObjects.set(key, new Set());
+    }
+
+    destroyedChunkObjects.get(key).add(index);
+}
+
+/**
+ * Function: addChunkFragment
+ *
+ * Input: object fragment
+ * Output: None
+ *
+ * Description: Adds fragment to the loaded chunk it is in, and to exteriorObjects and
+ *              exteriorSpatialIndex, so it unloads along with the chunk. A fragment outside
+ *              of every loaded chunk is left out, as nothing would ever unload it.
+ */
+function addChunkFragment(fragment)
+{
+    let chunk = loadedChunks.get(chunkKey(Math.floor(fragment.x / chunkSize), Math.floor(fragment.y / chunkSize), Math.floor(fragment.z / chunkSize)));
+
+    if (chunk === undefined)
+    {
+        return;
+    }
+
+    chunk.fragments.push(fragment);
+    exteriorObjects.push(fragment);
+    insertIntoSpatialIndex(exteriorSpatialIndex, fragment);
+}
+
+/**
+ * Function: unloadChunk
+ *
+ * Input: chunk chunk
+ * Output: None
+ *
+ * Description: Removes the chunk's objects and fragments from exteriorSpatialIndex and forgets the chunk.
+ *              The objects are taken out of exteriorObjects by updateLoadedChunks afterwards,
+ *              so that the array is only rebuilt once no matter how many chunks unload.
+ */
+function unloadChunk(chunk)
+{
+    for (let i = 0; i < chunk.objects.length; i++)
+    {
+        removeFromSpatialIndex(exteriorSpatialIndex, chunk.objects[i]);
+        chunk.objects[i].isUnloaded = true;
+    }
+
+    for (let i = 0; i < chunk.fragments.length; i++)
+    {
+        removeFromSpatialIndex(exteriorSpatialIndex, chunk.fragments[i]);
+        chunk.fragments[i].isUnloaded = true;
+    }
+
+    loadedChunks.delete(chunkKey(chunk.cx, chunk.cy, chunk.cz));
+}
+
+/**
+ * Function: updateLoadedChunks
+ *
+ * Input: vec3 center
+ * Output: None
+ *
+ * Description: When center has moved into a different chunk, loads every chunk within
+ *              CHUNK_LOAD_RADIUS of it and unloads every chunk beyond CHUNK_UNLOAD_RADIUS
+ */
+function updateLoadedChunks(center)
+{
+    let cx = Math.floor(center[0] / chunkSize);
+    let cy = Math.floor(center[1] / chunkSize);
+    let cz = Math.floor(center[2] / chunkSize);
+
+    // Nothing to do until center crosses into another chunk
+    if (centerChunk != null && centerChunk[0] == cx && centerChunk[1] == cy && centerChunk[2] == cz)
+    {
+        return;
+    }
+
+    centerChunk = [cx, cy, cz];
+
+    // Unload chunks that are now too far away
+    let unloadedAny = false;
+    loadedChunks.forEach(function(chunk) {
+
+        if (Math.abs(chunk.cx - cx) > CHUNK_UNLOAD_RADIUS ||
+            Math.abs(chunk.cy - cy) > CHUNK_UNLOAD_RADIUS ||
+            Math.abs(chunk.cz - cz) > CHUNK_UNLOAD_RADIUS)
+        {
+            unloadChunk(chunk);
+            unloadedAny = true;
+        }
+    });
+
+    if (unloadedAny)
+    {
+        exteriorObjects = exteriorObjects.filter(function(object) {
+
+            return !object.isUnloaded;
+        });
+    }
+
+    // Load chunks that have come near
+    for (let x = cx - CHUNK_LOAD_RADIUS; x <= cx + CHUNK_LOAD_RADIUS; x++)
+    {
+        for (let y = cy - CHUNK_LOAD_RADIUS; y <= cy + CHUNK_LOAD_RADIUS; y++)
+        {
+            for (let z = cz - CHUNK_LOAD_RADIUS; z <= cz + CHUNK_LOAD_RADIUS; z++)
+            {
+                if (!loadedChunks.has(chunkKey(x, y, z)))
+                {
+                    loadChunk(x, y, z);
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,568 @@
+/**
+ *               Filename: nimbus_collisionLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Bounding sphere collision detection and response between
+ *                         ships and the objects around them, and between ships.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element and WebGL context.
+ *
+ *           Dependencies: gl-matrix.js https://cdnjs.cloudflare.com/ajax/libs/gl-matrix/2.8.1/gl-matrix-min.js
+ *                         nimbus_objLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+/**
+ * Object: contact
+ *
+ * Description: A record of a ship touching an object, produced by detectShipCollisions
+ *
+ * Attributes: object object
+ *             vec3 normal - Unit vector pointing from the object toward the ship
+ *             Double depth - How far the two bounding spheres overlap
+ *             Double impactSpeed - Speed at which the ship was closing on the object
+ */
+
+// Vector reused while computing the separation between two bodies
+const collisionOffset = vec3.create();
+
+/**
+ * Function: computeBoundingRadius
+ *
+ * Input: model model
+ * Output: None
+ *
+ * Description: Finds the distance from the model origin to its farthest vertex,
+ *              and stores it as model.boundingRadius
+ */
+function computeBoundingRadius(model)
+{
+    let radiusSquared = 0.0;
+
+    for (let i = 0; i < model.vertexValues.length; i += 3)
+    {
+        let x = model.vertexValues[i];
+        let y = model.vertexValues[i + 1];
+        let z = model.vertexValues[i + 2];
+
+        radiusSquared = Math.max(radiusSquared, x * x + y * y + z * z);
+    }
+
+    model.boundingRadius = Math.sqrt(radiusSquared);
+}
+
+/**
+ * Function: getObjectRadius
+ *
+ * Input: object object
+ * Output: Double
+ *
+ * Description: Returns the radius of the object's bounding sphere in world units
+ */
+function getObjectRadius(object)
+{
+    return object.model.boundingRadius * object.scale;
+}
+
+/**
+ * Function: spheresOverlap
+ *
+ * Input: Double ax, ay, az, aRadius, bx, by, bz, bRadius
+ * Output: Boolean
+ *
+ * Description: Returns whether two bounding spheres intersect
+ */
+function spheresOverlap(ax, ay, az, aRadius, bx, by, bz, bRadius)
+{
+    let dx = ax - bx;
+    let dy = ay - by;
+    let dz = az - bz;
+    let radii = aRadius + bRadius;
+
+    return (dx * dx + dy * dy + dz * dz) < (radii * radii);
+}
+
+/**
+ * Function: detectShipCollisions
+ *
+ * Input: ship ship, Array objects
+ * Output: Array of contact
+ *
+ * Description: Tests the ship's hull sphere against the bounding sphere of
+ *              every object in objects, and returns a contact for each overlap
+ */
+function detectShipCollisions(ship, objects)
+{
+    let contacts = [];
+
+    for (let i = 0; i < objects.length; i++)
+    {
+        let object = objects[i];
+        let objectRadius = getObjectRadius(object);
+
+        if (!spheresOverlap(ship.x, ship.y, ship.z, ship.hullRadius, object.x, object.y, object.z, objectRadius))
+        {
+            continue;
+        }
+
+        // Normal points from the object toward the ship
+        vec3.set(collisionOffset, ship.x - object.x, ship.y - object.y, ship.z - object.z);
+        let distance = vec3.length(collisionOffset);
+
+        let normal = vec3.create();
+        if (distance > 0.0)
+        {
+            vec3.scale(normal, collisionOffset, 1.0 / distance);
+        }
+        else
+        {
+            // Centers coincide, push the ship back the way it came
+            vec3.negate(normal, ship.forwardVec);
+        }
+
+        // Closing speed is how fast the ship is moving against the normal
+        let impactSpeed = vec3.dot(ship.forwardVec, normal) * ship.forwardSpeed * -1.0;
+
+        contacts.push({
+
+            object: object,
+            normal: normal,
+            depth: ship.hullRadius + objectRadius - distance,
+            impactSpeed: impactSpeed,
+        });
+    }
+
+    return contacts;
+}
+
+/**
+ * Function: resolveShipCollisions
+ *
+ * Input: ship ship, Array contacts
+ * Output: None
+ *
+ * Description: Pushes the ship out of every object it overlaps. If the ship was
+ *              moving into the object, it bounces back when the impact is hard enough
+ *              and otherwise comes to a stop. Impacts faster than safeImpactSpeed
+ *              damage the hull, and a ship whose hull is worn down to zero is disabled.
+ */
+function resolveShipCollisions(ship, contacts)
+{
+    for (let i = 0; i < contacts.length; i++)
+    {
+        let contact = contacts[i];
+
+        // Separate the ship from the object
+        ship.x += contact.normal[0] * contact.depth;
+        ship.y += contact.normal[1] * contact.depth;
+        ship.z += contact.normal[2] * contact.depth;
+
+        // Recompute closing speed, an earlier contact this frame may have already turned the ship around
+        let closingSpeed = vec3.dot(ship.forwardVec, contact.normal) * ship.forwardSpeed * -1.0;
+
+        // Moving away already, nothing else to do
+        if (closingSpeed <= 0.0)
+        {
+            continue;
+        }
+
+        bounceShip(ship, closingSpeed);
+        damageHullOnImpact(ship, closingSpeed);
+    }
+}
+
+/**
+ * Function: bounceShip
+ *
+ * Input: ship ship, Double closingSpeed
+ * Output: None
+ *
+ * Description: Sends a ship that hit something at closingSpeed back the way it came
+ *              if the impact was hard enough, and otherwise brings it to a stop
+ */
+function bounceShip(ship, closingSpeed)
+{
+    if (closingSpeed >= ship.minBounceSpeed)
+    {
+        // Bounce back along the direction the ship came from
+        ship.forwardSpeed *= ship.restitution * -1.0;
+    }
+    else
+    {
+        // Bump to a stop
+        ship.forwardSpeed = 0.0;
+    }
+}
+
+/**
+ * Function: damageHullOnImpact
+ *
+ * Input: ship ship, Double impactSpeed
+ * Output: None
+ *
+ * Description: Takes hull integrity from the ship for the part of impactSpeed above
+ *              safeImpactSpeed. Hull integrity does not go below zero.
+ */
+function damageHullOnImpact(ship, impactSpeed)
+{
+    if (impactSpeed > ship.safeImpactSpeed)
+    {
+        ship.hullIntegrity -= (impactSpeed - ship.safeImpactSpeed) * ship.impactDamageRate;
+
+        if (ship.hullIntegrity < 0.0)
+        {
+            ship.hullIntegrity = 0.0;
+        }
+    }
+}
+
+/**
+ * Function: resolveShipPairCollision
+ *
+ * Input: ship a, ship b
+ * Output: None
+ *
+ * Description: If the hull spheres of the two ships overlap, pushes them apart by half
+ *              the overlap each. If they were closing on each other, each ship that was
+ *              moving toward the other bounces or stops, and both hulls are damaged by
+ *              the speed at which they met.
+ */
+function resolveShipPairCollision(a, b)
+{
+    if (!spheresOverlap(a.x, a.y, a.z, a.hullRadius, b.x, b.y, b.z, b.hullRadius))
+    {
+        return;
+    }
+
+    // Normal points from b toward a
+    vec3.set(collisionOffset, a.x - b.x, a.y - b.y, a.z - b.z);
+    let distance = vec3.length(collisionOffset);
+
+    if (distance > 0.0)
+    {
+        vec3.scale(collisionOffset, collisionOffset, 1.0 / distance);
+    }
+    else
+    {
+        // Centers coincide, push a back the way it came
+        vec3.negate(collisionOffset, a.forwardVec);
+    }
+
+    let halfDepth = (a.hullRadius + b.hullRadius - distance) * 0.5;
+
+    a.x += collisionOffset[0] * halfDepth;
+    a.y += collisionOffset[1] * halfDepth;
+    a.z += collisionOffset[2] * halfDepth;
+
+    b.x -= collisionOffset[0] * halfDepth;
+    b.y -= collisionOffset[1] * halfDepth;
+    b.z -= collisionOffset[2] * halfDepth;
+
+    // How fast each ship was moving toward the other
+    let aClosingSpeed = vec3.dot(a.forwardVec, collisionOffset) * a.forwardSpeed * -1.0;
+    let bClosingSpeed = vec3.dot(b.forwardVec, collisionOffset) * b.forwardSpeed;
+    let impactSpeed = aClosingSpeed + bClosingSpeed;
+
+    // Moving apart already, nothing else to do
+    if (impactSpeed <= 0.0)
+    {
+        return;
+    }
+
+    if (aClosingSpeed > 0.0)
+    {
+        bounceShip(a, aClosingSpeed);
+    }
+
+    if (bClosingSpeed > 0.0)
+    {
+        bounceShip(b, bClosingSpeed);
+    }
+
+    damageHullOnImpact(a, impactSpeed);
+    damageHullOnImpact(b, impactSpeed);
+}
+
+/**
+ * Function: updateShipPairCollisions
+ *
+ * Input: Array ships
+ * Output: None
+ *
+ * Description: Keeps every ship in ships from flying through any other, by resolving
+ *              the collision between each pair of them
+ */
+function updateShipPairCollisions(ships)
+{
+    for (let i = 0; i < ships.length; i++)
+    {
+        for (let j = i + 1; j < ships.length; j++)
+        {
+            resolveShipPairCollision(ships[i], ships[j]);
+        }
+    }
+}
+
+/**
+ * Function: isShipDisabled
+ *
+ * Input: ship ship
+ * Output: Boolean
+ *
+ * Description: Returns whether the ship's hull integrity has run out. A disabled ship's
+ *              engines, thrusters and weapons no longer work, and it drifts on with the
+ *              speed and spin it had.
+ */
+function isShipDisabled(ship)
+{
+    return ship.hullIntegrity <= 0.0;
+}
+
+/**
+ * Function: updateShipCollisions
+ *
+ * Input: ship ship, Array objects
+ * Output: None
+ *
+ * Description: Detects and resolves collisions between the ship and objects,
+ *              and records the contacts of this frame in ship.contacts
+ */
+function updateShipCollisions(ship, objects)
+{
+    let contacts = detectShipCollisions(ship, objects);
+
+    resolveShipCollisions(ship, contacts);
+
+    ship.contacts = contacts;
+}
+
+/**
+ * Object: collisionTriangle
+ *
+ * Description: One triangle of a model's collision mesh, produced by buildCollisionMesh
+ *
+ * Attributes: vec3 a, b, c - Corners of the triangle
+ *             vec3 normal - Unit normal on the side the triangle is visible from
+ */
+
+// Vectors reused while testing spheres against triangles
+const triangleEdgeAB = vec3.create();
+const triangleEdgeAC = vec3.create();
+const trianglePointOffset = vec3.create();
+const closestTrianglePoint = vec3.create();
+
+/**
+ * Function: buildCollisionMesh
+ *
+ * Input: model model
+ * Output: None
+ *
+ * Description: Builds a list of collision triangles out of the model's vertexValues
+ *              and drawPointIndices, and stores it as model.collisionTriangles.
+ *              Normals are computed from the winding order, so they face the same
+ *              side that survives backface culling. Degenerate triangles are skipped.
+ */
+function buildCollisionMesh(model)
+{
+    let triangles = [];
+
+    for (let i = 0; i + 2 < model.drawPointIndices.length; i += 3)
+    {
+        let a = getModelVertex(model, model.drawPointIndices[i]);
+        let b = getModelVertex(model, model.drawPointIndices[i + 1]);
+        let c = getModelVertex(model, model.drawPointIndices[i + 2]);
+
+        vec3.subtract(triangleEdgeAB, b, a);
+        vec3.subtract(triangleEdgeAC, c, a);
+
+        let normal = vec3.create();
+        vec3.cross(normal, triangleEdgeAB, triangleEdgeAC);
+
+        let length = vec3.length(normal);
+        if (length < 0.000001)
+        {
+            continue;
+        }
+
+        vec3.scale(normal, normal, 1.0 / length);
+
+        triangles.push({
+
+            a: a,
+            b: b,
+            c: c,
+            normal: normal,
+        });
+    }
+
+    model.collisionTriangles = triangles;
+}
+
+/**
+ * Function: getModelVertex
+ *
+ * Input: model model, Integer index
+ * Output: vec3
+ *
+ * Description: Returns a new vec3 holding the position of the vertex at index
+ */
+function getModelVertex(model, index)
+{
+    return vec3.fromValues(
+
+        model.vertexValues[index * 3],
+        model.vertexValues[index * 3 + 1],
+        model.vertexValues[index * 3 + 2]
+    );
+}
+
+/**
+ * Function: closestPointOnTriangle
+ *
+ * Input: vec3 out, vec3 point, collisionTriangle triangle
+ * Output: vec3 out
+ *
+ * Description: Finds the point on the triangle closest to point, by working out
+ *              which vertex, edge or face region of the triangle the point lies in
+ */
+function closestPointOnTriangle(out, point, triangle)
+{
+    let a = triangle.a;
+    let b = triangle.b;
+    let c = triangle.c;
+
+    vec3.subtract(triangleEdgeAB, b, a);
+    vec3.subtract(triangleEdgeAC, c, a);
+
+    // Vertex region a
+    vec3.subtract(trianglePointOffset, point, a);
+    let d1 = vec3.dot(triangleEdgeAB, trianglePointOffset);
+    let d2 = vec3.dot(triangleEdgeAC, trianglePointOffset);
+    if (d1 <= 0.0 && d2 <= 0.0)
+    {
+        return vec3.copy(out, a);
+    }
+
+    // Vertex region b
+    vec3.subtract(trianglePointOffset, point, b);
+    let d3 = vec3.dot(triangleEdgeAB, trianglePointOffset);
+    let d4 = vec3.dot(triangleEdgeAC, trianglePointOffset);
+    if (d3 >= 0.0 && d4 <= d3)
+    {
+        return vec3.copy(out, b);
+    }
+
+    // Edge region ab
+    let vc = d1 * d4 - d3 * d2;
+    if (vc <= 0.0 && d1 >= 0.0 && d3 <= 0.0)
+    {
+        return vec3.scaleAndAdd(out, a, triangleEdgeAB, d1 / (d1 - d3));
+    }
+
+    // Vertex region c
+    vec3.subtract(trianglePointOffset, point, c);
+    let d5 = vec3.dot(triangleEdgeAB, trianglePointOffset);
+    let d6 = vec3.dot(triangleEdgeAC, trianglePointOffset);
+    if (d6 >= 0.0 && d5 <= d6)
+    {
+        return vec3.copy(out, c);
+    }
+
+    // Edge region ac
+    let vb = d5 * d2 - d1 * d6;
+    if (vb <= 0.0 && d2 >= 0.0 && d6 <= 0.0)
+    {
+        return vec3.scaleAndAdd(out, a, triangleEdgeAC, d2 / (d2 - d6));
+    }
+
+    // Edge region bc
+    let va = d3 * d6 - d5 * d4;
+    if (va <= 0.0 && (d4 - d3) >= 0.0 && (d5 - d6) >= 0.0)
+    {
+        let t = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+        vec3.subtract(out, c, b);
+        return vec3.scaleAndAdd(out, b, out, t);
+    }
+
+    // Face region
+    let denominator = 1.0 / (va + vb + vc);
+    vec3.scaleAndAdd(out, a, triangleEdgeAB, vb * denominator);
+    return vec3.scaleAndAdd(out, out, triangleEdgeAC, vc * denominator);
+}
+
+/**
+ * Function: collideSphereWithMesh
+ *
+ * Input: vec3 center, Double radius, model model, [Double wallLimit]
+ * Output: Array of vec3
+ *
+ * Description: Pushes the sphere out of every triangle in model.collisionTriangles
+ *              that it overlaps, moving center in place. Only the visible side of each
+ *              triangle is solid. Returns the direction of each push, which callers
+ *              can use to tell floors from walls and ceilings.
+ *
+ *              If wallLimit is given, any push whose y component is smaller than
+ *              wallLimit is made horizontal, so that steep slopes behave like walls
+ *              instead of ramps.
+ */
+function collideSphereWithMesh(center, radius, model, wallLimit)
+{
+    let pushDirections = [];
+
+    for (let i = 0; i < model.collisionTriangles.length; i++)
+    {
+        let triangle = model.collisionTriangles[i];
+
+        // Sphere is behind the triangle or too far in front of it
+        vec3.subtract(trianglePointOffset, center, triangle.a);
+        let planeDistance = vec3.dot(trianglePointOffset, triangle.normal);
+        if (planeDistance < 0.0 || planeDistance > radius)
+        {
+            continue;
+        }
+
+        closestPointOnTriangle(closestTrianglePoint, center, triangle);
+
+        let direction = vec3.create();
+        vec3.subtract(direction, center, closestTrianglePoint);
+
+        let distance = vec3.length(direction);
+        if (distance >= radius)
+        {
+            continue;
+        }
+
+        if (distance > 0.000001)
+        {
+            vec3.scale(direction, direction, 1.0 / distance);
+        }
+        else
+        {
+            vec3.copy(direction, triangle.normal);
+        }
+
+        let pushDistance = radius - distance;
+
+        // Treat steep slopes as walls, moving far enough sideways to clear the triangle
+        if (wallLimit !== undefined && Math.abs(direction[1]) < wallLimit)
+        {
+            let horizontal = Math.sqrt(direction[0] * direction[0] + direction[2] * direction[2]);
+
+            if (horizontal > 0.000001)
+            {
+                pushDistance /= horizontal;
+                vec3.set(direction, direction[0] / horizontal, 0.0, direction[2] / horizontal);
+            }
+        }
+
+        vec3.scaleAndAdd(center, center, direction, pushDistance);
+        pushDirections.push(direction);
+    }
+
+    return pushDirections;
+}
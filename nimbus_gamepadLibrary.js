@@ -0,0 +1,554 @@
+/**
+ *               Filename: nimbus_gamepadLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Gamepad and joystick control through the Gamepad API, polled once a frame.
+ *                         While piloting, the left stick turns and pitches the ship, the right stick
+ *                         rolls it, and the triggers throttle up and down, each in proportion to how
+ *                         far it is pushed. On foot the left stick moves the player, the right stick
+ *                         looks around, and while spacewalking the triggers thrust up and down.
+ *                         Buttons perform the same actions as their keys. Stick movement inside the
+ *                         deadzone is ignored, and every axis can be inverted.
+ *
+ *                         Axes and buttons follow the browser's "standard" gamepad mapping. Joysticks
+ *                         without it are read the same way, which usually puts the stick on the
+ *                         first two axes.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *
+ *           Dependencies: nimbus_objLibrary.js
+ *                         nimbus_inputLibrary.js
+ *                         nimbus_methodLibrary.js
+ *                         nimbus_replayLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Indices of the sticks and triggers in the standard mapping. Triggers are analog buttons.
+const GAMEPAD_LEFT_STICK_X = 0;
+const GAMEPAD_LEFT_STICK_Y = 1;
+const GAMEPAD_RIGHT_STICK_X = 2;
+const GAMEPAD_RIGHT_STICK_Y = 3;
+const GAMEPAD_LEFT_TRIGGER = 6;
+const GAMEPAD_RIGHT_TRIGGER = 7;
+
+// Action performed by each button, by its index in the standard mapping
+const GAMEPAD_BUTTON_ACTIONS = {
+
+    0: "jump", // A
+    1: "fireMissile", // B
+    2: "useHatch", // X
+    3: "togglePiloting", // Y
+    4: "fireLaser", // Left bumper
+    5: "nextTarget", // Right bumper
+};
+
+// Name the gamepad settings are saved under in localStorage
+const GAMEPAD_SETTINGS_STORAGE_KEY = "nimbus.gamepadSettings";
+
+/**
+ * Object: gamepadSettings
+ *
+ * Description: How gamepad input is read
+ *
+ * Attributes: Double deadzone - Fraction of each stick's and trigger's travel that is ignored
+ *             Double lookSpeed - Radians per second the view turns with the right stick all the way over
+ *             Object invert - Whether each of the axes in gamepadAxes is inverted
+ */
+const gamepadSettings = {
+
+    deadzone: 0.15,
+    lookSpeed: 2.5,
+    invert: {},
+};
+
+/**
+ * Object: gamepadAxes
+ *
+ * Description: Each input read from the gamepad, from -1 to 1, after the deadzone
+ *              and inversion have been applied. The names of the axes are used as
+ *              keys of gamepadSettings.invert.
+ */
+const gamepadAxes = {
+
+    leftStickX: 0.0,
+    leftStickY: 0.0,
+    rightStickX: 0.0,
+    rightStickY: 0.0,
+    triggers: 0.0, // Right trigger minus left trigger
+};
+
+// Labels of the axes on the settings screen
+const GAMEPAD_AXIS_LABELS = {
+
+    leftStickX: "Left stick, left and right",
+    leftStickY: "Left stick, up and down",
+    rightStickX: "Right stick, left and right",
+    rightStickY: "Right stick, up and down",
+    triggers: "Triggers",
+};
+
+// Whether each button was pressed when the gamepad was last polled, by index
+const gamepadButtonsPressed = {};
+
+// Whether each axis in gamepadAxes was away from rest when the gamepad was last polled
+const gamepadAxesSteering = {};
+
+/**
+ * Function: initGamepad
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Loads the gamepad settings saved in localStorage, keeping the defaults
+ *              for anything that was not saved
+ */
+function initGamepad()
+{
+    for (let axis in gamepadAxes)
+    {
+        gamepadSettings.invert[axis] = false;
+    }
+
+    let saved = null;
+
+    try
+    {
+        saved = JSON.parse(window.localStorage.getItem(GAMEPAD_SETTINGS_STORAGE_KEY));
+    }
+    catch (error)
+    {
+        console.error("Unable to read saved gamepad settings: " + error.message);
+        return;
+    }
+
+    if (saved == null || typeof saved != "object")
+    {
+        return;
+    }
+
+    if (typeof saved.deadzone == "number" && saved.deadzone >= 0.0 && saved.deadzone < 1.0)
+    {
+        gamepadSettings.deadzone = saved.deadzone;
+    }
+
+    if (typeof saved.lookSpeed == "number" && saved.lookSpeed > 0.0)
+    {
+        gamepadSettings.lookSpeed = saved.lookSpeed;
+    }
+
+    if (saved.invert != null && typeof saved.invert == "object")
+    {
+        for (let axis in gamepadAxes)
+        {
+            if (typeof saved.invert[axis] == "boolean")
+            {
+                gamepadSettings.invert[axis] = saved.invert[axis];
+            }
+        }
+    }
+}
+
+/**
+ * Function: saveGamepadSettings
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Saves gamepadSettings to localStorage
+ */
+function saveGamepadSettings()
+{
+    try
+    {
+        window.localStorage.setItem(GAMEPAD_SETTINGS_STORAGE_KEY, JSON.stringify(gamepadSettings));
+    }
+    catch (error)
+    {
+        console.error("Unable to save gamepad settings: " + error.message);
+    }
+}
+
+/**
+ * Function: getGamepad
+ *
+ * Input: None
+ * Output: Gamepad
+ *
+ * Description: Returns the first connected gamepad with the standard mapping, or else the
+ *              first connected joystick, or null if there is none or the browser does not
+ *              support the Gamepad API
+ */
+function getGamepad()
+{
+    if (navigator.getGamepads === undefined)
+    {
+        return null;
+    }
+
+    let gamepads = navigator.getGamepads();
+    let joystick = null;
+
+    for (let i = 0; i < gamepads.length; i++)
+    {
+        if (gamepads[i] != null && gamepads[i].connected)
+        {
+            if (gamepads[i].mapping == "standard")
+            {
+                return gamepads[i];
+            }
+
+            if (joystick == null)
+            {
+                joystick = gamepads[i];
+            }
+        }
+    }
+
+    return joystick;
+}
+
+/**
+ * Function: getGamepadInput
+ *
+ * Input: Array inputs, Integer index
+ * Output: Double
+ *
+ * Description: Returns the value of the axis or analog button at index of inputs, or 0 if
+ *              the gamepad does not have it, as joysticks without the standard mapping may not
+ */
+function getGamepadInput(inputs, index)
+{
+    if (index >= inputs.length)
+    {
+        return 0.0;
+    }
+
+    // Axes are numbers, buttons are objects holding their value
+    if (typeof inputs[index] == "number")
+    {
+        return inputs[index];
+    }
+
+    return inputs[index].value;
+}
+
+/**
+ * Function: applyDeadzone
+ *
+ * Input: Double value
+ * Output: Double
+ *
+ * Description: Returns 0 if value is inside the deadzone, otherwise rescales the rest of
+ *              its travel so it still goes smoothly from 0 up to 1
+ */
+function applyDeadzone(value)
+{
+    let magnitude = Math.abs(value);
+
+    if (magnitude <= gamepadSettings.deadzone)
+    {
+        return 0.0;
+    }
+
+    return Math.sign(value) * Math.min(1.0, (magnitude - gamepadSettings.deadzone) / (1.0 - gamepadSettings.deadzone));
+}
+
+/**
+ * Function: readGamepadAxis
+ *
+ * Input: String axis, Double value
+ * Output: None
+ *
+ * Description: Stores value in gamepadAxes under axis, after applying the deadzone,
+ *              and inverting it if the player chose to
+ */
+function readGamepadAxis(axis, value)
+{
+    value = applyDeadzone(value);
+
+    if (gamepadSettings.invert[axis])
+    {
+        value *= -1.0;
+    }
+
+    gamepadAxes[axis] = value;
+}
+
+/**
+ * Function: pollGamepad
+ *
+ * Input: Double deltaT
+ * Output: None
+ *
+ * Description: Reads the gamepad, performs the actions of buttons that were pressed or
+ *              released since the last poll, then steers the ship or player in proportion
+ *              to the sticks and triggers. While every stick and trigger is at rest the
+ *              keyboard is left in control.
+ */
+function pollGamepad(deltaT)
+{
+    // Leave the game alone while the menus are open or a flight is recorded or replayed
+    if (pauseMenu != null || isKeyboardAndMouseOnly())
+    {
+        return;
+    }
+
+    let gamepad = getGamepad();
+
+    if (gamepad == null)
+    {
+        for (let axis in gamepadAxes)
+        {
+            gamepadAxes[axis] = 0.0;
+        }
+    }
+    else
+    {
+        readGamepadAxis("leftStickX", getGamepadInput(gamepad.axes, GAMEPAD_LEFT_STICK_X));
+        readGamepadAxis("leftStickY", getGamepadInput(gamepad.axes, GAMEPAD_LEFT_STICK_Y));
+        readGamepadAxis("rightStickX", getGamepadInput(gamepad.axes, GAMEPAD_RIGHT_STICK_X));
+        readGamepadAxis("rightStickY", getGamepadInput(gamepad.axes, GAMEPAD_RIGHT_STICK_Y));
+        readGamepadAxis("triggers", getGamepadInput(gamepad.buttons, GAMEPAD_RIGHT_TRIGGER) - getGamepadInput(gamepad.buttons, GAMEPAD_LEFT_TRIGGER));
+
+        pollGamepadButtons(gamepad);
+    }
+
+    let isSteering = false;
+    let wasReleased = false;
+
+    for (let axis in gamepadAxes)
+    {
+        let isAxisSteering = gamepadAxes[axis] != 0.0;
+
+        if (isAxisSteering)
+        {
+            isSteering = true;
+        }
+        else if (gamepadAxesSteering[axis])
+        {
+            wasReleased = true;
+        }
+
+        gamepadAxesSteering[axis] = isAxisSteering;
+    }
+
+    // Once an axis is let go, hand what it steered back to whatever keys are held
+    if (wasReleased)
+    {
+        performKeyActions();
+    }
+
+    if (!isSteering)
+    {
+        return;
+    }
+
+    if (player.isPiloting)
+    {
+        steerShipWithGamepad(player.boardedShip);
+    }
+    else
+    {
+        // Look around with the right stick, the same way as with the mouse
+        pitchUp(gamepadAxes.rightStickY * gamepadSettings.lookSpeed * deltaT * -1.0);
+        yawRight(gamepadAxes.rightStickX * gamepadSettings.lookSpeed * deltaT * -1.0);
+
+        if (player.boardedShip == null)
+        {
+            steerSpacewalkWithGamepad();
+        }
+        else
+        {
+            steerWalkWithGamepad();
+        }
+    }
+}
+
+/**
+ * Function: pollGamepadButtons
+ *
+ * Input: Gamepad gamepad
+ * Output: None
+ *
+ * Description: Holds or releases the action of each button in GAMEPAD_BUTTON_ACTIONS
+ *              whose state has changed since the last poll, then performs key actions
+ */
+function pollGamepadButtons(gamepad)
+{
+    let changed = false;
+
+    for (let index in GAMEPAD_BUTTON_ACTIONS)
+    {
+        let pressed = gamepad.buttons[index] !== undefined && gamepad.buttons[index].pressed;
+
+        if (pressed != (gamepadButtonsPressed[index] == true))
+        {
+            gamepadButtonsPressed[index] = pressed;
+            inputActions[GAMEPAD_BUTTON_ACTIONS[index]].down = pressed;
+            changed = true;
+        }
+    }
+
+    if (changed)
+    {
+        performKeyActions();
+    }
+}
+
+/**
+ * Function: steerShipWithGamepad
+ *
+ * Input: ship ship
+ * Output: None
+ *
+ * Description: Sets the throttle, yaw, pitch and roll acceleration of ship in proportion
+ *              to the triggers and sticks. Axes at rest leave the keyboard in control of
+ *              what they would steer.
+ */
+function steerShipWithGamepad(ship)
+{
+    if (gamepadAxes.triggers != 0.0)
+    {
+        ship.isPressingAccelerate = true;
+        ship.forwardAccel = ship.accelRate * gamepadAxes.triggers;
+    }
+
+    if (gamepadAxes.leftStickX != 0.0)
+    {
+        ship.isPressingYaw = true;
+        ship.yawAccel = ship.yawAccelRate * gamepadAxes.leftStickX;
+    }
+
+    // Pushing the stick forward pitches the nose down
+    if (gamepadAxes.leftStickY != 0.0)
+    {
+        ship.isPressingPitch = true;
+        ship.pitchAccel = ship.pitchAccelRate * gamepadAxes.leftStickY;
+    }
+
+    if (gamepadAxes.rightStickX != 0.0)
+    {
+        ship.isPressingRoll = true;
+        ship.rollAccel = ship.rollAccelRate * gamepadAxes.rightStickX;
+    }
+}
+
+/**
+ * Function: steerWalkWithGamepad
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Sets the walking speed of the player in proportion to the left stick
+ */
+function steerWalkWithGamepad()
+{
+    if (gamepadAxes.leftStickY != 0.0)
+    {
+        player.forwardSpeed = player.speed * gamepadAxes.leftStickY * -1.0;
+    }
+
+    if (gamepadAxes.leftStickX != 0.0)
+    {
+        player.rightSpeed = player.speed * gamepadAxes.leftStickX;
+    }
+}
+
+/**
+ * Function: steerSpacewalkWithGamepad
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Sets the jetpack thrust of the spacewalking player in proportion to the
+ *              left stick and the triggers
+ */
+function steerSpacewalkWithGamepad()
+{
+    if (gamepadAxes.leftStickY != 0.0)
+    {
+        player.forwardThrust = player.thrustRate * gamepadAxes.leftStickY * -1.0;
+    }
+
+    if (gamepadAxes.leftStickX != 0.0)
+    {
+        player.rightThrust = player.thrustRate * gamepadAxes.leftStickX;
+    }
+
+    if (gamepadAxes.triggers != 0.0)
+    {
+        player.upThrust = player.thrustRate * gamepadAxes.triggers;
+    }
+}
+
+/**
+ * Function: addGamepadSettings
+ *
+ * Input: HTMLElement container
+ * Output: None
+ *
+ * Description: Adds controls for the deadzone and the inversion of every axis to the
+ *              end of container. Changes are saved as soon as they are made.
+ */
+function addGamepadSettings(container)
+{
+    let title = document.createElement("h3");
+    title.textContent = "Gamepad";
+    container.appendChild(title);
+
+    let deadzoneLabel = document.createElement("label");
+    deadzoneLabel.textContent = "Deadzone ";
+    container.appendChild(deadzoneLabel);
+
+    let deadzoneInput = document.createElement("input");
+    deadzoneInput.type = "number";
+    deadzoneInput.min = "0";
+    deadzoneInput.max = "0.9";
+    deadzoneInput.step = "0.05";
+    deadzoneInput.value = String(gamepadSettings.deadzone);
+    deadzoneInput.addEventListener("change", function() {
+
+        let value = parseFloat(deadzoneInput.value);
+
+        if (value >= 0.0 && value < 1.0)
+        {
+            gamepadSettings.deadzone = value;
+            saveGamepadSettings();
+        }
+    });
+    deadzoneLabel.appendChild(deadzoneInput);
+
+    let table = document.createElement("table");
+    container.appendChild(table);
+
+    for (let axis in gamepadAxes)
+    {
+        let row = document.createElement("tr");
+        table.appendChild(row);
+
+        let labelCell = document.createElement("td");
+        labelCell.textContent = GAMEPAD_AXIS_LABELS[axis];
+        row.appendChild(labelCell);
+
+        let checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = gamepadSettings.invert[axis];
+        checkbox.addEventListener("change", function() {
+
+            gamepadSettings.invert[axis] = checkbox.checked;
+            saveGamepadSettings();
+        });
+
+        let invertLabel = document.createElement("label");
+        invertLabel.appendChild(checkbox);
+        invertLabel.appendChild(document.createTextNode(" Invert"));
+
+        let invertCell = document.createElement("td");
+        invertCell.appendChild(invertLabel);
+        row.appendChild(invertCell);
+    }
+}
@@ -0,0 +1,823 @@
+/**
+ *               Filename: nimbus_gltfLoaderLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Loads glTF 2.0 scenes, from .gltf files or binary .glb files, and adds
+ *                         an object to interiorObjects or exteriorObjects for every mesh in the
+ *                         scene, placed where the scene's node hierarchy puts it. Lets whole ship
+ *                         interiors and space stations be built in standard tools instead of
+ *                         placing every piece by hand. Every model in a scene is kept in models,
+ *                         named after the scene's url, so its objects can be saved like any other.
+ *
+ *                         Example:
+ *
+ *                         loadGltfScene("scenes/station.glb", GLTF_EXTERIOR, 0.0, 0.0, -500.0);
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element and WebGL context.
+ *
+ *           Dependencies: gl-matrix.js https://cdnjs.cloudflare.com/ajax/libs/gl-matrix/2.8.1/gl-matrix-min.js
+ *                         nimbus_modelsLibrary.js
+ *                         nimbus_objLoaderLibrary.js
+ *                         nimbus_methodLibrary.js
+ *                         nimbus_materialLibrary.js
+ *                         nimbus_collisionLibrary.js
+ *                         nimbus_spatialLibrary.js
+ *                         nimbus_assetLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Typed array for each glTF accessor componentType
+const GLTF_COMPONENT_TYPES = {
+
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array,
+};
+
+// Number of components for each glTF accessor type
+const GLTF_TYPE_SIZES = {
+
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16,
+};
+
+// Primitive mode for a list of triangles, the only mode models can be drawn with
+const GLTF_TRIANGLES = 4;
+
+// Values identifying a .glb file and the chunks inside it
+const GLB_MAGIC = 0x46546C67;      // "glTF"
+const GLB_JSON_CHUNK = 0x4E4F534A; // "JSON"
+const GLB_BIN_CHUNK = 0x004E4942;  // "BIN"
+
+// Scales this close together are treated as the same, so the object can use a uniform scale
+const GLTF_SCALE_TOLERANCE = 0.0001;
+
+// Where loadGltfScene adds a scene's objects, to interiorObjects or exteriorObjects
+const GLTF_INTERIOR = "interior";
+const GLTF_EXTERIOR = "exterior";
+
+/**
+ * Function: loadGltfScene
+ *
+ * Input: String url, String target, Double x, y, z
+ * Output: Promise
+ *
+ * Description: Fetches the .gltf or .glb file at url, along with any buffers and images
+ *              it refers to, and adds an object for every mesh in its default scene to
+ *              exteriorObjects if target is GLTF_EXTERIOR, or to interiorObjects if it is
+ *              GLTF_INTERIOR. Those arrays are looked up once the scene has loaded, since
+ *              they can be replaced in the meantime. The scene's origin is placed at
+ *              (x, y, z), and exterior objects are also added to exteriorSpatialIndex.
+ *              Resolves to the array of objects that were added.
+ */
+function loadGltfScene(url, target, x, y, z)
+{
+    if (target != GLTF_INTERIOR && target != GLTF_EXTERIOR)
+    {
+        return Promise.reject(new Error("Unknown glTF scene target: " + target));
+    }
+
+    let directory = getDirectory(url);
+
+    return fetchArrayBuffer(url).then(function(data) {
+
+        let gltf = null;
+        let binaryChunk = null;
+
+        let header = new DataView(data);
+        if (data.byteLength >= 12 && header.getUint32(0, true) == GLB_MAGIC)
+        {
+            // A .glb file is a header followed by a JSON chunk and an optional binary chunk
+            let offset = 12;
+            while (offset < header.getUint32(8, true))
+            {
+                let chunkLength = header.getUint32(offset, true);
+                let chunkType = header.getUint32(offset + 4, true);
+                let chunk = data.slice(offset + 8, offset + 8 + chunkLength);
+
+                if (chunkType == GLB_JSON_CHUNK)
+                {
+                    gltf = JSON.parse(new TextDecoder().decode(chunk));
+                }
+                else if (chunkType == GLB_BIN_CHUNK)
+                {
+                    binaryChunk = chunk;
+                }
+
+                offset += 8 + chunkLength;
+            }
+        }
+        else
+        {
+            gltf = JSON.parse(new TextDecoder().decode(data));
+        }
+
+        return loadGltfBuffers(gltf, binaryChunk, directory).then(function(buffers) {
+
+            return buildGltfScene(gltf, buffers, directory);
+        });
+
+    }).then(function(sceneObjects) {
+
+        registerGltfModels(url, sceneObjects);
+
+        for (let i = 0; i < sceneObjects.length; i++)
+        {
+            let object = sceneObjects[i];
+
+            object.x += x;
+            object.y += y;
+            object.z += z;
+
+            if (target == GLTF_EXTERIOR)
+            {
+                exteriorObjects.push(object);
+                insertIntoSpatialIndex(exteriorSpatialIndex, object);
+            }
+            else
+            {
+                interiorObjects.push(object);
+            }
+        }
+
+        return sceneObjects;
+    });
+}
+
+/**
+ * Function: registerGltfModels
+ *
+ * Input: String url, Array sceneObjects
+ * Output: None
+ *
+ * Description: Keeps the model of every object in sceneObjects in models, under url
+ *              followed by "#" and the order in which the model was first used. The
+ *              names come out the same every time the scene at url is loaded, so saves
+ *              can find the models again. Loading the same scene twice replaces the
+ *              models of the first load under those names.
+ */
+function registerGltfModels(url, sceneObjects)
+{
+    let sceneModels = new Set();
+
+    for (let i = 0; i < sceneObjects.length; i++)
+    {
+        let model = sceneObjects[i].model;
+
+        if (!sceneModels.has(model))
+        {
+            sceneModels.add(model);
+            models[url + "#" + sceneModels.size] = model;
+        }
+    }
+}
+
+/**
+ * Function: fetchArrayBuffer
+ *
+ * Input: String url
+ * Output: Promise
+ *
+ * Description: Fetches url, relative to the page, and resolves to its contents as an ArrayBuffer.
+ *              Rejects with an Error if the file could not be loaded. The load is
+ *              counted, and any failure reported, by trackAsset.
+ */
+function fetchArrayBuffer(url)
+{
+    return trackAsset(url, fetch(resolveAssetUrl(url)).then(function(response) {
+
+        if (!response.ok)
+        {
+            throw new Error("Unable to load " + url + ": " + response.status + " " + response.statusText);
+        }
+
+        return response.arrayBuffer();
+    }), false);
+}
+
+/**
+ * Function: resolveGltfUri
+ *
+ * Input: String uri, String directory
+ * Output: String
+ *
+ * Description: Returns the URL of a buffer or image uri from a glTF file. Data URIs are
+ *              returned as they are, other uris are relative to the glTF file's directory.
+ */
+function resolveGltfUri(uri, directory)
+{
+    if (uri.startsWith("data:"))
+    {
+        return uri;
+    }
+
+    return directory + uri;
+}
+
+/**
+ * Function: loadGltfBuffers
+ *
+ * Input: Object gltf, ArrayBuffer binaryChunk, String directory
+ * Output: Promise
+ *
+ * Description: Resolves to an array of ArrayBuffers, one for each buffer in gltf.
+ *              A buffer without a uri is the binary chunk of a .glb file.
+ */
+function loadGltfBuffers(gltf, binaryChunk, directory)
+{
+    let bufferList = gltf.buffers || [];
+
+    return Promise.all(bufferList.map(function(buffer) {
+
+        if (buffer.uri === undefined)
+        {
+            return binaryChunk;
+        }
+
+        return fetchArrayBuffer(resolveGltfUri(buffer.uri, directory));
+    }));
+}
+
+/**
+ * Function: buildGltfScene
+ *
+ * Input: Object gltf, Array buffers, String directory
+ * Output: Array
+ *
+ * Description: Walks the node hierarchy of gltf's default scene, and returns an object
+ *              for every primitive of every mesh it finds. Meshes used by several nodes
+ *              share the same models.
+ */
+function buildGltfScene(gltf, buffers, directory)
+{
+    let sceneObjects = [];
+
+    // Models of each mesh and WebGL textures of each glTF texture, made the first time they are used
+    let meshModels = [];
+    let textures = [];
+
+    let sceneIndex = gltf.scene || 0;
+    if (gltf.scenes === undefined || gltf.scenes[sceneIndex] === undefined)
+    {
+        console.log("glTF file has no scene to load");
+        return sceneObjects;
+    }
+
+    function visitNode(nodeIndex, parentMatrix)
+    {
+        let node = gltf.nodes[nodeIndex];
+
+        // Combine the node's own transform with its parent's
+        let localMatrix = mat4.create();
+        if (node.matrix !== undefined)
+        {
+            mat4.copy(localMatrix, node.matrix);
+        }
+        else
+        {
+            mat4.fromRotationTranslationScale(localMatrix,
+                node.rotation || [0.0, 0.0, 0.0, 1.0],
+                node.translation || [0.0, 0.0, 0.0],
+                node.scale || [1.0, 1.0, 1.0]
+            );
+        }
+
+        let worldMatrix = mat4.create();
+        mat4.multiply(worldMatrix, parentMatrix, localMatrix);
+
+        if (node.mesh !== undefined)
+        {
+            if (meshModels[node.mesh] === undefined)
+            {
+                meshModels[node.mesh] = buildGltfMeshModels(gltf, buffers, directory, node.mesh, textures);
+            }
+
+            let models = meshModels[node.mesh];
+            for (let i = 0; i < models.length; i++)
+            {
+                let object = createGltfObject(models[i], worldMatrix);
+                object.name = node.name;
+
+                sceneObjects.push(object);
+            }
+        }
+
+        let children = node.children || [];
+        for (let i = 0; i < children.length; i++)
+        {
+            visitNode(children[i], worldMatrix);
+        }
+    }
+
+    let rootNodes = gltf.scenes[sceneIndex].nodes || [];
+    for (let i = 0; i < rootNodes.length; i++)
+    {
+        visitNode(rootNodes[i], mat4.create());
+    }
+
+    return sceneObjects;
+}
+
+/**
+ * Function: buildGltfMeshModels
+ *
+ * Input: Object gltf, Array buffers, String directory, Integer meshIndex, Array textures
+ * Output: Array
+ *
+ * Description: Returns a model for each triangle primitive of the mesh, with its buffers
+ *              already created. Vertex colors are the material's base color, multiplied
+ *              by the primitive's own vertex colors if it has them. The material's
+ *              textures are turned into a material by buildGltfMaterial.
+ */
+function buildGltfMeshModels(gltf, buffers, directory, meshIndex, textures)
+{
+    let mesh = gltf.meshes[meshIndex];
+    let models = [];
+
+    for (let i = 0; i < mesh.primitives.length; i++)
+    {
+        let primitive = mesh.primitives[i];
+        let attributes = primitive.attributes;
+
+        let mode = GLTF_TRIANGLES;
+        if (primitive.mode !== undefined)
+        {
+            mode = primitive.mode;
+        }
+
+        if (mode != GLTF_TRIANGLES || attributes.POSITION === undefined)
+        {
+            console.log("Skipping a primitive of mesh " + meshIndex + " that is not made of triangles");
+            continue;
+        }
+
+        let model = {
+
+            vertexValues: readGltfAccessor(gltf, buffers, attributes.POSITION),
+            drawPointIndices: [],
+            drawPointCount: 0,
+        };
+
+        let vertexCount = model.vertexValues.length / 3;
+
+        if (primitive.indices !== undefined)
+        {
+            model.drawPointIndices = readGltfAccessor(gltf, buffers, primitive.indices);
+        }
+        else
+        {
+            for (let j = 0; j < vertexCount; j++)
+            {
+                model.drawPointIndices.push(j);
+            }
+        }
+        model.drawPointCount = model.drawPointIndices.length;
+
+        if (vertexCount > OBJ_MAX_VERTICES)
+        {
+            console.error("Mesh " + meshIndex + " has " + vertexCount + " vertices, but only " + OBJ_MAX_VERTICES + " can be drawn");
+        }
+
+        if (attributes.NORMAL !== undefined)
+        {
+            model.normalValues = readGltfAccessor(gltf, buffers, attributes.NORMAL);
+        }
+        else
+        {
+            model.normalValues = computeGltfNormals(model.vertexValues, model.drawPointIndices);
+        }
+
+        // Base color of the material, white if there is none
+        let baseColor = [1.0, 1.0, 1.0, 1.0];
+        let material = null;
+        if (primitive.material !== undefined)
+        {
+            material = gltf.materials[primitive.material];
+
+            if (material.pbrMetallicRoughness !== undefined && material.pbrMetallicRoughness.baseColorFactor !== undefined)
+            {
+                baseColor = material.pbrMetallicRoughness.baseColorFactor;
+            }
+        }
+
+        model.colorValues = [];
+        if (attributes.COLOR_0 !== undefined)
+        {
+            let colors = readGltfAccessor(gltf, buffers, attributes.COLOR_0);
+            let size = GLTF_TYPE_SIZES[gltf.accessors[attributes.COLOR_0].type];
+
+            for (let j = 0; j < vertexCount; j++)
+            {
+                let alpha = 1.0;
+                if (size == 4)
+                {
+                    alpha = colors[j * 4 + 3];
+                }
+
+                model.colorValues.push(
+                    colors[j * size] * baseColor[0],
+                    colors[j * size + 1] * baseColor[1],
+                    colors[j * size + 2] * baseColor[2],
+                    alpha * baseColor[3]
+                );
+            }
+        }
+        else
+        {
+            for (let j = 0; j < vertexCount; j++)
+            {
+                model.colorValues.push(baseColor[0], baseColor[1], baseColor[2], baseColor[3]);
+            }
+        }
+
+        if (attributes.TEXCOORD_0 !== undefined)
+        {
+            model.uvValues = readGltfAccessor(gltf, buffers, attributes.TEXCOORD_0);
+        }
+
+        if (material != null)
+        {
+            model.material = buildGltfMaterial(gltf, buffers, directory, material, textures);
+        }
+
+        initBuffers(model);
+        computeBoundingRadius(model);
+
+        models.push(model);
+    }
+
+    return models;
+}
+
+/**
+ * Function: buildGltfMaterial
+ *
+ * Input: Object gltf, Array buffers, String directory, Object gltfMaterial, Array textures
+ * Output: material
+ *
+ * Description: Returns a material using the glTF material's base color texture, normal
+ *              texture and emissive texture, or null if it has none of them and no
+ *              emissive color. Textures already loaded are taken from textures.
+ */
+function buildGltfMaterial(gltf, buffers, directory, gltfMaterial, textures)
+{
+    function getTexture(textureInfo)
+    {
+        if (textureInfo === undefined)
+        {
+            return null;
+        }
+
+        if (textures[textureInfo.index] === undefined)
+        {
+            textures[textureInfo.index] = loadGltfTexture(gltf, buffers, directory, textureInfo.index);
+        }
+
+        return textures[textureInfo.index];
+    }
+
+    let diffuseTexture = null;
+    if (gltfMaterial.pbrMetallicRoughness !== undefined)
+    {
+        diffuseTexture = getTexture(gltfMaterial.pbrMetallicRoughness.baseColorTexture);
+    }
+
+    let normalTexture = getTexture(gltfMaterial.normalTexture);
+    let emissiveTexture = getTexture(gltfMaterial.emissiveTexture);
+    let emissiveColor = gltfMaterial.emissiveFactor || [0.0, 0.0, 0.0];
+
+    if (diffuseTexture == null && normalTexture == null && emissiveTexture == null &&
+        emissiveColor[0] == 0.0 && emissiveColor[1] == 0.0 && emissiveColor[2] == 0.0)
+    {
+        return null;
+    }
+
+    return createMaterial(diffuseTexture, normalTexture, emissiveTexture, emissiveColor);
+}
+
+/**
+ * Function: loadGltfTexture
+ *
+ * Input: Object gltf, Array buffers, String directory, Integer textureIndex
+ * Output: WebGLTexture
+ *
+ * Description: Starts loading the image of a glTF texture with loadMaterialTexture, and returns
+ *              the texture. Images stored in a buffer view, as they are in .glb files,
+ *              are loaded through a blob URL.
+ */
+function loadGltfTexture(gltf, buffers, directory, textureIndex)
+{
+    let image = gltf.images[gltf.textures[textureIndex].source];
+
+    if (image.uri !== undefined)
+    {
+        return loadMaterialTexture(resolveGltfUri(image.uri, directory));
+    }
+
+    let bufferView = gltf.bufferViews[image.bufferView];
+    let start = bufferView.byteOffset || 0;
+    let bytes = new Uint8Array(buffers[bufferView.buffer], start, bufferView.byteLength);
+
+    return loadMaterialTexture(URL.createObjectURL(new Blob([bytes], {type: image.mimeType})));
+}
+
+/**
+ * Function: readGltfAccessor
+ *
+ * Input: Object gltf, Array buffers, Integer accessorIndex
+ * Output: Array
+ *
+ * Description: Returns the values of an accessor as a flat array of numbers. Handles
+ *              interleaved buffer views, where byteStride is larger than one element,
+ *              and converts normalized integer values into the 0 to 1 or -1 to 1 range.
+ */
+function readGltfAccessor(gltf, buffers, accessorIndex)
+{
+    let accessor = gltf.accessors[accessorIndex];
+    let size = GLTF_TYPE_SIZES[accessor.type];
+    let values = new Array(accessor.count * size).fill(0.0);
+
+    if (accessor.sparse !== undefined)
+    {
+        console.log("Sparse glTF accessors are not supported, accessor " + accessorIndex + " may be missing values");
+    }
+
+    // An accessor without a buffer view is all zeros
+    if (accessor.bufferView === undefined)
+    {
+        return values;
+    }
+
+    let bufferView = gltf.bufferViews[accessor.bufferView];
+    let view = new DataView(buffers[bufferView.buffer]);
+
+    let componentBytes = GLTF_COMPONENT_TYPES[accessor.componentType].BYTES_PER_ELEMENT;
+    let stride = bufferView.byteStride || size * componentBytes;
+    let start = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+
+    for (let i = 0; i < accessor.count; i++)
+    {
+        for (let j = 0; j < size; j++)
+        {
+            let offset = start + i * stride + j * componentBytes;
+            let value = readGltfComponent(view, offset, accessor.componentType);
+
+            if (accessor.normalized)
+            {
+                value = normalizeGltfComponent(value, accessor.componentType);
+            }
+
+            values[i * size + j] = value;
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Function: readGltfComponent
+ *
+ * Input: DataView view, Integer offset, Integer componentType
+ * Output: Number
+ *
+ * Description: Reads one little-endian value of the given glTF componentType from view
+ */
+function readGltfComponent(view, offset, componentType)
+{
+    switch (componentType)
+    {
+        case 5120:
+            return view.getInt8(offset);
+        case 5121:
+            return view.getUint8(offset);
+        case 5122:
+            return view.getInt16(offset, true);
+        case 5123:
+            return view.getUint16(offset, true);
+        case 5125:
+            return view.getUint32(offset, true);
+        default:
+            return view.getFloat32(offset, true);
+    }
+}
+
+/**
+ * Function: normalizeGltfComponent
+ *
+ * Input: Number value, Integer componentType
+ * Output: Number
+ *
+ * Description: Converts a normalized integer into the 0 to 1 range, or -1 to 1 for signed types
+ */
+function normalizeGltfComponent(value, componentType)
+{
+    switch (componentType)
+    {
+        case 5120:
+            return Math.max(value / 127.0, -1.0);
+        case 5121:
+            return value / 255.0;
+        case 5122:
+            return Math.max(value / 32767.0, -1.0);
+        case 5123:
+            return value / 65535.0;
+        default:
+            return value;
+    }
+}
+
+/**
+ * Function: computeGltfNormals
+ *
+ * Input: Array vertexValues, Array drawPointIndices
+ * Output: Array
+ *
+ * Description: Returns smooth vertex normals for a mesh that has none, by adding up
+ *              the normals of the triangles around each vertex
+ */
+function computeGltfNormals(vertexValues, drawPointIndices)
+{
+    let normals = new Array(vertexValues.length).fill(0.0);
+
+    const edge1 = vec3.create();
+    const edge2 = vec3.create();
+    const faceNormal = vec3.create();
+
+    for (let i = 0; i + 2 < drawPointIndices.length; i += 3)
+    {
+        let a = drawPointIndices[i] * 3;
+        let b = drawPointIndices[i + 1] * 3;
+        let c = drawPointIndices[i + 2] * 3;
+
+        vec3.set(edge1, vertexValues[b] - vertexValues[a], vertexValues[b + 1] - vertexValues[a + 1], vertexValues[b + 2] - vertexValues[a + 2]);
+        vec3.set(edge2, vertexValues[c] - vertexValues[a], vertexValues[c + 1] - vertexValues[a + 1], vertexValues[c + 2] - vertexValues[a + 2]);
+        vec3.cross(faceNormal, edge1, edge2);
+
+        let corners = [a, b, c];
+        for (let j = 0; j < 3; j++)
+        {
+            normals[corners[j]] += faceNormal[0];
+            normals[corners[j] + 1] += faceNormal[1];
+            normals[corners[j] + 2] += faceNormal[2];
+        }
+    }
+
+    for (let i = 0; i < normals.length; i += 3)
+    {
+        let length = Math.sqrt(normals[i] * normals[i] + normals[i + 1] * normals[i + 1] + normals[i + 2] * normals[i + 2]);
+
+        if (length > 0.0)
+        {
+            normals[i] /= length;
+            normals[i + 1] /= length;
+            normals[i + 2] /= length;
+        }
+    }
+
+    return normals;
+}
+
+/**
+ * Function: createGltfObject
+ *
+ * Input: model model, mat4 matrix
+ * Output: object
+ *
+ * Description: Returns an object drawing model with the transform in matrix. The matrix
+ *              is split into a position, roll, pitch and yaw in the order drawExteriorObject
+ *              applies them, and a scale. Objects can only have a uniform scale, so when the
+ *              matrix scales the axes differently, or mirrors the model, the scaling is baked
+ *              into a copy of the model instead.
+ */
+function createGltfObject(model, matrix)
+{
+    let scale = vec3.create();
+    mat4.getScaling(scale, matrix);
+
+    // A negative determinant means the matrix mirrors, which is the same as a negative scale on one axis
+    if (mat4.determinant(matrix) < 0.0)
+    {
+        scale[0] *= -1.0;
+    }
+
+    // Take the scale out of the matrix, leaving only rotation
+    let r = mat4.clone(matrix);
+    for (let i = 0; i < 3; i++)
+    {
+        r[i * 4] /= scale[i];
+        r[i * 4 + 1] /= scale[i];
+        r[i * 4 + 2] /= scale[i];
+    }
+
+    let objectScale = scale[0];
+    if (Math.abs(scale[0] - scale[1]) > Math.abs(scale[0]) * GLTF_SCALE_TOLERANCE ||
+        Math.abs(scale[0] - scale[2]) > Math.abs(scale[0]) * GLTF_SCALE_TOLERANCE)
+    {
+        model = bakeGltfScaling(model, scale);
+        objectScale = 1.0;
+    }
+
+    // The rotation is Rx(pitch) * Ry(yaw) * Rz(roll), whose top row ends in sin(yaw)
+    // Matrices are stored by column, so row i, column j is r[j * 4 + i]
+    let yaw = Math.asin(Math.min(Math.max(r[8], -1.0), 1.0));
+    let pitch = 0.0;
+    let roll = 0.0;
+
+    if (Math.abs(r[8]) < 0.9999)
+    {
+        pitch = Math.atan2(r[9] * -1.0, r[10]);
+        roll = Math.atan2(r[4] * -1.0, r[0]);
+    }
+    else
+    {
+        // Yaw is straight up or down, so pitch and roll turn around the same axis. Put it all in pitch
+        pitch = Math.atan2(r[6], r[5]);
+    }
+
+    return {
+
+        x: matrix[12],
+        y: matrix[13],
+        z: matrix[14],
+
+        roll: roll,
+        pitch: pitch,
+        yaw: yaw,
+
+        rollSpeed: 0.0,
+        pitchSpeed: 0.0,
+        yawSpeed: 0.0,
+
+        scale: objectScale,
+
+        model: model
+    };
+}
+
+/**
+ * Function: bakeGltfScaling
+ *
+ * Input: model model, vec3 scale
+ * Output: model
+ *
+ * Description: Returns a copy of model with its vertices scaled by scale, with its
+ *              normals corrected to match, and with its buffers created
+ */
+function bakeGltfScaling(model, scale)
+{
+    let baked = Object.assign({}, model);
+
+    baked.vertexValues = model.vertexValues.slice();
+    baked.normalValues = model.normalValues.slice();
+
+    for (let i = 0; i < baked.vertexValues.length; i += 3)
+    {
+        baked.vertexValues[i] *= scale[0];
+        baked.vertexValues[i + 1] *= scale[1];
+        baked.vertexValues[i + 2] *= scale[2];
+
+        // Normals scale by the inverse, then need to be made unit length again
+        let nx = baked.normalValues[i] / scale[0];
+        let ny = baked.normalValues[i + 1] / scale[1];
+        let nz = baked.normalValues[i + 2] / scale[2];
+        let length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+
+        if (length > 0.0)
+        {
+            baked.normalValues[i] = nx / length;
+            baked.normalValues[i + 1] = ny / length;
+            baked.normalValues[i + 2] = nz / length;
+        }
+    }
+
+    // A mirrored model has its triangles wound the other way, so turn them back
+    if (scale[0] * scale[1] * scale[2] < 0.0)
+    {
+        baked.drawPointIndices = model.drawPointIndices.slice();
+
+        for (let i = 0; i + 2 < baked.drawPointIndices.length; i += 3)
+        {
+            let swap = baked.drawPointIndices[i + 1];
+            baked.drawPointIndices[i + 1] = baked.drawPointIndices[i + 2];
+            baked.drawPointIndices[i + 2] = swap;
+        }
+    }
+
+    initBuffers(baked);
+    computeBoundingRadius(baked);
+
+    return baked;
+}
@@ -0,0 +1,362 @@
+/**
+ *               Filename: nimbus_hudLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Flight instruments drawn on the 2D hud canvas. Shows the boarded ship's
+ *                         speed and acceleration, a heading compass, a pitch ladder banked with
+ *                         the ship, whether automatic deceleration is on, and whether the player
+ *                         is piloting, walking or spacewalking, along with the radar from
+ *                         nimbus_radarLibrary.js. Everything is sized relative to
+ *                         HUD_REFERENCE_SIZE, so the instruments scale with the window.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element.
+ *
+ *           Dependencies: nimbus_objLibrary.js
+ *                         nimbus_collisionLibrary.js
+ *                         nimbus_radarLibrary.js
+ *                         nimbus_weaponLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Smaller of the window's width and height at which the instruments are drawn at their base size
+const HUD_REFERENCE_SIZE = 800.0;
+
+// Colors of the instruments
+const HUD_COLOR = 'white';
+const HUD_DIM_COLOR = 'rgba(255, 255, 255, 0.35)';
+const HUD_ACTIVE_COLOR = 'rgb(80, 255, 120)';
+const HUD_WARNING_COLOR = 'rgb(255, 80, 80)';
+
+// Degrees of heading shown across the compass, and its width and distance from the top, at base size
+const COMPASS_SPAN = 90.0;
+const COMPASS_WIDTH = 360.0;
+const COMPASS_TOP = 20.0;
+
+// Spacing of the pitch ladder rungs in degrees, how far the ladder is drawn above and
+// below the nose, and its size at base size
+const PITCH_LADDER_STEP = 10.0;
+const PITCH_LADDER_RANGE = 25.0;
+const PITCH_LADDER_PIXELS_PER_DEGREE = 6.0;
+const PITCH_LADDER_WIDTH = 120.0;
+
+// Distance from the edges of the window of the speed readout and the status panel, at base size
+const HUD_MARGIN = 30.0;
+
+// Scale of the instruments for the current window size, computed by drawHUD
+let hudScale = 1.0;
+
+/**
+ * Function: drawFlightInstruments
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Draws projectiles in flight, then every instrument for the player's current
+ *              state. The ship instruments and radar are only drawn while the player is
+ *              aboard a ship.
+ */
+function drawFlightInstruments()
+{
+    hudScale = Math.min(hudCtx.canvas.width, hudCtx.canvas.height) / HUD_REFERENCE_SIZE;
+
+    drawProjectiles();
+
+    let ship = player.boardedShip;
+
+    if (ship != null)
+    {
+        drawCompass(ship.yawAngle);
+        drawPitchLadder(ship.pitchAngle, ship.rollAngle);
+        drawSpeedReadout(ship.forwardSpeed, ship.forwardAccel);
+        drawRadar(ship);
+        drawTargetBracket();
+    }
+
+    drawStatusPanel(ship);
+}
+
+/**
+ * Function: getHeadingDegrees
+ *
+ * Input: Double yawAngle
+ * Output: Double
+ *
+ * Description: Converts yawAngle, counterclockwise from negative z when seen from above,
+ *              to a compass heading in degrees clockwise from negative z, from 0 up to 360
+ */
+function getHeadingDegrees(yawAngle)
+{
+    let heading = (yawAngle * -180.0 / Math.PI) % 360.0;
+
+    if (heading < 0.0)
+    {
+        heading += 360.0;
+    }
+
+    return heading;
+}
+
+/**
+ * Function: drawCompass
+ *
+ * Input: Double yawAngle
+ * Output: None
+ *
+ * Description: Draws a heading tape across the top of the window, centered on the ship's
+ *              heading, with the heading printed below it. Negative z is north.
+ */
+function drawCompass(yawAngle)
+{
+    let heading = getHeadingDegrees(yawAngle);
+
+    let centerX = hudCtx.canvas.width / 2;
+    let top = COMPASS_TOP * hudScale;
+    let width = COMPASS_WIDTH * hudScale;
+    let pixelsPerDegree = width / COMPASS_SPAN;
+
+    hudCtx.save();
+
+    hudCtx.strokeStyle = HUD_COLOR;
+    hudCtx.fillStyle = HUD_COLOR;
+    hudCtx.lineWidth = Math.max(1.0, hudScale);
+    hudCtx.font = Math.round(12 * hudScale) + 'px monospace';
+    hudCtx.textAlign = 'center';
+    hudCtx.textBaseline = 'top';
+
+    // Keep the ticks inside the tape
+    hudCtx.beginPath();
+    hudCtx.rect(centerX - width / 2, 0, width, top + 40 * hudScale);
+    hudCtx.clip();
+
+    // Tick every 5 degrees, labelled every 30, from one edge of the tape to the other
+    let firstTick = Math.ceil((heading - COMPASS_SPAN / 2) / 5.0) * 5;
+
+    hudCtx.beginPath();
+
+    for (let tick = firstTick; tick <= heading + COMPASS_SPAN / 2; tick += 5)
+    {
+        let x = centerX + (tick - heading) * pixelsPerDegree;
+        let tickLength = 6 * hudScale;
+
+        if (tick % 30 == 0)
+        {
+            tickLength = 12 * hudScale;
+            hudCtx.fillText(getCompassLabel(tick), x, top + 16 * hudScale);
+        }
+
+        hudCtx.moveTo(x, top);
+        hudCtx.lineTo(x, top + tickLength);
+    }
+
+    hudCtx.stroke();
+    hudCtx.restore();
+
+    // Pointer at the current heading, and the heading itself
+    hudCtx.fillStyle = HUD_COLOR;
+    hudCtx.beginPath();
+    hudCtx.moveTo(centerX, top);
+    hudCtx.lineTo(centerX - 5 * hudScale, top - 8 * hudScale);
+    hudCtx.lineTo(centerX + 5 * hudScale, top - 8 * hudScale);
+    hudCtx.closePath();
+    hudCtx.fill();
+
+    hudCtx.font = Math.round(14 * hudScale) + 'px monospace';
+    hudCtx.textAlign = 'center';
+    hudCtx.textBaseline = 'top';
+    hudCtx.fillText(Math.round(heading) % 360 + "°", centerX, top + 34 * hudScale);
+}
+
+/**
+ * Function: getCompassLabel
+ *
+ * Input: Integer degrees
+ * Output: String
+ *
+ * Description: Returns the label of a compass tick at degrees, which may be outside of
+ *              0 to 360. Cardinal directions are lettered, others are numbered.
+ */
+function getCompassLabel(degrees)
+{
+    degrees = ((degrees % 360) + 360) % 360;
+
+    switch (degrees)
+    {
+        case 0:
+            return "N";
+        case 90:
+            return "E";
+        case 180:
+            return "S";
+        case 270:
+            return "W";
+        default:
+            return String(degrees);
+    }
+}
+
+/**
+ * Function: drawPitchLadder
+ *
+ * Input: Double pitchAngle, Double rollAngle
+ * Output: None
+ *
+ * Description: Draws the pitch ladder around the center of the window, with a rung every
+ *              PITCH_LADDER_STEP degrees. The ladder moves down as the nose rises, and is
+ *              banked with the ship so the horizon rung stays level with the real horizon.
+ */
+function drawPitchLadder(pitchAngle, rollAngle)
+{
+    let pitch = pitchAngle * 180.0 / Math.PI;
+    let pixelsPerDegree = PITCH_LADDER_PIXELS_PER_DEGREE * hudScale;
+    let halfWidth = PITCH_LADDER_WIDTH * hudScale / 2;
+    let gap = 30 * hudScale; // Leaves the crosshair clear
+
+    hudCtx.save();
+
+    hudCtx.translate(hudCtx.canvas.width / 2, hudCtx.canvas.height / 2);
+    hudCtx.rotate(rollAngle);
+
+    hudCtx.strokeStyle = HUD_COLOR;
+    hudCtx.fillStyle = HUD_COLOR;
+    hudCtx.lineWidth = Math.max(1.0, hudScale);
+    hudCtx.font = Math.round(11 * hudScale) + 'px monospace';
+    hudCtx.textBaseline = 'middle';
+
+    let firstRung = Math.ceil((pitch - PITCH_LADDER_RANGE) / PITCH_LADDER_STEP) * PITCH_LADDER_STEP;
+
+    for (let rung = firstRung; rung <= pitch + PITCH_LADDER_RANGE; rung += PITCH_LADDER_STEP)
+    {
+        // Rungs above the horizon are drawn solid, rungs below it dashed
+        let y = (pitch - rung) * pixelsPerDegree;
+        let rungHalfWidth = halfWidth;
+
+        if (rung == 0)
+        {
+            rungHalfWidth = halfWidth * 1.5;
+        }
+
+        if (rung < 0)
+        {
+            hudCtx.setLineDash([4 * hudScale, 4 * hudScale]);
+        }
+        else
+        {
+            hudCtx.setLineDash([]);
+        }
+
+        hudCtx.beginPath();
+        hudCtx.moveTo(rungHalfWidth * -1.0, y);
+        hudCtx.lineTo(gap * -1.0, y);
+        hudCtx.moveTo(gap, y);
+        hudCtx.lineTo(rungHalfWidth, y);
+        hudCtx.stroke();
+
+        if (rung != 0)
+        {
+            hudCtx.textAlign = 'right';
+            hudCtx.fillText(String(rung), rungHalfWidth * -1.0 - 4 * hudScale, y);
+            hudCtx.textAlign = 'left';
+            hudCtx.fillText(String(rung), rungHalfWidth + 4 * hudScale, y);
+        }
+    }
+
+    hudCtx.restore();
+}
+
+/**
+ * Function: drawSpeedReadout
+ *
+ * Input: Double forwardSpeed, Double forwardAccel
+ * Output: None
+ *
+ * Description: Prints the ship's speed and acceleration at the bottom left of the window
+ */
+function drawSpeedReadout(forwardSpeed, forwardAccel)
+{
+    let left = HUD_MARGIN * hudScale;
+    let bottom = hudCtx.canvas.height - HUD_MARGIN * hudScale;
+
+    // Show a plus sign on positive acceleration, so it reads as a change
+    let accelText = forwardAccel.toFixed(1);
+
+    if (forwardAccel > 0.0)
+    {
+        accelText = "+" + accelText;
+    }
+
+    hudCtx.fillStyle = HUD_COLOR;
+    hudCtx.textAlign = 'left';
+    hudCtx.textBaseline = 'bottom';
+
+    hudCtx.font = Math.round(28 * hudScale) + 'px monospace';
+    hudCtx.fillText("SPD " + forwardSpeed.toFixed(1), left, bottom - 22 * hudScale);
+
+    hudCtx.font = Math.round(16 * hudScale) + 'px monospace';
+    hudCtx.fillText("ACC " + accelText, left, bottom);
+}
+
+/**
+ * Function: drawStatusPanel
+ *
+ * Input: ship ship
+ * Output: None
+ *
+ * Description: Prints whether the player is piloting, walking or spacewalking at the
+ *              bottom right of the window. Aboard a ship, whether automatic deceleration
+ *              is on is printed above it, lit while active, and the hull integrity above
+ *              that, or a warning once the ship is disabled.
+ */
+function drawStatusPanel(ship)
+{
+    let right = hudCtx.canvas.width - HUD_MARGIN * hudScale;
+    let bottom = hudCtx.canvas.height - HUD_MARGIN * hudScale;
+
+    let mode = "SPACEWALKING";
+
+    if (ship != null && player.isPiloting)
+    {
+        mode = "PILOTING";
+    }
+    else if (ship != null)
+    {
+        mode = "WALKING";
+    }
+
+    hudCtx.textAlign = 'right';
+    hudCtx.textBaseline = 'bottom';
+
+    hudCtx.font = Math.round(20 * hudScale) + 'px monospace';
+    hudCtx.fillStyle = HUD_COLOR;
+    hudCtx.fillText(mode, right, bottom);
+
+    if (ship == null)
+    {
+        return;
+    }
+
+    hudCtx.font = Math.round(14 * hudScale) + 'px monospace';
+    hudCtx.fillStyle = HUD_DIM_COLOR;
+
+    if (ship.isAutoDecelActive)
+    {
+        hudCtx.fillStyle = HUD_ACTIVE_COLOR;
+    }
+
+    hudCtx.fillText("AUTO DECEL", right, bottom - 26 * hudScale);
+
+    hudCtx.fillStyle = HUD_COLOR;
+
+    if (isShipDisabled(ship))
+    {
+        hudCtx.fillStyle = HUD_WARNING_COLOR;
+        hudCtx.fillText("HULL BREACHED - DISABLED", right, bottom - 46 * hudScale);
+        return;
+    }
+
+    hudCtx.fillText("HULL " + Math.ceil(ship.hullIntegrity / ship.maxHullIntegrity * 100.0) + "%", right, bottom - 46 * hudScale);
+}
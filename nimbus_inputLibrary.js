@@ -0,0 +1,530 @@
+/**
+ *               Filename: nimbus_inputLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Maps keys to the actions the player can perform, such as throttle up or
+ *                         pitch down. Each action is bound to one key by its physical code, and
+ *                         can be rebound from the key bindings screen, opened from the pause menu. Bindings
+ *                         are saved to localStorage. Two actions bound to the same key conflict if
+ *                         they can be used at the same time, which the key bindings screen points out.
+ *                         A key only holds the actions that can be used in what the player is doing
+ *                         when it is pressed.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *
+ *           Dependencies: nimbus_objLibrary.js
+ *                         nimbus_methodLibrary.js
+ *                         nimbus_gamepadLibrary.js
+ *                         nimbus_menuLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// What the player is doing when an action can be used
+const INPUT_CONTEXT_PILOTING = "Piloting";
+const INPUT_CONTEXT_WALKING = "Walking";
+const INPUT_CONTEXT_SPACEWALKING = "Spacewalking";
+
+// Name bindings are saved under in localStorage
+const INPUT_BINDINGS_STORAGE_KEY = "nimbus.keyBindings";
+
+// Key that opens and closes the pause menu, and backs out of the key bindings screen. It cannot
+// be rebound, so the menus can always be reached
+const MENU_KEY_CODE = "Escape";
+
+/**
+ * Object: inputActions
+ *
+ * Description: Every action the player can bind a key to, created by createInputAction
+ */
+const inputActions = {
+
+    throttleUp: createInputAction("Throttle up", "KeyE", [INPUT_CONTEXT_PILOTING]),
+    throttleDown: createInputAction("Throttle down", "KeyQ", [INPUT_CONTEXT_PILOTING]),
+    yawLeft: createInputAction("Turn ship left", "KeyA", [INPUT_CONTEXT_PILOTING]),
+    yawRight: createInputAction("Turn ship right", "KeyD", [INPUT_CONTEXT_PILOTING]),
+    pitchDown: createInputAction("Pitch ship down", "KeyW", [INPUT_CONTEXT_PILOTING]),
+    pitchUp: createInputAction("Pitch ship up", "KeyS", [INPUT_CONTEXT_PILOTING]),
+    rollLeft: createInputAction("Roll ship left", "KeyZ", [INPUT_CONTEXT_PILOTING]),
+    rollRight: createInputAction("Roll ship right", "KeyC", [INPUT_CONTEXT_PILOTING]),
+    fireLaser: createInputAction("Fire lasers", "Space", [INPUT_CONTEXT_PILOTING]),
+    fireMissile: createInputAction("Fire a missile at the target", "KeyR", [INPUT_CONTEXT_PILOTING]),
+
+    walkForward: createInputAction("Walk forward", "KeyW", [INPUT_CONTEXT_WALKING]),
+    walkBackward: createInputAction("Walk backward", "KeyS", [INPUT_CONTEXT_WALKING]),
+    walkLeft: createInputAction("Walk left", "KeyA", [INPUT_CONTEXT_WALKING]),
+    walkRight: createInputAction("Walk right", "KeyD", [INPUT_CONTEXT_WALKING]),
+    jump: createInputAction("Jump", "Space", [INPUT_CONTEXT_WALKING]),
+
+    thrustForward: createInputAction("Thrust forward", "KeyW", [INPUT_CONTEXT_SPACEWALKING]),
+    thrustBackward: createInputAction("Thrust backward", "KeyS", [INPUT_CONTEXT_SPACEWALKING]),
+    thrustLeft: createInputAction("Thrust left", "KeyA", [INPUT_CONTEXT_SPACEWALKING]),
+    thrustRight: createInputAction("Thrust right", "KeyD", [INPUT_CONTEXT_SPACEWALKING]),
+    thrustUp: createInputAction("Thrust up", "Space", [INPUT_CONTEXT_SPACEWALKING]),
+    thrustDown: createInputAction("Thrust down", "ShiftLeft", [INPUT_CONTEXT_SPACEWALKING]),
+
+    togglePiloting: createInputAction("Switch between ship and player control", "KeyF", [INPUT_CONTEXT_PILOTING, INPUT_CONTEXT_WALKING]),
+    useHatch: createInputAction("Leave or board a ship at its hatch", "KeyE", [INPUT_CONTEXT_WALKING, INPUT_CONTEXT_SPACEWALKING]),
+    nextTarget: createInputAction("Target the next closest radar contact", "KeyT", [INPUT_CONTEXT_PILOTING, INPUT_CONTEXT_WALKING]),
+};
+
+// The keyboard layout of the browser, used to name keys by what is printed on them, or null until it is known
+let keyboardLayout = null;
+
+// Key bindings screen while it is open, and the name of the action waiting for a new key, or null
+let keyBindingsScreen = null;
+let actionAwaitingKey = null;
+
+/**
+ * Function: createInputAction
+ *
+ * Input: String label, String code, Array contexts
+ * Output: inputAction
+ *
+ * Description: Returns a new action bound to the key with the physical code, used while
+ *              doing any of contexts
+ *
+ *              Object: inputAction
+ *
+ *              Attributes: String label - Name shown to the player
+ *                          Array contexts - What the player is doing when the action can be used
+ *                          String defaultCode - Key the action is bound to until rebound
+ *                          String code - Key the action is bound to
+ *                          Boolean down - Whether the key is held
+ *                          Integer toggleSequence - 0 for up, 1 for down, 2 for up again, for actions triggered on release
+ */
+function createInputAction(label, code, contexts)
+{
+    return {
+
+        label: label,
+        contexts: contexts,
+        defaultCode: code,
+        code: code,
+        down: false,
+        toggleSequence: 0,
+    };
+}
+
+/**
+ * Function: initInputBindings
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Replaces the default bindings with the ones saved in localStorage, and
+ *              starts looking up the keyboard layout so keys can be named as printed
+ */
+function initInputBindings()
+{
+    loadInputBindings();
+
+    if (navigator.keyboard !== undefined && navigator.keyboard.getLayoutMap !== undefined)
+    {
+        navigator.keyboard.getLayoutMap().then(function(layout) {
+
+            keyboardLayout = layout;
+
+        }).catch(function() {
+
+            // Commonly refused, such as inside iframes, in which case keys keep their fallback names
+        });
+    }
+}
+
+/**
+ * Function: loadInputBindings
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Binds every action named in the bindings saved in localStorage to its saved
+ *              key. Actions that were not saved keep their binding, and anything unreadable
+ *              is ignored.
+ */
+function loadInputBindings()
+{
+    let saved = null;
+
+    try
+    {
+        saved = JSON.parse(window.localStorage.getItem(INPUT_BINDINGS_STORAGE_KEY));
+    }
+    catch (error)
+    {
+        console.error("Unable to read saved key bindings: " + error.message);
+        return;
+    }
+
+    if (saved == null || typeof saved != "object")
+    {
+        return;
+    }
+
+    for (let action in saved)
+    {
+        if (inputActions.hasOwnProperty(action) && typeof saved[action] == "string")
+        {
+            inputActions[action].code = saved[action];
+        }
+    }
+}
+
+/**
+ * Function: getInputBindings
+ *
+ * Input: None
+ * Output: Object
+ *
+ * Description: Returns the physical code of the key bound to every action, keyed by action
+ */
+function getInputBindings()
+{
+    let bindings = {};
+
+    for (let action in inputActions)
+    {
+        bindings[action] = inputActions[action].code;
+    }
+
+    return bindings;
+}
+
+/**
+ * Function: saveInputBindings
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Saves the key of every action to localStorage
+ */
+function saveInputBindings()
+{
+    try
+    {
+        window.localStorage.setItem(INPUT_BINDINGS_STORAGE_KEY, JSON.stringify(getInputBindings()));
+    }
+    catch (error)
+    {
+        console.error("Unable to save key bindings: " + error.message);
+    }
+}
+
+/**
+ * Function: setActionBinding
+ *
+ * Input: String action, String code
+ * Output: None
+ *
+ * Description: Binds action to the key with the physical code, and saves the bindings
+ */
+function setActionBinding(action, code)
+{
+    inputActions[action].code = code;
+    saveInputBindings();
+}
+
+/**
+ * Function: resetInputBindings
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Binds every action to its default key, and saves the bindings
+ */
+function resetInputBindings()
+{
+    for (let action in inputActions)
+    {
+        inputActions[action].code = inputActions[action].defaultCode;
+    }
+
+    saveInputBindings();
+}
+
+/**
+ * Function: findBindingConflicts
+ *
+ * Input: String action
+ * Output: Array
+ *
+ * Description: Returns the names of the other actions bound to the same key as action,
+ *              that can be used while doing the same thing
+ */
+function findBindingConflicts(action)
+{
+    let conflicts = [];
+    let contexts = inputActions[action].contexts;
+
+    for (let other in inputActions)
+    {
+        if (other == action || inputActions[other].code != inputActions[action].code)
+        {
+            continue;
+        }
+
+        for (let i = 0; i < contexts.length; i++)
+        {
+            if (inputActions[other].contexts.indexOf(contexts[i]) != -1)
+            {
+                conflicts.push(other);
+                break;
+            }
+        }
+    }
+
+    return conflicts;
+}
+
+/**
+ * Function: getKeyName
+ *
+ * Input: String code
+ * Output: String
+ *
+ * Description: Returns a readable name for the key with the physical code. Once the
+ *              keyboard layout is known, keys are named by what is printed on them.
+ */
+function getKeyName(code)
+{
+    if (keyboardLayout != null && keyboardLayout.has(code))
+    {
+        return keyboardLayout.get(code).toUpperCase();
+    }
+
+    // "KeyW" to "W", "Digit1" to "1", "ShiftLeft" to "Shift Left"
+    return code.replace(/^(Key|Digit)/, "").replace(/([a-z])([A-Z])/g, "$1 $2");
+}
+
+/**
+ * Function: releaseAllActions
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Marks every action as not held, so nothing stays held while the key
+ *              bindings screen has the keyboard
+ */
+function releaseAllActions()
+{
+    for (let action in inputActions)
+    {
+        inputActions[action].down = false;
+        inputActions[action].toggleSequence = 0;
+    }
+}
+
+/**
+ * Function: getInputContext
+ *
+ * Input: None
+ * Output: String
+ *
+ * Description: Returns what the player is currently doing, as one of the INPUT_CONTEXT constants
+ */
+function getInputContext()
+{
+    if (player.isPiloting)
+    {
+        return INPUT_CONTEXT_PILOTING;
+    }
+
+    if (player.boardedShip == null)
+    {
+        return INPUT_CONTEXT_SPACEWALKING;
+    }
+
+    return INPUT_CONTEXT_WALKING;
+}
+
+/**
+ * Function: handleKeyBindingsScreenKey
+ *
+ * Input: KeyboardEvent event
+ * Output: Boolean
+ *
+ * Description: While the key bindings screen is open, binds the action waiting for a key,
+ *              or closes the screen on MENU_KEY_CODE. Returns true if the screen used the key,
+ *              in which case it should not reach the game.
+ */
+function handleKeyBindingsScreenKey(event)
+{
+    if (keyBindingsScreen == null)
+    {
+        return false;
+    }
+
+    if (event.code == MENU_KEY_CODE)
+    {
+        // Escape cancels waiting for a key before it closes the screen
+        if (actionAwaitingKey != null)
+        {
+            actionAwaitingKey = null;
+            drawKeyBindingsScreen();
+        }
+        else
+        {
+            closeKeyBindingsScreen();
+        }
+
+        return true;
+    }
+
+    // Keep the key from also pressing a button on the screen
+    if (actionAwaitingKey != null)
+    {
+        setActionBinding(actionAwaitingKey, event.code);
+        actionAwaitingKey = null;
+        drawKeyBindingsScreen();
+
+        event.preventDefault();
+    }
+
+    return true;
+}
+
+/**
+ * Function: openKeyBindingsScreen
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Shows the key bindings screen in place of the pause menu
+ */
+function openKeyBindingsScreen()
+{
+    pauseMenu.style.display = "none";
+
+    keyBindingsScreen = document.createElement("div");
+    keyBindingsScreen.id = "keyBindings";
+    keyBindingsScreen.className = "menu";
+    document.body.appendChild(keyBindingsScreen);
+
+    drawKeyBindingsScreen();
+}
+
+/**
+ * Function: closeKeyBindingsScreen
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Removes the key bindings screen, and brings back the pause menu it was
+ *              opened from, with the controls reference updated to the new bindings
+ */
+function closeKeyBindingsScreen()
+{
+    actionAwaitingKey = null;
+
+    document.body.removeChild(keyBindingsScreen);
+    keyBindingsScreen = null;
+
+    if (pauseMenu != null)
+    {
+        drawPauseMenu();
+        pauseMenu.style.display = "";
+    }
+}
+
+/**
+ * Function: drawKeyBindingsScreen
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Fills the key bindings screen with a row for every action, showing its key,
+ *              when it is used and what it conflicts with, and a button to rebind it,
+ *              followed by the gamepad settings
+ */
+function drawKeyBindingsScreen()
+{
+    keyBindingsScreen.innerHTML = "";
+
+    let title = document.createElement("h2");
+    title.textContent = "Key Bindings";
+    keyBindingsScreen.appendChild(title);
+
+    let table = document.createElement("table");
+    keyBindingsScreen.appendChild(table);
+
+    for (let action in inputActions)
+    {
+        let row = document.createElement("tr");
+        table.appendChild(row);
+
+        addKeyBindingsCell(row, inputActions[action].label);
+        addKeyBindingsCell(row, inputActions[action].contexts.join(", "));
+
+        // The key, or a prompt while waiting for one
+        let keyCell = addKeyBindingsCell(row, getKeyName(inputActions[action].code));
+
+        if (action == actionAwaitingKey)
+        {
+            keyCell.textContent = "Press a key...";
+        }
+
+        // Name the actions this one conflicts with
+        let conflicts = findBindingConflicts(action);
+        let conflictLabels = [];
+
+        for (let i = 0; i < conflicts.length; i++)
+        {
+            conflictLabels.push(inputActions[conflicts[i]].label);
+        }
+
+        let conflictCell = addKeyBindingsCell(row, "");
+
+        if (conflicts.length > 0)
+        {
+            row.className = "conflict";
+            conflictCell.textContent = "Conflicts with " + conflictLabels.join(", ");
+        }
+
+        let buttonCell = addKeyBindingsCell(row, "");
+        let button = document.createElement("button");
+        button.textContent = "Change";
+        button.addEventListener("click", function() {
+
+            actionAwaitingKey = action;
+            drawKeyBindingsScreen();
+        });
+        buttonCell.appendChild(button);
+    }
+
+    addGamepadSettings(keyBindingsScreen);
+
+    let resetButton = document.createElement("button");
+    resetButton.textContent = "Reset to defaults";
+    resetButton.addEventListener("click", function() {
+
+        actionAwaitingKey = null;
+        resetInputBindings();
+        drawKeyBindingsScreen();
+    });
+    keyBindingsScreen.appendChild(resetButton);
+
+    let closeButton = document.createElement("button");
+    closeButton.textContent = "Back (" + getKeyName(MENU_KEY_CODE) + ")";
+    closeButton.addEventListener("click", closeKeyBindingsScreen);
+    keyBindingsScreen.appendChild(closeButton);
+}
+
+/**
+ * Function: addKeyBindingsCell
+ *
+ * Input: HTMLTableRowElement row, String text
+ * Output: HTMLTableCellElement
+ *
+ * Description: Adds a cell holding text to the end of row, and returns it
+ */
+function addKeyBindingsCell(row, text)
+{
+    let cell = document.createElement("td");
+    cell.textContent = text;
+    row.appendChild(cell);
+
+    return cell;
+}
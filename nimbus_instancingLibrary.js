@@ -0,0 +1,247 @@
+/**
+ *               Filename: nimbus_instancingLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Draws exterior objects that share a model in a single draw call
+ *                         per model, using the ANGLE_instanced_arrays extension. Each object's
+ *                         model matrix is passed to the shader as a per-instance attribute.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element and WebGL context.
+ *
+ *           Dependencies: gl-matrix.js https://cdnjs.cloudflare.com/ajax/libs/gl-matrix/2.8.1/gl-matrix-min.js
+ *                         nimbus_objLibrary.js
+ *                         nimbus_shaderPrograms.js
+ *                         nimbus_materialLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Number of floats in one instance's model matrix
+const INSTANCE_FLOATS = 16;
+
+// The ANGLE_instanced_arrays extension, or null if the browser does not support it
+let instancingExtension = null;
+
+// Matrix reused while computing each instance's model matrix
+const instanceMatrix = mat4.create();
+
+/**
+ * Object: instanceBatch
+ *
+ * Description: The per-instance data of every object drawn with one model this frame
+ *
+ * Attributes: Integer count - Number of instances in the batch this frame
+ *             Float32Array data - Model matrices of the instances, INSTANCE_FLOATS per instance
+ *             WebGLBuffer buffer - Buffer the data is uploaded to
+ */
+
+// Batches of instances, keyed by model
+const instanceBatches = new Map();
+
+// Objects whose models have a material, which the instanced shader cannot draw, reused every frame
+const unbatchedObjects = [];
+
+/**
+ * Function: initInstancing
+ *
+ * Input: None
+ * Output: Boolean
+ *
+ * Description: Requests the ANGLE_instanced_arrays extension and compiles the
+ *              instanced shader if it is available. Returns whether instancing
+ *              can be used.
+ */
+function initInstancing()
+{
+    instancingExtension = ctx.getExtension("ANGLE_instanced_arrays");
+
+    if (instancingExtension == null)
+    {
+        console.log("ANGLE_instanced_arrays is not supported, exterior objects will be drawn one at a time");
+        return false;
+    }
+
+    createShaderProgram(instancedExteriorShader);
+
+    return true;
+}
+
+/**
+ * Function: getInstanceBatch
+ *
+ * Input: model model
+ * Output: instanceBatch
+ *
+ * Description: Returns the batch for model, creating it the first time the model is seen
+ */
+function getInstanceBatch(model)
+{
+    let batch = instanceBatches.get(model);
+
+    if (batch === undefined)
+    {
+        batch = {
+
+            count: 0,
+            data: new Float32Array(INSTANCE_FLOATS * 256),
+            buffer: ctx.createBuffer(),
+        };
+
+        instanceBatches.set(model, batch);
+    }
+
+    return batch;
+}
+
+/**
+ * Function: addInstance
+ *
+ * Input: object object
+ * Output: None
+ *
+ * Description: Computes the model matrix of object, and appends it to the
+ *              batch of its model. Grows the batch data when it is full.
+ */
+function addInstance(object)
+{
+    let batch = getInstanceBatch(object.model);
+
+    // Double the space for instance data when it runs out
+    if ((batch.count + 1) * INSTANCE_FLOATS > batch.data.length)
+    {
+        let newData = new Float32Array(batch.data.length * 2);
+        newData.set(batch.data);
+        batch.data = newData;
+    }
+
+    mat4.identity(instanceMatrix);
+
+    vec3.set(translation, object.x, object.y, object.z);
+    mat4.translate(instanceMatrix, instanceMatrix, translation);  //Fifth transform: move back from origin based on position
+    mat4.rotate(instanceMatrix, instanceMatrix, object.pitch, XAXIS); //Fourth transform: rotate around x based on object pitch
+    mat4.rotate(instanceMatrix, instanceMatrix, object.yaw, YAXIS);   //Third transform: rotate around y based on object yaw
+    mat4.rotate(instanceMatrix, instanceMatrix, object.roll, ZAXIS);  //Second transform: rotate around z based on object roll
+
+    vec3.set(scaling, object.scale, object.scale, object.scale);
+    mat4.scale(instanceMatrix, instanceMatrix, scaling); //First transform: scale object based on object scale
+
+    batch.data.set(instanceMatrix, batch.count * INSTANCE_FLOATS);
+    batch.count++;
+}
+
+/**
+ * Function: drawExteriorObjectsInstanced
+ *
+ * Input: Array objects
+ * Output: None
+ *
+ * Description: Sorts objects into batches by model, then draws each batch with a
+ *              single instanced draw call. Objects with a material are drawn one at
+ *              a time with drawExteriorObject instead.
+ */
+function drawExteriorObjectsInstanced(objects)
+{
+    // Empty out last frame's batches
+    instanceBatches.forEach(function(batch) {
+
+        batch.count = 0;
+    });
+
+    unbatchedObjects.length = 0;
+
+    for (let i = 0; i < objects.length; i++)
+    {
+        if (hasMaterial(objects[i].model))
+        {
+            unbatchedObjects.push(objects[i]);
+        }
+        else
+        {
+            addInstance(objects[i]);
+        }
+    }
+
+    //Tell WebGL to use the shader program
+    ctx.useProgram(instancedExteriorShader.program);
+
+    //Set worldview and projection uniforms
+    ctx.uniformMatrix4fv(instancedExteriorShader.uniforms.projectionMatrix, false, projectionMatrix);
+    ctx.uniformMatrix4fv(instancedExteriorShader.uniforms.worldViewMatrix, false, worldViewMatrix);
+
+    instanceBatches.forEach(function(batch, model) {
+
+        if (batch.count > 0)
+        {
+            drawInstanceBatch(model, batch);
+        }
+    });
+
+    //The instanced shader only uses vertex colors, so textured objects are drawn one at a time
+    for (let i = 0; i < unbatchedObjects.length; i++)
+    {
+        drawExteriorObject(unbatchedObjects[i]);
+    }
+}
+
+/**
+ * Function: drawInstanceBatch
+ *
+ * Input: model model, instanceBatch batch
+ * Output: None
+ *
+ * Description: Uploads the batch's model matrices and draws every instance of model.
+ *              The instanced shader must already be in use.
+ */
+function drawInstanceBatch(model, batch)
+{
+    const attributes = instancedExteriorShader.attributes;
+
+    //Instruct WebGL how to pull out vertices
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, model.buffers.vertex);
+    ctx.vertexAttribPointer(attributes.vertexPosition, 3, ctx.FLOAT, false, 0, 0); //Pull out 3 values at a time, no offsets
+    ctx.enableVertexAttribArray(attributes.vertexPosition); //Enable the pointer to the buffer
+
+    //Instruct WebGL how to pull out colors
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, model.buffers.color);
+    ctx.vertexAttribPointer(attributes.vertexColor, 4, ctx.FLOAT, false, 0, 0); //Pull out 4 values at a time, no offsets
+    ctx.enableVertexAttribArray(attributes.vertexColor); //Enable the pointer to the buffer
+
+    //Instruct WebGL how to pull out normals
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, model.buffers.normal);
+    ctx.vertexAttribPointer(attributes.vertexNormal, 3, ctx.FLOAT, false, 0, 0); //Pull out 3 values at a time, no offsets
+    ctx.enableVertexAttribArray(attributes.vertexNormal); //Enable the pointer to the buffer
+
+    //Upload this frame's model matrices
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, batch.buffer);
+    ctx.bufferData(ctx.ARRAY_BUFFER, batch.data.subarray(0, batch.count * INSTANCE_FLOATS), ctx.DYNAMIC_DRAW);
+
+    //Instruct WebGL how to pull out model matrices, one column per attribute location, advancing once per instance
+    //Strides and offsets are in bytes, 4 bytes to a float
+    for (let column = 0; column < 4; column++)
+    {
+        let location = attributes.modelMatrix + column;
+
+        ctx.vertexAttribPointer(location, 4, ctx.FLOAT, false, INSTANCE_FLOATS * 4, column * 16);
+        ctx.enableVertexAttribArray(location);
+        instancingExtension.vertexAttribDivisorANGLE(location, 1);
+    }
+
+    //Give WebGL the element array
+    ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, model.buffers.drawPoint);
+
+    //Draw triangles for every instance
+    instancingExtension.drawElementsInstancedANGLE(ctx.TRIANGLES, model.drawPointCount, ctx.UNSIGNED_SHORT, 0, batch.count);
+
+    //Put the model matrix locations back to normal, so other shaders using them are not affected
+    for (let column = 0; column < 4; column++)
+    {
+        let location = attributes.modelMatrix + column;
+
+        instancingExtension.vertexAttribDivisorANGLE(location, 0);
+        ctx.disableVertexAttribArray(location);
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ *               Filename: nimbus_interpolationLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Draws ships and the player part way between the last two ticks of the
+ *                         game loop, so motion stays smooth when frames and ticks do not line up.
+ *                         The position and orientation of each are recorded before every tick. For
+ *                         a frame they are blended between the recorded and current values, and put
+ *                         back once the frame has been drawn, so the simulation never sees them.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *
+ *           Dependencies: gl-matrix.js https://cdnjs.cloudflare.com/ajax/libs/gl-matrix/2.8.1/gl-matrix-min.js
+ *                         nimbus_objLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Interpolation state of each ship and of the player, created the first time it is needed
+const interpolationStates = new Map();
+
+/**
+ * Function: getInterpolationState
+ *
+ * Input: Object object, a ship or the player
+ * Output: interpolationState
+ *
+ * Description: Returns the interpolation state of object, creating it on first use
+ *
+ *              Object: interpolationState
+ *
+ *              Attributes: vec3 previousPosition, quat previousOrientation - Before the last tick
+ *                          Double tickX, tickY, tickZ, quat tickOrientation - After the last tick, while a frame is drawn
+ *                          ship previousBoardedShip - Ship the player was aboard before the last tick
+ */
+function getInterpolationState(object)
+{
+    let state = interpolationStates.get(object);
+
+    if (state === undefined)
+    {
+        state = {
+
+            previousPosition: vec3.fromValues(object.x, object.y, object.z),
+            previousOrientation: quat.clone(object.orientation),
+            tickX: object.x,
+            tickY: object.y,
+            tickZ: object.z,
+            tickOrientation: quat.create(),
+            previousBoardedShip: null,
+        };
+
+        interpolationStates.set(object, state);
+    }
+
+    return state;
+}
+
+/**
+ * Function: recordPreviousStates
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Records the position and orientation of every ship and of the player. Should
+ *              be called at the start of every tick.
+ */
+function recordPreviousStates()
+{
+    for (let i = 0; i < ships.length; i++)
+    {
+        recordPreviousState(ships[i]);
+    }
+
+    recordPreviousState(player);
+    getInterpolationState(player).previousBoardedShip = player.boardedShip;
+}
+
+/**
+ * Function: recordPreviousState
+ *
+ * Input: Object object
+ * Output: None
+ *
+ * Description: Records the position and orientation of object, a ship or the player
+ */
+function recordPreviousState(object)
+{
+    let state = getInterpolationState(object);
+
+    vec3.set(state.previousPosition, object.x, object.y, object.z);
+    quat.copy(state.previousOrientation, object.orientation);
+}
+
+/**
+ * Function: blendRenderStates
+ *
+ * Input: Double alpha
+ * Output: None
+ *
+ * Description: Moves every ship and the player alpha of the way from where they were
+ *              before the last tick to where they are now. The player is left where they
+ *              are if they boarded or left a ship during the last tick, as their position
+ *              was then measured in a different space. restoreTickStates must be called
+ *              once the frame has been drawn.
+ */
+function blendRenderStates(alpha)
+{
+    for (let i = 0; i < ships.length; i++)
+    {
+        blendRenderState(ships[i], alpha);
+    }
+
+    if (getInterpolationState(player).previousBoardedShip == player.boardedShip)
+    {
+        blendRenderState(player, alpha);
+    }
+    else
+    {
+        blendRenderState(player, 1.0);
+    }
+}
+
+/**
+ * Function: blendRenderState
+ *
+ * Input: Object object, Double alpha
+ * Output: None
+ *
+ * Description: Keeps the current position and orientation of object, then moves it
+ *              alpha of the way from its previous ones to them
+ */
+function blendRenderState(object, alpha)
+{
+    let state = getInterpolationState(object);
+
+    // Kept as plain numbers rather than in a vec3, whose single precision would move the object when it is put back
+    state.tickX = object.x;
+    state.tickY = object.y;
+    state.tickZ = object.z;
+    quat.copy(state.tickOrientation, object.orientation);
+
+    object.x = state.previousPosition[0] + (state.tickX - state.previousPosition[0]) * alpha;
+    object.y = state.previousPosition[1] + (state.tickY - state.previousPosition[1]) * alpha;
+    object.z = state.previousPosition[2] + (state.tickZ - state.previousPosition[2]) * alpha;
+    quat.slerp(object.orientation, state.previousOrientation, state.tickOrientation, alpha);
+}
+
+/**
+ * Function: restoreTickStates
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Puts every ship and the player back where they were after the last tick
+ */
+function restoreTickStates()
+{
+    for (let i = 0; i < ships.length; i++)
+    {
+        restoreTickState(ships[i]);
+    }
+
+    restoreTickState(player);
+}
+
+/**
+ * Function: restoreTickState
+ *
+ * Input: Object object
+ * Output: None
+ *
+ * Description: Puts object back where it was after the last tick
+ */
+function restoreTickState(object)
+{
+    let state = getInterpolationState(object);
+
+    object.x = state.tickX;
+    object.y = state.tickY;
+    object.z = state.tickZ;
+    quat.copy(object.orientation, state.tickOrientation);
+}
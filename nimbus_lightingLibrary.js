@@ -0,0 +1,442 @@
+/**
+ *               Filename: nimbus_lightingLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Point, spot and directional lights that scenes register into a light set.
+ *                         The ship interior is lit by interiorLights, in ship interior space, and
+ *                         everything outside is lit by exteriorLights, in world space. drawScene
+ *                         uploads both sets to the shaders that use them every frame, so adding,
+ *                         changing or removing a light only needs the light set to be changed.
+ *
+ *                         Example:
+ *
+ *                         let alarm = addLight(interiorLights, createPointLight([0.0, 2.0, -1.0], [1.0, 0.0, 0.0], 2.0));
+ *                         alarm.enabled = false;
+ *
+ *                         Must be loaded before nimbus_shaderPrograms.js, which builds LIGHTING_SHADER_CODE
+ *                         into its shaders.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element and WebGL context.
+ *
+ *           Dependencies: gl-matrix.js https://cdnjs.cloudflare.com/ajax/libs/gl-matrix/2.8.1/gl-matrix-min.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Most lights a shader can be lit by at once, lights past this in a light set are ignored
+const MAX_LIGHTS = 8;
+
+// Light types, matching the LIGHT_ defines in LIGHTING_SHADER_CODE
+const LIGHT_POINT = 0;
+const LIGHT_SPOT = 1;
+const LIGHT_DIRECTIONAL = 2;
+
+/**
+ * Object: light
+ *
+ * Attributes: Integer type - LIGHT_POINT, LIGHT_SPOT or LIGHT_DIRECTIONAL
+ *             vec3 position - Where point and spot lights are
+ *             vec3 direction - Which way directional and spot lights shine, unit length
+ *             Array color - (r,g,b)
+ *             Double intensity - Multiplied with color
+ *             Array attenuation - (constant, linear, quadratic), light is divided by
+ *                                 constant + linear * distance + quadratic * distance^2
+ *             Double innerAngle, outerAngle - Spot lights are full brightness within innerAngle
+ *                                             of direction, fading out to nothing at outerAngle, in radians
+ *             Boolean enabled - Lights that are not enabled stay in their light set but give no light
+ *             Boolean castsShadows - Whether the light set's shadow map is rendered from this light. Only
+ *                                    the first enabled directional light casting shadows in a set is used.
+ */
+
+/**
+ * Object: lightSet
+ *
+ * Attributes: Array ambient - (r,g,b) light everything gets from every direction
+ *             Array lights - Registered lights
+ *             shadowMap shadowMap - Shadows of the set's shadow casting light, or null if the set has none
+ */
+
+/**
+ * Function: createLightSet
+ *
+ * Input: Array ambient
+ * Output: lightSet
+ *
+ * Description: Returns a light set with no lights and the given ambient color
+ */
+function createLightSet(ambient)
+{
+    return {
+
+        ambient: ambient,
+        lights: [],
+        shadowMap: null,
+    };
+}
+
+// Lights of the ship interior, positioned in ship interior space
+const interiorLights = createLightSet([0.3, 0.3, 0.3]);
+
+// Lights of the world outside of ships, positioned in world space
+const exteriorLights = createLightSet([0.3, 0.3, 0.3]);
+
+// The exterior light standing in for the sun, and the sunlight coming in through the cockpit windows, set by main
+let sunLight = null;
+let cockpitSunLight = null;
+
+/**
+ * Function: createPointLight
+ *
+ * Input: Array position, Array color, Double intensity, [Array attenuation]
+ * Output: light
+ *
+ * Description: Returns a light shining in every direction from position. Without
+ *              attenuation, the light does not fade with distance.
+ */
+function createPointLight(position, color, intensity, attenuation)
+{
+    let light = createLight(LIGHT_POINT, color, intensity);
+
+    vec3.copy(light.position, position);
+
+    if (attenuation !== undefined)
+    {
+        light.attenuation = attenuation;
+    }
+
+    return light;
+}
+
+/**
+ * Function: createSpotLight
+ *
+ * Input: Array position, Array direction, Array color, Double intensity,
+ *        Double innerAngle, outerAngle, [Array attenuation]
+ * Output: light
+ *
+ * Description: Returns a light shining from position in a cone around direction
+ */
+function createSpotLight(position, direction, color, intensity, innerAngle, outerAngle, attenuation)
+{
+    let light = createPointLight(position, color, intensity, attenuation);
+
+    light.type = LIGHT_SPOT;
+    vec3.normalize(light.direction, direction);
+    light.innerAngle = innerAngle;
+    light.outerAngle = outerAngle;
+
+    return light;
+}
+
+/**
+ * Function: createDirectionalLight
+ *
+ * Input: Array direction, Array color, Double intensity
+ * Output: light
+ *
+ * Description: Returns a light shining everywhere in direction, like a distant sun
+ */
+function createDirectionalLight(direction, color, intensity)
+{
+    let light = createLight(LIGHT_DIRECTIONAL, color, intensity);
+
+    vec3.normalize(light.direction, direction);
+
+    return light;
+}
+
+/**
+ * Function: createLight
+ *
+ * Input: Integer type, Array color, Double intensity
+ * Output: light
+ *
+ * Description: Returns a light of the given type with every other attribute at its default
+ */
+function createLight(type, color, intensity)
+{
+    return {
+
+        type: type,
+        position: vec3.create(),
+        direction: vec3.fromValues(0.0, 0.0, -1.0),
+        color: color,
+        intensity: intensity,
+        attenuation: [1.0, 0.0, 0.0],
+        innerAngle: 0.0,
+        outerAngle: 0.0,
+        enabled: true,
+        castsShadows: false,
+    };
+}
+
+/**
+ * Function: addLight
+ *
+ * Input: lightSet lightSet, light light
+ * Output: light
+ *
+ * Description: Registers light in lightSet and returns it
+ */
+function addLight(lightSet, light)
+{
+    lightSet.lights.push(light);
+
+    if (lightSet.lights.length > MAX_LIGHTS)
+    {
+        console.log("Light set has " + lightSet.lights.length + " lights, but shaders only use the first " + MAX_LIGHTS + " that are enabled");
+    }
+
+    return light;
+}
+
+/**
+ * Function: removeLight
+ *
+ * Input: lightSet lightSet, light light
+ * Output: None
+ *
+ * Description: Removes light from lightSet
+ */
+function removeLight(lightSet, light)
+{
+    let index = lightSet.lights.indexOf(light);
+
+    if (index >= 0)
+    {
+        lightSet.lights.splice(index, 1);
+    }
+}
+
+// GLSL shared by every lit fragment shader. Declares the light uniforms, and computeLighting,
+// which returns the total light reaching a point with the given unit normal, less whatever
+// the shadow map says is blocked from reaching it
+const LIGHTING_SHADER_CODE = `
+
+        #define MAX_LIGHTS ${MAX_LIGHTS}
+        #define LIGHT_POINT ${LIGHT_POINT}
+        #define LIGHT_SPOT ${LIGHT_SPOT}
+        #define LIGHT_DIRECTIONAL ${LIGHT_DIRECTIONAL}
+        #define SHADOW_BIAS 0.0005
+
+        uniform int u_lightCount;
+        uniform highp vec3 u_ambientLight;
+        uniform int u_lightType[MAX_LIGHTS];
+        uniform highp vec3 u_lightPosition[MAX_LIGHTS];
+        uniform highp vec3 u_lightDirection[MAX_LIGHTS];
+        uniform highp vec3 u_lightColor[MAX_LIGHTS]; // Already multiplied by intensity
+        uniform highp vec3 u_lightAttenuation[MAX_LIGHTS];
+        uniform highp vec2 u_lightCone[MAX_LIGHTS]; // Cosines of the inner and outer spot angles
+
+        uniform int u_shadowLightIndex; // Which light the shadow map belongs to, -1 if there are no shadows
+        uniform highp mat4 u_shadowMatrix;
+        uniform sampler2D u_shadowMap;
+        uniform highp float u_shadowTexelSize;
+        uniform highp float u_shadowNormalOffset;
+
+        //Returns how much of the shadow casting light reaches position, from 0.0 to 1.0,
+        //averaging 3x3 shadow map texels so the edges of shadows are soft
+        highp float computeShadow(highp vec3 position, highp vec3 normal) {
+
+            //Push the point out along its normal, so surfaces do not shadow themselves
+            highp vec4 shadowPosition = u_shadowMatrix * vec4(position + normal * u_shadowNormalOffset, 1.0);
+            highp vec3 coordinates = shadowPosition.xyz / shadowPosition.w * 0.5 + 0.5;
+
+            //Everything outside of the shadow map is lit
+            if (coordinates.x < 0.0 || coordinates.x > 1.0 || coordinates.y < 0.0 || coordinates.y > 1.0 || coordinates.z > 1.0) {
+
+                return 1.0;
+            }
+
+            highp float lit = 0.0;
+
+            for (int x = -1; x <= 1; x++) {
+
+                for (int y = -1; y <= 1; y++) {
+
+                    highp float depth = texture2D(u_shadowMap, coordinates.xy + vec2(float(x), float(y)) * u_shadowTexelSize).r;
+
+                    if (coordinates.z - SHADOW_BIAS <= depth) {
+
+                        lit += 1.0;
+                    }
+                }
+            }
+
+            return lit / 9.0;
+        }
+
+        highp vec3 computeLighting(highp vec3 position, highp vec3 normal) {
+
+            highp vec3 lighting = u_ambientLight;
+
+            for (int i = 0; i < MAX_LIGHTS; i++) {
+
+                if (i >= u_lightCount) {
+
+                    break;
+                }
+
+                highp vec3 toLight = u_lightDirection[i] * -1.0;
+                highp float attenuation = 1.0;
+
+                if (u_lightType[i] != LIGHT_DIRECTIONAL) {
+
+                    highp vec3 offset = u_lightPosition[i] - position;
+                    highp float lightDistance = length(offset);
+
+                    toLight = offset / max(lightDistance, 0.0001);
+                    attenuation = 1.0 / (u_lightAttenuation[i].x + u_lightAttenuation[i].y * lightDistance + u_lightAttenuation[i].z * lightDistance * lightDistance);
+
+                    //Fade spot lights out between the inner and outer angles of their cone
+                    if (u_lightType[i] == LIGHT_SPOT) {
+
+                        attenuation *= smoothstep(u_lightCone[i].y, u_lightCone[i].x, dot(toLight * -1.0, u_lightDirection[i]));
+                    }
+                }
+
+                if (i == u_shadowLightIndex) {
+
+                    attenuation *= computeShadow(position, normal);
+                }
+
+                lighting += u_lightColor[i] * max(dot(normal, toLight), 0.0) * attenuation;
+            }
+
+            return lighting;
+        }
+`;
+
+// Arrays the enabled lights of a light set are packed into before uploading
+const lightTypeData = new Int32Array(MAX_LIGHTS);
+const lightPositionData = new Float32Array(MAX_LIGHTS * 3);
+const lightDirectionData = new Float32Array(MAX_LIGHTS * 3);
+const lightColorData = new Float32Array(MAX_LIGHTS * 3);
+const lightAttenuationData = new Float32Array(MAX_LIGHTS * 3);
+const lightConeData = new Float32Array(MAX_LIGHTS * 2);
+
+/**
+ * Function: getLightUniformLocations
+ *
+ * Input: WebGLProgram program
+ * Output: Object
+ *
+ * Description: Returns the locations of the uniforms declared by LIGHTING_SHADER_CODE in program.
+ *              Lit shaders store the result as their lightUniforms in tieLocations.
+ */
+function getLightUniformLocations(program)
+{
+    return {
+
+        count: ctx.getUniformLocation(program, "u_lightCount"),
+        ambient: ctx.getUniformLocation(program, "u_ambientLight"),
+        type: ctx.getUniformLocation(program, "u_lightType"),
+        position: ctx.getUniformLocation(program, "u_lightPosition"),
+        direction: ctx.getUniformLocation(program, "u_lightDirection"),
+        color: ctx.getUniformLocation(program, "u_lightColor"),
+        attenuation: ctx.getUniformLocation(program, "u_lightAttenuation"),
+        cone: ctx.getUniformLocation(program, "u_lightCone"),
+        shadowLightIndex: ctx.getUniformLocation(program, "u_shadowLightIndex"),
+        shadowMatrix: ctx.getUniformLocation(program, "u_shadowMatrix"),
+        shadowMap: ctx.getUniformLocation(program, "u_shadowMap"),
+        shadowTexelSize: ctx.getUniformLocation(program, "u_shadowTexelSize"),
+        shadowNormalOffset: ctx.getUniformLocation(program, "u_shadowNormalOffset"),
+    };
+}
+
+/**
+ * Function: uploadLights
+ *
+ * Input: ShaderData shader, lightSet lightSet
+ * Output: None
+ *
+ * Description: Sets the light uniforms of shader to the first MAX_LIGHTS enabled
+ *              lights of lightSet, and the shadow uniforms to lightSet's shadow map
+ *              if it was rendered this frame. The shader must already be in use.
+ */
+function uploadLights(shader, lightSet)
+{
+    const shadowMap = lightSet.shadowMap;
+
+    let count = 0;
+    let shadowLightIndex = -1;
+
+    for (let i = 0; i < lightSet.lights.length && count < MAX_LIGHTS; i++)
+    {
+        let light = lightSet.lights[i];
+
+        if (!light.enabled)
+        {
+            continue;
+        }
+
+        lightTypeData[count] = light.type;
+        lightPositionData.set(light.position, count * 3);
+        lightDirectionData.set(light.direction, count * 3);
+
+        lightColorData[count * 3] = light.color[0] * light.intensity;
+        lightColorData[count * 3 + 1] = light.color[1] * light.intensity;
+        lightColorData[count * 3 + 2] = light.color[2] * light.intensity;
+
+        lightAttenuationData.set(light.attenuation, count * 3);
+
+        lightConeData[count * 2] = Math.cos(light.innerAngle);
+        lightConeData[count * 2 + 1] = Math.cos(light.outerAngle);
+
+        if (shadowMap != null && shadowMap.active && shadowMap.light == light)
+        {
+            shadowLightIndex = count;
+        }
+
+        count++;
+    }
+
+    const uniforms = shader.lightUniforms;
+
+    ctx.uniform1i(uniforms.count, count);
+    ctx.uniform3fv(uniforms.ambient, lightSet.ambient);
+    ctx.uniform1iv(uniforms.type, lightTypeData);
+    ctx.uniform3fv(uniforms.position, lightPositionData);
+    ctx.uniform3fv(uniforms.direction, lightDirectionData);
+    ctx.uniform3fv(uniforms.color, lightColorData);
+    ctx.uniform3fv(uniforms.attenuation, lightAttenuationData);
+    ctx.uniform2fv(uniforms.cone, lightConeData);
+
+    ctx.uniform1i(uniforms.shadowLightIndex, shadowLightIndex);
+
+    if (shadowLightIndex >= 0)
+    {
+        ctx.uniformMatrix4fv(uniforms.shadowMatrix, false, shadowMap.lightMatrix);
+        ctx.uniform1i(uniforms.shadowMap, shadowMap.textureUnit);
+        ctx.uniform1f(uniforms.shadowTexelSize, 1.0 / SHADOW_MAP_SIZE);
+        ctx.uniform1f(uniforms.shadowNormalOffset, shadowMap.texelWorldSize * 1.5);
+    }
+}
+
+/**
+ * Function: uploadSceneLights
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Uploads interiorLights to the interior shader, and exteriorLights to the
+ *              exterior shaders. Called by drawScene once a frame, before anything is drawn.
+ */
+function uploadSceneLights()
+{
+    ctx.useProgram(shipInteriorShader.program);
+    uploadLights(shipInteriorShader, interiorLights);
+
+    ctx.useProgram(shipExteriorShader.program);
+    uploadLights(shipExteriorShader, exteriorLights);
+
+    if (instancedExteriorShader.program != null)
+    {
+        ctx.useProgram(instancedExteriorShader.program);
+        uploadLights(instancedExteriorShader, exteriorLights);
+    }
+}
@@ -0,0 +1,290 @@
+/**
+ *               Filename: nimbus_materialLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Materials give a model a diffuse texture, a normal map and an emissive
+ *                         map, sampled using the model's texture coordinates. Models without a
+ *                         material, or without one of the maps, fall back to their vertex colors
+ *                         and vertex normals.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element and WebGL context.
+ *
+ *           Dependencies: gl-matrix.js https://cdnjs.cloudflare.com/ajax/libs/gl-matrix/2.8.1/gl-matrix-min.js
+ *                         nimbus_methodLibrary.js
+ *                         nimbus_shaderPrograms.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Texture units each map is bound to while drawing
+const DIFFUSE_TEXTURE_UNIT = 0;
+const NORMAL_TEXTURE_UNIT = 1;
+const EMISSIVE_TEXTURE_UNIT = 2;
+
+/**
+ * Object: material
+ *
+ * Description: Surface detail for a model, multiplied with or added to its vertex colors
+ *
+ * Attributes: WebGLTexture diffuseTexture - Multiplied with the vertex color, or null
+ *             WebGLTexture normalTexture - Tangent space normals, or null
+ *             WebGLTexture emissiveTexture - Light given off regardless of lighting, or null
+ *             Array emissiveColor - (r,g,b) multiplied with the emissive texture, or added on its own if there is none
+ */
+
+/**
+ * Function: createMaterial
+ *
+ * Input: WebGLTexture diffuseTexture, normalTexture, emissiveTexture, Array emissiveColor
+ * Output: material
+ *
+ * Description: Returns a new material. Any of the textures can be null. If emissiveColor
+ *              is not given, it is white when there is an emissive texture and black otherwise.
+ */
+function createMaterial(diffuseTexture, normalTexture, emissiveTexture, emissiveColor)
+{
+    if (emissiveColor === undefined)
+    {
+        if (emissiveTexture != null)
+        {
+            emissiveColor = [1.0, 1.0, 1.0];
+        }
+        else
+        {
+            emissiveColor = [0.0, 0.0, 0.0];
+        }
+    }
+
+    return {
+
+        diffuseTexture: diffuseTexture,
+        normalTexture: normalTexture,
+        emissiveTexture: emissiveTexture,
+        emissiveColor: emissiveColor,
+    };
+}
+
+/**
+ * Function: loadMaterialTexture
+ *
+ * Input: String url
+ * Output: WebGLTexture
+ *
+ * Description: Starts loading the image at url with loadTexture, and returns the texture,
+ *              or returns null if url is null
+ */
+function loadMaterialTexture(url)
+{
+    if (url == null)
+    {
+        return null;
+    }
+
+    let textureData = {url: url, texture: null};
+    loadTexture(textureData);
+
+    return textureData.texture;
+}
+
+/**
+ * Function: hasMaterial
+ *
+ * Input: model model
+ * Output: Boolean
+ *
+ * Description: Returns whether model has a material and texture coordinates to apply it with
+ */
+function hasMaterial(model)
+{
+    return model.material != null && model.buffers.uv != null;
+}
+
+/**
+ * Function: computeTangents
+ *
+ * Input: model model
+ * Output: Array
+ *
+ * Description: Returns a tangent (x,y,z,w) for every vertex of model, pointing in the
+ *              direction texture coordinate u increases along the surface. w is 1 or -1,
+ *              the direction of the bitangent compared to cross(normal, tangent), since
+ *              texture coordinates can be mirrored. Used to turn normal map normals into
+ *              model space. The model must have uvValues and normalValues.
+ */
+function computeTangents(model)
+{
+    const vertices = model.vertexValues;
+    const uvs = model.uvValues;
+    const normals = model.normalValues;
+    const indices = model.drawPointIndices;
+
+    let vertexCount = vertices.length / 3;
+    let tangents = new Array(vertexCount * 3).fill(0.0);
+    let bitangents = new Array(vertexCount * 3).fill(0.0);
+
+    for (let i = 0; i + 2 < indices.length; i += 3)
+    {
+        let a = indices[i];
+        let b = indices[i + 1];
+        let c = indices[i + 2];
+
+        // Triangle edges in model space and in texture space
+        let e1x = vertices[b * 3] - vertices[a * 3];
+        let e1y = vertices[b * 3 + 1] - vertices[a * 3 + 1];
+        let e1z = vertices[b * 3 + 2] - vertices[a * 3 + 2];
+        let e2x = vertices[c * 3] - vertices[a * 3];
+        let e2y = vertices[c * 3 + 1] - vertices[a * 3 + 1];
+        let e2z = vertices[c * 3 + 2] - vertices[a * 3 + 2];
+
+        let du1 = uvs[b * 2] - uvs[a * 2];
+        let dv1 = uvs[b * 2 + 1] - uvs[a * 2 + 1];
+        let du2 = uvs[c * 2] - uvs[a * 2];
+        let dv2 = uvs[c * 2 + 1] - uvs[a * 2 + 1];
+
+        let determinant = du1 * dv2 - du2 * dv1;
+        if (Math.abs(determinant) < 1e-12)
+        {
+            continue;
+        }
+        let r = 1.0 / determinant;
+
+        let tx = (e1x * dv2 - e2x * dv1) * r;
+        let ty = (e1y * dv2 - e2y * dv1) * r;
+        let tz = (e1z * dv2 - e2z * dv1) * r;
+        let bx = (e2x * du1 - e1x * du2) * r;
+        let by = (e2y * du1 - e1y * du2) * r;
+        let bz = (e2z * du1 - e1z * du2) * r;
+
+        let corners = [a, b, c];
+        for (let j = 0; j < 3; j++)
+        {
+            tangents[corners[j] * 3] += tx;
+            tangents[corners[j] * 3 + 1] += ty;
+            tangents[corners[j] * 3 + 2] += tz;
+            bitangents[corners[j] * 3] += bx;
+            bitangents[corners[j] * 3 + 1] += by;
+            bitangents[corners[j] * 3 + 2] += bz;
+        }
+    }
+
+    const normal = vec3.create();
+    const tangent = vec3.create();
+    const bitangent = vec3.create();
+    const cross = vec3.create();
+
+    let result = [];
+    for (let i = 0; i < vertexCount; i++)
+    {
+        vec3.set(normal, normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2]);
+        vec3.set(tangent, tangents[i * 3], tangents[i * 3 + 1], tangents[i * 3 + 2]);
+        vec3.set(bitangent, bitangents[i * 3], bitangents[i * 3 + 1], bitangents[i * 3 + 2]);
+
+        // Make the tangent perpendicular to the normal
+        vec3.scaleAndAdd(tangent, tangent, normal, vec3.dot(normal, tangent) * -1.0);
+
+        if (vec3.length(tangent) < 1e-6)
+        {
+            // No usable texture direction, pick any direction perpendicular to the normal
+            if (Math.abs(normal[0]) < 0.9)
+            {
+                vec3.cross(tangent, normal, XAXIS);
+            }
+            else
+            {
+                vec3.cross(tangent, normal, YAXIS);
+            }
+        }
+        vec3.normalize(tangent, tangent);
+
+        let handedness = 1.0;
+        vec3.cross(cross, normal, tangent);
+        if (vec3.dot(cross, bitangent) < 0.0)
+        {
+            handedness = -1.0;
+        }
+
+        result.push(tangent[0], tangent[1], tangent[2], handedness);
+    }
+
+    return result;
+}
+
+/**
+ * Function: bindMaterial
+ *
+ * Input: ShaderData shader, model model
+ * Output: None
+ *
+ * Description: Sets up the texture coordinate and tangent attributes, textures and material
+ *              uniforms of shader for drawing model. Models without a material have the
+ *              attributes turned off and every map flagged as missing, so only vertex colors
+ *              are used. The shader must already be in use.
+ */
+function bindMaterial(shader, model)
+{
+    const attributes = shader.attributes;
+    const uniforms = shader.uniforms;
+
+    let material = null;
+    if (hasMaterial(model))
+    {
+        material = model.material;
+    }
+
+    if (material == null)
+    {
+        //Turn off the arrays, so a previous model's buffers are not read past their end
+        ctx.disableVertexAttribArray(attributes.textureCoordinates);
+        ctx.disableVertexAttribArray(attributes.vertexTangent);
+
+        ctx.uniform1i(uniforms.hasDiffuseMap, 0);
+        ctx.uniform1i(uniforms.hasNormalMap, 0);
+        ctx.uniform1i(uniforms.hasEmissiveMap, 0);
+        ctx.uniform3f(uniforms.emissiveColor, 0.0, 0.0, 0.0);
+
+        return;
+    }
+
+    //Instruct WebGL how to pull out texture coordinates
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, model.buffers.uv);
+    ctx.vertexAttribPointer(attributes.textureCoordinates, 2, ctx.FLOAT, false, 0, 0); //Pull out 2 values at a time, no offsets
+    ctx.enableVertexAttribArray(attributes.textureCoordinates); //Enable the pointer to the buffer
+
+    //Instruct WebGL how to pull out tangents
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, model.buffers.tangent);
+    ctx.vertexAttribPointer(attributes.vertexTangent, 4, ctx.FLOAT, false, 0, 0); //Pull out 4 values at a time, no offsets
+    ctx.enableVertexAttribArray(attributes.vertexTangent); //Enable the pointer to the buffer
+
+    bindMaterialTexture(material.diffuseTexture, DIFFUSE_TEXTURE_UNIT, uniforms.diffuseSampler, uniforms.hasDiffuseMap);
+    bindMaterialTexture(material.normalTexture, NORMAL_TEXTURE_UNIT, uniforms.normalSampler, uniforms.hasNormalMap);
+    bindMaterialTexture(material.emissiveTexture, EMISSIVE_TEXTURE_UNIT, uniforms.emissiveSampler, uniforms.hasEmissiveMap);
+
+    ctx.uniform3fv(uniforms.emissiveColor, material.emissiveColor);
+}
+
+/**
+ * Function: bindMaterialTexture
+ *
+ * Input: WebGLTexture texture, Integer unit, WebGLUniformLocation samplerUniform, hasMapUniform
+ * Output: None
+ *
+ * Description: Binds texture to the texture unit, points the sampler at it, and
+ *              sets whether the shader should use it
+ */
+function bindMaterialTexture(texture, unit, samplerUniform, hasMapUniform)
+{
+    if (texture == null)
+    {
+        ctx.uniform1i(hasMapUniform, 0);
+        return;
+    }
+
+    ctx.activeTexture(ctx.TEXTURE0 + unit);
+    ctx.bindTexture(ctx.TEXTURE_2D, texture);
+    ctx.uniform1i(samplerUniform, unit);
+    ctx.uniform1i(hasMapUniform, 1);
+}
@@ -0,0 +1,439 @@
+/**
+ *               Filename: nimbus_menuLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: The pause menu, shown over the game when it starts and whenever the
+ *                         player presses Escape. The simulation is halted while it is open. It lists
+ *                         the controls, generated from the current key bindings, opens the key
+ *                         bindings screen, saves and loads the game, records and replays flights,
+ *                         and holds the graphics and mouse settings. Graphics settings are saved
+ *                         to localStorage.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *
+ *           Dependencies: gameLoopLibrary.js
+ *                         mouseLookLibrary.js
+ *                         nimbus_objLibrary.js
+ *                         nimbus_inputLibrary.js
+ *                         nimbus_lightingLibrary.js
+ *                         nimbus_shadowLibrary.js
+ *                         nimbus_saveLibrary.js
+ *                         nimbus_replayLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Name the graphics settings are saved under in localStorage
+const GRAPHICS_SETTINGS_STORAGE_KEY = "nimbus.graphicsSettings";
+
+// Narrowest and widest vertical field of view the player can choose, in degrees
+const MIN_FIELD_OF_VIEW = 30.0;
+const MAX_FIELD_OF_VIEW = 100.0;
+
+// Fractions of the window's resolution the scene can be drawn at, with their labels
+const RESOLUTION_SCALES = {
+
+    "1": "Full",
+    "0.75": "Three quarters",
+    "0.5": "Half",
+};
+
+/**
+ * Object: graphicsSettings
+ *
+ * Description: How the scene is drawn
+ *
+ * Attributes: Boolean shadows - Whether the sun casts shadows, if the browser supports them
+ *             Double fieldOfView - Vertical field of view in degrees
+ *             Double resolutionScale - Fraction of the window's resolution the scene is drawn at
+ */
+const graphicsSettings = {
+
+    shadows: true,
+    fieldOfView: 45.0,
+    resolutionScale: 1.0,
+};
+
+// Pause menu while it is open, or null
+let pauseMenu = null;
+
+// Whether the player has left the menu shown at startup, after which it is the pause menu
+let hasGameStarted = false;
+
+/**
+ * Function: initGraphicsSettings
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Loads the graphics settings saved in localStorage, keeping the defaults
+ *              for anything that was not saved, and applies them
+ */
+function initGraphicsSettings()
+{
+    let saved = null;
+
+    try
+    {
+        saved = JSON.parse(window.localStorage.getItem(GRAPHICS_SETTINGS_STORAGE_KEY));
+    }
+    catch (error)
+    {
+        console.error("Unable to read saved graphics settings: " + error.message);
+    }
+
+    if (saved != null && typeof saved == "object")
+    {
+        if (typeof saved.shadows == "boolean")
+        {
+            graphicsSettings.shadows = saved.shadows;
+        }
+
+        if (typeof saved.fieldOfView == "number" && saved.fieldOfView >= MIN_FIELD_OF_VIEW && saved.fieldOfView <= MAX_FIELD_OF_VIEW)
+        {
+            graphicsSettings.fieldOfView = saved.fieldOfView;
+        }
+
+        if (RESOLUTION_SCALES[String(saved.resolutionScale)] !== undefined)
+        {
+            graphicsSettings.resolutionScale = saved.resolutionScale;
+        }
+    }
+
+    applyGraphicsSettings();
+}
+
+/**
+ * Function: saveGraphicsSettings
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Saves graphicsSettings to localStorage
+ */
+function saveGraphicsSettings()
+{
+    try
+    {
+        window.localStorage.setItem(GRAPHICS_SETTINGS_STORAGE_KEY, JSON.stringify(graphicsSettings));
+    }
+    catch (error)
+    {
+        console.error("Unable to save graphics settings: " + error.message);
+    }
+}
+
+/**
+ * Function: applyGraphicsSettings
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Turns the sun's shadows on or off. The field of view and resolution are
+ *              read by drawScene every frame.
+ */
+function applyGraphicsSettings()
+{
+    sunLight.castsShadows = graphicsSettings.shadows;
+    cockpitSunLight.castsShadows = graphicsSettings.shadows;
+}
+
+/**
+ * Function: handleMenuKey
+ *
+ * Input: KeyboardEvent event
+ * Output: Boolean
+ *
+ * Description: Opens or closes the pause menu on MENU_KEY_CODE, and passes keys to the key
+ *              bindings screen while it is open. Returns true if the menus used the key, in
+ *              which case it should not reach the game. Every key is kept from the game while
+ *              it is paused.
+ */
+function handleMenuKey(event)
+{
+    if (handleKeyBindingsScreenKey(event))
+    {
+        return true;
+    }
+
+    if (event.code == MENU_KEY_CODE)
+    {
+        if (pauseMenu != null)
+        {
+            closePauseMenu();
+        }
+        else
+        {
+            openPauseMenu();
+        }
+
+        return true;
+    }
+
+    return pauseMenu != null;
+}
+
+/**
+ * Function: openPauseMenu
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Halts the simulation and shows the pause menu over the game. Every held
+ *              action is let go so nothing is still accelerating on resume, unless a
+ *              recording is being replayed, and the mouse is released so the menu can be
+ *              clicked. Does nothing if the menu is already open, or before the game loop
+ *              has been created.
+ */
+function openPauseMenu()
+{
+    if (pauseMenu != null || gameLoop == null)
+    {
+        return;
+    }
+
+    pauseGameLoop(gameLoop);
+
+    // A replay lets go of actions itself, when the recording did
+    if (activeReplay == null)
+    {
+        releaseAllActions();
+        performKeyActions();
+        recordInputEvent({type: "releaseAll"});
+    }
+
+    releaseMouseLook();
+
+    pauseMenu = document.createElement("div");
+    pauseMenu.id = "pauseMenu";
+    pauseMenu.className = "menu";
+    document.body.appendChild(pauseMenu);
+
+    drawPauseMenu();
+}
+
+/**
+ * Function: closePauseMenu
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Removes the pause menu and the key bindings screen if it is open, and
+ *              resumes the simulation. The mouse is left free, as the browser only lets it
+ *              be captured again from a click, such as on the Resume button or the hud.
+ */
+function closePauseMenu()
+{
+    if (keyBindingsScreen != null)
+    {
+        closeKeyBindingsScreen();
+    }
+
+    document.body.removeChild(pauseMenu);
+    pauseMenu = null;
+
+    hasGameStarted = true;
+    resumeGameLoop(gameLoop);
+}
+
+/**
+ * Function: drawPauseMenu
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Fills the pause menu with a button to resume, a button to open the key
+ *              bindings screen, the controls, the saved games, the recordings, and the
+ *              graphics and mouse settings
+ */
+function drawPauseMenu()
+{
+    pauseMenu.innerHTML = "";
+
+    let title = document.createElement("h2");
+    let resumeButton = document.createElement("button");
+
+    if (hasGameStarted)
+    {
+        title.textContent = "Paused";
+        resumeButton.textContent = "Resume (" + getKeyName(MENU_KEY_CODE) + ")";
+    }
+    else
+    {
+        title.textContent = "Nimbus";
+        resumeButton.textContent = "Start";
+    }
+
+    pauseMenu.appendChild(title);
+
+    resumeButton.addEventListener("click", function() {
+
+        closePauseMenu();
+        captureMouseLook();
+    });
+    pauseMenu.appendChild(resumeButton);
+
+    let keyBindingsButton = document.createElement("button");
+    keyBindingsButton.textContent = "Change key bindings";
+    keyBindingsButton.addEventListener("click", openKeyBindingsScreen);
+    pauseMenu.appendChild(keyBindingsButton);
+
+    addControlsReference(pauseMenu);
+    addSaveSlots(pauseMenu);
+    addReplayControls(pauseMenu);
+    addGraphicsSettings(pauseMenu);
+    addMouseLookSettings(pauseMenu);
+}
+
+/**
+ * Function: addControlsReference
+ *
+ * Input: HTMLElement container
+ * Output: None
+ *
+ * Description: Adds a table of the key bound to every action to the end of container, one
+ *              for each thing the player can be doing, followed by the controls that can
+ *              not be rebound
+ */
+function addControlsReference(container)
+{
+    let contexts = [INPUT_CONTEXT_PILOTING, INPUT_CONTEXT_WALKING, INPUT_CONTEXT_SPACEWALKING];
+
+    for (let i = 0; i < contexts.length; i++)
+    {
+        let title = document.createElement("h3");
+        title.textContent = contexts[i];
+        container.appendChild(title);
+
+        let table = document.createElement("table");
+        container.appendChild(table);
+
+        for (let action in inputActions)
+        {
+            if (inputActions[action].contexts.indexOf(contexts[i]) == -1)
+            {
+                continue;
+            }
+
+            let row = document.createElement("tr");
+            table.appendChild(row);
+
+            addKeyBindingsCell(row, getKeyName(inputActions[action].code));
+            addKeyBindingsCell(row, inputActions[action].label);
+        }
+    }
+
+    let title = document.createElement("h3");
+    title.textContent = "Everywhere";
+    container.appendChild(title);
+
+    let table = document.createElement("table");
+    container.appendChild(table);
+
+    let fixedControls = [
+
+        ["Mouse", "Click the view to capture the mouse, then move it to look around"],
+        ["Gamepad", "Sticks to steer and look, triggers to throttle, buttons as shown on the key bindings screen"],
+        ["Touch", "Drag on the left half to steer or walk, on the right half to look around, and use the buttons on the right edge"],
+        [getKeyName(MENU_KEY_CODE), "Pause and open this menu"],
+    ];
+
+    for (let i = 0; i < fixedControls.length; i++)
+    {
+        let row = document.createElement("tr");
+        table.appendChild(row);
+
+        addKeyBindingsCell(row, fixedControls[i][0]);
+        addKeyBindingsCell(row, fixedControls[i][1]);
+    }
+}
+
+/**
+ * Function: addGraphicsSettings
+ *
+ * Input: HTMLElement container
+ * Output: None
+ *
+ * Description: Adds controls for shadows, the field of view and the resolution to the end
+ *              of container. Changes are applied and saved as soon as they are made.
+ */
+function addGraphicsSettings(container)
+{
+    let title = document.createElement("h3");
+    title.textContent = "Graphics";
+    container.appendChild(title);
+
+    let shadowsLabel = document.createElement("label");
+    shadowsLabel.textContent = "Shadows ";
+    container.appendChild(shadowsLabel);
+
+    let shadowsInput = document.createElement("input");
+    shadowsInput.type = "checkbox";
+    shadowsInput.checked = graphicsSettings.shadows;
+
+    // Shadows need depth textures
+    if (depthTextureExtension == null)
+    {
+        shadowsInput.disabled = true;
+        shadowsLabel.title = "Not supported by this browser";
+    }
+
+    shadowsInput.addEventListener("change", function() {
+
+        graphicsSettings.shadows = shadowsInput.checked;
+        applyGraphicsSettings();
+        saveGraphicsSettings();
+    });
+    shadowsLabel.appendChild(shadowsInput);
+
+    container.appendChild(document.createElement("br"));
+
+    let fieldOfViewLabel = document.createElement("label");
+    fieldOfViewLabel.textContent = "Field of view ";
+    container.appendChild(fieldOfViewLabel);
+
+    let fieldOfViewInput = document.createElement("input");
+    fieldOfViewInput.type = "number";
+    fieldOfViewInput.min = String(MIN_FIELD_OF_VIEW);
+    fieldOfViewInput.max = String(MAX_FIELD_OF_VIEW);
+    fieldOfViewInput.step = "5";
+    fieldOfViewInput.value = String(graphicsSettings.fieldOfView);
+    fieldOfViewInput.addEventListener("change", function() {
+
+        let value = parseFloat(fieldOfViewInput.value);
+
+        if (value >= MIN_FIELD_OF_VIEW && value <= MAX_FIELD_OF_VIEW)
+        {
+            graphicsSettings.fieldOfView = value;
+            saveGraphicsSettings();
+        }
+    });
+    fieldOfViewLabel.appendChild(fieldOfViewInput);
+
+    container.appendChild(document.createElement("br"));
+
+    let resolutionLabel = document.createElement("label");
+    resolutionLabel.textContent = "Resolution ";
+    container.appendChild(resolutionLabel);
+
+    let resolutionInput = document.createElement("select");
+
+    for (let scale in RESOLUTION_SCALES)
+    {
+        let option = document.createElement("option");
+        option.value = scale;
+        option.textContent = RESOLUTION_SCALES[scale];
+        option.selected = parseFloat(scale) == graphicsSettings.resolutionScale;
+        resolutionInput.appendChild(option);
+    }
+
+    resolutionInput.addEventListener("change", function() {
+
+        graphicsSettings.resolutionScale = parseFloat(resolutionInput.value);
+        saveGraphicsSettings();
+    });
+    resolutionLabel.appendChild(resolutionInput);
+}
@@ -97,6 +97,7 @@ function loadShader(type, code) {
 //
 // Initialize a texture and load an image.
 // When the image finished loading copy it into the texture.
+// If it cannot be loaded, the failure is reported and the texture stays blue.
 //
 function loadTexture(textureData)
 {
@@ -104,7 +105,7 @@ function loadTexture(textureData)
     {
         return (value & (value - 1)) == 0;
     }*/
-    
+
     let texture = ctx.createTexture();
     ctx.bindTexture(ctx.TEXTURE_2D, texture);
   
@@ -121,10 +122,8 @@ function loadTexture(textureData)
                   width, height, border, srcFormat, srcType,
                   pixel);
 
-    
-  
-    const image = new Image();
-    image.onload = function() {
+    trackAsset(textureData.url, loadImage(textureData.url), false).then(function(image) {
+
         ctx.bindTexture(ctx.TEXTURE_2D, texture);
         ctx.texImage2D(ctx.TEXTURE_2D, level, internalFormat,
                     srcFormat, srcType, image);
@@ -134,9 +133,10 @@ function loadTexture(textureData)
         ctx.texParameteri(ctx.TEXTURE_2D, ctx.TEXTURE_WRAP_T, ctx.CLAMP_TO_EDGE);
         ctx.texParameteri(ctx.TEXTURE_2D, ctx.TEXTURE_MIN_FILTER, ctx.LINEAR);
         
-    };
-    image.crossOrigin = "";
-    image.src = textureData.url;
+    }).catch(function() {
+
+        // Already reported by trackAsset
+    });
   
     textureData.texture = texture;
 }
@@ -190,60 +190,45 @@ function initBuffers(model) {
     //Pass in element index data
     ctx.bufferData(ctx.ELEMENT_ARRAY_BUFFER, new Uint16Array(model.drawPointIndices), ctx.STATIC_DRAW);
 
-    model.buffers = {
+    //Texture coordinates and tangents are only needed by models that can have a material
+    let uvBuffer = null;
+    let tangentBuffer = null;
 
-        vertex: vertexBuffer,
-        color: colorBuffer,
-        normal: normalBuffer,
-        drawPoint: drawPointBuffer,
-    };
-}
+    if (model.uvValues !== undefined) {
 
-/**
- * Function: initSkyBoxBuffers
- * 
- * Input: WebGLRenderingContext ctx, model model,
- * Output: Collection of WebGLRenderingContext buffer data
- * 
- * Description: This function takes the given model, and creates buffers for them
- *              and places the appropriate data in these buffers. It creates a buffer
- *              for vertex position data, a buffer for vertex normals, a buffer for
- *              vertex colors, and a buffer for vertex indices.
- */
- function initSkyBoxBuffers(model) {
-
-    //Create pointer to a new buffer
-    let vertexBuffer = ctx.createBuffer();
-
-    //Bind buffer to array buffer
-    ctx.bindBuffer(ctx.ARRAY_BUFFER, vertexBuffer);
+        //Create pointer to a new buffer
+        uvBuffer = ctx.createBuffer();
 
-    //Pass in the vertex data
-    ctx.bufferData(ctx.ARRAY_BUFFER, new Float32Array(model.vertexValues), ctx.STATIC_DRAW);
+        //Bind buffer to array buffer
+        ctx.bindBuffer(ctx.ARRAY_BUFFER, uvBuffer);
 
-    //Create pointer to a new buffer
-    let uvBuffer = ctx.createBuffer();
+        //Pass in uv data
+        ctx.bufferData(ctx.ARRAY_BUFFER, new Float32Array(model.uvValues), ctx.STATIC_DRAW);
 
-    //Bind buffer to array buffer
-    ctx.bindBuffer(ctx.ARRAY_BUFFER, uvBuffer);
+        //Tangents let normal maps be turned from texture space into model space
+        if (model.tangentValues === undefined) {
 
-    //Pass in the uv data
-    ctx.bufferData(ctx.ARRAY_BUFFER, new Float32Array(model.uvValues), ctx.STATIC_DRAW);
+            model.tangentValues = computeTangents(model);
+        }
 
-    //Create pointer to a new buffer
-    let drawPointBuffer = ctx.createBuffer();
+        //Create pointer to a new buffer
+        tangentBuffer = ctx.createBuffer();
 
-    //Bind the buffer to element buffer
-    ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, drawPointBuffer);
+        //Bind buffer to array buffer
+        ctx.bindBuffer(ctx.ARRAY_BUFFER, tangentBuffer);
 
-    //Pass in element index data
-    ctx.bufferData(ctx.ELEMENT_ARRAY_BUFFER, new Uint16Array(model.drawPointIndices), ctx.STATIC_DRAW);
+        //Pass in tangent data
+        ctx.bufferData(ctx.ARRAY_BUFFER, new Float32Array(model.tangentValues), ctx.STATIC_DRAW);
+    }
 
     model.buffers = {
 
         vertex: vertexBuffer,
-        uv: uvBuffer,
+        color: colorBuffer,
+        normal: normalBuffer,
         drawPoint: drawPointBuffer,
+        uv: uvBuffer,
+        tangent: tangentBuffer,
     };
 }
 
@@ -254,7 +239,8 @@ function initBuffers(model) {
  * Output: None
  * 
  * Description: Clears the canvas, then draws a horizontal and vertical white line on the 
- *              2D hud canvas at the center of the screen
+ *              2D hud canvas at the center of the screen, and the flight instruments and
+ *              touch controls around it
  */
 function drawHUD() {
 
@@ -275,6 +261,9 @@ function drawHUD() {
     //Draw the lines, white
     hudCtx.strokeStyle = 'white';
     hudCtx.stroke();
+
+    drawFlightInstruments();
+    drawTouchControls();
 }
 
 /**
@@ -293,8 +282,8 @@ function drawScene() {
 
     let ship = player.boardedShip;
     
-    ctx.canvas.width = ctx.canvas.clientWidth;   //Resize canvas to fit CSS styling
-    ctx.canvas.height = ctx.canvas.clientHeight;
+    ctx.canvas.width = Math.round(ctx.canvas.clientWidth * graphicsSettings.resolutionScale);   //Resize canvas to fit CSS styling, at the chosen resolution
+    ctx.canvas.height = Math.round(ctx.canvas.clientHeight * graphicsSettings.resolutionScale);
 
     ctx.viewport(0, 0, ctx.canvas.width, ctx.canvas.height); //Resize viewport
 
@@ -312,37 +301,66 @@ function drawScene() {
     ctx.cullFace(ctx.BACK);
 
     //Compute projection matrix based on new window size
-    mat4.perspective(projectionMatrix, 45 * Math.PI / 180, ctx.canvas.width / ctx.canvas.height, 0.1, 1000.0);
+    mat4.perspective(projectionMatrix, graphicsSettings.fieldOfView * Math.PI / 180, ctx.canvas.width / ctx.canvas.height, 0.1, 1000.0);
+
+    // Aboard a ship the view is framed by the ship, while spacewalking it is framed by the player's own orientation
+    if (ship != null)
+    {
+        quat.conjugate(inverseFrameOrientation, ship.orientation);
+    }
+    else
+    {
+        quat.conjugate(inverseFrameOrientation, player.orientation);
+    }
+
+    // Compute frameRotationMatrix, rotating the whole world in the opposite direction the frame is facing
+    mat4.fromQuat(frameRotationMatrix, inverseFrameOrientation);
 
     // Compute skyBoxRotationMatrix
     mat4.identity(skyBoxRotationMatrix);
-    mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, player.pitchAngle * -1.0, XAXIS); // Fifth transform, rotate the whole world around x axis (in the opposite direction the player is facing)
-    mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, player.yawAngle * -1.0, YAXIS); // Fourth transform, rotate the whole world around y axis (in the opposite direction the player is facing)
-    mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, ship.rollAngle * -1.0, ZAXIS); // Third transform, rotate whole world around z axis (in the opposite direction the ship is facing)
-    mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, ship.pitchAngle * -1.0, XAXIS); //Second transform, rotate whole world around x axis (in the opposite direction the ship is facing)
-    mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, ship.yawAngle * -1.0, YAXIS); //First transform, rotate whole world around y axis (in the opposite direction the ship is facing)
+    mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, player.pitchAngle * -1.0, XAXIS); // Third transform, rotate the whole world around x axis (in the opposite direction the player is facing)
+    mat4.rotate(skyBoxRotationMatrix, skyBoxRotationMatrix, player.yawAngle * -1.0, YAXIS); // Second transform, rotate the whole world around y axis (in the opposite direction the player is facing)
+    mat4.multiply(skyBoxRotationMatrix, skyBoxRotationMatrix, frameRotationMatrix); // First transform, rotate whole world in the opposite direction the frame is facing
 
     // Compute shipInteriorViewMatrix
     mat4.identity(shipInteriorViewMatrix);
     mat4.rotate(shipInteriorViewMatrix, shipInteriorViewMatrix, player.pitchAngle * -1.0, XAXIS); // Seventh transform, rotate whole world around x axis (in the opposite direction the player is facing)
     mat4.rotate(shipInteriorViewMatrix, shipInteriorViewMatrix, player.yawAngle * -1.0, YAXIS); //Sixth transform, rotate whole world around y axis (in the opposite direction the player is facing)
-    vec3.set(translation, player.x * -1.0, player.y * -1.0, player.z * -1.0);
-    mat4.translate(shipInteriorViewMatrix, shipInteriorViewMatrix, translation); //Fifth transform, move whole world away from player
 
     //Compute worldViewMatrix
-    mat4.copy(worldViewMatrix, shipInteriorViewMatrix);
-    mat4.rotate(worldViewMatrix, worldViewMatrix, ship.rollAngle * -1.0, ZAXIS); // Fourth transform, rotate whole world around z axis (in the opposite direction the ship is facing)
-    mat4.rotate(worldViewMatrix, worldViewMatrix, ship.pitchAngle * -1.0, XAXIS); // Third transform, rotate whole world around x axis (in the opposite direction the ship is facing)
-    mat4.rotate(worldViewMatrix, worldViewMatrix, ship.yawAngle * -1.0, YAXIS); //Second transform, rotate whole world around y axis (in the opposite direction the ship is facing)
-    vec3.set(translation, ship.x * -1.0, ship.y * -1.0, ship.z * -1.0);
-    mat4.translate(worldViewMatrix, worldViewMatrix, translation); //First transform, move whole world away from ship
+    if (ship != null)
+    {
+        vec3.set(translation, player.x * -1.0, player.y * -1.0, player.z * -1.0);
+        mat4.translate(shipInteriorViewMatrix, shipInteriorViewMatrix, translation); //Fifth transform, move whole world away from player
 
-    // Render the skybox
-    for (panel in skyBoxModels)
+        mat4.copy(worldViewMatrix, shipInteriorViewMatrix);
+        mat4.multiply(worldViewMatrix, worldViewMatrix, frameRotationMatrix); //Second transform, rotate whole world in the opposite direction the ship is facing
+        vec3.set(translation, ship.x * -1.0, ship.y * -1.0, ship.z * -1.0);
+        mat4.translate(worldViewMatrix, worldViewMatrix, translation); //First transform, move whole world away from ship
+    }
+    else
     {
-        drawSkyBoxPanel(skyBoxModels[panel]);
+        mat4.copy(worldViewMatrix, shipInteriorViewMatrix);
+        mat4.multiply(worldViewMatrix, worldViewMatrix, frameRotationMatrix); //Second transform, rotate whole world in the opposite direction the player's frame is facing
+        vec3.set(translation, player.x * -1.0, player.y * -1.0, player.z * -1.0);
+        mat4.translate(worldViewMatrix, worldViewMatrix, translation); //First transform, move whole world away from player
     }
 
+    // Keep the sunlight coming in through the cockpit windows pointing the same way as the sun outside
+    if (ship != null && sunLight != null && cockpitSunLight != null)
+    {
+        vec3.transformQuat(cockpitSunLight.direction, sunLight.direction, inverseFrameOrientation);
+    }
+
+    //Render the depth of everything near the player as the sun sees it
+    renderShadowMaps();
+
+    //Send the current lights to the lit shaders
+    uploadSceneLights();
+
+    // Render the skybox
+    drawSkybox(skyBox, projectionMatrix, skyBoxRotationMatrix);
+
     ctx.clear(ctx.DEPTH_BUFFER_BIT);
 
     //Render all interior objects
@@ -353,10 +371,30 @@ function drawScene() {
 
     ctx.clear(ctx.DEPTH_BUFFER_BIT);
 
-    //Render all exterior objects
-    for (object in exteriorObjects) {
+    //Skip exterior objects outside the view frustum
+    computeFrustumPlanes(projectionMatrix, worldViewMatrix);
+    cullSpatialIndex(exteriorSpatialIndex, visibleExteriorObjects);
+
+    //Render visible exterior objects, batched by model if instancing is supported
+    if (instancingExtension != null) {
 
-        drawExteriorObject(exteriorObjects[object]);
+        drawExteriorObjectsInstanced(visibleExteriorObjects);
+    }
+    else {
+
+        for (let i = 0; i < visibleExteriorObjects.length; i++) {
+
+            drawExteriorObject(visibleExteriorObjects[i]);
+        }
+    }
+
+    //Render the hull of every ship the player is not inside of
+    for (let i = 0; i < ships.length; i++) {
+
+        if (ships[i] != ship) {
+
+            drawShipExterior(ships[i]);
+        }
     }
 
     ctx.clear(ctx.DEPTH_BUFFER_BIT);
@@ -368,48 +406,6 @@ function drawScene() {
     }
 }
 
-/**
- * Function: drawSkyboxPanel
- * 
- * Input: WebGLRenderingContext ctx, Object panel
- * Output: None
- * 
- * Description: Handles drawing a specific object in the frame
- */
-
- function drawSkyBoxPanel(panel) {
- 
-    let ship = player.boardedShip;
-    
-    //Tell WebGL to use the shader program
-    ctx.useProgram(skyBoxShader.program);
-    
-    //Set worldview and projection uniforms
-    ctx.uniformMatrix4fv(skyBoxShader.uniforms.projectionMatrix, false, projectionMatrix);
-    ctx.uniformMatrix4fv(skyBoxShader.uniforms.worldViewMatrix, false, skyBoxRotationMatrix);
-
-    //Instruct WebGL how to pull out vertices
-    ctx.bindBuffer(ctx.ARRAY_BUFFER, panel.buffers.vertex);
-    ctx.vertexAttribPointer(skyBoxShader.attributes.vertexPosition, 3, ctx.FLOAT, false, 0, 0); //Pull out 3 values at a time, no offsets
-    ctx.enableVertexAttribArray(skyBoxShader.attributes.vertexPosition); //Enable the pointer to the buffer
-
-    //Instruct WebGL how to pull out texture coordinates
-    ctx.bindBuffer(ctx.ARRAY_BUFFER, panel.buffers.uv);
-    ctx.vertexAttribPointer(skyBoxShader.attributes.textureCoordinates, 2, ctx.FLOAT, false, 0, 0);
-    ctx.enableVertexAttribArray(skyBoxShader.attributes.textureCoordinates);
-
-    //Instruct WebGL on which texture to use
-    ctx.activeTexture(ctx.TEXTURE0);
-    ctx.bindTexture(ctx.TEXTURE_2D, panel.texture);
-    ctx.uniform1i(skyBoxShader.uniforms.uSampler, 0);
-
-    //Give WebGL the element array
-    ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, panel.buffers.drawPoint);
-
-    //Draw triangles
-    ctx.drawElements(ctx.TRIANGLES, panel.drawPointCount, ctx.UNSIGNED_SHORT, 0);
- }
-
 /**
  * Function: drawObject
  * 
@@ -464,6 +460,9 @@ function drawScene() {
     //Give WebGL the element array
     ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, object.model.buffers.drawPoint);
 
+    //Set up the model's textures, or fall back to vertex colors
+    bindMaterial(shipExteriorShader, object.model);
+
     //Set the uniforms
     ctx.uniformMatrix4fv(shipExteriorShader.uniforms.modelViewMatrix, false, modelViewMatrix);
     ctx.uniformMatrix4fv(shipExteriorShader.uniforms.normalMatrix, false, normalMatrix);
@@ -517,6 +516,9 @@ function drawScene() {
     //Give WebGL the element array
     ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, object.model.buffers.drawPoint);
 
+    //Set up the model's textures, or fall back to vertex colors
+    bindMaterial(shipInteriorShader, object.model);
+
     //Set the uniforms
     ctx.uniformMatrix4fv(shipInteriorShader.uniforms.modelViewMatrix, false, modelViewMatrix);
     ctx.uniformMatrix4fv(shipInteriorShader.uniforms.normalMatrix, false, normalMatrix);
@@ -561,6 +563,9 @@ function drawScene() {
     //Give WebGL the element array
     ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, model.buffers.drawPoint);
 
+    //Set up the model's textures, or fall back to vertex colors
+    bindMaterial(shipInteriorShader, model);
+
     //Set the uniforms
     ctx.uniformMatrix4fv(shipInteriorShader.uniforms.modelViewMatrix, false, modelViewMatrix);
     ctx.uniformMatrix4fv(shipInteriorShader.uniforms.normalMatrix, false, normalMatrix);
@@ -570,54 +575,95 @@ function drawScene() {
  }
 
 /**
- * Function: updateMouse
+ * Function: drawShipExterior
  * 
- * Input: KeyboardEvent event
+ * Input: ship ship
  * Output: None
  * 
- * Description: Updates lastMousePosition, and uses the change in mouse position to
- *              update the direction that the player is facing by calling pithcUp
- *              and yawRight
+ * Description: Draws the exterior model of a ship at the ship's position and orientation
  */
-function updateMouse(event) {
+function drawShipExterior(ship) {
 
-    //If the mouse is not in the window, record coordinates, set that it is in window, and return
-    if (!lastMousePosition.inWindow) {
-     
-        lastMousePosition.x = event.offsetX; //record x
-        lastMousePosition.y = event.offsetY; //record y
-        lastMousePosition.inWindow = true; //Set that mouse is in window
+    const model = ship.exteriorModel;
 
-        return;
-	}
+    //Tell WebGL to use the shader program
+    ctx.useProgram(shipExteriorShader.program);
 
-    //Record change in x and y
-    let deltaX = event.offsetX - lastMousePosition.x;
-    let deltaY = event.offsetY - lastMousePosition.y;
+    //Set worldview and projection uniforms
+    ctx.uniformMatrix4fv(shipExteriorShader.uniforms.projectionMatrix, false, projectionMatrix);
+    ctx.uniformMatrix4fv(shipExteriorShader.uniforms.worldViewMatrix, false, worldViewMatrix);
 
-    //Update mouse position
-    lastMousePosition.x = event.offsetX;
-    lastMousePosition.y = event.offsetY;
+    //Compute new model view matrix from the ship orientation and position
+    vec3.set(translation, ship.x, ship.y, ship.z);
+    mat4.fromRotationTranslation(modelViewMatrix, ship.orientation, translation);
 
-    //console.log("deltaX: " + deltaX + " deltaY: " + deltaY);
+    //Compute new normals matrix
+    mat4.invert(normalMatrix, modelViewMatrix);
+    mat4.transpose(normalMatrix, normalMatrix);
 
-    //Yaw and pitch based on change in x and y
-    pitchUp(deltaY * -0.01);
-    yawRight(deltaX * -0.01);
+    //Instruct WebGL how to pull out vertices
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, model.buffers.vertex);
+    ctx.vertexAttribPointer(shipExteriorShader.attributes.vertexPosition, 3, ctx.FLOAT, false, 0, 0); //Pull out 3 values at a time, no offsets
+    ctx.enableVertexAttribArray(shipExteriorShader.attributes.vertexPosition); //Enable the pointer to the buffer
+
+    //Instruct WebGL how to pull out colors
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, model.buffers.color);
+    ctx.vertexAttribPointer(shipExteriorShader.attributes.vertexColor, 4, ctx.FLOAT, false, 0, 0); //Pull out 4 values at a time, no offsets
+    ctx.enableVertexAttribArray(shipExteriorShader.attributes.vertexColor); //Enable the pointer to the buffer
+
+    //Instruct WebGL how to pull out normals
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, model.buffers.normal);
+    ctx.vertexAttribPointer(shipExteriorShader.attributes.vertexNormal, 3, ctx.FLOAT, false, 0, 0); //Pull out 3 values at a time, no offsets
+    ctx.enableVertexAttribArray(shipExteriorShader.attributes.vertexNormal); //Enable the pointer to the buffer
+
+    //Give WebGL the element array
+    ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, model.buffers.drawPoint);
+
+    //Set up the model's textures, or fall back to vertex colors
+    bindMaterial(shipExteriorShader, model);
+
+    //Set the uniforms
+    ctx.uniformMatrix4fv(shipExteriorShader.uniforms.modelViewMatrix, false, modelViewMatrix);
+    ctx.uniformMatrix4fv(shipExteriorShader.uniforms.normalMatrix, false, normalMatrix);
+
+    //Draw triangles
+    ctx.drawElements(ctx.TRIANGLES, model.drawPointCount, ctx.UNSIGNED_SHORT, 0);
 }
 
 /**
- * Function: mouseLeave
+ * Function: lookAround
  * 
- * Input: KeyboardEvent event
+ * Input: Double yawAngle, Double pitchAngle
+ * Output: None
+ * 
+ * Description: Called by mouse look whenever the mouse moves while the pointer is locked.
+ *              Records the movement if a recording is being made, then turns the view.
+ *              Ignored while a recording is replayed, which turns the view itself.
+ */
+function lookAround(yawAngle, pitchAngle) {
+
+    if (activeReplay != null) {
+
+        return;
+    }
+
+    recordInputEvent({type: "look", yaw: yawAngle, pitch: pitchAngle});
+    turnView(yawAngle, pitchAngle);
+}
+
+/**
+ * Function: turnView
+ * 
+ * Input: Double yawAngle, Double pitchAngle
  * Output: None
  * 
- * Description: Sets lastMousePosition to false. This function should be called
- *              in the event the mouse leaves the window.
+ * Description: Updates the direction that the player is facing by calling pitchUp
+ *              and yawRight.
  */
-function mouseLeave(event) {
+function turnView(yawAngle, pitchAngle) {
 
-    lastMousePosition.inWindow = false;
+    pitchUp(pitchAngle);
+    yawRight(yawAngle);
 }
 
 /**
@@ -626,11 +672,10 @@ function mouseLeave(event) {
  * Input: KeyboardEvent event
  * Output: None
  * 
- * Description: This function parses which key triggered the event,
- *              and whether the key had already been pressed. If the
- *              key was not already pressed, it sets that key to pressed,
- *              then calls updatePlayerSpeed to update the speed and
- *              direction in which the player is moving.
+ * Description: This function parses which key triggered the event and passes
+ *              it to pressKey, recording it if a recording is being made. Keys
+ *              used by the menus do not reach the game, and neither does any key
+ *              while a recording is replayed.
  */
 function parseDownKey(event) {
 
@@ -638,27 +683,54 @@ function parseDownKey(event) {
 
     //console.log("Key Down: " + code);
 
-    //Find which key was pressed down
-    for (key in keys) {
+    if (handleMenuKey(event) || activeReplay != null) {
 
-        //If the code of the key pressed matches
-        if (code == keys[key].code) {
+        return;
+    }
 
-            //If key was not already down
-            if (!(keys[key].down)) {
+    if (pressKey(code)) {
 
-                //Update that key is down
-                keys[key].down = true;
+        recordInputEvent({type: "keyDown", code: code});
+    }
+}
 
-                //Perform actions for when keys are pressed
-                performKeyActions();
-            }
-            else {
+/**
+ * Function: pressKey
+ * 
+ * Input: String code
+ * Output: Boolean
+ * 
+ * Description: Marks every action bound to the key with the physical code
+ *              that was not already held, and can be used in what the player is
+ *              doing, as held, then calls performKeyActions to update the speed and
+ *              direction in which the player is moving. Actions of other contexts
+ *              sharing the key are left alone, so they do not go off once the
+ *              player switches to them. Returns whether any action was changed.
+ */
+function pressKey(code) {
 
-                return;
-            }
-        } 
+    let changed = false;
+    let context = getInputContext();
+
+    //Find which actions the key is bound to
+    for (action in inputActions) {
+
+        //If the action is bound to the key, can be used right now, and was not already held
+        if (code == inputActions[action].code && inputActions[action].contexts.indexOf(context) != -1 && !inputActions[action].down) {
+
+            //Update that the action is held
+            inputActions[action].down = true;
+            changed = true;
+        }
+    }
+
+    //Perform actions for when keys are pressed
+    if (changed) {
+
+        performKeyActions();
     }
+
+    return changed;
 }
 
 /**
@@ -667,11 +739,9 @@ function parseDownKey(event) {
  * Input: KeyboardEvent event
  * Output: None
  * 
- * Description: This function parses which key triggered the up event,
- *              and whether the key had already been let go. If the
- *              key was not already let go, it sets that key to not pressed,
- *              then calls updatePlayerSpeed to update the speed and
- *              direction in which the player is moving.
+ * Description: This function parses which key triggered the up event and
+ *              passes it to releaseKey, recording it if a recording is being
+ *              made. Ignored while a recording is replayed.
  */
 function parseUpKey(event) {
 
@@ -679,27 +749,51 @@ function parseUpKey(event) {
 
     //console.log("Key Up: " + code);
 
-    //Find which key was released
-    for (key in keys) {
+    if (activeReplay != null) {
 
-        //If the code of the key released matches
-        if (code == keys[key].code) {
+        return;
+    }
 
-            //If key was already down
-            if (keys[key].down) {
+    if (releaseKey(code)) {
 
-                //Update that key is up
-                keys[key].down = false;
+        recordInputEvent({type: "keyUp", code: code});
+    }
+}
 
-                //Perform actions for when keys are pressed
-                performKeyActions();
-            }
-            else {
+/**
+ * Function: releaseKey
+ * 
+ * Input: String code
+ * Output: Boolean
+ * 
+ * Description: Marks every action bound to the key with the physical code
+ *              that was held as no longer held, then calls performKeyActions
+ *              to update the speed and direction in which the player is moving.
+ *              Returns whether any action was changed.
+ */
+function releaseKey(code) {
 
-                return;
-            }
-        } 
+    let changed = false;
+
+    //Find which actions the key is bound to
+    for (action in inputActions) {
+
+        //If the action is bound to the key, and was held
+        if (code == inputActions[action].code && inputActions[action].down) {
+
+            //Update that the action is no longer held
+            inputActions[action].down = false;
+            changed = true;
+        }
     }
+
+    //Perform actions for when keys are released
+    if (changed) {
+
+        performKeyActions();
+    }
+
+    return changed;
 }
 
 /**
@@ -712,28 +806,74 @@ function parseUpKey(event) {
  */
 function performKeyActions() {
 
-    // Update toggle status of F
-    if (keys.F.toggleSequence == 0)
+    // Update toggle status of the piloting switch
+    if (inputActions.togglePiloting.toggleSequence == 0)
     {
-        if (keys.F.down)
+        if (inputActions.togglePiloting.down)
         {
-            keys.F.toggleSequence = 1;
+            inputActions.togglePiloting.toggleSequence = 1;
         }
     }
-    else if (keys.F.toggleSequence == 1)
+    else if (inputActions.togglePiloting.toggleSequence == 1)
     {
-        if (!keys.F.down)
+        if (!inputActions.togglePiloting.down)
         {
             // Initiate toggle trigger
-            console.log("F key pressed once");
             togglePiloting();
 
-            keys.F.toggleSequence = 0;
+            inputActions.togglePiloting.toggleSequence = 0;
         }
     }
     else
     {
-        keys.F.toggleSequence = 0;
+        inputActions.togglePiloting.toggleSequence = 0;
+    }
+
+    // Update toggle status of the hatch, which only interacts while the player is on foot
+    if (inputActions.useHatch.toggleSequence == 0)
+    {
+        if (inputActions.useHatch.down)
+        {
+            inputActions.useHatch.toggleSequence = 1;
+        }
+    }
+    else if (inputActions.useHatch.toggleSequence == 1)
+    {
+        if (!inputActions.useHatch.down)
+        {
+            if (!player.isPiloting)
+            {
+                useHatch();
+            }
+
+            inputActions.useHatch.toggleSequence = 0;
+        }
+    }
+    else
+    {
+        inputActions.useHatch.toggleSequence = 0;
+    }
+
+    // Update toggle status of targeting, which targets the next radar contact
+    if (inputActions.nextTarget.toggleSequence == 0)
+    {
+        if (inputActions.nextTarget.down)
+        {
+            inputActions.nextTarget.toggleSequence = 1;
+        }
+    }
+    else if (inputActions.nextTarget.toggleSequence == 1)
+    {
+        if (!inputActions.nextTarget.down)
+        {
+            selectNextRadarTarget();
+
+            inputActions.nextTarget.toggleSequence = 0;
+        }
+    }
+    else
+    {
+        inputActions.nextTarget.toggleSequence = 0;
     }
     
     // If the player is piloting a ship, do ship movement
@@ -741,6 +881,10 @@ function performKeyActions() {
 
         updateShipAccel();
     }
+    else if (player.boardedShip == null)
+    {
+        updatePlayerThrust();
+    }
     else
     {
         updatePlayerSpeed();
@@ -758,6 +902,12 @@ function performKeyActions() {
  */
 function togglePiloting()
 {
+    // There is nothing to pilot while spacewalking
+    if (player.boardedShip == null)
+    {
+        return;
+    }
+
     // If the player is piloting, turn piloting off
     if (player.isPiloting)
     {
@@ -770,6 +920,8 @@ function togglePiloting()
         player.boardedShip.yawAccel = 0.0;
         player.boardedShip.isPressingPitch = false;
         player.boardedShip.pitchAccel = 0.0;
+        player.boardedShip.isPressingRoll = false;
+        player.boardedShip.rollAccel = 0.0;
         
     }
     else
@@ -781,12 +933,162 @@ function togglePiloting()
         player.upSpeed = 0.0;
         player.forwardSpeed = 0.0;
 
+        // Sit back down in the pilot seat
+        player.x = player.boardedShip.pilotSeat[0];
+        player.y = player.boardedShip.pilotSeat[1];
+        player.z = player.boardedShip.pilotSeat[2];
+
         // Snap player view forward
         player.yawAngle = 0.0;
         player.pitchAngle = 0.0;
     }
 }
 
+/**
+ * Function: useHatch
+ * 
+ * Input: None
+ * Output: None
+ * 
+ * Description: If the player is aboard a ship and standing by its hatch, they leave
+ *              the ship. If the player is spacewalking, they board the first ship
+ *              whose hatch they are close enough to.
+ */
+function useHatch()
+{
+    if (player.boardedShip != null)
+    {
+        const ship = player.boardedShip;
+
+        if (vec3.distance([player.x, player.y, player.z], ship.hatchInterior) <= ship.hatchRange)
+        {
+            leaveShip();
+        }
+
+        return;
+    }
+
+    for (let i = 0; i < ships.length; i++)
+    {
+        getShipPointInWorld(hatchWorldPosition, ships[i], ships[i].hatchExterior);
+
+        if (vec3.distance([player.x, player.y, player.z], hatchWorldPosition) <= ships[i].hatchRange)
+        {
+            boardShip(ships[i]);
+            return;
+        }
+    }
+}
+
+/**
+ * Function: leaveShip
+ * 
+ * Input: None
+ * Output: None
+ * 
+ * Description: Moves the player out through the hatch of the boarded ship and
+ *              into open space. The player keeps the ship's velocity and the
+ *              direction they were looking.
+ */
+function leaveShip()
+{
+    const ship = player.boardedShip;
+
+    // Place the player outside the hatch in world space
+    getShipPointInWorld(playerWorldPosition, ship, ship.hatchExterior);
+    player.x = playerWorldPosition[0];
+    player.y = playerWorldPosition[1];
+    player.z = playerWorldPosition[2];
+
+    // View angles are now measured from the orientation the ship had when the player left
+    quat.copy(player.orientation, ship.orientation);
+
+    // Drift along with the ship
+    vec3.scale(player.velocity, ship.forwardVec, ship.forwardSpeed);
+
+    player.forwardSpeed = 0.0;
+    player.rightSpeed = 0.0;
+    player.upSpeed = 0.0;
+    player.isOnGround = false;
+
+    player.boardedShip = null;
+
+    // Pick up any movement keys that are already held down
+    updatePlayerThrust();
+}
+
+/**
+ * Function: boardShip
+ * 
+ * Input: ship ship
+ * Output: None
+ * 
+ * Description: Moves the spacewalking player in through the hatch of ship,
+ *              facing into the ship
+ */
+function boardShip(ship)
+{
+    player.boardedShip = ship;
+    player.isPiloting = false;
+
+    // Place the player just inside the hatch in ship interior space
+    player.x = ship.hatchInterior[0];
+    player.y = ship.hatchInterior[1];
+    player.z = ship.hatchInterior[2];
+
+    vec3.set(player.velocity, 0.0, 0.0, 0.0);
+    player.forwardThrust = 0.0;
+    player.rightThrust = 0.0;
+    player.upThrust = 0.0;
+
+    // Face into the ship
+    player.yawAngle = 0.0;
+    player.pitchAngle = 0.0;
+    yawRight(0.0);
+
+    // Pick up any movement keys that are already held down
+    updatePlayerSpeed();
+}
+
+/**
+ * Function: getShipPointInWorld
+ * 
+ * Input: vec3 out, ship ship, vec3 point
+ * Output: vec3 out
+ * 
+ * Description: Converts a point in ship space into world space
+ */
+function getShipPointInWorld(out, ship, point)
+{
+    vec3.transformQuat(out, point, ship.orientation);
+    out[0] += ship.x;
+    out[1] += ship.y;
+    out[2] += ship.z;
+
+    return out;
+}
+
+/**
+ * Function: getPlayerWorldPosition
+ * 
+ * Input: vec3 out
+ * Output: vec3 out
+ * 
+ * Description: Returns the position of the player's eyes in world space,
+ *              whether they are aboard a ship or spacewalking
+ */
+function getPlayerWorldPosition(out)
+{
+    vec3.set(out, player.x, player.y, player.z);
+
+    if (player.boardedShip != null)
+    {
+        getShipPointInWorld(out, player.boardedShip, out);
+    }
+
+    return out;
+}
+
 /**
  * Function: updateShipAccel
  * 
@@ -798,8 +1100,8 @@ function togglePiloting()
  */
 function updateShipAccel() {
 
-    //If both Q and E are down, or if neither of them are down
-    if ((keys.Q.down && keys.E.down) || !(keys.Q.down || keys.E.down)) {
+    //If both throttle up and throttle down are held, or if neither of them are held
+    if ((inputActions.throttleDown.down && inputActions.throttleUp.down) || !(inputActions.throttleDown.down || inputActions.throttleUp.down)) {
 
         //Set that accelerate button is not pressed
         player.boardedShip.isPressingAccelerate = false;
@@ -810,8 +1112,8 @@ function updateShipAccel() {
     }
     else {
 
-        //If E is the key that is down
-        if (keys.E.down) {
+        //If throttle up is the action that is held
+        if (inputActions.throttleUp.down) {
 
             //Set that accelerate button is pressed
             player.boardedShip.isPressingAccelerate = true;
@@ -829,8 +1131,8 @@ function updateShipAccel() {
         }
     }
 
-    //If both A and D are down, or if neither of them are down
-    if ((keys.A.down && keys.D.down) || !(keys.A.down || keys.D.down)) {
+    //If both yaw left and yaw right are held, or if neither of them are held
+    if ((inputActions.yawLeft.down && inputActions.yawRight.down) || !(inputActions.yawLeft.down || inputActions.yawRight.down)) {
 
         //Set that yaw accelerate button is not pressed
         player.boardedShip.isPressingYaw = false;
@@ -841,8 +1143,8 @@ function updateShipAccel() {
     }
     else {
 
-        //If A is the key that is down
-        if (keys.A.down) {
+        //If yaw left is the action that is held
+        if (inputActions.yawLeft.down) {
 
             //Set that yaw button is pressed
             player.boardedShip.isPressingYaw = true;
@@ -860,8 +1162,8 @@ function updateShipAccel() {
         }
     }
 
-    //If both W and S are down, or if neither of them are down
-    if ((keys.W.down && keys.S.down) || !(keys.W.down || keys.S.down)) {
+    //If both pitch down and pitch up are held, or if neither of them are held
+    if ((inputActions.pitchDown.down && inputActions.pitchUp.down) || !(inputActions.pitchDown.down || inputActions.pitchUp.down)) {
 
         //Set that pitch accelerate button is not pressed
         player.boardedShip.isPressingPitch = false;
@@ -872,8 +1174,8 @@ function updateShipAccel() {
     }
     else {
 
-        //If W is the key that is down
-        if (keys.W.down) {
+        //If pitch down is the action that is held
+        if (inputActions.pitchDown.down) {
 
             //Set that pitch button is pressed
             player.boardedShip.isPressingPitch = true;
@@ -891,6 +1193,35 @@ function updateShipAccel() {
         }
     }
 
+    //If both roll left and roll right are held, or if neither of them are held
+    if ((inputActions.rollLeft.down && inputActions.rollRight.down) || !(inputActions.rollLeft.down || inputActions.rollRight.down)) {
+
+        //Set that roll accelerate button is not pressed
+        player.boardedShip.isPressingRoll = false;
+
+        player.boardedShip.rollAccel = 0.0;
+    }
+    else {
+
+        //If roll left is the action that is held
+        if (inputActions.rollLeft.down) {
+
+            //Set that roll button is pressed
+            player.boardedShip.isPressingRoll = true;
+            
+            //Set roll acceleration to negative, rolling left
+            player.boardedShip.rollAccel = player.boardedShip.rollAccelRate * -1.0;
+        }
+        else {
+
+            //Set that roll button is pressed
+            player.boardedShip.isPressingRoll = true;
+            
+            //Set roll acceleration, rolling right
+            player.boardedShip.rollAccel = player.boardedShip.rollAccelRate;
+        }
+    }
+
     //console.log("Ship pitch set to " + player.boardedShip.isPressingPitch);
 }
 
@@ -905,8 +1236,8 @@ function updateShipAccel() {
  */
 function updatePlayerSpeed() {
 
-    //If both W and S are down, or if neither of them are down
-    if ((keys.W.down && keys.S.down) || !(keys.W.down || keys.S.down)) {
+    //If both walk forward and walk backward are held, or if neither of them are held
+    if ((inputActions.walkForward.down && inputActions.walkBackward.down) || !(inputActions.walkForward.down || inputActions.walkBackward.down)) {
 
         //Set forward speed to 0.0
         player.forwardSpeed = 0.0;
@@ -915,8 +1246,8 @@ function updatePlayerSpeed() {
     }
     else {
 
-        //If W is the key that is down
-        if (keys.W.down) {
+        //If walk forward is the action that is held
+        if (inputActions.walkForward.down) {
 
             //Set forward speed to player.speed
             player.forwardSpeed = player.speed;
@@ -932,8 +1263,8 @@ function updatePlayerSpeed() {
         }
     }
 
-    //If both A and D are down, or if neither of them are down
-    if ((keys.A.down && keys.D.down) || !(keys.A.down || keys.D.down)) {
+    //If both walk left and walk right are held, or if neither of them are held
+    if ((inputActions.walkLeft.down && inputActions.walkRight.down) || !(inputActions.walkLeft.down || inputActions.walkRight.down)) {
 
         //Set right speed to 0.0
         player.rightSpeed = 0.0;
@@ -942,8 +1273,8 @@ function updatePlayerSpeed() {
     }
     else {
 
-        //If A is the key that is down
-        if (keys.A.down) {
+        //If walk left is the action that is held
+        if (inputActions.walkLeft.down) {
 
             //Set right speed to reverse player.speed
             player.rightSpeed = player.speed * -1.0;
@@ -959,30 +1290,76 @@ function updatePlayerSpeed() {
         }
     }
 
-    //If both Space and ShiftLeft are down, or if neither of them are down
-    if ((keys.Space.down && keys.ShiftLeft.down) || !(keys.Space.down || keys.ShiftLeft.down)) {
+    //If jump is held and the player is standing on something, jump
+    if (inputActions.jump.down && player.isOnGround) {
 
-        //Set up speed to 0.0
-        player.upSpeed = 0.0;
+        player.upSpeed = player.jumpSpeed;
+        player.isOnGround = false;
+    }
+}
 
-        //console.log("Player up speed set to " + player.upSpeed);
+/**
+ * Function: updatePlayerThrust
+ * 
+ * Input: None
+ * Output: None
+ * 
+ * Description: This function takes a look at the state of pressed keys, and
+ *              sets the thrust of the spacewalking player's jetpack based on that.
+ */
+function updatePlayerThrust() {
+
+    //If both thrust forward and thrust backward are held, or if neither of them are held
+    if ((inputActions.thrustForward.down && inputActions.thrustBackward.down) || !(inputActions.thrustForward.down || inputActions.thrustBackward.down)) {
+
+        player.forwardThrust = 0.0;
     }
     else {
 
-        //If A is the key that is down
-        if (keys.Space.down) {
+        //If thrust forward is the action that is held
+        if (inputActions.thrustForward.down) {
+
+            player.forwardThrust = player.thrustRate;
+        }
+        else {
+
+            player.forwardThrust = player.thrustRate * -1.0;
+        }
+    }
+
+    //If both thrust left and thrust right are held, or if neither of them are held
+    if ((inputActions.thrustLeft.down && inputActions.thrustRight.down) || !(inputActions.thrustLeft.down || inputActions.thrustRight.down)) {
+
+        player.rightThrust = 0.0;
+    }
+    else {
 
-            //Set up speed to player.speed
-            player.upSpeed = player.speed;
+        //If thrust right is the action that is held
+        if (inputActions.thrustRight.down) {
 
-            //console.log("Player up speed set to " + player.upSpeed);
+            player.rightThrust = player.thrustRate;
         }
         else {
 
-            //Set up speed to reverse player.speed
-            player.upSpeed = player.speed * -1.0;
+            player.rightThrust = player.thrustRate * -1.0;
+        }
+    }
+
+    //If both thrust up and thrust down are held, or if neither of them are held
+    if ((inputActions.thrustUp.down && inputActions.thrustDown.down) || !(inputActions.thrustUp.down || inputActions.thrustDown.down)) {
+
+        player.upThrust = 0.0;
+    }
+    else {
+
+        //If thrust up is the action that is held
+        if (inputActions.thrustUp.down) {
+
+            player.upThrust = player.thrustRate;
+        }
+        else {
 
-            //console.log("Player up speed set to " + player.upSpeed);
+            player.upThrust = player.thrustRate * -1.0;
         }
     }
 }
@@ -990,34 +1367,141 @@ function updatePlayerSpeed() {
 /**
  * Function: updatePlayerPosition
  * 
- * Input: Double deltaT, WebGLRenderingContext ctx
+ * Input: Double deltaT
  * Output: None
  * 
- * Description: Updates the player position based on player directional speeds 
- *              and deltaT as long as the given directional speed is greater than zero.
+ * Description: While the player is walking, pulls them toward the floor of the
+ *              boarded ship and moves them based on their directional speeds and
+ *              deltaT. The move is broken into steps no longer than half the player's
+ *              collision radius, and after each step the player is pushed back out of
+ *              the walls, floor and ceiling of the ship interior.
+ * 
+ *              Player coordinates are in ship interior space, so gravity always points
+ *              toward the ship floor no matter how the ship is turning.
  */
-//Function to update the player position based on player speeds
 function updatePlayerPosition(deltaT) {
 
-    //Move player forward/backward
-    //If forward speed is not zero
-    if (!(player.forwardSpeed == 0.0)) {
+    // The pilot stays strapped into their seat
+    if (player.isPiloting) {
 
-        moveForward(player.forwardSpeed * deltaT); //Move player forward by forwardSpeed * change in time from last frame
+        return;
     }
 
-    //Move player up/down
-    //If up speed is not zero
-    if (!(player.upSpeed == 0.0)) {
+    // Outside of a ship there is no floor to walk on
+    if (player.boardedShip == null) {
 
-        moveUp(player.upSpeed * deltaT); //Move player forward by forwardSpeed * change in time from last frame
+        updateSpacewalk(deltaT);
+        return;
     }
 
-    //Move player left/right
-    //If right speed is not zero
-    if (!(player.rightSpeed == 0.0)) {
+    // Long frames, such as after the tab was in the background, would drop the player through the floor
+    deltaT = Math.min(deltaT, 0.1);
+
+    // Fall toward the ship floor
+    player.upSpeed -= player.boardedShip.gravity * deltaT;
+
+    // Work out how many steps to break the move into
+    let fastestSpeed = Math.max(Math.abs(player.forwardSpeed), Math.abs(player.rightSpeed), Math.abs(player.upSpeed));
+    let steps = Math.max(Math.ceil(fastestSpeed * deltaT / (player.collisionRadius * 0.5)), 1);
 
-        moveRight(player.rightSpeed * deltaT); //Move player forward by rightSpeed * change in time from last frame
+    let stepT = deltaT / steps;
+
+    player.isOnGround = false;
+
+    for (let i = 0; i < steps; i++) {
+
+        moveForward(player.forwardSpeed * stepT); //Move player forward by forwardSpeed * change in time of this step
+        moveRight(player.rightSpeed * stepT); //Move player right by rightSpeed * change in time of this step
+        moveUp(player.upSpeed * stepT); //Move player up by upSpeed * change in time of this step
+
+        collidePlayerWithInterior();
+    }
+}
+
+/**
+ * Function: updateSpacewalk
+ * 
+ * Input: Double deltaT
+ * Output: None
+ * 
+ * Description: Accelerates the spacewalking player in the direction they are looking
+ *              based on their jetpack thrust, then moves them in world space based on
+ *              their velocity. With no thrust the player keeps drifting.
+ */
+function updateSpacewalk(deltaT) {
+
+    // Work out which way the player is looking in world space
+    quat.copy(playerLookOrientation, player.orientation);
+    quat.rotateY(playerLookOrientation, playerLookOrientation, player.yawAngle);
+    quat.rotateX(playerLookOrientation, playerLookOrientation, player.pitchAngle);
+
+    // Thrust along the look directions
+    vec3.transformQuat(translation, ZAXIS, playerLookOrientation);
+    vec3.scaleAndAdd(player.velocity, player.velocity, translation, player.forwardThrust * deltaT * -1.0);
+    vec3.transformQuat(translation, XAXIS, playerLookOrientation);
+    vec3.scaleAndAdd(player.velocity, player.velocity, translation, player.rightThrust * deltaT);
+    vec3.transformQuat(translation, YAXIS, playerLookOrientation);
+    vec3.scaleAndAdd(player.velocity, player.velocity, translation, player.upThrust * deltaT);
+
+    // Keep the jetpack from reaching absurd speeds
+    let speed = vec3.length(player.velocity);
+    if (speed > player.maxSpacewalkSpeed) {
+
+        vec3.scale(player.velocity, player.velocity, player.maxSpacewalkSpeed / speed);
+    }
+
+    player.x += player.velocity[0] * deltaT;
+    player.y += player.velocity[1] * deltaT;
+    player.z += player.velocity[2] * deltaT;
+}
+
+/**
+ * Function: collidePlayerWithInterior
+ * 
+ * Input: None
+ * Output: None
+ * 
+ * Description: Pushes the player's body out of the boarded ship's interior model.
+ *              The body is made of a head sphere around the player's eyes, and a feet
+ *              sphere resting on the floor. Landing on a floor sets isOnGround and stops
+ *              the fall, and hitting a ceiling stops a jump.
+ */
+function collidePlayerWithInterior() {
+
+    const model = player.boardedShip.interiorModel;
+
+    // Head sphere sits at the eyes, feet sphere sits just above the feet
+    const sphereOffsets = [0.0, player.collisionRadius - player.eyeHeight];
+
+    for (let i = 0; i < sphereOffsets.length; i++) {
+
+        vec3.set(playerSphereCenter, player.x, player.y + sphereOffsets[i], player.z);
+
+        let pushDirections = collideSphereWithMesh(playerSphereCenter, player.collisionRadius, model, player.maxFloorSlope);
+
+        player.x = playerSphereCenter[0];
+        player.y = playerSphereCenter[1] - sphereOffsets[i];
+        player.z = playerSphereCenter[2];
+
+        for (let j = 0; j < pushDirections.length; j++) {
+
+            // Pushed up, so standing on a floor
+            if (pushDirections[j][1] >= player.maxFloorSlope) {
+
+                player.isOnGround = true;
+
+                if (player.upSpeed < 0.0) {
+
+                    player.upSpeed = 0.0;
+                }
+            }
+
+            // Pushed down, so hit the ceiling
+            if (pushDirections[j][1] <= player.maxFloorSlope * -1.0 && player.upSpeed > 0.0) {
+
+                player.upSpeed = 0.0;
+            }
+        }
     }
 }
 
@@ -1091,6 +1575,35 @@ function updateShipSpeedAndPosition(ship, deltaT)
         }
     }
 
+    // Auto straighten, set rollSpeed to opposite if ship roll is outside a threshold
+    // If ship roll is within full stop threshold
+    if (!ship.isPressingRoll)
+    {
+        // If ship roll speed is within full stop threshold
+        if ((ship.rollSpeed < 0.01) && (ship.rollSpeed > -0.01))
+        {
+            ship.rollAccel = 0.0;
+            ship.rollSpeed = 0.0;
+        }
+        else if (ship.rollSpeed >= 0.01)
+        {
+            ship.rollAccel = ship.rollAccelRate * -2.0;
+        }
+        else
+        {
+            ship.rollAccel = ship.rollAccelRate * 2.0;
+        }
+    }
+
+    // A disabled ship's engines and thrusters are dead, so nothing changes its speed or spin
+    if (isShipDisabled(ship))
+    {
+        ship.forwardAccel = 0.0;
+        ship.yawAccel = 0.0;
+        ship.pitchAccel = 0.0;
+        ship.rollAccel = 0.0;
+    }
+
     // Update ship pitch speed based on pitchAccel
     ship.pitchSpeed += ship.pitchAccel * deltaT;
     if (ship.pitchSpeed < ship.maxPitchSpeed * -1.0)
@@ -1113,27 +1626,65 @@ function updateShipSpeedAndPosition(ship, deltaT)
     {
         ship.yawSpeed = ship.maxYawSpeed;
     }
+
+    // Update ship roll speed based on rollAccel
+    ship.rollSpeed += ship.rollAccel * deltaT;
+    if (ship.rollSpeed < ship.maxRollSpeed * -1.0)
+    {
+        ship.rollSpeed = ship.maxRollSpeed * -1.0;
+    }
+    if (ship.rollSpeed > ship.maxRollSpeed)
+    {
+        ship.rollSpeed = ship.maxRollSpeed;
+    }
     
     // Update ship speed based on acceleration
     ship.forwardSpeed += ship.forwardAccel * deltaT;
 
     // console.log("Ship speed: " + ship.forwardSpeed);
 
-    // Reset ship rightVec, upVec and forwardVec before pitch and yaw are applied
-    vec3.set(ship.rightVec, 1.0, 0.0, 0.0);
-    vec3.set(ship.upVec, 0.0, 1.0, 0.0);
-    vec3.set(ship.forwardVec, 0.0, 0.0, -1.0);
-
     // Update ship pitch based on pitchSpeed
     pitchShipUp(ship, ship.pitchSpeed * deltaT);
 
     // Update ship yaw based on yawSpeed
     yawShipRight(ship, ship.yawSpeed * deltaT);
 
+    // Update ship roll based on rollSpeed
+    rollShipRight(ship, ship.rollSpeed * deltaT);
+
+    // Rebuild rightVec, upVec and forwardVec from the new orientation
+    updateShipAxes(ship);
+
     // Update ship position based on speed
     moveShipForward(ship, ship.forwardSpeed * deltaT);
 }
 
+/**
+ * Function: updateShipAxes
+ * 
+ * Input: ship ship
+ * Output: None
+ * 
+ * Description: Renormalizes the ship orientation, rotates the ship's rightVec,
+ *              upVec and forwardVec into world space, and derives yawAngle,
+ *              pitchAngle and rollAngle from them for display purposes
+ */
+function updateShipAxes(ship)
+{
+    // Keep rounding error from building up in the quaternion
+    quat.normalize(ship.orientation, ship.orientation);
+
+    // Rotate the ship space axes by the orientation
+    vec3.transformQuat(ship.rightVec, XAXIS, ship.orientation);
+    vec3.transformQuat(ship.upVec, YAXIS, ship.orientation);
+    vec3.transformQuat(ship.forwardVec, ZAXIS, ship.orientation);
+    vec3.negate(ship.forwardVec, ship.forwardVec); // Ship faces negative z
+
+    // Derive Euler angles, these are not fed back into the orientation
+    ship.yawAngle = Math.atan2(ship.forwardVec[0] * -1.0, ship.forwardVec[2] * -1.0);
+    ship.pitchAngle = Math.asin(Math.max(-1.0, Math.min(1.0, ship.forwardVec[1])));
+    ship.rollAngle = Math.atan2(ship.rightVec[1], ship.upVec[1]);
+}
 
 
 /**
@@ -1162,12 +1713,7 @@ function updateShipSpeedAndPosition(ship, deltaT)
  */
 function yawShipRight(ship, angle) {
 
-    // Update ship yawAngle
-    ship.yawAngle -= angle;
-
-    // Rotate rightVec and forwardVec based on new yawAngle
-    vec3.rotateY(ship.rightVec, ship.rightVec, VEC3_ZERO, ship.yawAngle);
-    vec3.rotateY(ship.forwardVec, ship.forwardVec, VEC3_ZERO, ship.yawAngle); 
+    quat.rotateY(ship.orientation, ship.orientation, angle * -1.0);
 }
 
 /**
@@ -1180,23 +1726,20 @@ function yawShipRight(ship, angle) {
  */
  function pitchShipUp(ship, angle) {
 
-    // Update ship yawAngle
-    ship.pitchAngle += angle;
+    quat.rotateX(ship.orientation, ship.orientation, angle);
+}
 
-    if (ship.pitchAngle > 90.0 * Math.PI / 180.0)
-    {
-        ship.pitchAngle = 90.0 * Math.PI / 180.0;
-        ship.pitchSpeed = 0.0;
-    }
-    if (ship.pitchAngle < -90.0 * Math.PI / 180.0)
-    {
-        ship.pitchAngle = -90.0 * Math.PI / 180.0;
-        ship.pitchSpeed = 0.0;
-    }
+/**
+ * Function: rollShipRight
+ * 
+ * Input: Double angle
+ * Output: None
+ * 
+ * Description: Rotates the ship around it's local z vector by the given angle
+ */
+function rollShipRight(ship, angle) {
 
-    // Rotate rightVec and forwardVec based on new yawAngle
-    vec3.rotateX(ship.upVec, ship.upVec, VEC3_ZERO, ship.pitchAngle);
-    vec3.rotateX(ship.forwardVec, ship.forwardVec, VEC3_ZERO, ship.pitchAngle); 
+    quat.rotateZ(ship.orientation, ship.orientation, angle * -1.0);
 }
 
 /**
@@ -1261,24 +1804,6 @@ function moveForward(amount) {
 
     player.x += player.forwardVec[0] * amount;
     player.z += player.forwardVec[2] * amount;
-
-    if (player.z < -0.8)
-    {
-        player.z = -0.8;
-    }
-    if (player.z > 0.8)
-    {
-        player.z = 0.8;
-    }
-
-    if (player.x < -4.8)
-    {
-        player.x = -4.8;
-    }
-    if (player.x > 4.8)
-    {
-        player.x = 4.8;
-    }
 }
 
 /**
@@ -1294,24 +1819,6 @@ function moveRight(amount) {
 
     player.x += player.rightVec[0] * amount;
     player.z += player.rightVec[2] * amount;
-
-    if (player.z < -0.8)
-    {
-        player.z = -0.8;
-    }
-    if (player.z > 0.8)
-    {
-        player.z = 0.8;
-    }
-
-    if (player.x < -4.8)
-    {
-        player.x = -4.8;
-    }
-    if (player.x > 4.8)
-    {
-        player.x = 4.8;
-    }
 }
 
 /**
@@ -1327,15 +1834,6 @@ function moveRight(amount) {
 function moveUp(amount) {
 
     player.y += amount;
-
-    if (player.y < 0.0)
-    {
-        player.y = 0.0;
-    }
-    if (player.y > 0.0)
-    {
-        player.y = 0.0;
-    }
 }
 
 /**
@@ -1357,48 +1855,18 @@ function updateObjectRotation(object, deltaT) {
 /**
  * Function: randomizeRotations
  * 
- * Input: objects
+ * Input: objects, Function random
  * Output: None
  * 
  * Description: Sets a random rotation speed for each object
- * in objects
+ * in objects, drawing numbers from random (see createRandom)
  */
-function randomizeRotations(objects)
+function randomizeRotations(objects, random)
 {
     for (object in objects)
     {
-        objects[object].rollSpeed = Math.random() * 5.0;
-        objects[object].pitchSpeed = Math.random() * 5.0;
-        objects[object].yawSpeed = Math.random() * 5.0;
+        objects[object].rollSpeed = random() * 5.0;
+        objects[object].pitchSpeed = random() * 5.0;
+        objects[object].yawSpeed = random() * 5.0;
     }
 }
-
-function shiftToNextChunk(object)
-{
-    while ((object.x - ship.x) > (chunkSize / 2.0))
-    {
-        object.x -= chunkSize;
-    }
-    while ((object.x - ship.x) < (chunkSize / -2.0))
-    {
-        object.x += chunkSize;
-    }
-
-    while ((object.y - ship.y) > (chunkSize / 2.0))
-    {
-        object.y -= chunkSize;
-    }
-    while ((object.y - ship.y) < (chunkSize / -2.0))
-    {
-        object.y += chunkSize;
-    }
-
-    while ((object.z - ship.z) > (chunkSize / 2.0))
-    {
-        object.z -= chunkSize;
-    }
-    while ((object.z - ship.z) < (chunkSize / -2.0))
-    {
-        object.z += chunkSize;
-    }
-}
\ No newline at end of file
@@ -9,23 +9,10 @@
  *    - drawPointIndices - Array of element indices that drawElements can use to draw primitives
  *    - drawPointCount - Length of drawPointIndices array, i.e. number of points to draw
  *    - [texture] - Optional WebGL texture
+ *    - [material] - Optional material with diffuse, normal and emissive maps, used along with uvValues
+ *    - [tangentValues] - Optional array of vertex tangents (x,y,z,w), computed by initBuffers when missing
  */
 
-let skyBoxModels = {
-
-    negZplane: {vertexValues:[1.0,-1.0,-1.0,1.0,1.0,-1.0,-1.0,1.0,-1.0,-1.0,-1.0,-1.0,],uvValues:[1.0,1.0,1.0,0.0,0.0,0.0,0.0,1.0,],drawPointIndices:[0,1,2,0,2,3,],drawPointCount:6,texture:null,},
-    
-    posXplane:{vertexValues:[1.0,-1.0,1.0,1.0,1.0,1.0,1.0,1.0,-1.0,1.0,-1.0,-1.0,],uvValues:[1.0,1.0,1.0,0.0,0.0,0.0,0.0,1.0,],drawPointIndices:[0,1,2,0,2,3,],drawPointCount:6,texture:null,},
-
-    posZplane: {vertexValues:[-1.0,-1.0,1.0,-1.0,1.0,1.0,1.0,1.0,1.0,1.0,-1.0,1.0,],uvValues:[1.0,1.0,1.0,0.0,0.0,0.0,0.0,1.0,],drawPointIndices:[0,1,2,0,2,3,],drawPointCount:6,texture:null,},
-
-    negXplane: {vertexValues:[-1.0,-1.0,-1.0,-1.0,1.0,-1.0,-1.0,1.0,1.0,-1.0,-1.0,1.0,],uvValues:[1.0,1.0,1.0,0.0,0.0,0.0,0.0,1.0,],drawPointIndices:[0,1,2,0,2,3,],drawPointCount:6,texture:null,},
-
-    posYplane: {vertexValues:[1.0,1.0,-1.0,1.0,1.0,1.0,-1.0,1.0,1.0,-1.0,1.0,-1.0,],uvValues:[1.0,1.0,1.0,0.0,0.0,0.0,0.0,1.0,],drawPointIndices:[0,1,2,0,2,3,],drawPointCount:6,texture:null,},
-
-    negYplane: {vertexValues:[1.0,-1.0,1.0,1.0,-1.0,-1.0,-1.0,-1.0,-1.0,-1.0,-1.0,1.0,],uvValues:[1.0,1.0,1.0,0.0,0.0,0.0,0.0,1.0,],drawPointIndices:[0,1,2,0,2,3,],drawPointCount:6,texture:null,},
-};
-
  let models = {
 
     /**
@@ -45,4 +32,6 @@ let skyBoxModels = {
     cube: {vertexValues:[-1.0,1.0,1.0,1.0,1.0,1.0,1.0,-1.0,1.0,-1.0,-1.0,1.0,-1.0,1.0,-1.0,1.0,1.0,-1.0,1.0,-1.0,-1.0,-1.0,-1.0,-1.0,-1.0,1.0,1.0,-1.0,1.0,-1.0,-1.0,-1.0,-1.0,-1.0,-1.0,1.0,1.0,1.0,1.0,1.0,1.0,-1.0,1.0,-1.0,-1.0,1.0,-1.0,1.0,-1.0,1.0,1.0,1.0,1.0,1.0,1.0,1.0,-1.0,-1.0,1.0,-1.0,-1.0,-1.0,1.0,1.0,-1.0,1.0,1.0,-1.0,-1.0,-1.0,-1.0,-1.0,],normalValues:[0.0,0.0,1.0,0.0,0.0,1.0,0.0,0.0,1.0,0.0,0.0,1.0,0.0,0.0,-1.0,0.0,0.0,-1.0,0.0,0.0,-1.0,0.0,0.0,-1.0,-1.0, 0.0,0.0,-1.0,0.0,0.0,-1.0,0.0,0.0,-1.0,0.0,0.0,1.0,0.0,0.0,1.0,0.0,0.0,1.0,0.0,0.0,1.0,0.0,0.0,0.0,1.0,0.0,0.0,1.0,0.0,0.0,1.0,0.0,0.0,1.0,0.0,0.0,-1.0,0.0,0.0,-1.0,0.0,0.0,-1.0,0.0,0.0,-1.0,0.0,],colorValues:[1.0,1.0,1.0,1.0,1.0,1.0,1.0,1.0,1.0,1.0,1.0,1.0,1.0,1.0,1.0,1.0,1.0,0.0,0.0,1.0,1.0,0.0,0.0,1.0,1.0,0.0,0.0,1.0,1.0,0.0,0.0,1.0,0.0,1.0,0.0,1.0,0.0,1.0,0.0,1.0,0.0,1.0,0.0,1.0,0.0,1.0,0.0,1.0,0.0,0.0,1.0,1.0,0.0,0.0,1.0,1.0,0.0,0.0,1.0,1.0,0.0,0.0,1.0,1.0,1.0,0.0,1.0,1.0,1.0,0.0,1.0,1.0,1.0,0.0,1.0,1.0,1.0,0.0,1.0,1.0,1.0,1.0,0.0,1.0,1.0,1.0,0.0,1.0,1.0,1.0,0.0,1.0,1.0,1.0,0.0,1.0,],drawPointIndices:[2,1,0,3,2,0,4,5,6,4,6,7,8,9,10,8,10,11,14,13,12,15,14,12,16,17,18,16,18,19,22,21,20,23,22,20,],drawPointCount:36,},
 
     shipInterior: {vertexValues:[5.000000,-2.000000,1.000000,-5.000000,-2.000000,1.000000,-5.000000,0.441204,1.000000,-3.457371,2.000000,1.000000,3.423719,2.000000,1.000000,5.000000,0.430406,1.000000,-5.000000,-2.000000,1.000000,-5.000000,-2.000000,-1.000000,-5.000000,0.441204,-1.000000,-5.000000,0.441204,1.000000,-5.000000,-2.000000,-1.000000,-5.000000,-2.000000,1.000000,5.000000,-2.000000,1.000000,5.000000,-2.000000,-1.000000,5.000000,-2.000000,-1.000000,5.000000,-2.000000,1.000000,5.000000,0.430406,1.000000,5.000000,0.430406,-1.000000,-2.423446,2.343490,0.336476,-3.457371,2.000000,1.000000,-3.457371,2.000000,-1.000000,-2.423446,2.343490,-0.336476,2.389794,2.343490,-0.336476,3.423719,2.000000,-1.000000,3.423719,2.000000,1.000000,2.389794,2.343490,0.336476,2.389794,2.343490,0.336476,3.423719,2.000000,1.000000,-3.457371,2.000000,1.000000,-2.423446,2.343490,0.336476,-2.423446,2.343490,-0.336476,-3.457371,2.000000,-1.000000,3.423719,2.000000,-1.000000,2.389794,2.343490,-0.336476,4.835835,-0.455559,-1.473856,-4.835835,-0.455559,-1.473856,-5.000000,-2.000000,-1.000000,5.000000,-2.000000,-1.000000,-3.295863,0.311195,-2.216610,-2.299158,1.318345,-2.216610,-3.457371,2.000000,-1.000000,-5.000000,0.441204,-1.000000,2.271786,1.318345,-2.216610,3.295863,0.298613,-2.216610,5.000000,0.430406,-1.000000,3.423719,2.000000,-1.000000,-3.295863,-0.411074,-2.216610,-3.295863,0.311195,-2.216610,-4.458471,-0.461205,-1.475301,-2.299158,1.318345,-2.216610,2.271786,1.318345,-2.216610,3.423719,2.000000,-1.000000,-3.457371,2.000000,-1.000000,-3.295863,-0.411074,-2.216610,3.295863,-0.411074,-2.216610,3.287386,-0.411074,-2.222952,-3.304341,-0.411074,-2.222952,-3.304341,-0.411074,-2.222952,3.287386,-0.411074,-2.222952,3.297483,-0.421310,-2.218776,-3.294243,-0.421310,-2.218776,-3.304341,-0.411074,-2.222952,-3.294243,-0.421310,-2.218776,-3.294243,-0.421310,-2.218776,-3.304341,-0.411074,-2.222952,3.295863,-0.411074,-2.216610,-3.295863,-0.411074,-2.216610,-4.835835,-0.455559,-1.473856,4.835835,-0.455559,-1.473856,3.295863,0.298613,-2.216610,3.295863,-0.411074,-2.216610,4.459455,-0.466697,-1.474830,3.295863,-0.411074,-2.216610,4.835835,-0.455559,-1.473856,4.459455,-0.466697,-1.474830,4.835835,-0.455559,-1.473856,5.000000,-2.000000,-1.000000,4.459455,-0.466697,-1.474830,5.000000,-2.000000,-1.000000,5.000000,0.430406,-1.000000,4.459455,-0.466697,-1.474830,5.000000,0.430406,-1.000000,3.295863,0.298613,-2.216610,4.459455,-0.466697,-1.474830,-3.295863,0.311195,-2.216610,-5.000000,0.441204,-1.000000,-4.458471,-0.461205,-1.475301,-5.000000,0.441204,-1.000000,-5.000000,-2.000000,-1.000000,-4.458471,-0.461205,-1.475301,-5.000000,-2.000000,-1.000000,-4.835835,-0.455559,-1.473856,-4.458471,-0.461205,-1.475301,-4.835835,-0.455559,-1.473856,-3.295863,-0.411074,-2.216610,-4.458471,-0.461205,-1.475301,-4.610723,0.834561,0.753724,-3.846648,1.606643,0.753724,-3.457371,2.000000,1.000000,-5.000000,0.441204,1.000000,-3.846648,1.606643,-0.753724,-3.457371,2.000000,-1.000000,-4.610723,0.834561,-0.753724,-5.000000,0.441204,-1.000000,4.599382,0.829324,-0.729171,3.824336,1.601082,-0.729171,3.423719,2.000000,-1.000000,5.000000,0.430406,-1.000000,3.824336,1.601082,-0.729171,3.824336,1.601082,0.729171,3.423719,2.000000,1.000000,3.423719,2.000000,-1.000000,3.824336,1.601082,0.729171,4.599382,0.829324,0.729171,5.000000,0.430406,1.000000,3.423719,2.000000,1.000000,4.599382,0.829324,0.729171,4.599382,0.829324,-0.729171,5.000000,0.430406,-1.000000,5.000000,0.430406,1.000000,],normalValues:[-0.000000,0.000000,-1.000000,-0.000000,0.000000,-1.000000,-0.000000,0.000000,-1.000000,-0.000000,0.000000,-1.000000,-0.000000,0.000000,-1.000000,-0.000000,0.000000,-1.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,0.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,1.000000,0.000000,-1.000000,-0.000000,0.000000,-1.000000,-0.000000,0.000000,-1.000000,-0.000000,0.000000,-1.000000,-0.000000,0.000000,0.315276,-0.949000,0.000000,0.315276,-0.949000,0.000000,0.315276,-0.949000,0.000000,0.315276,-0.949000,0.000000,-0.315276,-0.949000,0.000000,-0.315276,-0.949000,0.000000,-0.315276,-0.949000,0.000000,-0.315276,-0.949000,0.000000,0.000000,-0.888061,-0.459726,0.000000,-0.888061,-0.459726,0.000000,-0.888061,-0.459726,0.000000,-0.888061,-0.459726,0.000000,-0.888061,0.459726,0.000000,-0.888061,0.459726,0.000000,-0.888061,0.459726,0.000000,-0.888061,0.459726,0.000000,0.293319,0.956015,0.000000,0.293319,0.956015,0.000000,0.293319,0.956015,0.000000,0.293319,0.956015,0.485137,-0.480106,0.730849,0.485137,-0.480106,0.730849,0.485137,-0.480106,0.730849,0.485137,-0.480106,0.730849,-0.482963,-0.485021,0.729041,-0.482963,-0.485021,0.729041,-0.482963,-0.485021,0.729041,-0.482963,-0.485021,0.729041,0.537633,0.000000,0.843179,0.537633,0.000000,0.843179,0.537633,0.000000,0.843179,0.000000,-0.872398,0.488796,0.000000,-0.872398,0.488796,0.000000,-0.872398,0.488796,0.000000,-0.872398,0.488796,0.000000,1.000000,-0.000000,0.000000,1.000000,-0.000000,0.000000,1.000000,-0.000000,0.000000,1.000000,-0.000000,0.000000,-0.377778,-0.925896,0.000000,-0.377778,-0.925896,0.000000,-0.377778,-0.925896,0.000000,-0.377778,-0.925896,0.000000,0.000000,0.000000,0.000000,0.000000,0.000000,0.000000,0.000000,0.000000,0.000000,0.000000,0.000000,0.000000,0.998211,0.059785,0.000000,0.998211,0.059785,0.000000,0.998211,0.059785,0.000000,0.998211,0.059785,-0.537552,-0.000000,0.843230,-0.537552,-0.000000,0.843230,-0.537552,-0.000000,0.843230,0.029675,-0.992215,-0.120952,0.029675,-0.992215,-0.120952,0.029675,-0.992215,-0.120952,0.011122,-0.292220,-0.956286,0.011122,-0.292220,-0.956286,0.011122,-0.292220,-0.956286,-0.659963,0.000000,0.751298,-0.659963,0.000000,0.751298,-0.659963,0.000000,0.751298,-0.574610,-0.084637,0.814039,-0.574610,-0.084637,0.814039,-0.574610,-0.084637,0.814039,0.574748,-0.083846,0.814024,0.574748,-0.083846,0.814024,0.574748,-0.083846,0.814024,0.659653,-0.000000,0.751570,0.659653,-0.000000,0.751570,0.659653,-0.000000,0.751570,-0.008036,-0.292528,-0.956223,-0.008036,-0.292528,-0.956223,-0.008036,-0.292528,-0.956223,-0.015246,-0.995712,-0.091245,-0.015246,-0.995712,-0.091245,-0.015246,-0.995712,-0.091245,0.710783,-0.703411,-0.000000,0.710783,-0.703411,-0.000000,0.710783,-0.703411,-0.000000,0.710783,-0.703411,-0.000000,0.710783,-0.703411,0.000000,0.710783,-0.703411,0.000000,0.710783,-0.703411,0.000000,0.710783,-0.703411,0.000000,-0.705602,-0.708608,-0.000001,-0.705602,-0.708608,-0.000001,-0.705602,-0.708608,-0.000001,-0.705602,-0.708608,-0.000001,-0.705602,-0.708608,0.000000,-0.705602,-0.708608,0.000000,-0.705602,-0.708608,0.000000,-0.705602,-0.708608,0.000000,-0.705602,-0.708608,0.000001,-0.705602,-0.708608,0.000001,-0.705602,-0.708608,0.000001,-0.705602,-0.708608,0.000001,-0.705602,-0.708609,0.000000,-0.705602,-0.708609,0.000000,-0.705602,-0.708609,0.000000,-0.705602,-0.708609,0.000000,],colorValues:[139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,139.0/256.0,139.0/256.0,139.0/256.0,255.0/256.0,],drawPointIndices:[0,1,2,0,2,3,0,3,4,0,4,5,6,7,8,6,8,9,10,11,12,10,12,13,14,15,16,14,16,17,18,19,20,18,20,21,22,23,24,22,24,25,26,27,28,26,28,29,30,31,32,30,32,33,34,35,36,34,36,37,38,39,40,38,40,41,42,43,44,42,44,45,46,47,48,49,50,51,49,51,52,53,54,55,53,55,56,57,58,59,57,59,60,61,62,63,61,63,64,65,66,67,65,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,96,98,99,97,100,101,97,101,98,100,102,103,100,103,101,102,96,99,102,99,103,104,105,106,104,106,107,108,109,110,108,110,111,112,113,114,112,114,115,116,117,118,116,118,119,],drawPointCount:180,},
+
+    shipHull: {vertexValues:[-5.300000,-2.300000,1.300000,5.300000,-2.300000,1.300000,5.300000,2.650000,1.300000,-5.300000,2.650000,1.300000,5.300000,-2.300000,-2.500000,-5.300000,-2.300000,-2.500000,-5.300000,2.650000,-2.500000,5.300000,2.650000,-2.500000,5.300000,-2.300000,1.300000,5.300000,-2.300000,-2.500000,5.300000,2.650000,-2.500000,5.300000,2.650000,1.300000,-5.300000,-2.300000,-2.500000,-5.300000,-2.300000,1.300000,-5.300000,2.650000,1.300000,-5.300000,2.650000,-2.500000,-5.300000,2.650000,1.300000,5.300000,2.650000,1.300000,5.300000,2.650000,-2.500000,-5.300000,2.650000,-2.500000,-5.300000,-2.300000,-2.500000,5.300000,-2.300000,-2.500000,5.300000,-2.300000,1.300000,-5.300000,-2.300000,1.300000,],normalValues:[0.000000,0.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,-1.000000,0.000000,0.000000,-1.000000,0.000000,0.000000,-1.000000,0.000000,0.000000,-1.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,-1.000000,0.000000,0.000000,-1.000000,0.000000,0.000000,-1.000000,0.000000,0.000000,-1.000000,0.000000,0.000000,0.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,1.000000,0.000000,0.000000,-1.000000,0.000000,0.000000,-1.000000,0.000000,0.000000,-1.000000,0.000000,0.000000,-1.000000,0.000000,],colorValues:[96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,96.0/256.0,112.0/256.0,128.0/256.0,255.0/256.0,],drawPointIndices:[0,1,2,0,2,3,4,5,6,4,6,7,8,9,10,8,10,11,12,13,14,12,14,15,16,17,18,16,18,19,20,21,22,20,22,23,],drawPointCount:36,},
 };
\ No newline at end of file
@@ -44,6 +44,25 @@ const worldViewMatrix = mat4.create();
 const normalMatrix = mat4.create();
 const skyBoxRotationMatrix = mat4.create();
 const shipInteriorViewMatrix = mat4.create();
+const frameRotationMatrix = mat4.create();
+
+// Skybox drawn behind everything else
+let skyBox = null;
+
+// Quaternion used to hold the inverse of the ship (or spacewalking player) orientation when building view matrices
+const inverseFrameOrientation = quat.create();
+
+// The player's eye position in world space
+const playerWorldPosition = vec3.create();
+
+// Position of a ship's hatch in world space
+const hatchWorldPosition = vec3.create();
+
+// Quaternion holding the direction the player is looking in world space
+const playerLookOrientation = quat.create();
+
+// Center of one of the player's body spheres, in ship interior space
+const playerSphereCenter = vec3.create();
 
 //Projection matrix
 const projectionMatrix = mat4.create();
@@ -54,70 +73,6 @@ let voidColor = [0.0 / 256.0, 0.0 / 256.0, 0.0 / 256.0]; //black
 
 chunkSize = 1000.0;
 
-/**
- * Object: keys
- * 
- * Description: A collection of key objects, to be used when
- *              interpreting user input
- */
-
-const keys = {
-
-    /**
-     * Object: key
-     * 
-     * Description: An object representing a key on the keyboard
-     * 
-     * Attributes: String code, boolean down
-     */
-
-    W: {
-
-        code: "KeyW",
-        down: false,
-    },
-    S: {
-
-        code: "KeyS",
-        down: false,
-    },
-    A: {
-
-        code: "KeyA",
-        down: false,
-    },
-    D: {
-
-        code: "KeyD",
-        down: false,
-    },
-    Q: {
-
-        code: "KeyQ",
-        down: false,
-    },
-    E: {
-
-        code: "KeyE",
-        down: false,
-    },
-    F: {
-        code: "KeyF",
-        down: false,
-        toggleSequence: 0, // 0 for up, 1 for down, 2 for up again
-    },
-    Space: {
-
-        code: "Space",
-        down: false,
-    },
-    ShiftLeft: {
-
-        code: "ShiftLeft",
-        down: false,
-    },
-};
-
 /**
  * Object: objects
  * 
@@ -152,6 +107,9 @@ let exteriorObjects = [
      */
 ];
 
+// Grid of exteriorObjects sorted by position, created in main once the objects exist
+let exteriorSpatialIndex = null;
+
 /**
  * Object: player
  * 
@@ -162,6 +120,16 @@ let exteriorObjects = [
  *             vec3 rightVec, forwardVec,
  *             
  *             Double speed, rightSpeed, upSpeed, forwardSpeed
+ *             Double jumpSpeed, eyeHeight, collisionRadius, maxFloorSlope
+ *             Boolean isOnGround
+ * 
+ *             quat orientation, vec3 velocity
+ *             Double thrustRate, maxSpacewalkSpeed, forwardThrust, rightThrust, upThrust
+ * 
+ *             ship boardedShip, Boolean isPiloting
+ * 
+ *             While aboard a ship, x, y and z are in ship interior space. While
+ *             spacewalking they are in world space.
  */
 let player = {
 
@@ -183,69 +151,128 @@ let player = {
     upSpeed: 0.0,
     forwardSpeed: 0.0,
 
-    boardedShip: null,
+    // Walking around the ship interior
+    jumpSpeed: 4.0,
+    isOnGround: false,
+    eyeHeight: 1.6, // Distance from the player's feet to their eyes
+    collisionRadius: 0.35, // Radius of the spheres making up the player's body
+    maxFloorSlope: 0.7, // Smallest y component of a surface normal that can be stood on
+
+    // Floating in space, outside of any ship
+    orientation: quat.create(), // Frame the player's view angles are measured in
+    velocity: vec3.fromValues(0.0, 0.0, 0.0),
+    thrustRate: 5.0,
+    maxSpacewalkSpeed: 30.0,
+    forwardThrust: 0.0,
+    rightThrust: 0.0,
+    upThrust: 0.0,
+
+    boardedShip: null, // Null while spacewalking
     isPiloting: false,
 };
 
 /**
  * Object: ship
  * 
- * Description: Contains data on ship position and rotation.
+ * Description: Contains data on ship position and rotation. The ship's orientation is
+ *              stored as a quaternion, and the yaw, pitch and roll angles are derived
+ *              from it every frame for display purposes only.
  * 
  * Attributes: Double x, y, z, yawAngle, pitchAngle, rollAngle
+ *             quat orientation
  *             vec3 rightVec, upVec, forwardVec
  *             
  *             Double speed, rightSpeed, upSpeed, forwardSpeed
+ * 
+ *             vec3 hatchInterior, hatchExterior
+ *             model interiorModel, exteriorModel
  */
- let ship = {
-
-    x: 0.0,
-    y: 0.0,
-    z: 0.0,
-
-    yawAngle: 0.0, // Angle of rotation around y axis
-    pitchAngle: 0.0, // Angle of rotation around x axis
-    rollAngle: 0.0, // Angle of rotation around z axis
-
-    //Normal vectors representing right, left, and forward for the ship's facing direction.
-    //Ship is initialized facing negative Z
-    rightVec: vec3.fromValues(1.0, 0.0, 0.0),
-    upVec: vec3.fromValues(0.0, 1.0, 0.0),
-    forwardVec: vec3.fromValues(0.0, 0.0, -1.0),
-
-    accelRate: 30.0,
-    isPressingAccelerate: false,
-    isAutoDecelActive: false,
-    forwardAccel: 0.0,
-    forwardSpeed: 200.0,
-
-    isPressingYaw: false,
-    yawAccelRate: 30.0 * Math.PI / 180.0,
-    yawAccel: 0.0,
-    yawSpeed: 0.0,
-    maxYawSpeed: 70.0 * Math.PI / 180.0,
-
-    isPressingPitch: false,
-    pitchAccelRate: 30.0 * Math.PI / 180.0,
-    pitchAccel: 0.0,
-    pitchSpeed: 0.0,
-    maxPitchSpeed: 70.0 * Math.PI / 180.0,
-
-    interiorModel: models.shipInterior,
-};
 
 /**
- * Object: lastMousePosition
- * 
- * Description: contains data on last mouse position relative to the canvas
+ * Function: createShip
  * 
- * Attributes: Boolean inWindow,
- *             Double x, y,
+ * Input: Double x, y, z, model interiorModel, model exteriorModel
+ * Output: ship
  * 
+ * Description: Returns a new ship at rest at the given world position, facing negative Z
  */
-let lastMousePosition = {
-
-    inWindow: false,
-    x: 0,
-    y: 0,
-};
+function createShip(x, y, z, interiorModel, exteriorModel) {
+
+    return {
+
+        x: x,
+        y: y,
+        z: z,
+
+        // Rotation from ship space into world space
+        orientation: quat.create(),
+
+        yawAngle: 0.0, // Heading around world y axis, derived from orientation
+        pitchAngle: 0.0, // Angle of the nose above the horizon, derived from orientation
+        rollAngle: 0.0, // Bank angle around the ship's z axis, derived from orientation
+
+        //Normal vectors representing right, left, and forward for the ship's facing direction.
+        //Ship is initialized facing negative Z
+        rightVec: vec3.fromValues(1.0, 0.0, 0.0),
+        upVec: vec3.fromValues(0.0, 1.0, 0.0),
+        forwardVec: vec3.fromValues(0.0, 0.0, -1.0),
+
+        accelRate: 30.0,
+        isPressingAccelerate: false,
+        isAutoDecelActive: false,
+        forwardAccel: 0.0,
+        forwardSpeed: 0.0,
+
+        isPressingYaw: false,
+        yawAccelRate: 30.0 * Math.PI / 180.0,
+        yawAccel: 0.0,
+        yawSpeed: 0.0,
+        maxYawSpeed: 70.0 * Math.PI / 180.0,
+
+        isPressingPitch: false,
+        pitchAccelRate: 30.0 * Math.PI / 180.0,
+        pitchAccel: 0.0,
+        pitchSpeed: 0.0,
+        maxPitchSpeed: 70.0 * Math.PI / 180.0,
+
+        isPressingRoll: false,
+        rollAccelRate: 60.0 * Math.PI / 180.0,
+        rollAccel: 0.0,
+        rollSpeed: 0.0,
+        maxRollSpeed: 120.0 * Math.PI / 180.0,
+
+        // Bounding sphere of the hull, and how the ship reacts when it hits something
+        hullRadius: 5.5,
+        restitution: 0.5, // Fraction of speed kept when bouncing off an object
+        minBounceSpeed: 2.0, // Slower impacts stop the ship instead of bouncing it
+        safeImpactSpeed: 10.0, // Faster impacts damage the hull
+        impactDamageRate: 0.5, // Hull integrity lost per unit of speed above safeImpactSpeed
+        maxHullIntegrity: 100.0,
+        hullIntegrity: 100.0,
+        contacts: [],
+
+        // Seconds until each weapon can fire again
+        laserCooldown: 0.0,
+        missileCooldown: 0.0,
+
+        // Artificial gravity pulling toward the floor of the ship interior
+        gravity: 9.8,
+
+        // Where the player's eyes are placed when they sit down to pilot
+        pilotSeat: vec3.fromValues(0.0, 0.0, 0.0),
+
+        // Where the hatch is in ship space, seen from inside and from outside the hull
+        hatchInterior: vec3.fromValues(0.0, -0.4, 0.6),
+        hatchExterior: vec3.fromValues(0.0, -0.4, 3.0),
+        hatchRange: 1.5, // How close the player must be to a hatch to use it
+
+        interiorModel: interiorModel,
+        exteriorModel: exteriorModel,
+    };
+}
+
+// Every ship in the world, boarded or not
+let ships = [];
+
+// Game loop running the simulation, created by main
+let gameLoop = null;
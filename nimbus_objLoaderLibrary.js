@@ -0,0 +1,495 @@
+/**
+ *               Filename: nimbus_objLoaderLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Loads Wavefront .obj files, and the .mtl material files they reference,
+ *                         into the same model structure as the models in nimbus_modelsLibrary.js,
+ *                         so that models exported from Blender can be given straight to initBuffers.
+ *
+ *                         Example:
+ *
+ *                         loadObjModel("models/shipHull.obj").then(function(model) {
+ *
+ *                             models.shipHull = model;
+ *                             initBuffers(model);
+ *                         });
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element and WebGL context.
+ *
+ *           Dependencies: nimbus_materialLibrary.js
+ *                         nimbus_assetLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Color given to faces that have no material, or whose material has no diffuse color
+const OBJ_DEFAULT_COLOR = [1.0, 1.0, 1.0, 1.0];
+
+// Largest number of vertices a model can have, since drawPointIndices are drawn as unsigned shorts
+const OBJ_MAX_VERTICES = 65536;
+
+/**
+ * Object: objMaterial
+ *
+ * Description: The parts of an .mtl material that models use
+ *
+ * Attributes: String name
+ *             Array color - Diffuse color (r,g,b,a), from Kd and d
+ *             String [diffuseMapName] - File name of the diffuse texture, from map_Kd
+ *             String [normalMapName] - File name of the normal map, from norm, map_Bump or bump
+ *             String [emissiveMapName] - File name of the emissive texture, from map_Ke
+ *             Array [emissiveColor] - Emissive color (r,g,b), from Ke
+ */
+
+/**
+ * Function: loadObjModel
+ *
+ * Input: String url
+ * Output: Promise
+ *
+ * Description: Fetches the .obj file at url along with every .mtl file it names,
+ *              and resolves to a model built from them by parseObj. Material files
+ *              and their textures are looked for in the same directory as the .obj file.
+ *              Rejects with the error if parseObj can not build the model.
+ */
+function loadObjModel(url)
+{
+    return fetchText(url).then(function(objText) {
+
+        // Find the material files the model uses
+        let materialUrls = [];
+        let lines = objText.split("\n");
+        for (let i = 0; i < lines.length; i++)
+        {
+            let line = lines[i].trim();
+
+            if (line.startsWith("mtllib "))
+            {
+                materialUrls.push(getDirectory(url) + line.substring(7).trim());
+            }
+        }
+
+        return Promise.all(materialUrls.map(fetchText)).then(function(materialTexts) {
+
+            let materials = {};
+            for (let i = 0; i < materialTexts.length; i++)
+            {
+                Object.assign(materials, parseMtl(materialTexts[i]));
+            }
+
+            let model = parseObj(objText, materials);
+
+            if (model.sourceMaterial !== undefined)
+            {
+                model.material = createObjMaterial(model.sourceMaterial, getDirectory(url));
+                delete model.sourceMaterial;
+            }
+
+            return model;
+        });
+    });
+}
+
+/**
+ * Function: createObjMaterial
+ *
+ * Input: objMaterial objMaterial, String directory
+ * Output: material
+ *
+ * Description: Starts loading the texture maps of an .mtl material from directory,
+ *              and returns a material using them
+ */
+function createObjMaterial(objMaterial, directory)
+{
+    function loadMap(name)
+    {
+        if (name === undefined)
+        {
+            return null;
+        }
+
+        return loadMaterialTexture(directory + name);
+    }
+
+    return createMaterial(
+        loadMap(objMaterial.diffuseMapName),
+        loadMap(objMaterial.normalMapName),
+        loadMap(objMaterial.emissiveMapName),
+        objMaterial.emissiveColor
+    );
+}
+
+/**
+ * Function: fetchText
+ *
+ * Input: String url
+ * Output: Promise
+ *
+ * Description: Fetches url, relative to the page, and resolves to its contents as text.
+ *              Rejects with an Error if the file could not be loaded. The load is
+ *              counted, and any failure reported, by trackAsset.
+ */
+function fetchText(url)
+{
+    return trackAsset(url, fetch(resolveAssetUrl(url)).then(function(response) {
+
+        if (!response.ok)
+        {
+            throw new Error("Unable to load " + url + ": " + response.status + " " + response.statusText);
+        }
+
+        return response.text();
+    }), false);
+}
+
+/**
+ * Function: getDirectory
+ *
+ * Input: String url
+ * Output: String
+ *
+ * Description: Returns url up to and including its last "/", or an empty
+ *              string if url has no directory
+ */
+function getDirectory(url)
+{
+    return url.substring(0, url.lastIndexOf("/") + 1);
+}
+
+/**
+ * Function: parseMtl
+ *
+ * Input: String text
+ * Output: Object
+ *
+ * Description: Parses the contents of an .mtl file, and returns its materials
+ *              as objMaterial objects keyed by material name
+ */
+function parseMtl(text)
+{
+    let materials = {};
+    let material = null;
+
+    let lines = text.split("\n");
+    for (let i = 0; i < lines.length; i++)
+    {
+        let parts = lines[i].trim().split(/\s+/);
+
+        if (parts[0] == "newmtl")
+        {
+            material = {
+
+                name: parts.slice(1).join(" "),
+                color: OBJ_DEFAULT_COLOR.slice(),
+            };
+
+            materials[material.name] = material;
+        }
+        else if (material == null)
+        {
+            // Ignore anything before the first material
+            continue;
+        }
+        else if (parts[0] == "Kd")
+        {
+            material.color[0] = parseFloat(parts[1]);
+            material.color[1] = parseFloat(parts[2]);
+            material.color[2] = parseFloat(parts[3]);
+        }
+        else if (parts[0] == "d")
+        {
+            material.color[3] = parseFloat(parts[1]);
+        }
+        else if (parts[0] == "Tr")
+        {
+            // Transparency, the opposite of d
+            material.color[3] = 1.0 - parseFloat(parts[1]);
+        }
+        // For texture maps, the file name is the last part, after any options
+        else if (parts[0] == "map_Kd")
+        {
+            material.diffuseMapName = parts[parts.length - 1];
+        }
+        else if (parts[0] == "norm" || parts[0] == "map_Bump" || parts[0] == "bump")
+        {
+            material.normalMapName = parts[parts.length - 1];
+        }
+        else if (parts[0] == "map_Ke")
+        {
+            material.emissiveMapName = parts[parts.length - 1];
+        }
+        else if (parts[0] == "Ke")
+        {
+            material.emissiveColor = [parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])];
+        }
+    }
+
+    return materials;
+}
+
+/**
+ * Function: parseObj
+ *
+ * Input: String text, Object materials
+ * Output: model
+ *
+ * Description: Parses the contents of an .obj file into a model. Faces with more than
+ *              three corners are split into triangles. Every distinct combination of
+ *              position, texture coordinate, normal and material used by a face corner
+ *              becomes its own vertex, colored by its material's diffuse color. Corners
+ *              without a normal get their face's normal. Groups and objects in the file
+ *              are all merged into one model. If a material with texture maps is used,
+ *              it is stored as model.sourceMaterial for loadObjModel to load. Throws an
+ *              error if more than one material with texture maps is used, since a model
+ *              is drawn with a single material.
+ */
+function parseObj(text, materials)
+{
+    // Values as listed in the file, before being matched up into vertices
+    let positions = [];
+    let texCoords = [];
+    let normals = [];
+
+    let model = {
+
+        vertexValues: [],
+        colorValues: [],
+        normalValues: [],
+        uvValues: [],
+        drawPointIndices: [],
+        drawPointCount: 0,
+    };
+
+    // Index of the vertex made for each corner key, so repeated corners share a vertex
+    let vertexIndices = new Map();
+
+    let color = OBJ_DEFAULT_COLOR;
+    let materialName = "";
+    let sourceMaterial = null;
+    let missingMaterialNames = new Set();
+    let hasTexCoords = false;
+    let faceNormal = [0.0, 0.0, 0.0];
+
+    let lines = text.split("\n");
+    for (let i = 0; i < lines.length; i++)
+    {
+        let parts = lines[i].trim().split(/\s+/);
+
+        if (parts[0] == "v")
+        {
+            positions.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+        }
+        else if (parts[0] == "vt")
+        {
+            texCoords.push([parseFloat(parts[1]), parseFloat(parts[2])]);
+        }
+        else if (parts[0] == "vn")
+        {
+            normals.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+        }
+        else if (parts[0] == "usemtl")
+        {
+            materialName = parts.slice(1).join(" ");
+
+            if (materials[materialName] !== undefined)
+            {
+                color = materials[materialName].color;
+
+                // A model is drawn with one material, so its faces can not use the textures of two
+                if (hasObjMaps(materials[materialName]))
+                {
+                    if (sourceMaterial == null)
+                    {
+                        sourceMaterial = materials[materialName];
+                    }
+                    else if (sourceMaterial != materials[materialName])
+                    {
+                        throw new Error("Model uses textured materials " + sourceMaterial.name + " and " + materialName + ", but only one textured material can be drawn per model");
+                    }
+                }
+            }
+            else
+            {
+                missingMaterialNames.add(materialName);
+                color = OBJ_DEFAULT_COLOR;
+            }
+        }
+        else if (parts[0] == "f")
+        {
+            // Split each corner into its position, texture coordinate and normal indices
+            let corners = [];
+            for (let j = 1; j < parts.length; j++)
+            {
+                let indices = parts[j].split("/");
+
+                corners.push({
+
+                    position: getObjIndex(indices[0], positions.length),
+                    texCoord: getObjIndex(indices[1], texCoords.length),
+                    normal: getObjIndex(indices[2], normals.length),
+                });
+            }
+
+            if (corners.length < 3)
+            {
+                continue;
+            }
+
+            computeObjFaceNormal(faceNormal, positions, corners);
+
+            // Turn the face into a fan of triangles around its first corner
+            for (let j = 1; j < corners.length - 1; j++)
+            {
+                let triangle = [corners[0], corners[j], corners[j + 1]];
+
+                for (let k = 0; k < 3; k++)
+                {
+                    let corner = triangle[k];
+
+                    // Corners without a normal use their face's normal, so they can only be shared within the face
+                    let key = corner.position + "/" + corner.texCoord + "/" + corner.normal + "/" + materialName;
+                    if (corner.normal < 0)
+                    {
+                        key += "/" + i;
+                    }
+
+                    let index = vertexIndices.get(key);
+                    if (index === undefined)
+                    {
+                        index = vertexIndices.size;
+                        vertexIndices.set(key, index);
+
+                        let position = positions[corner.position];
+                        model.vertexValues.push(position[0], position[1], position[2]);
+
+                        let normal = faceNormal;
+                        if (corner.normal >= 0)
+                        {
+                            normal = normals[corner.normal];
+                        }
+                        model.normalValues.push(normal[0], normal[1], normal[2]);
+
+                        model.colorValues.push(color[0], color[1], color[2], color[3]);
+
+                        if (corner.texCoord >= 0)
+                        {
+                            model.uvValues.push(texCoords[corner.texCoord][0], 1.0 - texCoords[corner.texCoord][1]);
+                            hasTexCoords = true;
+                        }
+                        else
+                        {
+                            model.uvValues.push(0.0, 0.0);
+                        }
+                    }
+
+                    model.drawPointIndices.push(index);
+                }
+            }
+        }
+    }
+
+    if (!hasTexCoords)
+    {
+        delete model.uvValues;
+    }
+
+    if (missingMaterialNames.size > 0)
+    {
+        console.log("Using the default color for materials not found in any .mtl file: " + Array.from(missingMaterialNames).join(", "));
+    }
+
+    if (vertexIndices.size > OBJ_MAX_VERTICES)
+    {
+        console.error("Model has " + vertexIndices.size + " vertices, but only " + OBJ_MAX_VERTICES + " can be drawn");
+    }
+
+    if (sourceMaterial != null)
+    {
+        model.sourceMaterial = sourceMaterial;
+    }
+
+    model.drawPointCount = model.drawPointIndices.length;
+
+    return model;
+}
+
+/**
+ * Function: hasObjMaps
+ *
+ * Input: objMaterial objMaterial
+ * Output: Boolean
+ *
+ * Description: Returns whether the material has any texture maps, or gives off any light
+ */
+function hasObjMaps(objMaterial)
+{
+    return objMaterial.diffuseMapName !== undefined ||
+        objMaterial.normalMapName !== undefined ||
+        objMaterial.emissiveMapName !== undefined ||
+        (objMaterial.emissiveColor !== undefined && (objMaterial.emissiveColor[0] > 0.0 || objMaterial.emissiveColor[1] > 0.0 || objMaterial.emissiveColor[2] > 0.0));
+}
+
+/**
+ * Function: getObjIndex
+ *
+ * Input: String value, Integer count
+ * Output: Integer
+ *
+ * Description: Converts an index from an .obj face, which counts from 1, or from the end
+ *              of the list when negative, into an array index. Returns -1 if value is
+ *              missing, for example the texture coordinate in "1//1".
+ */
+function getObjIndex(value, count)
+{
+    if (value === undefined || value == "")
+    {
+        return -1;
+    }
+
+    let index = parseInt(value);
+
+    if (index < 0)
+    {
+        return count + index;
+    }
+
+    return index - 1;
+}
+
+/**
+ * Function: computeObjFaceNormal
+ *
+ * Input: Array out, Array positions, Array corners
+ * Output: None
+ *
+ * Description: Sets out to the unit normal of the face made by corners, using
+ *              Newell's method so that faces with more than three corners work
+ */
+function computeObjFaceNormal(out, positions, corners)
+{
+    out[0] = 0.0;
+    out[1] = 0.0;
+    out[2] = 0.0;
+
+    for (let i = 0; i < corners.length; i++)
+    {
+        let current = positions[corners[i].position];
+        let next = positions[corners[(i + 1) % corners.length].position];
+
+        out[0] += (current[1] - next[1]) * (current[2] + next[2]);
+        out[1] += (current[2] - next[2]) * (current[0] + next[0]);
+        out[2] += (current[0] - next[0]) * (current[1] + next[1]);
+    }
+
+    let length = Math.sqrt(out[0] * out[0] + out[1] * out[1] + out[2] * out[2]);
+    if (length > 0.0)
+    {
+        out[0] /= length;
+        out[1] /= length;
+        out[2] /= length;
+    }
+}
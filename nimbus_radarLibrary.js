@@ -0,0 +1,381 @@
+/**
+ *               Filename: nimbus_radarLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Radar for the boarded ship, drawn on the hud canvas. Exterior objects
+ *                         and other ships within RADAR_RANGE are moved into ship space and drawn
+ *                         as blips over a disc lying in the ship's horizontal plane, each on a
+ *                         line showing how far above or below that plane it is. The player can
+ *                         cycle through contacts to pick a target, which is bracketed where it
+ *                         appears on screen.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element.
+ *
+ *           Dependencies: gl-matrix.js https://cdnjs.cloudflare.com/ajax/libs/gl-matrix/2.8.1/gl-matrix-min.js
+ *                         nimbus_objLibrary.js
+ *                         nimbus_collisionLibrary.js
+ *                         nimbus_spatialLibrary.js
+ *                         nimbus_hudLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Farthest distance from the ship at which objects show up on the radar
+const RADAR_RANGE = 400.0;
+
+// Radius of the radar disc, and its distance from the bottom of the window, at base size
+const RADAR_RADIUS = 90.0;
+const RADAR_BOTTOM = 40.0;
+
+// Height of the radar disc relative to its width, tilting it away from the viewer
+const RADAR_TILT = 0.45;
+
+// Colors of blips for exterior objects, for ships, and for the selected target
+const RADAR_OBJECT_COLOR = 'white';
+const RADAR_SHIP_COLOR = 'rgb(80, 200, 255)';
+const RADAR_TARGET_COLOR = 'rgb(255, 200, 40)';
+
+// Smallest size of the target bracket, at base size
+const TARGET_BRACKET_MIN_SIZE = 12.0;
+
+// Object or ship selected as the target, or null if there is none
+let radarTarget = null;
+
+// Exterior objects and ships within range of the boarded ship, refilled every frame
+const radarContacts = [];
+
+// Vectors and quaternion reused while placing contacts
+const radarOffset = vec3.create();
+const radarInverseOrientation = quat.create();
+const targetClipPosition = vec4.create();
+
+/**
+ * Function: getRadarOffset
+ *
+ * Input: vec3 out, ship ship, Object contact
+ * Output: vec3 out
+ *
+ * Description: Sets out to the position of contact, an exterior object or a ship, in the
+ *              space of ship, so x is to the right, y is up and negative z is ahead
+ */
+function getRadarOffset(out, ship, contact)
+{
+    vec3.set(out, contact.x - ship.x, contact.y - ship.y, contact.z - ship.z);
+
+    quat.conjugate(radarInverseOrientation, ship.orientation);
+    vec3.transformQuat(out, out, radarInverseOrientation);
+
+    return out;
+}
+
+/**
+ * Function: findRadarContacts
+ *
+ * Input: ship ship, Array out
+ * Output: Array out
+ *
+ * Description: Empties out, then fills it with every exterior object and every other
+ *              ship whose center is within RADAR_RANGE of ship
+ */
+function findRadarContacts(ship, out)
+{
+    querySpatialIndex(exteriorSpatialIndex, ship.x, ship.y, ship.z, RADAR_RANGE, out);
+
+    // The spatial index returns everything in the cells around the ship, keep only what is in range
+    let count = 0;
+
+    for (let i = 0; i < out.length; i++)
+    {
+        if (isInRadarRange(ship, out[i]))
+        {
+            out[count] = out[i];
+            count++;
+        }
+    }
+
+    out.length = count;
+
+    for (let i = 0; i < ships.length; i++)
+    {
+        if (ships[i] != ship && isInRadarRange(ship, ships[i]))
+        {
+            out.push(ships[i]);
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Function: isInRadarRange
+ *
+ * Input: ship ship, Object contact
+ * Output: Boolean
+ *
+ * Description: Returns whether the center of contact is within RADAR_RANGE of ship
+ */
+function isInRadarRange(ship, contact)
+{
+    let dx = contact.x - ship.x;
+    let dy = contact.y - ship.y;
+    let dz = contact.z - ship.z;
+
+    return dx * dx + dy * dy + dz * dz <= RADAR_RANGE * RADAR_RANGE;
+}
+
+/**
+ * Function: getRadarContactRadius
+ *
+ * Input: Object contact
+ * Output: Double
+ *
+ * Description: Returns the radius of contact in world units, whether it is a ship or an
+ *              exterior object
+ */
+function getRadarContactRadius(contact)
+{
+    if (contact.hullRadius !== undefined)
+    {
+        return contact.hullRadius;
+    }
+
+    return getObjectRadius(contact);
+}
+
+/**
+ * Function: selectNextRadarTarget
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Targets the next closest contact after the current target, going back to
+ *              the closest once the farthest has been passed. Does nothing while the player
+ *              is not aboard a ship.
+ */
+function selectNextRadarTarget()
+{
+    let ship = player.boardedShip;
+
+    if (ship == null)
+    {
+        return;
+    }
+
+    findRadarContacts(ship, radarContacts);
+
+    if (radarContacts.length == 0)
+    {
+        radarTarget = null;
+        return;
+    }
+
+    // Order contacts from closest to farthest
+    radarContacts.sort(function(a, b) {
+
+        return getContactDistanceSquared(ship, a) - getContactDistanceSquared(ship, b);
+    });
+
+    let index = radarContacts.indexOf(radarTarget) + 1;
+
+    if (index >= radarContacts.length)
+    {
+        index = 0;
+    }
+
+    radarTarget = radarContacts[index];
+}
+
+/**
+ * Function: updateRadarTarget
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Forgets the target once it has left the radar of the player's ship, by
+ *              going out of range, or by being destroyed or unloaded, or once the player
+ *              has boarded it. Kept while the player is not aboard a ship. Should be called
+ *              once a tick, so the target only changes with the simulation and not with
+ *              how often frames are drawn.
+ */
+function updateRadarTarget()
+{
+    let ship = player.boardedShip;
+
+    if (radarTarget == null || ship == null)
+    {
+        return;
+    }
+
+    // Ships are never in the spatial index, but objects are taken out of it once they are gone
+    let isGone = radarTarget.hullRadius === undefined && radarTarget.spatialCell == null;
+
+    if (radarTarget == ship || isGone || !isInRadarRange(ship, radarTarget))
+    {
+        radarTarget = null;
+    }
+}
+
+/**
+ * Function: getContactDistanceSquared
+ *
+ * Input: ship ship, Object contact
+ * Output: Double
+ *
+ * Description: Returns the squared distance between the centers of ship and contact
+ */
+function getContactDistanceSquared(ship, contact)
+{
+    let dx = contact.x - ship.x;
+    let dy = contact.y - ship.y;
+    let dz = contact.z - ship.z;
+
+    return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * Function: drawRadar
+ *
+ * Input: ship ship
+ * Output: None
+ *
+ * Description: Draws the radar at the bottom center of the window, with a blip for every
+ *              contact in range of ship
+ */
+function drawRadar(ship)
+{
+    findRadarContacts(ship, radarContacts);
+
+    let radius = RADAR_RADIUS * hudScale;
+    let centerX = hudCtx.canvas.width / 2;
+    let centerY = hudCtx.canvas.height - RADAR_BOTTOM * hudScale - radius * RADAR_TILT;
+
+    // Disc, with a ring at half range and a line pointing ahead
+    hudCtx.lineWidth = Math.max(1.0, hudScale);
+    hudCtx.strokeStyle = HUD_DIM_COLOR;
+    hudCtx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+
+    hudCtx.beginPath();
+    hudCtx.ellipse(centerX, centerY, radius, radius * RADAR_TILT, 0.0, 0.0, Math.PI * 2.0);
+    hudCtx.fill();
+    hudCtx.stroke();
+
+    hudCtx.beginPath();
+    hudCtx.ellipse(centerX, centerY, radius / 2, radius * RADAR_TILT / 2, 0.0, 0.0, Math.PI * 2.0);
+    hudCtx.moveTo(centerX, centerY);
+    hudCtx.lineTo(centerX, centerY - radius * RADAR_TILT);
+    hudCtx.stroke();
+
+    // Blips, each standing on the point of the disc below or above it
+    let blipSize = Math.max(2.0, 3.0 * hudScale);
+
+    for (let i = 0; i < radarContacts.length; i++)
+    {
+        let contact = radarContacts[i];
+        getRadarOffset(radarOffset, ship, contact);
+
+        let discX = centerX + radarOffset[0] / RADAR_RANGE * radius;
+        let discY = centerY + radarOffset[2] / RADAR_RANGE * radius * RADAR_TILT;
+        let blipY = discY - radarOffset[1] / RADAR_RANGE * radius;
+
+        let color = RADAR_OBJECT_COLOR;
+
+        if (contact == radarTarget)
+        {
+            color = RADAR_TARGET_COLOR;
+        }
+        else if (contact.hullRadius !== undefined)
+        {
+            color = RADAR_SHIP_COLOR;
+        }
+
+        hudCtx.strokeStyle = color;
+        hudCtx.fillStyle = color;
+
+        // Elevation line
+        hudCtx.beginPath();
+        hudCtx.moveTo(discX, discY);
+        hudCtx.lineTo(discX, blipY);
+        hudCtx.stroke();
+
+        hudCtx.fillRect(discX - blipSize / 2, blipY - blipSize / 2, blipSize, blipSize);
+
+        if (contact == radarTarget)
+        {
+            hudCtx.strokeRect(discX - blipSize * 1.5, blipY - blipSize * 1.5, blipSize * 3, blipSize * 3);
+        }
+    }
+}
+
+/**
+ * Function: drawTargetBracket
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Draws corner brackets around the target where it is seen on screen, with
+ *              its distance below them. Uses projectionMatrix and worldViewMatrix from the
+ *              last drawScene. Nothing is drawn while the target is behind the camera.
+ */
+function drawTargetBracket()
+{
+    let ship = player.boardedShip;
+
+    if (radarTarget == null || ship == null)
+    {
+        return;
+    }
+
+    vec4.set(targetClipPosition, radarTarget.x, radarTarget.y, radarTarget.z, 1.0);
+    vec4.transformMat4(targetClipPosition, targetClipPosition, worldViewMatrix);
+    vec4.transformMat4(targetClipPosition, targetClipPosition, projectionMatrix);
+
+    let w = targetClipPosition[3];
+
+    if (w <= 0.0)
+    {
+        return;
+    }
+
+    let screenX = (targetClipPosition[0] / w + 1.0) / 2.0 * hudCtx.canvas.width;
+    let screenY = (1.0 - targetClipPosition[1] / w) / 2.0 * hudCtx.canvas.height;
+
+    // Half the height the target covers on screen, but never so small the bracket closes up
+    let size = getRadarContactRadius(radarTarget) * projectionMatrix[5] / w * hudCtx.canvas.height / 2.0;
+    size = Math.max(size, TARGET_BRACKET_MIN_SIZE * hudScale);
+
+    let corner = size / 2;
+
+    hudCtx.strokeStyle = RADAR_TARGET_COLOR;
+    hudCtx.lineWidth = Math.max(1.0, 2.0 * hudScale);
+
+    hudCtx.beginPath();
+
+    // Top left, top right, bottom right, then bottom left corner
+    hudCtx.moveTo(screenX - size, screenY - size + corner);
+    hudCtx.lineTo(screenX - size, screenY - size);
+    hudCtx.lineTo(screenX - size + corner, screenY - size);
+
+    hudCtx.moveTo(screenX + size - corner, screenY - size);
+    hudCtx.lineTo(screenX + size, screenY - size);
+    hudCtx.lineTo(screenX + size, screenY - size + corner);
+
+    hudCtx.moveTo(screenX + size, screenY + size - corner);
+    hudCtx.lineTo(screenX + size, screenY + size);
+    hudCtx.lineTo(screenX + size - corner, screenY + size);
+
+    hudCtx.moveTo(screenX - size + corner, screenY + size);
+    hudCtx.lineTo(screenX - size, screenY + size);
+    hudCtx.lineTo(screenX - size, screenY + size - corner);
+
+    hudCtx.stroke();
+
+    hudCtx.fillStyle = RADAR_TARGET_COLOR;
+    hudCtx.font = Math.round(12 * hudScale) + 'px monospace';
+    hudCtx.textAlign = 'center';
+    hudCtx.textBaseline = 'top';
+    hudCtx.fillText(Math.sqrt(getContactDistanceSquared(ship, radarTarget)).toFixed(0), screenX, screenY + size + 4 * hudScale);
+}
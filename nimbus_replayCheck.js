@@ -0,0 +1,159 @@
+/**
+ *               Filename: nimbus_replayCheck.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Regression check for the simulation, run by nimbus_replayCheck.html. Every
+ *                         recording in REPLAY_CHECK_RECORDINGS is replayed with checkReplay, straight
+ *                         through and without drawing anything, and the player and ships are compared
+ *                         with where they were when it was recorded. Each recording's result is listed
+ *                         on the page, and the page title ends up as REPLAY_CHECK_PASSED_TITLE or
+ *                         REPLAY_CHECK_FAILED_TITLE, so the check can be read by a headless browser.
+ *
+ *                         A change that is meant to change how the simulation behaves will fail the
+ *                         check. Once the new behavior has been tried in the game, reload the game,
+ *                         record the flight again from the pause menu, and export it in place of the
+ *                         old recording.
+ *
+ *                         To run the check from the command line, without a browser, run
+ *
+ *                             node nimbus_replayCheckRunner.js
+ *
+ *                         In a browser, the page loads the recordings with fetch, so it has to be
+ *                         served over HTTP along with the rest of the game rather than opened as a file.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *
+ *           Dependencies: gameLoopLibrary.js
+ *                         nimbus_replayLibrary.js
+ *                         nimbus.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Recordings replayed by the check, relative to the page. flight.json pilots the ship and fires
+// its weapons, and walk.json leaves the controls and walks around the ship looking about with the mouse
+const REPLAY_CHECK_RECORDINGS = [
+
+    "nimbus_recordings/flight.json",
+    "nimbus_recordings/walk.json",
+];
+
+// Title of the page once every recording has been checked
+const REPLAY_CHECK_PASSED_TITLE = "Replay check passed";
+const REPLAY_CHECK_FAILED_TITLE = "Replay check failed";
+
+/**
+ * Function: runReplayChecks
+ *
+ * Input: None
+ * Output: Promise
+ *
+ * Description: Creates the world without WebGL, then checks every recording in
+ *              REPLAY_CHECK_RECORDINGS in turn, listing each result in the element with
+ *              the id "results". A recording that can not be loaded or replayed fails.
+ *              Resolves once every recording has been checked.
+ */
+function runReplayChecks()
+{
+    let results = document.getElementById("results");
+    let failures = 0;
+
+    createWorld();
+    gameLoop = createGameLoop(GAME_LOOP_TICK_LENGTH, updateWorld, null);
+
+    let checks = Promise.resolve();
+
+    REPLAY_CHECK_RECORDINGS.forEach(function(url) {
+
+        checks = checks.then(function() {
+
+            return fetchRecording(url);
+
+        }).then(function(recording) {
+
+            let differences = checkReplay(recording);
+
+            if (differences.length > 0)
+            {
+                failures++;
+            }
+
+            addReplayCheckResult(results, url, differences);
+
+        }).catch(function(error) {
+
+            failures++;
+            addReplayCheckResult(results, url, ["Unable to replay: " + error.message]);
+        });
+    });
+
+    return checks.then(function() {
+
+        if (failures == 0)
+        {
+            document.title = REPLAY_CHECK_PASSED_TITLE;
+        }
+        else
+        {
+            document.title = REPLAY_CHECK_FAILED_TITLE;
+        }
+    });
+}
+
+/**
+ * Function: fetchRecording
+ *
+ * Input: String url
+ * Output: Promise
+ *
+ * Description: Fetches the recording at url, relative to the page, and resolves to it.
+ *              Rejects with an Error if it could not be loaded.
+ */
+function fetchRecording(url)
+{
+    return fetch(url).then(function(response) {
+
+        if (!response.ok)
+        {
+            throw new Error("Unable to load " + url + ": " + response.status + " " + response.statusText);
+        }
+
+        return response.json();
+    });
+}
+
+/**
+ * Function: addReplayCheckResult
+ *
+ * Input: HTMLElement results, String url, Array differences
+ * Output: None
+ *
+ * Description: Adds a line to results saying whether the recording at url matched, followed
+ *              by every difference if it did not
+ */
+function addReplayCheckResult(results, url, differences)
+{
+    let lines = [];
+
+    if (differences.length == 0)
+    {
+        lines.push("PASS " + url);
+    }
+    else
+    {
+        lines.push("FAIL " + url);
+
+        for (let i = 0; i < differences.length; i++)
+        {
+            lines.push("    " + differences[i]);
+        }
+    }
+
+    results.textContent += lines.join("\n") + "\n";
+}
+
+// Run the check in place of the game
+window.onload = runReplayChecks;
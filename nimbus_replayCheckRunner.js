@@ -0,0 +1,153 @@
+/**
+ *               Filename: nimbus_replayCheckRunner.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Runs the replay check of nimbus_replayCheck.html from the command line, with
+ *                         no browser, so it can be run by hand or in continuous integration:
+ *
+ *                             node nimbus_replayCheckRunner.js
+ *
+ *                         The scripts the page lists are loaded in order into a context that stands in
+ *                         for the parts of the browser they touch without WebGL, and the recordings are
+ *                         read from disk in place of fetch. The result of every recording is printed,
+ *                         and the process exits with 0 if every recording matched, or 1 otherwise.
+ *
+ * Execution Requirements: Node.js 12 or later.
+ *
+ *           Dependencies: nimbus_replayCheck.html, and every script it loads
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// Page whose scripts are run, and which the recordings are found relative to
+const REPLAY_CHECK_PAGE = path.join(__dirname, "nimbus_replayCheck.html");
+
+/**
+ * Function: getPageScripts
+ *
+ * Input: String page
+ * Output: Array
+ *
+ * Description: Returns the path of every script the HTML file at page loads, in order
+ */
+function getPageScripts(page)
+{
+    let html = fs.readFileSync(page, "utf8");
+    let pattern = /<script src="([^"]+)"><\/script>/g;
+    let scripts = [];
+    let match;
+
+    while ((match = pattern.exec(html)) !== null)
+    {
+        scripts.push(path.join(path.dirname(page), match[1]));
+    }
+
+    return scripts;
+}
+
+/**
+ * Function: createBrowserContext
+ *
+ * Input: String root
+ * Output: Object
+ *
+ * Description: Returns a vm context standing in for the browser window, with the parts of
+ *              the document the check writes its results to, and a fetch that reads files
+ *              under root. Nothing else the game uses from the browser is reached without WebGL.
+ */
+function createBrowserContext(root)
+{
+    let results = {
+
+        textContent: "",
+    };
+
+    let context = {
+
+        console: console,
+
+        document: {
+
+            title: "",
+
+            getElementById: function()
+            {
+                return results;
+            },
+        },
+
+        fetch: function(url)
+        {
+            return new Promise(function(resolve) {
+
+                fs.readFile(path.join(root, url), "utf8", function(error, text) {
+
+                    resolve({
+
+                        ok: error == null,
+                        status: error == null ? 200 : 404,
+                        statusText: error == null ? "OK" : error.message,
+
+                        json: function()
+                        {
+                            return Promise.resolve(JSON.parse(text));
+                        },
+                    });
+                });
+            });
+        },
+    };
+
+    context.window = context;
+
+    return vm.createContext(context);
+}
+
+/**
+ * Function: runReplayCheckPage
+ *
+ * Input: String page
+ * Output: Promise
+ *
+ * Description: Loads the scripts of page into a new browser context and runs the check the
+ *              page runs on load. Prints the result of every recording, and resolves to
+ *              whether they all matched.
+ */
+function runReplayCheckPage(page)
+{
+    let context = createBrowserContext(path.dirname(page));
+    let scripts = getPageScripts(page);
+
+    for (let i = 0; i < scripts.length; i++)
+    {
+        vm.runInContext(fs.readFileSync(scripts[i], "utf8"), context, {filename: scripts[i]});
+    }
+
+    return Promise.resolve(context.window.onload()).then(function() {
+
+        process.stdout.write(context.document.getElementById("results").textContent);
+        console.log(context.document.title);
+
+        return context.document.title == vm.runInContext("REPLAY_CHECK_PASSED_TITLE", context);
+    });
+}
+
+runReplayCheckPage(REPLAY_CHECK_PAGE).then(function(passed) {
+
+    if (!passed)
+    {
+        process.exitCode = 1;
+    }
+
+}).catch(function(error) {
+
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,707 @@
+/**
+ *               Filename: nimbus_replayLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Records flights and replays them exactly. A recording starts from the world
+ *                         generated afresh from its seed, with the player and ships where they were when
+ *                         recording started, and holds every key pressed or released and every mouse
+ *                         movement, each with the game loop tick it happened before. Objects destroyed
+ *                         earlier come back, and exterior objects outside of chunks are left out, so
+ *                         only the seed, the player and the ships have to be kept with the recording.
+ *                         The simulation only changes in fixed ticks, so feeding the same inputs in
+ *                         before the same ticks from the same start reproduces the flight. The final
+ *                         state of the player and ships is kept with the recording, and compared once
+ *                         a replay finishes, so a replay can also be run instantly, without rendering,
+ *                         as a check that a change to the simulation has not changed how it behaves.
+ *
+ *                         Only the keyboard and mouse are recorded, so the gamepad and the touch
+ *                         controls are ignored while a flight is recorded or replayed. Keys are replayed
+ *                         with the key bindings they were recorded with, and live input is ignored until
+ *                         the replay ends. Recordings can be exported to and imported from files, which
+ *                         list one input on each line so they can be read.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *
+ *           Dependencies: gameLoopLibrary.js
+ *                         nimbus_objLibrary.js
+ *                         nimbus_inputLibrary.js
+ *                         nimbus_methodLibrary.js
+ *                         nimbus_menuLibrary.js
+ *                         nimbus_saveLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Version of the recording format written by stopRecording
+const RECORDING_VERSION = 2;
+
+// Name exported recordings are downloaded as
+const RECORDING_EXPORT_FILENAME = "nimbus-recording.json";
+
+/**
+ * Object: recording
+ *
+ * Description: A recorded flight
+ *
+ * Attributes: Integer version - RECORDING_VERSION when it was recorded
+ *             Object startState - World the recording starts from, from getReplayStartState
+ *             Object keyBindings - Key bound to every action, from getInputBindings
+ *             Array events - Inputs in the order they happened, each with the tick it came before, counted
+ *                            from the start of the recording. Each is one of
+ *                            {tick, type: "keyDown", code}, {tick, type: "keyUp", code},
+ *                            {tick, type: "look", yaw, pitch} or {tick, type: "releaseAll"}
+ *             Integer tickCount - Number of ticks recorded
+ *             Object finalState - Saved forms of the player and ships after the last tick
+ */
+
+/**
+ * Object: activeRecording
+ *
+ * Description: The recording being made, or null
+ *
+ * Attributes: recording recording
+ *             Integer startTick - Game loop tick the recording started before
+ */
+let activeRecording = null;
+
+/**
+ * Object: activeReplay
+ *
+ * Description: The recording being replayed, or null
+ *
+ * Attributes: recording recording
+ *             Integer startTick - Game loop tick the replay started before
+ *             Integer nextEvent - Index of the next event to feed in
+ *             Object liveBindings - Key bindings to put back once the replay ends
+ */
+let activeReplay = null;
+
+// The last recording made or imported, or null
+let lastRecording = null;
+
+// Result of the last recording, replay or import, shown in the pause menu, or null
+let replayStatus = null;
+
+/**
+ * Function: startRecording
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Starts recording from the next tick. Every held action is let go first, so
+ *              the recording does not start part way through a key press. The world is then
+ *              generated afresh around the player and ships, so the flight is recorded from
+ *              exactly the state a replay will start from. Throws an error if the game can
+ *              not be saved.
+ */
+function startRecording()
+{
+    releaseAllActions();
+    performKeyActions();
+
+    let startState = getReplayStartState();
+    loadReplayStartState(startState);
+
+    activeRecording = {
+
+        recording: {
+
+            version: RECORDING_VERSION,
+            startState: startState,
+            keyBindings: getInputBindings(),
+            events: [],
+            tickCount: 0,
+            finalState: null,
+        },
+
+        startTick: gameLoop.tick,
+    };
+}
+
+/**
+ * Function: stopRecording
+ *
+ * Input: None
+ * Output: recording
+ *
+ * Description: Finishes the recording being made, keeps it as lastRecording and returns it
+ */
+function stopRecording()
+{
+    let recording = activeRecording.recording;
+
+    recording.tickCount = gameLoop.tick - activeRecording.startTick;
+    recording.finalState = getReplayState();
+
+    activeRecording = null;
+    lastRecording = recording;
+
+    return recording;
+}
+
+/**
+ * Function: recordInputEvent
+ *
+ * Input: Object event
+ * Output: None
+ *
+ * Description: Adds event to the recording being made, marked with the tick it comes
+ *              before. Does nothing if there is no recording being made.
+ */
+function recordInputEvent(event)
+{
+    if (activeRecording == null)
+    {
+        return;
+    }
+
+    event.tick = gameLoop.tick - activeRecording.startTick;
+    activeRecording.recording.events.push(event);
+}
+
+/**
+ * Function: isKeyboardAndMouseOnly
+ *
+ * Input: None
+ * Output: Boolean
+ *
+ * Description: Returns whether a flight is being recorded or replayed, during which only
+ *              the keyboard and mouse can be used, as nothing else is recorded
+ */
+function isKeyboardAndMouseOnly()
+{
+    return activeRecording != null || activeReplay != null;
+}
+
+/**
+ * Function: getReplayStartState
+ *
+ * Input: None
+ * Output: Object
+ *
+ * Description: Returns the world seed, and the saved forms of the player and every ship,
+ *              which are all a recording needs to start from
+ */
+function getReplayStartState()
+{
+    return {
+
+        worldSeed: worldSeed,
+        player: serializePlayer(),
+        ships: ships.map(serializeShip),
+    };
+}
+
+/**
+ * Function: loadReplayStartState
+ *
+ * Input: Object startState
+ * Output: None
+ *
+ * Description: Loads the player and ships in startState, from getReplayStartState, into a
+ *              world generated afresh from its seed, with nothing destroyed and no exterior
+ *              objects outside of chunks. Throws an error if startState can not be loaded,
+ *              in which case the game is left as it was.
+ */
+function loadReplayStartState(startState)
+{
+    if (startState == null || typeof startState != "object")
+    {
+        throw new Error("The recording does not say where it starts.");
+    }
+
+    deserializeGame({
+
+        version: SAVE_VERSION,
+        worldSeed: startState.worldSeed,
+        player: startState.player,
+        ships: startState.ships,
+        chunks: [],
+        destroyedChunkObjects: {},
+        exteriorObjects: [],
+        interiorObjects: serializeObjects(interiorObjects),
+    });
+}
+
+/**
+ * Function: getReplayState
+ *
+ * Input: None
+ * Output: Object
+ *
+ * Description: Returns the saved forms of the player and every ship, which are compared
+ *              at the end of a replay
+ */
+function getReplayState()
+{
+    return {
+
+        player: serializePlayer(),
+        ships: ships.map(serializeShip),
+    };
+}
+
+/**
+ * Function: startReplay
+ *
+ * Input: recording recording
+ * Output: None
+ *
+ * Description: Loads the state recording starts from, and feeds in its inputs from the
+ *              next tick on. Throws an error if recording can not be replayed, in which case
+ *              the game is left as it was.
+ */
+function startReplay(recording)
+{
+    if (recording == null || typeof recording != "object" || recording.version !== RECORDING_VERSION ||
+        !Array.isArray(recording.events) || !Number.isInteger(recording.tickCount) ||
+        recording.keyBindings == null || recording.finalState == null)
+    {
+        throw new Error("This is not a recording this version of Nimbus can replay.");
+    }
+
+    loadReplayStartState(recording.startState);
+
+    releaseAllActions();
+    performKeyActions();
+
+    activeReplay = {
+
+        recording: recording,
+        startTick: gameLoop.tick,
+        nextEvent: 0,
+        liveBindings: getInputBindings(),
+    };
+
+    for (let action in inputActions)
+    {
+        if (typeof recording.keyBindings[action] == "string")
+        {
+            inputActions[action].code = recording.keyBindings[action];
+        }
+    }
+}
+
+/**
+ * Function: playReplayTick
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Feeds in every input of the replay that came before this tick. Once every
+ *              recorded tick has run the replay is finished, and replayStatus says whether
+ *              the player and ships ended up where they did when it was recorded. Should be
+ *              called at the start of every tick, and does nothing if there is no replay.
+ */
+function playReplayTick()
+{
+    if (activeReplay == null)
+    {
+        return;
+    }
+
+    let recording = activeReplay.recording;
+    let tick = gameLoop.tick - activeReplay.startTick;
+
+    if (tick >= recording.tickCount)
+    {
+        replayStatus = describeReplayResult(finishReplay());
+        return;
+    }
+
+    while (activeReplay.nextEvent < recording.events.length && recording.events[activeReplay.nextEvent].tick <= tick)
+    {
+        playInputEvent(recording.events[activeReplay.nextEvent]);
+        activeReplay.nextEvent++;
+    }
+}
+
+/**
+ * Function: playInputEvent
+ *
+ * Input: Object event
+ * Output: None
+ *
+ * Description: Does what the recorded input event did
+ */
+function playInputEvent(event)
+{
+    if (event.type == "keyDown")
+    {
+        pressKey(event.code);
+    }
+    else if (event.type == "keyUp")
+    {
+        releaseKey(event.code);
+    }
+    else if (event.type == "look")
+    {
+        turnView(event.yaw, event.pitch);
+    }
+    else if (event.type == "releaseAll")
+    {
+        releaseAllActions();
+        performKeyActions();
+    }
+}
+
+/**
+ * Function: endReplay
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Stops the replay, lets go of every action it was holding, and puts the
+ *              player's own key bindings back
+ */
+function endReplay()
+{
+    for (let action in activeReplay.liveBindings)
+    {
+        inputActions[action].code = activeReplay.liveBindings[action];
+    }
+
+    activeReplay = null;
+
+    releaseAllActions();
+    performKeyActions();
+}
+
+/**
+ * Function: finishReplay
+ *
+ * Input: None
+ * Output: Array
+ *
+ * Description: Ends the replay and returns how the player and ships differ from where
+ *              they were at the end of the recording, as a description of each value
+ *              that differs. The array is empty if the replay matched.
+ */
+function finishReplay()
+{
+    let expected = activeReplay.recording.finalState;
+
+    endReplay();
+
+    let differences = [];
+    compareReplayValues("", expected, getReplayState(), differences);
+
+    return differences;
+}
+
+/**
+ * Function: compareReplayValues
+ *
+ * Input: String path, expected, actual, Array differences
+ * Output: None
+ *
+ * Description: Adds a description of every value in actual that is not exactly the same
+ *              as in expected to differences, looking inside arrays and objects. path is
+ *              where the values are, used in the descriptions.
+ */
+function compareReplayValues(path, expected, actual, differences)
+{
+    if (expected != null && actual != null && typeof expected == "object" && typeof actual == "object")
+    {
+        for (let key in expected)
+        {
+            compareReplayValues(path + "." + key, expected[key], actual[key], differences);
+        }
+
+        return;
+    }
+
+    if (expected !== actual)
+    {
+        differences.push(path.substring(1) + " was " + expected + " when recorded, but is " + actual);
+    }
+}
+
+/**
+ * Function: describeReplayResult
+ *
+ * Input: Array differences
+ * Output: String
+ *
+ * Description: Returns a message saying whether a replay matched its recording, with the
+ *              first difference if it did not
+ */
+function describeReplayResult(differences)
+{
+    if (differences.length == 0)
+    {
+        return "Replay finished, and matched the recording.";
+    }
+
+    return "Replay finished with " + differences.length + " differences from the recording, first " + differences[0] + ".";
+}
+
+/**
+ * Function: checkReplay
+ *
+ * Input: recording recording
+ * Output: Array
+ *
+ * Description: Replays recording straight through without rendering, and returns how the
+ *              player and ships differ from the end of the recording, as finishReplay does.
+ *              The game is left where the replay ended. Throws an error if recording can not
+ *              be replayed.
+ */
+function checkReplay(recording)
+{
+    startReplay(recording);
+
+    runGameLoopTicks(gameLoop, recording.tickCount);
+
+    return finishReplay();
+}
+
+/**
+ * Function: importRecording
+ *
+ * Input: File file
+ * Output: Promise
+ *
+ * Description: Reads the recording in file, which was written by exportRecording, and
+ *              keeps it as lastRecording. The promise is rejected if it can not be read.
+ */
+function importRecording(file)
+{
+    return file.text().then(function(text) {
+
+        let recording = JSON.parse(text);
+
+        if (recording == null || recording.version !== RECORDING_VERSION)
+        {
+            throw new Error("This is not a recording this version of Nimbus can replay.");
+        }
+
+        lastRecording = recording;
+    });
+}
+
+/**
+ * Function: formatRecording
+ *
+ * Input: recording recording
+ * Output: String
+ *
+ * Description: Returns recording as indented JSON, with each of its events and each
+ *              array of numbers, such as an orientation, kept to a line of its own
+ */
+function formatRecording(recording)
+{
+    let lines = [];
+
+    for (let key in recording)
+    {
+        let value = JSON.stringify(recording[key], null, 4).split("\n").join("\n    ");
+
+        value = value.replace(/\[[^\[\]{}"]*\]/g, function(array) {
+
+            return JSON.stringify(JSON.parse(array));
+        });
+
+        if (key == "events")
+        {
+            let events = [];
+
+            for (let i = 0; i < recording.events.length; i++)
+            {
+                events.push("        " + JSON.stringify(recording.events[i]));
+            }
+
+            value = "[\n" + events.join(",\n") + "\n    ]";
+
+            if (events.length == 0)
+            {
+                value = "[]";
+            }
+        }
+
+        lines.push("    " + JSON.stringify(key) + ": " + value);
+    }
+
+    return "{\n" + lines.join(",\n") + "\n}\n";
+}
+
+/**
+ * Function: exportRecording
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Downloads lastRecording, formatted by formatRecording, as a JSON file named
+ *              RECORDING_EXPORT_FILENAME
+ */
+function exportRecording()
+{
+    downloadText(formatRecording(lastRecording), RECORDING_EXPORT_FILENAME);
+}
+
+/**
+ * Function: addReplayControls
+ *
+ * Input: HTMLElement container
+ * Output: None
+ *
+ * Description: Adds buttons to start and stop recording, to replay or check the last
+ *              recording, and to export and import recordings, to the end of container.
+ *              The pause menu is redrawn after every change, showing replayStatus.
+ */
+function addReplayControls(container)
+{
+    let title = document.createElement("h3");
+    title.textContent = "Recordings";
+    container.appendChild(title);
+
+    if (replayStatus != null)
+    {
+        let status = document.createElement("p");
+        status.textContent = replayStatus;
+        container.appendChild(status);
+    }
+
+    if (activeReplay != null)
+    {
+        let stopReplayButton = document.createElement("button");
+        stopReplayButton.textContent = "Stop replay";
+        stopReplayButton.addEventListener("click", function() {
+
+            endReplay();
+            replayStatus = "Replay stopped.";
+
+            drawPauseMenu();
+        });
+        container.appendChild(stopReplayButton);
+
+        return;
+    }
+
+    let recordButton = document.createElement("button");
+
+    if (activeRecording != null)
+    {
+        recordButton.textContent = "Stop recording";
+        recordButton.addEventListener("click", function() {
+
+            let recording = stopRecording();
+            replayStatus = "Recorded " + recording.tickCount + " ticks.";
+
+            drawPauseMenu();
+        });
+    }
+    else
+    {
+        recordButton.textContent = "Start recording";
+        recordButton.title = "Recordings start from the world as first generated, so destroyed objects come back";
+        recordButton.addEventListener("click", function() {
+
+            try
+            {
+                startRecording();
+                replayStatus = "Recording. Stop it from this menu.";
+            }
+            catch (error)
+            {
+                console.error("Unable to record: " + error.message);
+                replayStatus = "Unable to record. " + error.message;
+            }
+
+            drawPauseMenu();
+        });
+    }
+
+    container.appendChild(recordButton);
+
+    // Everything else needs a finished recording, and would interfere with one being made
+    let canReplay = activeRecording == null && lastRecording != null;
+
+    let replayButton = document.createElement("button");
+    replayButton.textContent = "Replay";
+    replayButton.disabled = !canReplay;
+    replayButton.addEventListener("click", function() {
+
+        try
+        {
+            startReplay(lastRecording);
+            replayStatus = "Replaying.";
+            closePauseMenu();
+        }
+        catch (error)
+        {
+            console.error("Unable to replay: " + error.message);
+            replayStatus = "Unable to replay. " + error.message;
+            drawPauseMenu();
+        }
+    });
+    container.appendChild(replayButton);
+
+    let checkButton = document.createElement("button");
+    checkButton.textContent = "Check instantly";
+    checkButton.title = "Replay without drawing, and compare the ships and player with the recording";
+    checkButton.disabled = !canReplay;
+    checkButton.addEventListener("click", function() {
+
+        try
+        {
+            replayStatus = describeReplayResult(checkReplay(lastRecording));
+        }
+        catch (error)
+        {
+            console.error("Unable to replay: " + error.message);
+            replayStatus = "Unable to replay. " + error.message;
+        }
+
+        drawPauseMenu();
+    });
+    container.appendChild(checkButton);
+
+    let exportButton = document.createElement("button");
+    exportButton.textContent = "Export recording";
+    exportButton.disabled = !canReplay;
+    exportButton.addEventListener("click", exportRecording);
+    container.appendChild(exportButton);
+
+    let importInput = document.createElement("input");
+    importInput.type = "file";
+    importInput.accept = ".json,application/json";
+    importInput.addEventListener("change", function() {
+
+        if (importInput.files.length == 0)
+        {
+            return;
+        }
+
+        let file = importInput.files[0];
+
+        importRecording(file).then(function() {
+
+            replayStatus = "Imported " + file.name + ".";
+
+        }).catch(function(error) {
+
+            console.error("Unable to import " + file.name + ": " + error.message);
+            replayStatus = "Unable to import " + file.name + ". " + error.message;
+
+        }).then(function() {
+
+            if (pauseMenu != null)
+            {
+                drawPauseMenu();
+            }
+        });
+    });
+
+    let importButton = document.createElement("button");
+    importButton.textContent = "Import recording";
+    importButton.disabled = activeRecording != null;
+    importButton.addEventListener("click", function() {
+
+        importInput.click();
+    });
+    container.appendChild(importButton);
+}
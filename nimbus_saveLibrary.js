@@ -0,0 +1,926 @@
+/**
+ *               Filename: nimbus_saveLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Saves the game to JSON and loads it back. A save holds the player, every
+ *                         ship, the loaded chunks, and the exterior and interior objects outside of
+ *                         any chunk. Models are saved by their name in models rather than as GPU
+ *                         buffers, so every model in use must be kept there, as the glTF loader
+ *                         does for the models of its scenes. The game can not be saved while an
+ *                         object uses a model that is not, and a save can only be loaded once
+ *                         the models it names have been loaded.
+ *
+ *                         A chunk's objects always come out the same from worldSeed, and spin at
+ *                         steady speeds from when the chunk was loaded, so a chunk is saved as how
+ *                         many ticks its objects have spun for. Everything else is generated again
+ *                         on load, leaving out the objects that were destroyed. Pieces broken off
+ *                         objects are saved in full with their chunk. This keeps a save down to a
+ *                         few kilobytes, however many chunks are loaded.
+ *                         Projectiles in flight are not saved.
+ *
+ *                         Saves are kept in SAVE_SLOT_COUNT slots in localStorage, and can be
+ *                         exported to and imported from files. Every save records SAVE_VERSION,
+ *                         and saves from older versions are brought up to date by SAVE_MIGRATIONS
+ *                         before they are loaded.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *
+ *           Dependencies: gl-matrix.js https://cdnjs.cloudflare.com/ajax/libs/gl-matrix/2.8.1/gl-matrix-min.js
+ *                         gameLoopLibrary.js
+ *                         nimbus_modelsLibrary.js
+ *                         nimbus_objLibrary.js
+ *                         nimbus_methodLibrary.js
+ *                         nimbus_radarLibrary.js
+ *                         nimbus_interpolationLibrary.js
+ *                         nimbus_spatialLibrary.js
+ *                         nimbus_chunkLibrary.js
+ *                         nimbus_weaponLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Version of the save format written by serializeGame
+const SAVE_VERSION = 4;
+
+/**
+ * Functions that upgrade a save by one version. SAVE_MIGRATIONS[n] is given a save of
+ * version n + 1 and returns it as version n + 2. When the format changes, SAVE_VERSION is
+ * raised and a function is added to the end, so saves of every older version keep loading.
+ */
+const SAVE_MIGRATIONS = [
+
+    // Version 2 remembers the objects destroyed in each chunk, and nothing could be destroyed before
+    function(save) {
+
+        save.destroyedChunkObjects = {};
+        return save;
+    },
+
+    // Version 3 saves the pieces broken off objects with the chunk they are in
+    function(save) {
+
+        if (Array.isArray(save.chunks))
+        {
+            for (let i = 0; i < save.chunks.length; i++)
+            {
+                save.chunks[i].fragments = [];
+            }
+        }
+
+        return save;
+    },
+
+    // Version 4 saves how long each chunk's objects have spun rather than every rotation, and
+    // older saves start them unturned
+    function(save) {
+
+        if (Array.isArray(save.chunks))
+        {
+            for (let i = 0; i < save.chunks.length; i++)
+            {
+                let rotations = save.chunks[i].rotations;
+
+                save.chunks[i].objectCount = Array.isArray(rotations) ? rotations.length / 3 : -1;
+                save.chunks[i].spinTicks = 0;
+                delete save.chunks[i].rotations;
+            }
+        }
+
+        return save;
+    },
+];
+
+// Number of save slots in localStorage
+const SAVE_SLOT_COUNT = 3;
+
+// Slot n is saved in localStorage under this followed by n
+const SAVE_SLOT_STORAGE_KEY_PREFIX = "nimbus.save.";
+
+// Name exported saves are downloaded as
+const SAVE_EXPORT_FILENAME = "nimbus-save.json";
+
+// Result of the last save, load or import, shown in the pause menu, or null
+let saveStatus = null;
+
+/**
+ * Function: getModelName
+ *
+ * Input: model model
+ * Output: String
+ *
+ * Description: Returns the name model is kept under in models. Throws an error if it is not
+ *              there, as it could not be found again when the save is loaded.
+ */
+function getModelName(model)
+{
+    for (let name in models)
+    {
+        if (models[name] === model)
+        {
+            return name;
+        }
+    }
+
+    throw new Error("A model in use is not kept in models, so the game can not be saved.");
+}
+
+/**
+ * Function: getNamedModel
+ *
+ * Input: String name
+ * Output: model
+ *
+ * Description: Returns the model kept under name in models. Throws an error if there is none.
+ */
+function getNamedModel(name)
+{
+    if (typeof name != "string" || !models.hasOwnProperty(name))
+    {
+        throw new Error("The save uses a model that does not exist: " + name);
+    }
+
+    return models[name];
+}
+
+/**
+ * Function: serializeObject
+ *
+ * Input: object object
+ * Output: Object
+ *
+ * Description: Returns the saved form of a 3D object
+ */
+function serializeObject(object)
+{
+    return {
+
+        x: object.x,
+        y: object.y,
+        z: object.z,
+
+        roll: object.roll,
+        pitch: object.pitch,
+        yaw: object.yaw,
+
+        rollSpeed: object.rollSpeed,
+        pitchSpeed: object.pitchSpeed,
+        yawSpeed: object.yawSpeed,
+
+        scale: object.scale,
+
+        model: getModelName(object.model),
+    };
+}
+
+/**
+ * Function: serializeObjects
+ *
+ * Input: Array objects
+ * Output: Array
+ *
+ * Description: Returns the saved forms of every object in objects
+ */
+function serializeObjects(objects)
+{
+    let saved = [];
+
+    for (let i = 0; i < objects.length; i++)
+    {
+        saved.push(serializeObject(objects[i]));
+    }
+
+    return saved;
+}
+
+/**
+ * Function: deserializeObject
+ *
+ * Input: Object data
+ * Output: object
+ *
+ * Description: Returns a new 3D object from its saved form
+ */
+function deserializeObject(data)
+{
+    return {
+
+        x: data.x,
+        y: data.y,
+        z: data.z,
+
+        roll: data.roll,
+        pitch: data.pitch,
+        yaw: data.yaw,
+
+        rollSpeed: data.rollSpeed,
+        pitchSpeed: data.pitchSpeed,
+        yawSpeed: data.yawSpeed,
+
+        scale: data.scale,
+
+        model: getNamedModel(data.model),
+    };
+}
+
+/**
+ * Function: deserializeObjects
+ *
+ * Input: Array saved
+ * Output: Array
+ *
+ * Description: Returns new 3D objects from their saved forms
+ */
+function deserializeObjects(saved)
+{
+    let objects = [];
+
+    for (let i = 0; i < saved.length; i++)
+    {
+        objects.push(deserializeObject(saved[i]));
+    }
+
+    return objects;
+}
+
+/**
+ * Function: serializeChunk
+ *
+ * Input: chunk chunk
+ * Output: Object
+ *
+ * Description: Returns the saved form of chunk, its coordinates, how many objects it
+ *              generated, how many ticks they have spun for, and its fragments
+ */
+function serializeChunk(chunk)
+{
+    return {
+
+        cx: chunk.cx,
+        cy: chunk.cy,
+        cz: chunk.cz,
+        objectCount: chunk.objects.length,
+        spinTicks: getChunkSpinTicks(chunk),
+        fragments: serializeObjects(chunk.fragments),
+    };
+}
+
+/**
+ * Function: deserializeChunk
+ *
+ * Input: Object data, Map destroyed
+ * Output: chunk
+ *
+ * Description: Generates the chunk again from worldSeed, spins its objects for as
+ *              long as they had been, marks the ones destroyed according to destroyed, which
+ *              is keyed like destroyedChunkObjects, and adds back its saved fragments.
+ *              Throws an error if the chunk no longer generates the objects that were saved.
+ */
+function deserializeChunk(data, destroyed)
+{
+    let chunk = generateChunk(data.cx, data.cy, data.cz);
+    let destroyedIndices = destroyed.get(chunkKey(data.cx, data.cy, data.cz));
+
+    if (data.objectCount !== chunk.objects.length || !Number.isInteger(data.spinTicks) || data.spinTicks < 0 || !Array.isArray(data.fragments))
+    {
+        throw new Error("The save does not match the world generated from its seed.");
+    }
+
+    spinChunkObjects(chunk, data.spinTicks);
+
+    for (let i = 0; i < chunk.objects.length; i++)
+    {
+        if (destroyedIndices !== undefined && destroyedIndices.has(i))
+        {
+            chunk.objects[i].isDestroyed = true;
+        }
+    }
+
+    chunk.fragments = deserializeObjects(data.fragments);
+
+    return chunk;
+}
+
+/**
+ * Function: serializeShip
+ *
+ * Input: ship ship
+ * Output: Object
+ *
+ * Description: Returns the saved form of ship. Its axes and angles are derived from its
+ *              orientation, and are not saved.
+ */
+function serializeShip(ship)
+{
+    return {
+
+        x: ship.x,
+        y: ship.y,
+        z: ship.z,
+        orientation: Array.from(ship.orientation),
+
+        isAutoDecelActive: ship.isAutoDecelActive,
+        forwardAccel: ship.forwardAccel,
+        forwardSpeed: ship.forwardSpeed,
+        yawSpeed: ship.yawSpeed,
+        pitchSpeed: ship.pitchSpeed,
+        rollSpeed: ship.rollSpeed,
+
+        hullIntegrity: ship.hullIntegrity,
+
+        interiorModel: getModelName(ship.interiorModel),
+        exteriorModel: getModelName(ship.exteriorModel),
+    };
+}
+
+/**
+ * Function: deserializeShip
+ *
+ * Input: Object data
+ * Output: ship
+ *
+ * Description: Returns a new ship from its saved form
+ */
+function deserializeShip(data)
+{
+    let ship = createShip(data.x, data.y, data.z, getNamedModel(data.interiorModel), getNamedModel(data.exteriorModel));
+
+    quat.set(ship.orientation, data.orientation[0], data.orientation[1], data.orientation[2], data.orientation[3]);
+
+    ship.isAutoDecelActive = data.isAutoDecelActive;
+    ship.forwardAccel = data.forwardAccel;
+    ship.forwardSpeed = data.forwardSpeed;
+    ship.yawSpeed = data.yawSpeed;
+    ship.pitchSpeed = data.pitchSpeed;
+    ship.rollSpeed = data.rollSpeed;
+
+    ship.hullIntegrity = data.hullIntegrity;
+
+    updateShipAxes(ship);
+
+    return ship;
+}
+
+/**
+ * Function: serializePlayer
+ *
+ * Input: None
+ * Output: Object
+ *
+ * Description: Returns the saved form of the player. The ship they are aboard is saved as
+ *              its index in ships, or -1 while spacewalking.
+ */
+function serializePlayer()
+{
+    return {
+
+        x: player.x,
+        y: player.y,
+        z: player.z,
+        yawAngle: player.yawAngle,
+        pitchAngle: player.pitchAngle,
+
+        isOnGround: player.isOnGround,
+
+        orientation: Array.from(player.orientation),
+        velocity: Array.from(player.velocity),
+
+        boardedShip: ships.indexOf(player.boardedShip),
+        isPiloting: player.isPiloting,
+    };
+}
+
+/**
+ * Function: deserializePlayer
+ *
+ * Input: Object data, Array newShips
+ * Output: None
+ *
+ * Description: Puts the player where they were in their saved form, aboard the ship of
+ *              newShips they were saved aboard
+ */
+function deserializePlayer(data, newShips)
+{
+    player.x = data.x;
+    player.y = data.y;
+    player.z = data.z;
+    player.pitchAngle = data.pitchAngle;
+
+    // Rotate rightVec and forwardVec to the saved yawAngle
+    player.yawAngle = 0.0;
+    yawRight(data.yawAngle);
+
+    player.isOnGround = data.isOnGround;
+
+    quat.set(player.orientation, data.orientation[0], data.orientation[1], data.orientation[2], data.orientation[3]);
+    vec3.set(player.velocity, data.velocity[0], data.velocity[1], data.velocity[2]);
+
+    if (data.boardedShip >= 0)
+    {
+        player.boardedShip = newShips[data.boardedShip];
+        player.isPiloting = data.isPiloting;
+    }
+    else
+    {
+        player.boardedShip = null;
+        player.isPiloting = false;
+    }
+}
+
+/**
+ * Function: serializeGame
+ *
+ * Input: None
+ * Output: Object
+ *
+ * Description: Returns the saved form of the whole game, ready for JSON.stringify. Throws
+ *              an error if anything uses a model that is not kept in models.
+ */
+function serializeGame()
+{
+    let chunks = [];
+    let chunkObjects = new Set();
+
+    loadedChunks.forEach(function(chunk) {
+
+        chunks.push(serializeChunk(chunk));
+
+        for (let i = 0; i < chunk.objects.length; i++)
+        {
+            chunkObjects.add(chunk.objects[i]);
+        }
+
+        for (let i = 0; i < chunk.fragments.length; i++)
+        {
+            chunkObjects.add(chunk.fragments[i]);
+        }
+    });
+
+    // Indices of the objects destroyed in every chunk, loaded or not
+    let destroyed = {};
+
+    destroyedChunkObjects.forEach(function(indices, key) {
+
+        destroyed[key] = Array.from(indices);
+    });
+
+    // Exterior objects that do not belong to a chunk, such as ones placed by hand
+    let looseObjects = exteriorObjects.filter(function(object) {
+
+        return !chunkObjects.has(object);
+    });
+
+    return {
+
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+
+        worldSeed: worldSeed,
+        player: serializePlayer(),
+        ships: ships.map(serializeShip),
+        chunks: chunks,
+        destroyedChunkObjects: destroyed,
+        exteriorObjects: serializeObjects(looseObjects),
+        interiorObjects: serializeObjects(interiorObjects),
+    };
+}
+
+/**
+ * Function: migrateSave
+ *
+ * Input: Object save
+ * Output: Object
+ *
+ * Description: Returns save brought up to SAVE_VERSION by SAVE_MIGRATIONS. Throws an error
+ *              if save is not a save, or was made by a newer version of the game.
+ */
+function migrateSave(save)
+{
+    if (save == null || typeof save != "object" || !Number.isInteger(save.version) || save.version < 1)
+    {
+        throw new Error("This is not a Nimbus save.");
+    }
+
+    if (save.version > SAVE_VERSION)
+    {
+        throw new Error("This save was made by a newer version of Nimbus.");
+    }
+
+    for (let version = save.version; version < SAVE_VERSION; version++)
+    {
+        save = SAVE_MIGRATIONS[version - 1](save);
+        save.version = version + 1;
+    }
+
+    return save;
+}
+
+/**
+ * Function: deserializeGame
+ *
+ * Input: Object save
+ * Output: None
+ *
+ * Description: Replaces the player, ships, chunks and objects with those in save, after
+ *              bringing it up to date. Everything is read before anything is replaced, so
+ *              if save can not be loaded an error is thrown and the game is left as it was.
+ */
+function deserializeGame(save)
+{
+    save = migrateSave(save);
+
+    if (!Number.isInteger(save.worldSeed) || save.player == null || !Array.isArray(save.ships) || !Array.isArray(save.chunks) ||
+        save.destroyedChunkObjects == null || !Array.isArray(save.exteriorObjects) || !Array.isArray(save.interiorObjects))
+    {
+        throw new Error("The save is missing part of the game.");
+    }
+
+    let newShips = save.ships.map(deserializeShip);
+
+    if (save.player.boardedShip >= newShips.length)
+    {
+        throw new Error("The save has the player aboard a ship that does not exist.");
+    }
+
+    let newExteriorObjects = deserializeObjects(save.exteriorObjects);
+    let newInteriorObjects = deserializeObjects(save.interiorObjects);
+
+    let newDestroyedChunkObjects = new Map();
+
+    for (let key in save.destroyedChunkObjects)
+    {
+        newDestroyedChunkObjects.set(key, new Set(save.destroyedChunkObjects[key]));
+    }
+
+    // Chunks are generated from the saved seed, which is put back if any of them fail
+    let previousWorldSeed = worldSeed;
+    worldSeed = save.worldSeed;
+
+    let newChunks = [];
+
+    try
+    {
+        for (let i = 0; i < save.chunks.length; i++)
+        {
+            newChunks.push(deserializeChunk(save.chunks[i], newDestroyedChunkObjects));
+        }
+    }
+    catch (error)
+    {
+        worldSeed = previousWorldSeed;
+        throw error;
+    }
+
+    ships = newShips;
+    deserializePlayer(save.player, newShips);
+
+    // Rebuild the chunks and the grid of exterior objects from scratch
+    loadedChunks.clear();
+    destroyedChunkObjects = newDestroyedChunkObjects;
+    centerChunk = null;
+    exteriorSpatialIndex = createSpatialIndex(chunkSize / SPATIAL_CELLS_PER_CHUNK);
+    exteriorObjects = [];
+
+    for (let i = 0; i < newChunks.length; i++)
+    {
+        loadedChunks.set(chunkKey(newChunks[i].cx, newChunks[i].cy, newChunks[i].cz), newChunks[i]);
+        newExteriorObjects = newExteriorObjects.concat(newChunks[i].objects.filter(function(object) {
+
+            return !object.isDestroyed;
+        }), newChunks[i].fragments);
+    }
+
+    for (let i = 0; i < newExteriorObjects.length; i++)
+    {
+        exteriorObjects.push(newExteriorObjects[i]);
+        insertIntoSpatialIndex(exteriorSpatialIndex, newExteriorObjects[i]);
+    }
+
+    interiorObjects = newInteriorObjects;
+
+    // Load any chunks around the player that were not loaded when the game was saved
+    getPlayerWorldPosition(playerWorldPosition);
+    updateLoadedChunks(playerWorldPosition);
+
+    // Forget everything that pointed at the old ships and objects
+    radarTarget = null;
+    interpolationStates.clear();
+    projectiles.length = 0;
+}
+
+/**
+ * Function: getSaveSlotKey
+ *
+ * Input: Integer slot
+ * Output: String
+ *
+ * Description: Returns the name slot is saved under in localStorage
+ */
+function getSaveSlotKey(slot)
+{
+    return SAVE_SLOT_STORAGE_KEY_PREFIX + slot;
+}
+
+/**
+ * Function: readSaveSlot
+ *
+ * Input: Integer slot
+ * Output: Object
+ *
+ * Description: Returns the save in slot, or null if it is empty or can not be read
+ */
+function readSaveSlot(slot)
+{
+    try
+    {
+        return JSON.parse(window.localStorage.getItem(getSaveSlotKey(slot)));
+    }
+    catch (error)
+    {
+        console.error("Unable to read save slot " + slot + ": " + error.message);
+    }
+
+    return null;
+}
+
+/**
+ * Function: saveToSlot
+ *
+ * Input: Integer slot
+ * Output: Boolean
+ *
+ * Description: Saves the game in slot, replacing whatever was there. Throws an error if
+ *              it can not be saved, leaving slot as it was.
+ */
+function saveToSlot(slot)
+{
+    window.localStorage.setItem(getSaveSlotKey(slot), JSON.stringify(serializeGame()));
+}
+
+/**
+ * Function: loadFromSlot
+ *
+ * Input: Integer slot
+ * Output: None
+ *
+ * Description: Loads the save in slot. Throws an error if it can not be loaded.
+ */
+function loadFromSlot(slot)
+{
+    let save = readSaveSlot(slot);
+
+    if (save == null)
+    {
+        throw new Error("Slot " + slot + " is empty.");
+    }
+
+    deserializeGame(save);
+}
+
+/**
+ * Function: deleteSaveSlot
+ *
+ * Input: Integer slot
+ * Output: None
+ *
+ * Description: Empties slot
+ */
+function deleteSaveSlot(slot)
+{
+    try
+    {
+        window.localStorage.removeItem(getSaveSlotKey(slot));
+    }
+    catch (error)
+    {
+        console.error("Unable to delete save slot " + slot + ": " + error.message);
+    }
+}
+
+/**
+ * Function: downloadJson
+ *
+ * Input: Object data, String filename
+ * Output: None
+ *
+ * Description: Downloads data as a JSON file named filename
+ */
+function downloadJson(data, filename)
+{
+    downloadText(JSON.stringify(data), filename);
+}
+
+/**
+ * Function: downloadText
+ *
+ * Input: String text, String filename
+ * Output: None
+ *
+ * Description: Downloads text as a JSON file named filename
+ */
+function downloadText(text, filename)
+{
+    let blob = new Blob([text], {type: "application/json"});
+    let url = URL.createObjectURL(blob);
+
+    let link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Function: exportSave
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Downloads the game as a JSON file named SAVE_EXPORT_FILENAME. Throws an
+ *              error if it can not be saved.
+ */
+function exportSave()
+{
+    downloadJson(serializeGame(), SAVE_EXPORT_FILENAME);
+}
+
+/**
+ * Function: importSave
+ *
+ * Input: File file
+ * Output: Promise
+ *
+ * Description: Loads the save in file, which was written by exportSave. The promise is
+ *              rejected if it can not be read or loaded.
+ */
+function importSave(file)
+{
+    return file.text().then(function(text) {
+
+        deserializeGame(JSON.parse(text));
+    });
+}
+
+/**
+ * Function: addSaveSlots
+ *
+ * Input: HTMLElement container
+ * Output: None
+ *
+ * Description: Adds the save slots, with buttons to save to, load and delete each, and
+ *              buttons to export and import saves, to the end of container. The pause
+ *              menu is redrawn after every change, showing saveStatus. Importing finishes
+ *              after the file is read, by which time the menu may have been closed.
+ */
+function addSaveSlots(container)
+{
+    let title = document.createElement("h3");
+    title.textContent = "Saved games";
+    container.appendChild(title);
+
+    if (saveStatus != null)
+    {
+        let status = document.createElement("p");
+        status.textContent = saveStatus;
+        container.appendChild(status);
+    }
+
+    let table = document.createElement("table");
+    container.appendChild(table);
+
+    for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++)
+    {
+        let save = readSaveSlot(slot);
+
+        let row = document.createElement("tr");
+        table.appendChild(row);
+
+        if (save != null && typeof save.savedAt == "string")
+        {
+            addKeyBindingsCell(row, "Slot " + slot + ": " + new Date(save.savedAt).toLocaleString());
+        }
+        else
+        {
+            addKeyBindingsCell(row, "Slot " + slot + ": Empty");
+        }
+
+        let cell = document.createElement("td");
+        row.appendChild(cell);
+
+        let saveButton = document.createElement("button");
+        saveButton.textContent = "Save";
+        saveButton.addEventListener("click", function() {
+
+            try
+            {
+                saveToSlot(slot);
+                saveStatus = "Saved to slot " + slot + ".";
+            }
+            catch (error)
+            {
+                console.error("Unable to save to slot " + slot + ": " + error.message);
+                saveStatus = "Unable to save to slot " + slot + ". " + error.message;
+            }
+
+            drawPauseMenu();
+        });
+        cell.appendChild(saveButton);
+
+        let loadButton = document.createElement("button");
+        loadButton.textContent = "Load";
+        loadButton.disabled = save == null;
+        loadButton.addEventListener("click", function() {
+
+            try
+            {
+                loadFromSlot(slot);
+                saveStatus = "Loaded slot " + slot + ".";
+            }
+            catch (error)
+            {
+                console.error("Unable to load slot " + slot + ": " + error.message);
+                saveStatus = "Unable to load slot " + slot + ". " + error.message;
+            }
+
+            drawPauseMenu();
+        });
+        cell.appendChild(loadButton);
+
+        let deleteButton = document.createElement("button");
+        deleteButton.textContent = "Delete";
+        deleteButton.disabled = save == null;
+        deleteButton.addEventListener("click", function() {
+
+            deleteSaveSlot(slot);
+            saveStatus = "Deleted slot " + slot + ".";
+
+            drawPauseMenu();
+        });
+        cell.appendChild(deleteButton);
+    }
+
+    let exportButton = document.createElement("button");
+    exportButton.textContent = "Export to file";
+    exportButton.addEventListener("click", function() {
+
+        try
+        {
+            exportSave();
+            saveStatus = "Exported to " + SAVE_EXPORT_FILENAME + ".";
+        }
+        catch (error)
+        {
+            console.error("Unable to export: " + error.message);
+            saveStatus = "Unable to export. " + error.message;
+        }
+
+        drawPauseMenu();
+    });
+    container.appendChild(exportButton);
+
+    let importInput = document.createElement("input");
+    importInput.type = "file";
+    importInput.accept = ".json,application/json";
+    importInput.addEventListener("change", function() {
+
+        if (importInput.files.length == 0)
+        {
+            return;
+        }
+
+        let file = importInput.files[0];
+
+        importSave(file).then(function() {
+
+            saveStatus = "Loaded " + file.name + ".";
+
+            if (pauseMenu != null)
+            {
+                drawPauseMenu();
+            }
+
+        }).catch(function(error) {
+
+            console.error("Unable to import " + file.name + ": " + error.message);
+            saveStatus = "Unable to load " + file.name + ". " + error.message;
+
+            if (pauseMenu != null)
+            {
+                drawPauseMenu();
+            }
+        });
+    });
+
+    let importButton = document.createElement("button");
+    importButton.textContent = "Import from file";
+    importButton.addEventListener("click", function() {
+
+        importInput.click();
+    });
+    container.appendChild(importButton);
+}
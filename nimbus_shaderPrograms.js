@@ -7,37 +7,94 @@
  *     - program - The resulting WebGL shader program
  *     - attributes - Pointers to shader attributes
  *     - uniforms - Pointers to shader uniforms
+ *     - [lightUniforms] - Pointers to the uniforms of LIGHTING_SHADER_CODE, for shaders that are lit
  *     - tieLocations - Function to pull out attribute and shader locations from the compiled program
  */
 
-let skyBoxShader = {
+let shipInteriorShader = {
 
     vertexShaderCode: `
-    
+
         attribute vec4 a_vertexPosition;
+        attribute vec3 a_vertexNormal;
+        attribute vec4 a_vertexColor;
         attribute vec2 a_textureCoordinates;
-
+        attribute vec4 a_vertexTangent;
+        
         uniform mat4 u_projectionMatrix;
+        uniform mat4 u_modelViewMatrix;
+        uniform mat4 u_normalMatrix;
         uniform mat4 u_worldViewMatrix;
 
+        varying lowp vec4 v_currentColor;
+        varying highp vec4 v_currentPosition;
+        varying highp vec4 v_currentNormal;
         varying highp vec2 v_textureCoordinates;
+        varying highp vec4 v_currentTangent;
+
+        void main(void) {
 
-        void main(void)
-        {
-            gl_Position = u_projectionMatrix * u_worldViewMatrix * a_vertexPosition; // Calculate vertex position in frame
-            v_textureCoordinates = a_textureCoordinates;
+            v_currentPosition = u_modelViewMatrix * a_vertexPosition; // Calculate vertex position in the world
+            
+            gl_Position = u_projectionMatrix * u_worldViewMatrix * v_currentPosition; //Compute final vertex position based on model, worldview, and projection
+            v_currentColor = a_vertexColor; //Color to be passed to fragment shader
+
+            v_currentNormal = u_normalMatrix * vec4(a_vertexNormal, 1.0); //Compute new normals based on object
+
+            v_textureCoordinates = a_textureCoordinates; //Texture coordinates to be passed to fragment shader
+            v_currentTangent = vec4((u_normalMatrix * vec4(a_vertexTangent.xyz, 0.0)).xyz, a_vertexTangent.w); //Rotate tangent with the object, keep its handedness
         }
     `,
 
+    //Fragment Shader source code
+
     fragmentShaderCode: `
-    
+
+        varying lowp vec4 v_currentColor;
+        varying highp vec4 v_currentPosition;
+        varying highp vec4 v_currentNormal;
         varying highp vec2 v_textureCoordinates;
+        varying highp vec4 v_currentTangent;
+
+        uniform sampler2D u_diffuseSampler;
+        uniform sampler2D u_normalSampler;
+        uniform sampler2D u_emissiveSampler;
+
+        uniform bool u_hasDiffuseMap;
+        uniform bool u_hasNormalMap;
+        uniform bool u_hasEmissiveMap;
+
+        uniform highp vec3 u_emissiveColor;
+${LIGHTING_SHADER_CODE}
+        void main(void) {
+
+            highp vec3 normal = normalize(v_currentNormal.xyz);
+
+            //Turn the normal map's tangent space normal into a world normal
+            if (u_hasNormalMap) {
+
+                highp vec3 tangent = normalize(v_currentTangent.xyz - normal * dot(normal, v_currentTangent.xyz));
+                highp vec3 bitangent = cross(normal, tangent) * v_currentTangent.w;
+                highp vec3 mappedNormal = texture2D(u_normalSampler, v_textureCoordinates).rgb * 2.0 - 1.0;
 
-        uniform sampler2D u_Sampler;
-    
-        void main(void)
-        {
-            gl_FragColor = texture2D(u_Sampler, v_textureCoordinates); // The color of the texture mapped to the current point
+                normal = normalize(mat3(tangent, bitangent, normal) * mappedNormal);
+            }
+
+            highp vec3 currentLighting = computeLighting(v_currentPosition.xyz, normal); //Compute lighting from every interior light
+
+            lowp vec4 color = v_currentColor;
+            if (u_hasDiffuseMap) {
+
+                color *= texture2D(u_diffuseSampler, v_textureCoordinates); //Vertex color tints the texture
+            }
+
+            highp vec3 emissive = u_emissiveColor;
+            if (u_hasEmissiveMap) {
+
+                emissive *= texture2D(u_emissiveSampler, v_textureCoordinates).rgb;
+            }
+            
+            gl_FragColor = vec4(color.rgb * currentLighting + emissive, 1.0); //Each fragment is the color multiplied by the light level, plus any light it gives off
         }
     `,
 
@@ -47,29 +104,44 @@ let skyBoxShader = {
 
     tieLocations: function() {
 
-        //Get location of attributes and uniforms, store in the ShaderData object
+        //Get location of attributes and uniforms, store in shaderProgramData object
         this.attributes = {
 
             vertexPosition: ctx.getAttribLocation(this.program, "a_vertexPosition"),
+            vertexColor: ctx.getAttribLocation(this.program, "a_vertexColor"),
+            vertexNormal: ctx.getAttribLocation(this.program, "a_vertexNormal"),
             textureCoordinates: ctx.getAttribLocation(this.program, "a_textureCoordinates"),
+            vertexTangent: ctx.getAttribLocation(this.program, "a_vertexTangent"),
         };
-        
+
         this.uniforms = {
 
             projectionMatrix: ctx.getUniformLocation(this.program, "u_projectionMatrix"),
+            modelViewMatrix: ctx.getUniformLocation(this.program, "u_modelViewMatrix"),
             worldViewMatrix: ctx.getUniformLocation(this.program, "u_worldViewMatrix"),
-            uSampler: ctx.getUniformLocation(this.program, "u_Sampler"),
+            normalMatrix: ctx.getUniformLocation(this.program, "u_normalMatrix"),
+            diffuseSampler: ctx.getUniformLocation(this.program, "u_diffuseSampler"),
+            normalSampler: ctx.getUniformLocation(this.program, "u_normalSampler"),
+            emissiveSampler: ctx.getUniformLocation(this.program, "u_emissiveSampler"),
+            hasDiffuseMap: ctx.getUniformLocation(this.program, "u_hasDiffuseMap"),
+            hasNormalMap: ctx.getUniformLocation(this.program, "u_hasNormalMap"),
+            hasEmissiveMap: ctx.getUniformLocation(this.program, "u_hasEmissiveMap"),
+            emissiveColor: ctx.getUniformLocation(this.program, "u_emissiveColor"),
         };
+
+        this.lightUniforms = getLightUniformLocations(this.program);
     },
 }
 
-let shipInteriorShader = {
+let shipExteriorShader = {
 
     vertexShaderCode: `
 
         attribute vec4 a_vertexPosition;
         attribute vec3 a_vertexNormal;
         attribute vec4 a_vertexColor;
+        attribute vec2 a_textureCoordinates;
+        attribute vec4 a_vertexTangent;
         
         uniform mat4 u_projectionMatrix;
         uniform mat4 u_modelViewMatrix;
@@ -77,42 +149,76 @@ let shipInteriorShader = {
         uniform mat4 u_worldViewMatrix;
 
         varying lowp vec4 v_currentColor;
-        varying highp vec4 v_currentPosition;
-        varying highp vec4 v_currentNormal;
+        varying highp vec3 v_currentPosition;
+        varying highp vec3 v_currentNormal;
+        varying highp vec2 v_textureCoordinates;
+        varying highp vec4 v_currentTangent;
 
         void main(void) {
 
-            v_currentPosition = u_modelViewMatrix * a_vertexPosition; // Calculate vertex position in the world
-            
-            gl_Position = u_projectionMatrix * u_worldViewMatrix * v_currentPosition; //Compute final vertex position based on model, worldview, and projection
+            highp vec4 worldPosition = u_modelViewMatrix * a_vertexPosition; //Calculate vertex position in the world
+            v_currentPosition = worldPosition.xyz; //Position to be passed to fragment shader for lighting
+
+            gl_Position = u_projectionMatrix * u_worldViewMatrix * worldPosition; //Compute vertex position based on model, worldview, and projection
             v_currentColor = a_vertexColor; //Color to be passed to fragment shader
 
-            v_currentNormal = u_normalMatrix * vec4(a_vertexNormal, 1.0); //Compute new normals based on object
+            v_currentNormal = (u_normalMatrix * vec4(a_vertexNormal, 1.0)).xyz; //Compute new normals based on object
+
+            v_textureCoordinates = a_textureCoordinates; //Texture coordinates to be passed to fragment shader
+            v_currentTangent = vec4((u_normalMatrix * vec4(a_vertexTangent.xyz, 0.0)).xyz, a_vertexTangent.w); //Rotate tangent with the object, keep its handedness
         }
     `,
 
     //Fragment Shader source code
+    //Lighting is done per fragment so that normal maps can change it
 
     fragmentShaderCode: `
 
         varying lowp vec4 v_currentColor;
-        varying highp vec4 v_currentPosition;
-        varying highp vec4 v_currentNormal;
+        varying highp vec3 v_currentPosition;
+        varying highp vec3 v_currentNormal;
+        varying highp vec2 v_textureCoordinates;
+        varying highp vec4 v_currentTangent;
 
+        uniform sampler2D u_diffuseSampler;
+        uniform sampler2D u_normalSampler;
+        uniform sampler2D u_emissiveSampler;
+
+        uniform bool u_hasDiffuseMap;
+        uniform bool u_hasNormalMap;
+        uniform bool u_hasEmissiveMap;
+
+        uniform highp vec3 u_emissiveColor;
+${LIGHTING_SHADER_CODE}
         void main(void) {
 
-            highp vec3 ambientLight = vec3(0.3, 0.3, 0.3); //Set ambientLight to 0.3 rgb
-            highp vec3 directionalLightColor = vec3(1.0, 1.0, 1.0); //Set directional light color to white
+            highp vec3 normal = normalize(v_currentNormal);
 
-            highp vec3 lightPosition = vec3(0.0, 2.4, 0.0);
+            //Turn the normal map's tangent space normal into a world normal
+            if (u_hasNormalMap) {
 
-            highp vec3 lightDirection = normalize(lightPosition - v_currentPosition.xyz); //Set light direction vector
+                highp vec3 tangent = normalize(v_currentTangent.xyz - normal * dot(normal, v_currentTangent.xyz));
+                highp vec3 bitangent = cross(normal, tangent) * v_currentTangent.w;
+                highp vec3 mappedNormal = texture2D(u_normalSampler, v_textureCoordinates).rgb * 2.0 - 1.0;
 
-            highp float directional = max(dot(v_currentNormal.xyz, lightDirection),0.0); //Compute directional based on transformed normal and direction of light
+                normal = normalize(mat3(tangent, bitangent, normal) * mappedNormal);
+            }
 
-            highp vec3 currentLighting = ambientLight + (directionalLightColor * directional); //Compute lighting of current vertex as ambient light plus directional light times the directional
-            
-            gl_FragColor = vec4(v_currentColor.rgb * currentLighting, 1.0); //Each fragment is the color multiplied by the light level
+            highp vec3 currentLighting = computeLighting(v_currentPosition, normal); //Compute lighting from every exterior light
+
+            lowp vec4 color = v_currentColor;
+            if (u_hasDiffuseMap) {
+
+                color *= texture2D(u_diffuseSampler, v_textureCoordinates); //Vertex color tints the texture
+            }
+
+            highp vec3 emissive = u_emissiveColor;
+            if (u_hasEmissiveMap) {
+
+                emissive *= texture2D(u_emissiveSampler, v_textureCoordinates).rgb;
+            }
+
+            gl_FragColor = vec4(color.rgb * currentLighting + emissive, 1.0); //Each fragment is the color multiplied by the light level, plus any light it gives off
         }
     `,
 
@@ -128,49 +234,54 @@ let shipInteriorShader = {
             vertexPosition: ctx.getAttribLocation(this.program, "a_vertexPosition"),
             vertexColor: ctx.getAttribLocation(this.program, "a_vertexColor"),
             vertexNormal: ctx.getAttribLocation(this.program, "a_vertexNormal"),
+            textureCoordinates: ctx.getAttribLocation(this.program, "a_textureCoordinates"),
+            vertexTangent: ctx.getAttribLocation(this.program, "a_vertexTangent"),
         };
-
+        
         this.uniforms = {
 
             projectionMatrix: ctx.getUniformLocation(this.program, "u_projectionMatrix"),
             modelViewMatrix: ctx.getUniformLocation(this.program, "u_modelViewMatrix"),
             worldViewMatrix: ctx.getUniformLocation(this.program, "u_worldViewMatrix"),
             normalMatrix: ctx.getUniformLocation(this.program, "u_normalMatrix"),
+            diffuseSampler: ctx.getUniformLocation(this.program, "u_diffuseSampler"),
+            normalSampler: ctx.getUniformLocation(this.program, "u_normalSampler"),
+            emissiveSampler: ctx.getUniformLocation(this.program, "u_emissiveSampler"),
+            hasDiffuseMap: ctx.getUniformLocation(this.program, "u_hasDiffuseMap"),
+            hasNormalMap: ctx.getUniformLocation(this.program, "u_hasNormalMap"),
+            hasEmissiveMap: ctx.getUniformLocation(this.program, "u_hasEmissiveMap"),
+            emissiveColor: ctx.getUniformLocation(this.program, "u_emissiveColor"),
         };
+
+        this.lightUniforms = getLightUniformLocations(this.program);
     },
 }
 
-let shipExteriorShader = {
+let instancedExteriorShader = {
 
     vertexShaderCode: `
 
         attribute vec4 a_vertexPosition;
         attribute vec3 a_vertexNormal;
         attribute vec4 a_vertexColor;
-        
+        attribute mat4 a_modelMatrix; // Per instance, takes up four attribute locations, one per column
+
         uniform mat4 u_projectionMatrix;
-        uniform mat4 u_modelViewMatrix;
-        uniform mat4 u_normalMatrix;
         uniform mat4 u_worldViewMatrix;
 
         varying lowp vec4 v_currentColor;
-        varying highp vec3 v_currentLighting;
+        varying highp vec3 v_currentPosition;
+        varying highp vec3 v_currentNormal;
 
         void main(void) {
 
-            gl_Position = u_projectionMatrix * u_worldViewMatrix * u_modelViewMatrix * a_vertexPosition; //Compute vertex position based on model, worldview, and projection
-            v_currentColor = a_vertexColor; //Color to be passed to fragment shader
-            
-            highp vec3 ambientLight = vec3(0.3, 0.3, 0.3); //Set ambientLight to 0.3 rgb
-            highp vec3 directionalLightColor = vec3(256.0 / 256.0, 256.0 / 256.0, 256.0 / 256.0); //Set directional light color to white
-
-            highp vec3 lightDirection = normalize(vec3(0.0, -1.0, 1.0)); //Set light direction vector
+            highp vec4 worldPosition = a_modelMatrix * a_vertexPosition; //Calculate vertex position in the world
+            v_currentPosition = worldPosition.xyz; //Position to be passed to fragment shader for lighting
 
-            highp vec4 transformedNormal = u_normalMatrix * vec4(a_vertexNormal, 1.0); //Compute new normals based on object
-
-            highp float directional = max(dot(transformedNormal.xyz, lightDirection * -1.0),0.0); //Compute directional based on transformed normal and direction of light
+            gl_Position = u_projectionMatrix * u_worldViewMatrix * worldPosition; //Compute vertex position based on instance model matrix, worldview, and projection
+            v_currentColor = a_vertexColor; //Color to be passed to fragment shader
 
-            v_currentLighting = ambientLight + (directionalLightColor * directional); //Compute lighting of current vertex as ambient light plus directional light times the directional
+            v_currentNormal = (a_modelMatrix * vec4(a_vertexNormal, 0.0)).xyz; //Rotate normal by the instance, dropping translation
         }
     `,
 
@@ -179,11 +290,14 @@ let shipExteriorShader = {
     fragmentShaderCode: `
 
         varying lowp vec4 v_currentColor;
-        varying lowp vec3 v_currentLighting;
-
+        varying highp vec3 v_currentPosition;
+        varying highp vec3 v_currentNormal;
+${LIGHTING_SHADER_CODE}
         void main(void) {
 
-            gl_FragColor = vec4(v_currentColor.rgb * v_currentLighting, 1.0); //Each fragment is the color multiplied by the light level
+            highp vec3 currentLighting = computeLighting(v_currentPosition, normalize(v_currentNormal)); //Compute lighting from every exterior light
+
+            gl_FragColor = vec4(v_currentColor.rgb * currentLighting, 1.0); //Each fragment is the color multiplied by the light level
         }
     `,
 
@@ -199,14 +313,60 @@ let shipExteriorShader = {
             vertexPosition: ctx.getAttribLocation(this.program, "a_vertexPosition"),
             vertexColor: ctx.getAttribLocation(this.program, "a_vertexColor"),
             vertexNormal: ctx.getAttribLocation(this.program, "a_vertexNormal"),
+            modelMatrix: ctx.getAttribLocation(this.program, "a_modelMatrix"),
         };
         
         this.uniforms = {
 
             projectionMatrix: ctx.getUniformLocation(this.program, "u_projectionMatrix"),
-            modelViewMatrix: ctx.getUniformLocation(this.program, "u_modelViewMatrix"),
             worldViewMatrix: ctx.getUniformLocation(this.program, "u_worldViewMatrix"),
-            normalMatrix: ctx.getUniformLocation(this.program, "u_normalMatrix"),
+        };
+
+        this.lightUniforms = getLightUniformLocations(this.program);
+    },
+}
+
+let shadowDepthShader = {
+
+    vertexShaderCode: `
+
+        attribute vec4 a_vertexPosition;
+
+        uniform mat4 u_lightMatrix;
+        uniform mat4 u_modelViewMatrix;
+
+        void main(void) {
+
+            gl_Position = u_lightMatrix * u_modelViewMatrix * a_vertexPosition; //Compute vertex position as seen from the light
+        }
+    `,
+
+    //Fragment Shader source code
+
+    fragmentShaderCode: `
+
+        void main(void) {
+
+            gl_FragColor = vec4(1.0); //Only the depth is kept, the color is never used
+        }
+    `,
+
+    program: null,
+    attributes: null,
+    uniforms: null,
+
+    tieLocations: function() {
+
+        //Get location of attributes and uniforms, store in shaderProgramData object
+        this.attributes = {
+
+            vertexPosition: ctx.getAttribLocation(this.program, "a_vertexPosition"),
+        };
+        
+        this.uniforms = {
+
+            lightMatrix: ctx.getUniformLocation(this.program, "u_lightMatrix"),
+            modelViewMatrix: ctx.getUniformLocation(this.program, "u_modelViewMatrix"),
         };
     },
-}
\ No newline at end of file
+}
@@ -0,0 +1,345 @@
+/**
+ *               Filename: nimbus_shadowLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Shadow maps for the shadow casting directional light of the interior
+ *                         and exterior light sets. Every frame, before the scene is drawn, the
+ *                         depth of everything near the player is rendered from the light's point
+ *                         of view into a depth texture. The lit shaders compare against it to
+ *                         find what the light cannot reach. Needs the WEBGL_depth_texture extension,
+ *                         without it nothing casts shadows.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element and WebGL context.
+ *
+ *           Dependencies: gl-matrix.js https://cdnjs.cloudflare.com/ajax/libs/gl-matrix/2.8.1/gl-matrix-min.js
+ *                         nimbus_objLibrary.js
+ *                         nimbus_shaderPrograms.js
+ *                         nimbus_methodLibrary.js
+ *                         nimbus_lightingLibrary.js
+ *                         nimbus_spatialLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Width and height of every shadow map, in texels
+const SHADOW_MAP_SIZE = 2048;
+
+// Half the width of the area each shadow map covers, around the ship interior and around the player outside
+const INTERIOR_SHADOW_RADIUS = 6.0;
+const EXTERIOR_SHADOW_RADIUS = 200.0;
+
+// Texture units the shadow maps stay bound to, after the units used by materials
+const INTERIOR_SHADOW_TEXTURE_UNIT = 3;
+const EXTERIOR_SHADOW_TEXTURE_UNIT = 4;
+
+// The WEBGL_depth_texture extension, or null if the browser does not support it
+let depthTextureExtension = null;
+
+// Exterior objects close enough to the player to cast shadows, reused every frame
+const shadowCasters = [];
+
+// Vectors and matrix reused while rendering shadow maps
+const shadowCenter = vec3.create();
+const shadowLightTarget = vec3.create();
+const shadowUp = vec3.create();
+const shadowViewMatrix = mat4.create();
+const shadowProjectionMatrix = mat4.create();
+
+/**
+ * Object: shadowMap
+ *
+ * Description: A depth texture rendered from a directional light, covering a square area
+ *
+ * Attributes: WebGLFramebuffer framebuffer - Renders into depthTexture
+ *             WebGLTexture depthTexture - Depth of the nearest surface to the light, per texel
+ *             Integer textureUnit - Texture unit depthTexture is bound to while drawing the scene
+ *             Double radius - Half the width of the area covered
+ *             Double texelWorldSize - Width of one texel, in the space of the light set
+ *             mat4 lightMatrix - Turns a position in the space of the light set into shadow map clip space
+ *             light light - Light the map was last rendered from
+ *             Boolean active - Whether the map was rendered this frame
+ */
+
+/**
+ * Function: initShadows
+ *
+ * Input: None
+ * Output: Boolean
+ *
+ * Description: Requests the WEBGL_depth_texture extension, compiles the depth shader, and
+ *              gives the interior and exterior light sets their shadow maps. Returns
+ *              whether shadows can be used.
+ */
+function initShadows()
+{
+    depthTextureExtension = ctx.getExtension("WEBGL_depth_texture");
+
+    if (depthTextureExtension == null)
+    {
+        console.log("WEBGL_depth_texture is not supported, nothing will cast shadows");
+        return false;
+    }
+
+    createShaderProgram(shadowDepthShader);
+
+    let interiorShadowMap = createShadowMap(INTERIOR_SHADOW_RADIUS, INTERIOR_SHADOW_TEXTURE_UNIT);
+    let exteriorShadowMap = createShadowMap(EXTERIOR_SHADOW_RADIUS, EXTERIOR_SHADOW_TEXTURE_UNIT);
+
+    if (interiorShadowMap == null || exteriorShadowMap == null)
+    {
+        console.log("Shadow map framebuffers are not supported, nothing will cast shadows");
+        return false;
+    }
+
+    interiorLights.shadowMap = interiorShadowMap;
+    exteriorLights.shadowMap = exteriorShadowMap;
+
+    return true;
+}
+
+/**
+ * Function: createShadowMap
+ *
+ * Input: Double radius, Integer textureUnit
+ * Output: shadowMap
+ *
+ * Description: Creates a SHADOW_MAP_SIZE depth texture and a framebuffer rendering into it.
+ *              Returns null if the framebuffer cannot be rendered into.
+ */
+function createShadowMap(radius, textureUnit)
+{
+    let depthTexture = ctx.createTexture();
+    ctx.activeTexture(ctx.TEXTURE0 + textureUnit);
+    ctx.bindTexture(ctx.TEXTURE_2D, depthTexture);
+    ctx.texImage2D(ctx.TEXTURE_2D, 0, ctx.DEPTH_COMPONENT, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE, 0, ctx.DEPTH_COMPONENT, ctx.UNSIGNED_INT, null);
+
+    //Depth textures can only be sampled without filtering, the shader does its own
+    ctx.texParameteri(ctx.TEXTURE_2D, ctx.TEXTURE_MIN_FILTER, ctx.NEAREST);
+    ctx.texParameteri(ctx.TEXTURE_2D, ctx.TEXTURE_MAG_FILTER, ctx.NEAREST);
+    ctx.texParameteri(ctx.TEXTURE_2D, ctx.TEXTURE_WRAP_S, ctx.CLAMP_TO_EDGE);
+    ctx.texParameteri(ctx.TEXTURE_2D, ctx.TEXTURE_WRAP_T, ctx.CLAMP_TO_EDGE);
+
+    let framebuffer = ctx.createFramebuffer();
+    ctx.bindFramebuffer(ctx.FRAMEBUFFER, framebuffer);
+    ctx.framebufferTexture2D(ctx.FRAMEBUFFER, ctx.DEPTH_ATTACHMENT, ctx.TEXTURE_2D, depthTexture, 0);
+
+    let status = ctx.checkFramebufferStatus(ctx.FRAMEBUFFER);
+    ctx.bindFramebuffer(ctx.FRAMEBUFFER, null);
+    ctx.activeTexture(ctx.TEXTURE0);
+
+    if (status != ctx.FRAMEBUFFER_COMPLETE)
+    {
+        return null;
+    }
+
+    return {
+
+        framebuffer: framebuffer,
+        depthTexture: depthTexture,
+        textureUnit: textureUnit,
+        radius: radius,
+        texelWorldSize: radius * 2.0 / SHADOW_MAP_SIZE,
+        lightMatrix: mat4.create(),
+        light: null,
+        active: false,
+    };
+}
+
+/**
+ * Function: getShadowLight
+ *
+ * Input: lightSet lightSet
+ * Output: light
+ *
+ * Description: Returns the first enabled directional light of lightSet that casts shadows,
+ *              or null if there is none
+ */
+function getShadowLight(lightSet)
+{
+    for (let i = 0; i < lightSet.lights.length; i++)
+    {
+        let light = lightSet.lights[i];
+
+        if (light.enabled && light.castsShadows && light.type == LIGHT_DIRECTIONAL)
+        {
+            return light;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Function: computeShadowMatrix
+ *
+ * Input: shadowMap shadowMap, light light, vec3 center
+ * Output: None
+ *
+ * Description: Sets the light matrix of shadowMap to an orthographic projection looking
+ *              down the light's direction, covering radius around center. The area is
+ *              moved in whole texels, so shadow edges do not crawl as the center moves.
+ */
+function computeShadowMatrix(shadowMap, light, center)
+{
+    const radius = shadowMap.radius;
+
+    //Rotate the world so the light shines down -z
+    if (Math.abs(light.direction[1]) < 0.99)
+    {
+        vec3.copy(shadowUp, YAXIS);
+    }
+    else
+    {
+        vec3.copy(shadowUp, XAXIS);
+    }
+
+    mat4.lookAt(shadowViewMatrix, VEC3_ZERO, light.direction, shadowUp);
+
+    //Find the center as the light sees it, snapped to the texel grid
+    vec3.transformMat4(shadowLightTarget, center, shadowViewMatrix);
+    let x = Math.floor(shadowLightTarget[0] / shadowMap.texelWorldSize) * shadowMap.texelWorldSize;
+    let y = Math.floor(shadowLightTarget[1] / shadowMap.texelWorldSize) * shadowMap.texelWorldSize;
+    let distance = shadowLightTarget[2] * -1.0;
+
+    //Leave room in front of the area for anything that might shadow it
+    mat4.ortho(shadowProjectionMatrix, x - radius, x + radius, y - radius, y + radius, distance - radius * 2.0, distance + radius * 2.0);
+
+    mat4.multiply(shadowMap.lightMatrix, shadowProjectionMatrix, shadowViewMatrix);
+}
+
+/**
+ * Function: renderShadowMaps
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Renders the interior shadow map from the boarded ship's interior, and the
+ *              exterior shadow map from the ships and exterior objects around the player,
+ *              then binds both to their texture units for drawScene. Maps whose light set
+ *              has no shadow casting light, or nothing to cast shadows, are left inactive.
+ */
+function renderShadowMaps()
+{
+    const interiorShadowMap = interiorLights.shadowMap;
+    const exteriorShadowMap = exteriorLights.shadowMap;
+
+    if (interiorShadowMap == null || exteriorShadowMap == null)
+    {
+        return;
+    }
+
+    ctx.useProgram(shadowDepthShader.program);
+    ctx.viewport(0, 0, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+
+    //Both sides of every surface block light, the cockpit's walls are only modelled from the inside
+    ctx.disable(ctx.CULL_FACE);
+
+    //The ship interior, in ship interior space
+    interiorShadowMap.light = getShadowLight(interiorLights);
+    interiorShadowMap.active = interiorShadowMap.light != null && player.boardedShip != null;
+
+    if (interiorShadowMap.active)
+    {
+        beginShadowMap(interiorShadowMap, VEC3_ZERO);
+
+        mat4.identity(modelViewMatrix);
+        drawShadowCaster(player.boardedShip.interiorModel, modelViewMatrix);
+    }
+
+    //Ships and exterior objects around the player, in world space
+    exteriorShadowMap.light = getShadowLight(exteriorLights);
+    exteriorShadowMap.active = exteriorShadowMap.light != null;
+
+    if (exteriorShadowMap.active)
+    {
+        getPlayerWorldPosition(shadowCenter);
+        beginShadowMap(exteriorShadowMap, shadowCenter);
+
+        for (let i = 0; i < ships.length; i++)
+        {
+            vec3.set(translation, ships[i].x, ships[i].y, ships[i].z);
+            mat4.fromRotationTranslation(modelViewMatrix, ships[i].orientation, translation);
+            drawShadowCaster(ships[i].exteriorModel, modelViewMatrix);
+        }
+
+        querySpatialIndex(exteriorSpatialIndex, shadowCenter[0], shadowCenter[1], shadowCenter[2], exteriorShadowMap.radius * 2.0, shadowCasters);
+
+        for (let i = 0; i < shadowCasters.length; i++)
+        {
+            let object = shadowCasters[i];
+
+            mat4.identity(modelViewMatrix);
+
+            vec3.set(translation, object.x, object.y, object.z);
+            mat4.translate(modelViewMatrix, modelViewMatrix, translation);  //Fifth transform: move back from origin based on position
+            mat4.rotate(modelViewMatrix, modelViewMatrix, object.pitch, XAXIS); //Fourth transform: rotate around x based on object pitch
+            mat4.rotate(modelViewMatrix, modelViewMatrix, object.yaw, YAXIS);   //Third transform: rotate around y based on object yaw
+            mat4.rotate(modelViewMatrix, modelViewMatrix, object.roll, ZAXIS);  //Second transform: rotate around z based on object roll
+
+            vec3.set(scaling, object.scale, object.scale, object.scale);
+            mat4.scale(modelViewMatrix, modelViewMatrix, scaling); //First transform: scale object based on object scale
+
+            drawShadowCaster(object.model, modelViewMatrix);
+        }
+    }
+
+    //Go back to drawing on the canvas
+    ctx.bindFramebuffer(ctx.FRAMEBUFFER, null);
+    ctx.viewport(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.enable(ctx.CULL_FACE);
+
+    //Keep the maps bound for the lit shaders to sample
+    ctx.activeTexture(ctx.TEXTURE0 + interiorShadowMap.textureUnit);
+    ctx.bindTexture(ctx.TEXTURE_2D, interiorShadowMap.depthTexture);
+    ctx.activeTexture(ctx.TEXTURE0 + exteriorShadowMap.textureUnit);
+    ctx.bindTexture(ctx.TEXTURE_2D, exteriorShadowMap.depthTexture);
+    ctx.activeTexture(ctx.TEXTURE0);
+}
+
+/**
+ * Function: beginShadowMap
+ *
+ * Input: shadowMap shadowMap, vec3 center
+ * Output: None
+ *
+ * Description: Computes the light matrix of shadowMap around center, and clears
+ *              its framebuffer for drawing. The depth shader must already be in use.
+ */
+function beginShadowMap(shadowMap, center)
+{
+    computeShadowMatrix(shadowMap, shadowMap.light, center);
+
+    ctx.bindFramebuffer(ctx.FRAMEBUFFER, shadowMap.framebuffer);
+    ctx.clearDepth(1.0);
+    ctx.clear(ctx.DEPTH_BUFFER_BIT);
+
+    ctx.uniformMatrix4fv(shadowDepthShader.uniforms.lightMatrix, false, shadowMap.lightMatrix);
+}
+
+/**
+ * Function: drawShadowCaster
+ *
+ * Input: model model, mat4 matrix
+ * Output: None
+ *
+ * Description: Draws the depth of model, placed by matrix, into the bound shadow map
+ */
+function drawShadowCaster(model, matrix)
+{
+    //Instruct WebGL how to pull out vertices
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, model.buffers.vertex);
+    ctx.vertexAttribPointer(shadowDepthShader.attributes.vertexPosition, 3, ctx.FLOAT, false, 0, 0); //Pull out 3 values at a time, no offsets
+    ctx.enableVertexAttribArray(shadowDepthShader.attributes.vertexPosition); //Enable the pointer to the buffer
+
+    //Give WebGL the element array
+    ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, model.buffers.drawPoint);
+
+    ctx.uniformMatrix4fv(shadowDepthShader.uniforms.modelViewMatrix, false, matrix);
+
+    //Draw triangles
+    ctx.drawElements(ctx.TRIANGLES, model.drawPointCount, ctx.UNSIGNED_SHORT, 0);
+}
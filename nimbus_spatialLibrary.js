@@ -0,0 +1,430 @@
+/**
+ *               Filename: nimbus_spatialLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: A uniform grid of world space cells that objects are sorted into by
+ *                         position, so that rendering, collisions and radar only have to look
+ *                         at the objects near where they are interested in. Also holds the view
+ *                         frustum tests used to skip drawing objects the camera cannot see.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element and WebGL context.
+ *
+ *           Dependencies: gl-matrix.js https://cdnjs.cloudflare.com/ajax/libs/gl-matrix/2.8.1/gl-matrix-min.js
+ *                         nimbus_collisionLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// How many grid cells fit along one side of a chunk
+const SPATIAL_CELLS_PER_CHUNK = 10;
+
+// Objects whose bounding radius is more than this fraction of a cell's size are kept out of
+// the cells, so that one large object does not widen the search around every point
+const SPATIAL_LARGE_OBJECT_FRACTION = 0.5;
+
+/**
+ * Object: spatialIndex
+ *
+ * Description: A uniform grid of cubic cells, each holding the objects whose centers are inside it
+ *
+ * Attributes: Double cellSize - Length of one side of a cell
+ *             Map cells - Cells that hold at least one object, keyed by spatialCellKey
+ *             Double maxObjectRadius - Largest bounding radius of any object ever inserted into a cell,
+ *                                      at most SPATIAL_LARGE_OBJECT_FRACTION of cellSize
+ *             spatialCell largeObjects - Objects too large for the cells, which every query and cull
+ *                                        tests one by one. Not kept in cells, and has no grid coordinates.
+ */
+
+/**
+ * Object: spatialCell
+ *
+ * Attributes: Integer ix, iy, iz - Grid coordinates of the cell
+ *             Array objects - Objects whose centers are inside the cell
+ */
+
+// Planes of the view frustum, filled in by computeFrustumPlanes
+// Each plane is a vec4 (a, b, c, d), where a point is inside when ax + by + cz + d >= 0
+const frustumPlanes = [vec4.create(), vec4.create(), vec4.create(), vec4.create(), vec4.create(), vec4.create()];
+
+// Matrix reused to hold projection * worldView when computing the frustum
+const frustumMatrix = mat4.create();
+
+// Exterior objects found visible by the last cull, reused every frame
+const visibleExteriorObjects = [];
+
+// Exterior objects found near a ship by the last collision query, reused every frame
+const nearbyExteriorObjects = [];
+
+/**
+ * Function: createSpatialIndex
+ *
+ * Input: Double cellSize
+ * Output: spatialIndex
+ *
+ * Description: Returns a new, empty spatial index
+ */
+function createSpatialIndex(cellSize)
+{
+    return {
+
+        cellSize: cellSize,
+        cells: new Map(),
+        maxObjectRadius: 0.0,
+
+        largeObjects: {
+
+            ix: null,
+            iy: null,
+            iz: null,
+            objects: [],
+        },
+    };
+}
+
+/**
+ * Function: spatialCellKey
+ *
+ * Input: Integer ix, iy, iz
+ * Output: String
+ *
+ * Description: Returns the key a cell is stored under in spatialIndex.cells
+ */
+function spatialCellKey(ix, iy, iz)
+{
+    return ix + "," + iy + "," + iz;
+}
+
+/**
+ * Function: insertIntoSpatialIndex
+ *
+ * Input: spatialIndex index, object object
+ * Output: None
+ *
+ * Description: Adds object to the cell containing its center, and remembers
+ *              that cell as object.spatialCell. Objects too large for a cell are
+ *              added to index.largeObjects instead.
+ */
+function insertIntoSpatialIndex(index, object)
+{
+    let radius = getObjectRadius(object);
+
+    if (radius > index.cellSize * SPATIAL_LARGE_OBJECT_FRACTION)
+    {
+        index.largeObjects.objects.push(object);
+        object.spatialCell = index.largeObjects;
+        return;
+    }
+
+    let ix = Math.floor(object.x / index.cellSize);
+    let iy = Math.floor(object.y / index.cellSize);
+    let iz = Math.floor(object.z / index.cellSize);
+    let key = spatialCellKey(ix, iy, iz);
+
+    let cell = index.cells.get(key);
+    if (cell === undefined)
+    {
+        cell = {
+
+            ix: ix,
+            iy: iy,
+            iz: iz,
+            objects: [],
+        };
+
+        index.cells.set(key, cell);
+    }
+
+    cell.objects.push(object);
+    object.spatialCell = cell;
+
+    index.maxObjectRadius = Math.max(index.maxObjectRadius, radius);
+}
+
+/**
+ * Function: removeFromSpatialIndex
+ *
+ * Input: spatialIndex index, object object
+ * Output: None
+ *
+ * Description: Removes object from its cell, and drops the cell if it is left empty
+ */
+function removeFromSpatialIndex(index, object)
+{
+    let cell = object.spatialCell;
+    if (cell == null)
+    {
+        return;
+    }
+
+    // Swap the last object into the removed object's place
+    let position = cell.objects.indexOf(object);
+    if (position >= 0)
+    {
+        cell.objects[position] = cell.objects[cell.objects.length - 1];
+        cell.objects.pop();
+    }
+
+    if (cell.objects.length == 0 && cell !== index.largeObjects)
+    {
+        index.cells.delete(spatialCellKey(cell.ix, cell.iy, cell.iz));
+    }
+
+    object.spatialCell = null;
+}
+
+/**
+ * Function: updateSpatialIndex
+ *
+ * Input: spatialIndex index, object object
+ * Output: None
+ *
+ * Description: Moves object into a different cell if it has moved out of its old one.
+ *              Should be called whenever an object's position changes.
+ */
+function updateSpatialIndex(index, object)
+{
+    let cell = object.spatialCell;
+
+    // Large objects are found wherever they are
+    if (cell === index.largeObjects)
+    {
+        return;
+    }
+
+    if (cell != null &&
+        cell.ix == Math.floor(object.x / index.cellSize) &&
+        cell.iy == Math.floor(object.y / index.cellSize) &&
+        cell.iz == Math.floor(object.z / index.cellSize))
+    {
+        return;
+    }
+
+    removeFromSpatialIndex(index, object);
+    insertIntoSpatialIndex(index, object);
+}
+
+/**
+ * Function: querySpatialIndex
+ *
+ * Input: spatialIndex index, Double x, y, z, radius, Array out
+ * Output: Array out
+ *
+ * Description: Empties out, then fills it with every object whose bounding sphere could
+ *              be within radius of the point (x, y, z). Objects that are farther away may
+ *              also be returned, so callers should do their own exact test.
+ */
+function querySpatialIndex(index, x, y, z, radius, out)
+{
+    out.length = 0;
+
+    let reach = radius + index.maxObjectRadius;
+
+    let minX = Math.floor((x - reach) / index.cellSize);
+    let maxX = Math.floor((x + reach) / index.cellSize);
+    let minY = Math.floor((y - reach) / index.cellSize);
+    let maxY = Math.floor((y + reach) / index.cellSize);
+    let minZ = Math.floor((z - reach) / index.cellSize);
+    let maxZ = Math.floor((z + reach) / index.cellSize);
+
+    for (let ix = minX; ix <= maxX; ix++)
+    {
+        for (let iy = minY; iy <= maxY; iy++)
+        {
+            for (let iz = minZ; iz <= maxZ; iz++)
+            {
+                let cell = index.cells.get(spatialCellKey(ix, iy, iz));
+
+                if (cell !== undefined)
+                {
+                    for (let i = 0; i < cell.objects.length; i++)
+                    {
+                        out.push(cell.objects[i]);
+                    }
+                }
+            }
+        }
+    }
+
+    let largeObjects = index.largeObjects.objects;
+
+    for (let i = 0; i < largeObjects.length; i++)
+    {
+        let object = largeObjects[i];
+        let dx = object.x - x;
+        let dy = object.y - y;
+        let dz = object.z - z;
+        let objectReach = radius + getObjectRadius(object);
+
+        if (dx * dx + dy * dy + dz * dz <= objectReach * objectReach)
+        {
+            out.push(object);
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Function: computeFrustumPlanes
+ *
+ * Input: mat4 projection, mat4 worldView
+ * Output: None
+ *
+ * Description: Extracts the six planes of the view frustum from the combined
+ *              projection and world view matrices into frustumPlanes. The planes
+ *              are in world space and normalized, with normals pointing inward.
+ */
+function computeFrustumPlanes(projection, worldView)
+{
+    mat4.multiply(frustumMatrix, projection, worldView);
+
+    const m = frustumMatrix;
+
+    // Each plane is the last row of the matrix plus or minus one of the other rows
+    for (let i = 0; i < 6; i++)
+    {
+        let row = Math.floor(i / 2);
+
+        let sign = 1.0;
+        if (i % 2 == 1)
+        {
+            sign = -1.0;
+        }
+
+        vec4.set(frustumPlanes[i],
+            m[3] + m[row] * sign,
+            m[7] + m[4 + row] * sign,
+            m[11] + m[8 + row] * sign,
+            m[15] + m[12 + row] * sign
+        );
+
+        let length = Math.sqrt(frustumPlanes[i][0] * frustumPlanes[i][0] + frustumPlanes[i][1] * frustumPlanes[i][1] + frustumPlanes[i][2] * frustumPlanes[i][2]);
+        vec4.scale(frustumPlanes[i], frustumPlanes[i], 1.0 / length);
+    }
+}
+
+/**
+ * Function: sphereInFrustum
+ *
+ * Input: Double x, y, z, radius
+ * Output: Boolean
+ *
+ * Description: Returns whether any part of the sphere could be inside frustumPlanes
+ */
+function sphereInFrustum(x, y, z, radius)
+{
+    for (let i = 0; i < 6; i++)
+    {
+        let plane = frustumPlanes[i];
+
+        if (plane[0] * x + plane[1] * y + plane[2] * z + plane[3] < radius * -1.0)
+        {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Function: boxInFrustum
+ *
+ * Input: Double minX, minY, minZ, maxX, maxY, maxZ
+ * Output: Boolean
+ *
+ * Description: Returns whether any part of the axis aligned box could be inside
+ *              frustumPlanes, by checking the corner farthest along each plane's normal
+ */
+function boxInFrustum(minX, minY, minZ, maxX, maxY, maxZ)
+{
+    for (let i = 0; i < 6; i++)
+    {
+        let plane = frustumPlanes[i];
+
+        let x = minX;
+        if (plane[0] >= 0.0)
+        {
+            x = maxX;
+        }
+
+        let y = minY;
+        if (plane[1] >= 0.0)
+        {
+            y = maxY;
+        }
+
+        let z = minZ;
+        if (plane[2] >= 0.0)
+        {
+            z = maxZ;
+        }
+
+        if (plane[0] * x + plane[1] * y + plane[2] * z + plane[3] < 0.0)
+        {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Function: cullSpatialIndex
+ *
+ * Input: spatialIndex index, Array out
+ * Output: Array out
+ *
+ * Description: Empties out, then fills it with every object in index whose bounding
+ *              sphere is inside frustumPlanes. Whole cells outside the frustum are
+ *              skipped without looking at their objects, and large objects are tested
+ *              one by one.
+ */
+function cullSpatialIndex(index, out)
+{
+    out.length = 0;
+
+    let padding = index.maxObjectRadius;
+
+    index.cells.forEach(function(cell) {
+
+        // Grow the cell by the largest object radius, since objects can hang over its edges
+        if (!boxInFrustum(
+            cell.ix * index.cellSize - padding,
+            cell.iy * index.cellSize - padding,
+            cell.iz * index.cellSize - padding,
+            (cell.ix + 1) * index.cellSize + padding,
+            (cell.iy + 1) * index.cellSize + padding,
+            (cell.iz + 1) * index.cellSize + padding))
+        {
+            return;
+        }
+
+        for (let i = 0; i < cell.objects.length; i++)
+        {
+            let object = cell.objects[i];
+
+            if (sphereInFrustum(object.x, object.y, object.z, getObjectRadius(object)))
+            {
+                out.push(object);
+            }
+        }
+    });
+
+    let largeObjects = index.largeObjects.objects;
+
+    for (let i = 0; i < largeObjects.length; i++)
+    {
+        let object = largeObjects[i];
+
+        if (sphereInFrustum(object.x, object.y, object.z, getObjectRadius(object)))
+        {
+            out.push(object);
+        }
+    }
+
+    return out;
+}
@@ -1,46 +1,16 @@
 /*
- *  Object: textureData
+ *  Object: skyBoxImages
  *
  *  Attributes:
- *     url - the source of the 2D image
- *     texture - the WebGL texture object
+ *     negZ, posX, posZ, negX, posY, negY - the source of the image for each face of the skybox, relative to the page
  */
 
-let textures = {
+let skyBoxImages = {
 
-    negZplane: {
-
-        url: "http://www.keith-smith.rocks/nimbus_textures/customCloud_nz.png",
-        texture: null,
-    },
-
-    posXplane: {
-
-        url: "https://www.keith-smith.rocks/nimbus_textures/customCloud_px.png",
-        texture: null,
-    },
-
-    posZplane: {
-
-        url: "https://www.keith-smith.rocks/nimbus_textures/customCloud_pz.png",
-        texture: null,
-    },
-
-    negXplane: {
-
-        url: "https://www.keith-smith.rocks/nimbus_textures/customCloud_nx.png",
-        texture: null,
-    },
-
-    posYplane: {
-
-        url: "https://www.keith-smith.rocks/nimbus_textures/customCloud_py.png",
-        texture: null,
-    },
-
-    negYplane: {
-
-        url: "https://www.keith-smith.rocks/nimbus_textures/customCloud_ny.png",
-        texture: null,
-    },
-};
\ No newline at end of file
+    negZ: "nimbus_textures/customCloud_nz.png",
+    posX: "nimbus_textures/customCloud_px.png",
+    posZ: "nimbus_textures/customCloud_pz.png",
+    negX: "nimbus_textures/customCloud_nx.png",
+    posY: "nimbus_textures/customCloud_py.png",
+    negY: "nimbus_textures/customCloud_ny.png",
+};
@@ -0,0 +1,521 @@
+/**
+ *               Filename: nimbus_touchLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: On-screen controls for touch screens, drawn on the hud canvas once the
+ *                         screen is first touched. A finger put down on the left half of the screen
+ *                         becomes a virtual joystick, centered where it landed, that turns and
+ *                         pitches the ship, or moves the player on foot. A finger dragged across the
+ *                         right half looks around, the same way as the mouse. Buttons down the right
+ *                         edge throttle, switch between ship and player control, and so on, showing
+ *                         only the ones that can be used at the moment. A button in the top right
+ *                         corner pauses the game.
+ *
+ *                         The joystick and buttons hold the same actions as the keyboard, so they
+ *                         steer exactly like the keys they stand in for.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element and touch events.
+ *
+ *           Dependencies: mouseLookLibrary.js
+ *                         nimbus_menuLibrary.js
+ *                         nimbus_objLibrary.js
+ *                         nimbus_inputLibrary.js
+ *                         nimbus_methodLibrary.js
+ *                         nimbus_hudLibrary.js
+ *                         nimbus_replayLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Radius of the joystick's base, how far its knob can travel, and where the base sits while the
+// joystick is not held, measured from the left and bottom of the window, all at base size
+const TOUCH_STICK_RADIUS = 70.0;
+const TOUCH_STICK_HOME_LEFT = 120.0;
+const TOUCH_STICK_HOME_BOTTOM = 220.0;
+
+// Fraction of the joystick's travel it must be pushed in a direction to hold that direction's action
+const TOUCH_STICK_THRESHOLD = 0.35;
+
+// Radius of the buttons, the distance between their centers, and where the lowest one sits,
+// measured from the right and bottom of the window, all at base size
+const TOUCH_BUTTON_RADIUS = 32.0;
+const TOUCH_BUTTON_SPACING = 80.0;
+const TOUCH_BUTTON_RIGHT = 70.0;
+const TOUCH_BUTTON_BOTTOM = 120.0;
+
+// Distance of the pause button's center from the right and top of the window, at base size
+const TOUCH_PAUSE_BUTTON_RIGHT = 50.0;
+const TOUCH_PAUSE_BUTTON_TOP = 50.0;
+
+// Actions held by pushing the joystick left, right, up and down, for each thing the player can be doing
+const TOUCH_STICK_ACTIONS = {
+
+    [INPUT_CONTEXT_PILOTING]: { left: "yawLeft", right: "yawRight", up: "pitchDown", down: "pitchUp" },
+    [INPUT_CONTEXT_WALKING]: { left: "walkLeft", right: "walkRight", up: "walkForward", down: "walkBackward" },
+    [INPUT_CONTEXT_SPACEWALKING]: { left: "thrustLeft", right: "thrustRight", up: "thrustForward", down: "thrustBackward" },
+};
+
+// Buttons from the bottom of the screen up, with the action each one holds. Buttons whose
+// action can not be used at the moment are left out, and the rest move down to fill the gap.
+const TOUCH_BUTTONS = [
+
+    { action: "throttleUp", label: "THR+" },
+    { action: "throttleDown", label: "THR-" },
+    { action: "jump", label: "JUMP" },
+    { action: "thrustUp", label: "UP" },
+    { action: "thrustDown", label: "DOWN" },
+    { action: "useHatch", label: "HATCH" },
+    { action: "togglePiloting", label: "PILOT" },
+    { action: "nextTarget", label: "TGT" },
+    { action: "fireLaser", label: "FIRE" },
+    { action: "fireMissile", label: "MSL" },
+];
+
+/**
+ * Object: touchControls
+ *
+ * Description: State of the on-screen controls
+ *
+ * Attributes: Boolean isShown - Whether the screen has been touched, after which the controls are drawn
+ *             Integer stickTouch - Identifier of the finger holding the joystick, or null
+ *             Double stickOriginX, stickOriginY - Where that finger landed, in hud canvas pixels
+ *             Double stickX, stickY - How far the joystick is pushed right and down, from -1 to 1
+ *             Array stickActions - Names of the actions the joystick is holding
+ *             Integer lookTouch - Identifier of the finger looking around, or null
+ *             Double lookX, lookY - Where that finger was last seen, in hud canvas pixels
+ *             Object buttonTouches - Name of the action held by each finger on a button, by identifier
+ */
+const touchControls = {
+
+    isShown: false,
+    stickTouch: null,
+    stickOriginX: 0.0,
+    stickOriginY: 0.0,
+    stickX: 0.0,
+    stickY: 0.0,
+    stickActions: [],
+    lookTouch: null,
+    lookX: 0.0,
+    lookY: 0.0,
+    buttonTouches: {},
+};
+
+// Position reused while reading touches
+const touchPosition = [0.0, 0.0];
+
+/**
+ * Function: initTouchControls
+ *
+ * Input: HTMLCanvasElement hud
+ * Output: None
+ *
+ * Description: Listens for touches on hud. The browser is kept from scrolling or
+ *              zooming the page while the game is being touched.
+ */
+function initTouchControls(hud)
+{
+    hud.addEventListener("touchstart", handleTouchStart, { passive: false });
+    hud.addEventListener("touchmove", handleTouchMove, { passive: false });
+    hud.addEventListener("touchend", handleTouchEnd, { passive: false });
+    hud.addEventListener("touchcancel", handleTouchEnd, { passive: false });
+}
+
+/**
+ * Function: getTouchPosition
+ *
+ * Input: Touch touch, Array out
+ * Output: Array out
+ *
+ * Description: Sets out to where touch is on the hud canvas, in canvas pixels
+ */
+function getTouchPosition(touch, out)
+{
+    let rect = hudCtx.canvas.getBoundingClientRect();
+
+    out[0] = (touch.clientX - rect.left) * hudCtx.canvas.width / rect.width;
+    out[1] = (touch.clientY - rect.top) * hudCtx.canvas.height / rect.height;
+
+    return out;
+}
+
+/**
+ * Function: handleTouchStart
+ *
+ * Input: TouchEvent event
+ * Output: None
+ *
+ * Description: Gives each new finger to the button under it, or else to the joystick if
+ *              it is on the left half of the screen, or to looking around on the right half.
+ *              A finger is ignored if what it would control already has one. Touching the
+ *              pause button opens the pause menu, which is all that works while a flight is
+ *              recorded or replayed, as touches are not recorded.
+ */
+function handleTouchStart(event)
+{
+    event.preventDefault();
+
+    if (pauseMenu != null)
+    {
+        return;
+    }
+
+    touchControls.isShown = true;
+
+    for (let i = 0; i < event.changedTouches.length; i++)
+    {
+        let touch = event.changedTouches[i];
+        getTouchPosition(touch, touchPosition);
+
+        if (isOnTouchPauseButton(touchPosition[0], touchPosition[1]))
+        {
+            openPauseMenu();
+            return;
+        }
+
+        // Only the pause button works while a flight is recorded or replayed
+        if (isKeyboardAndMouseOnly())
+        {
+            continue;
+        }
+
+        let button = findTouchButton(touchPosition[0], touchPosition[1]);
+
+        if (button != null)
+        {
+            touchControls.buttonTouches[touch.identifier] = button.action;
+            inputActions[button.action].down = true;
+            performKeyActions();
+        }
+        else if (touchPosition[0] < hudCtx.canvas.width / 2)
+        {
+            if (touchControls.stickTouch == null)
+            {
+                touchControls.stickTouch = touch.identifier;
+                touchControls.stickOriginX = touchPosition[0];
+                touchControls.stickOriginY = touchPosition[1];
+                touchControls.stickX = 0.0;
+                touchControls.stickY = 0.0;
+            }
+        }
+        else if (touchControls.lookTouch == null)
+        {
+            touchControls.lookTouch = touch.identifier;
+            touchControls.lookX = touchPosition[0];
+            touchControls.lookY = touchPosition[1];
+        }
+    }
+}
+
+/**
+ * Function: handleTouchMove
+ *
+ * Input: TouchEvent event
+ * Output: None
+ *
+ * Description: Pushes the joystick toward the finger holding it, and looks around by
+ *              however far the looking finger has moved
+ */
+function handleTouchMove(event)
+{
+    event.preventDefault();
+
+    if (pauseMenu != null)
+    {
+        return;
+    }
+
+    for (let i = 0; i < event.changedTouches.length; i++)
+    {
+        let touch = event.changedTouches[i];
+        getTouchPosition(touch, touchPosition);
+
+        if (touch.identifier === touchControls.stickTouch)
+        {
+            let travel = TOUCH_STICK_RADIUS * hudScale;
+            let x = (touchPosition[0] - touchControls.stickOriginX) / travel;
+            let y = (touchPosition[1] - touchControls.stickOriginY) / travel;
+
+            // Keep the knob on the base
+            let length = Math.sqrt(x * x + y * y);
+
+            if (length > 1.0)
+            {
+                x /= length;
+                y /= length;
+            }
+
+            touchControls.stickX = x;
+            touchControls.stickY = y;
+
+            updateTouchStickActions();
+        }
+        else if (touch.identifier === touchControls.lookTouch)
+        {
+            lookByMovement(touchPosition[0] - touchControls.lookX, touchPosition[1] - touchControls.lookY);
+
+            touchControls.lookX = touchPosition[0];
+            touchControls.lookY = touchPosition[1];
+        }
+    }
+}
+
+/**
+ * Function: handleTouchEnd
+ *
+ * Input: TouchEvent event
+ * Output: None
+ *
+ * Description: Lets go of whatever each lifted finger was holding. Releasing a button can
+ *              change what the player is doing, so the joystick's actions are updated after.
+ */
+function handleTouchEnd(event)
+{
+    event.preventDefault();
+
+    for (let i = 0; i < event.changedTouches.length; i++)
+    {
+        let touch = event.changedTouches[i];
+        let action = touchControls.buttonTouches[touch.identifier];
+
+        if (action !== undefined)
+        {
+            delete touchControls.buttonTouches[touch.identifier];
+            inputActions[action].down = false;
+            performKeyActions();
+        }
+        else if (touch.identifier === touchControls.stickTouch)
+        {
+            touchControls.stickTouch = null;
+            touchControls.stickX = 0.0;
+            touchControls.stickY = 0.0;
+        }
+        else if (touch.identifier === touchControls.lookTouch)
+        {
+            touchControls.lookTouch = null;
+        }
+    }
+
+    updateTouchStickActions();
+}
+
+/**
+ * Function: updateTouchStickActions
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Holds the action of every direction the joystick is pushed far enough in,
+ *              for what the player is doing now, and lets go of the ones it held before
+ *              that no longer apply. Actions held by keys are left alone.
+ */
+function updateTouchStickActions()
+{
+    let directions = TOUCH_STICK_ACTIONS[getInputContext()];
+    let wanted = [];
+
+    if (touchControls.stickX < TOUCH_STICK_THRESHOLD * -1.0)
+    {
+        wanted.push(directions.left);
+    }
+    else if (touchControls.stickX > TOUCH_STICK_THRESHOLD)
+    {
+        wanted.push(directions.right);
+    }
+
+    if (touchControls.stickY < TOUCH_STICK_THRESHOLD * -1.0)
+    {
+        wanted.push(directions.up);
+    }
+    else if (touchControls.stickY > TOUCH_STICK_THRESHOLD)
+    {
+        wanted.push(directions.down);
+    }
+
+    let changed = false;
+
+    for (let i = 0; i < touchControls.stickActions.length; i++)
+    {
+        if (wanted.indexOf(touchControls.stickActions[i]) == -1)
+        {
+            inputActions[touchControls.stickActions[i]].down = false;
+            changed = true;
+        }
+    }
+
+    for (let i = 0; i < wanted.length; i++)
+    {
+        if (touchControls.stickActions.indexOf(wanted[i]) == -1)
+        {
+            inputActions[wanted[i]].down = true;
+            changed = true;
+        }
+    }
+
+    touchControls.stickActions = wanted;
+
+    if (changed)
+    {
+        performKeyActions();
+    }
+}
+
+/**
+ * Function: getVisibleTouchButtons
+ *
+ * Input: None
+ * Output: Array
+ *
+ * Description: Returns the buttons in TOUCH_BUTTONS whose action can be used at the
+ *              moment, from the bottom of the screen up
+ */
+function getVisibleTouchButtons()
+{
+    let context = getInputContext();
+    let visible = [];
+
+    for (let i = 0; i < TOUCH_BUTTONS.length; i++)
+    {
+        if (inputActions[TOUCH_BUTTONS[i].action].contexts.indexOf(context) != -1)
+        {
+            visible.push(TOUCH_BUTTONS[i]);
+        }
+    }
+
+    return visible;
+}
+
+/**
+ * Function: findTouchButton
+ *
+ * Input: Double x, Double y
+ * Output: Object
+ *
+ * Description: Returns the visible button at x, y in hud canvas pixels, or null if there is none
+ */
+function findTouchButton(x, y)
+{
+    let buttons = getVisibleTouchButtons();
+    let radius = TOUCH_BUTTON_RADIUS * hudScale;
+    let centerX = hudCtx.canvas.width - TOUCH_BUTTON_RIGHT * hudScale;
+
+    for (let i = 0; i < buttons.length; i++)
+    {
+        let centerY = hudCtx.canvas.height - (TOUCH_BUTTON_BOTTOM + TOUCH_BUTTON_SPACING * i) * hudScale;
+        let dx = x - centerX;
+        let dy = y - centerY;
+
+        if (dx * dx + dy * dy <= radius * radius)
+        {
+            return buttons[i];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Function: isOnTouchPauseButton
+ *
+ * Input: Double x, Double y
+ * Output: Boolean
+ *
+ * Description: Returns whether x, y in hud canvas pixels is on the pause button
+ */
+function isOnTouchPauseButton(x, y)
+{
+    let radius = TOUCH_BUTTON_RADIUS * hudScale;
+    let dx = x - (hudCtx.canvas.width - TOUCH_PAUSE_BUTTON_RIGHT * hudScale);
+    let dy = y - TOUCH_PAUSE_BUTTON_TOP * hudScale;
+
+    return dx * dx + dy * dy <= radius * radius;
+}
+
+/**
+ * Function: drawTouchControls
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Draws the joystick, the buttons that can be used at the moment, lit
+ *              while held, and the pause button. Nothing is drawn until the screen has
+ *              been touched.
+ */
+function drawTouchControls()
+{
+    if (!touchControls.isShown)
+    {
+        return;
+    }
+
+    let radius = TOUCH_STICK_RADIUS * hudScale;
+    let baseX = TOUCH_STICK_HOME_LEFT * hudScale;
+    let baseY = hudCtx.canvas.height - TOUCH_STICK_HOME_BOTTOM * hudScale;
+
+    if (touchControls.stickTouch != null)
+    {
+        baseX = touchControls.stickOriginX;
+        baseY = touchControls.stickOriginY;
+    }
+
+    hudCtx.lineWidth = Math.max(1.0, 2.0 * hudScale);
+
+    // Joystick base, and its knob pushed as far as the joystick is
+    hudCtx.strokeStyle = HUD_DIM_COLOR;
+    hudCtx.beginPath();
+    hudCtx.arc(baseX, baseY, radius, 0.0, Math.PI * 2.0);
+    hudCtx.stroke();
+
+    hudCtx.fillStyle = HUD_DIM_COLOR;
+    hudCtx.beginPath();
+    hudCtx.arc(baseX + touchControls.stickX * radius, baseY + touchControls.stickY * radius, radius * 0.4, 0.0, Math.PI * 2.0);
+    hudCtx.fill();
+
+    // Buttons, from the bottom up
+    let buttons = getVisibleTouchButtons();
+    let buttonRadius = TOUCH_BUTTON_RADIUS * hudScale;
+    let centerX = hudCtx.canvas.width - TOUCH_BUTTON_RIGHT * hudScale;
+
+    hudCtx.font = Math.round(12 * hudScale) + 'px monospace';
+    hudCtx.textAlign = 'center';
+    hudCtx.textBaseline = 'middle';
+
+    for (let i = 0; i < buttons.length; i++)
+    {
+        let centerY = hudCtx.canvas.height - (TOUCH_BUTTON_BOTTOM + TOUCH_BUTTON_SPACING * i) * hudScale;
+        let color = HUD_DIM_COLOR;
+
+        if (inputActions[buttons[i].action].down)
+        {
+            color = HUD_ACTIVE_COLOR;
+        }
+
+        hudCtx.strokeStyle = color;
+        hudCtx.fillStyle = color;
+
+        hudCtx.beginPath();
+        hudCtx.arc(centerX, centerY, buttonRadius, 0.0, Math.PI * 2.0);
+        hudCtx.stroke();
+
+        hudCtx.fillText(buttons[i].label, centerX, centerY);
+    }
+
+    // Pause button, with two bars on it
+    let pauseX = hudCtx.canvas.width - TOUCH_PAUSE_BUTTON_RIGHT * hudScale;
+    let pauseY = TOUCH_PAUSE_BUTTON_TOP * hudScale;
+    let barHeight = buttonRadius * 0.8;
+    let barWidth = buttonRadius * 0.25;
+
+    hudCtx.strokeStyle = HUD_DIM_COLOR;
+    hudCtx.fillStyle = HUD_DIM_COLOR;
+
+    hudCtx.beginPath();
+    hudCtx.arc(pauseX, pauseY, buttonRadius, 0.0, Math.PI * 2.0);
+    hudCtx.stroke();
+
+    hudCtx.fillRect(pauseX - barWidth * 1.5, pauseY - barHeight / 2, barWidth, barHeight);
+    hudCtx.fillRect(pauseX + barWidth * 0.5, pauseY - barHeight / 2, barWidth, barHeight);
+}
@@ -0,0 +1,580 @@
+/**
+ *               Filename: nimbus_weaponLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Ship mounted lasers and missiles. While the player is piloting, holding
+ *                         the fire actions shoots from the nose of their ship as often as each weapon
+ *                         allows. Projectiles are moved every tick until their lifetime runs out, and
+ *                         the path each covers in a tick is tested against the exterior objects and
+ *                         every ship but the one that fired it.
+ *
+ *                         A laser bolt breaks the object it hits into eight smaller pieces, or destroys
+ *                         it once the pieces would be smaller than MIN_FRAGMENT_SCALE, and damages the
+ *                         hull of a ship it hits. A missile turns toward the radar target it was fired
+ *                         at, if there was one in range, and explodes on impact, destroying every object
+ *                         and damaging every ship within its blast.
+ *
+ *                         Projectiles are drawn as streaks on the hud.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *
+ *           Dependencies: gl-matrix.js https://cdnjs.cloudflare.com/ajax/libs/gl-matrix/2.8.1/gl-matrix-min.js
+ *                         nimbus_objLibrary.js
+ *                         nimbus_inputLibrary.js
+ *                         nimbus_methodLibrary.js
+ *                         nimbus_hudLibrary.js
+ *                         nimbus_radarLibrary.js
+ *                         nimbus_collisionLibrary.js
+ *                         nimbus_spatialLibrary.js
+ *                         nimbus_chunkLibrary.js
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Kinds of projectile
+const PROJECTILE_LASER = "laser";
+const PROJECTILE_MISSILE = "missile";
+
+// Laser bolts fly straight at LASER_SPEED on top of the ship's own speed
+const LASER_SPEED = 800.0;
+const LASER_LIFETIME = 1.5; // Seconds before a bolt that has hit nothing disappears
+const LASER_COOLDOWN = 0.15; // Seconds between shots
+const LASER_DAMAGE = 5.0; // Hull integrity taken from a ship that is hit
+const LASER_COLOR = 'rgb(255, 80, 80)';
+
+// Missiles leave at MISSILE_LAUNCH_SPEED on top of the ship's speed, and speed up to MISSILE_MAX_SPEED
+const MISSILE_LAUNCH_SPEED = 50.0;
+const MISSILE_ACCEL = 300.0;
+const MISSILE_MAX_SPEED = 500.0;
+const MISSILE_TURN_RATE = 2.0; // Radians a second a missile can turn toward its target
+const MISSILE_LIFETIME = 6.0;
+const MISSILE_COOLDOWN = 1.0;
+const MISSILE_BLAST_RADIUS = 40.0;
+const MISSILE_DAMAGE = 40.0; // Hull integrity taken from a ship caught in the blast
+const MISSILE_COLOR = 'rgb(255, 180, 60)';
+
+// Objects are destroyed outright rather than broken up once their pieces would be smaller than this
+const MIN_FRAGMENT_SCALE = 0.25;
+
+// Where projectiles leave the ship, in ship space, just ahead of the nose
+const WEAPON_MUZZLE = vec3.fromValues(0.0, 0.0, -3.5);
+
+// Seconds of flight shown behind each projectile as its streak on the hud
+const PROJECTILE_STREAK_TIME = 0.02;
+
+/**
+ * Object: projectile
+ *
+ * Description: A laser bolt or missile in flight, in world space
+ *
+ * Attributes: String type - PROJECTILE_LASER or PROJECTILE_MISSILE
+ *             Double x, y, z
+ *             vec3 velocity
+ *             Double age - Seconds since it was fired
+ *             ship owner - Ship that fired it, which it can not hit
+ *             Object target - Object or ship a missile is turning toward, or null
+ */
+
+// Every projectile in flight
+const projectiles = [];
+
+// Objects near a projectile's path, reused every tick
+const projectileHitCandidates = [];
+
+// Vectors reused while moving projectiles and testing them for hits
+const projectileStart = vec3.create();
+const projectileStep = vec3.create();
+const projectileDirection = vec3.create();
+const projectileTargetDirection = vec3.create();
+
+// Clip space positions of the two ends of a projectile's streak, reused while drawing
+const streakHeadPosition = vec4.create();
+const streakTailPosition = vec4.create();
+
+/**
+ * Function: updateWeapons
+ *
+ * Input: Double deltaT
+ * Output: None
+ *
+ * Description: Counts down every ship's weapons, fires the player's ship's weapons if
+ *              their actions are held while piloting and the ship is not disabled, then
+ *              moves every projectile.
+ *              Should be called once a tick, after ships have moved.
+ */
+function updateWeapons(deltaT)
+{
+    for (let i = 0; i < ships.length; i++)
+    {
+        ships[i].laserCooldown = Math.max(0.0, ships[i].laserCooldown - deltaT);
+        ships[i].missileCooldown = Math.max(0.0, ships[i].missileCooldown - deltaT);
+    }
+
+    let ship = player.boardedShip;
+
+    if (player.isPiloting && ship != null && !isShipDisabled(ship))
+    {
+        if (inputActions.fireLaser.down && ship.laserCooldown <= 0.0)
+        {
+            fireProjectile(ship, PROJECTILE_LASER, LASER_SPEED, null);
+            ship.laserCooldown = LASER_COOLDOWN;
+        }
+
+        if (inputActions.fireMissile.down && ship.missileCooldown <= 0.0)
+        {
+            fireProjectile(ship, PROJECTILE_MISSILE, MISSILE_LAUNCH_SPEED, getMissileTarget(ship));
+            ship.missileCooldown = MISSILE_COOLDOWN;
+        }
+    }
+
+    updateProjectiles(deltaT);
+}
+
+/**
+ * Function: getMissileTarget
+ *
+ * Input: ship ship
+ * Output: Object
+ *
+ * Description: Returns the radar target if it is still within radar range of ship, or null
+ */
+function getMissileTarget(ship)
+{
+    if (radarTarget == null || radarTarget.isDestroyed || !isInRadarRange(ship, radarTarget))
+    {
+        return null;
+    }
+
+    return radarTarget;
+}
+
+/**
+ * Function: fireProjectile
+ *
+ * Input: ship ship, String type, Double speed, Object target
+ * Output: None
+ *
+ * Description: Launches a projectile of type from ship's muzzle, flying the way the ship
+ *              faces at speed on top of the ship's own speed
+ */
+function fireProjectile(ship, type, speed, target)
+{
+    getShipPointInWorld(projectileStart, ship, WEAPON_MUZZLE);
+
+    let velocity = vec3.create();
+    vec3.scale(velocity, ship.forwardVec, ship.forwardSpeed + speed);
+
+    projectiles.push({
+
+        type: type,
+        x: projectileStart[0],
+        y: projectileStart[1],
+        z: projectileStart[2],
+        velocity: velocity,
+        age: 0.0,
+        owner: ship,
+        target: target,
+    });
+}
+
+/**
+ * Function: updateProjectiles
+ *
+ * Input: Double deltaT
+ * Output: None
+ *
+ * Description: Steers and moves every projectile by deltaT, and hits whatever is first in
+ *              the way of each. Projectiles that have hit something or run out of lifetime
+ *              are removed, as are the exterior objects destroyed.
+ */
+function updateProjectiles(deltaT)
+{
+    let count = 0;
+    let destroyedAny = false;
+
+    for (let i = 0; i < projectiles.length; i++)
+    {
+        let projectile = projectiles[i];
+        projectile.age += deltaT;
+
+        let lifetime = LASER_LIFETIME;
+
+        if (projectile.type == PROJECTILE_MISSILE)
+        {
+            lifetime = MISSILE_LIFETIME;
+            steerMissile(projectile, deltaT);
+        }
+
+        if (projectile.age > lifetime)
+        {
+            continue;
+        }
+
+        vec3.set(projectileStart, projectile.x, projectile.y, projectile.z);
+        vec3.scale(projectileStep, projectile.velocity, deltaT);
+
+        let hit = findProjectileHit(projectile);
+
+        if (hit == null)
+        {
+            projectile.x += projectileStep[0];
+            projectile.y += projectileStep[1];
+            projectile.z += projectileStep[2];
+
+            projectiles[count] = projectile;
+            count++;
+            continue;
+        }
+
+        projectile.x += projectileStep[0] * hit.t;
+        projectile.y += projectileStep[1] * hit.t;
+        projectile.z += projectileStep[2] * hit.t;
+
+        if (projectile.type == PROJECTILE_MISSILE)
+        {
+            explodeMissile(projectile);
+        }
+        else if (hit.ship != null)
+        {
+            damageShip(hit.ship, LASER_DAMAGE);
+        }
+        else
+        {
+            fragmentExteriorObject(hit.object);
+        }
+
+        destroyedAny = true;
+    }
+
+    projectiles.length = count;
+
+    if (destroyedAny)
+    {
+        exteriorObjects = exteriorObjects.filter(function(object) {
+
+            return !object.isDestroyed;
+        });
+    }
+}
+
+/**
+ * Function: steerMissile
+ *
+ * Input: projectile missile, Double deltaT
+ * Output: None
+ *
+ * Description: Speeds the missile up, and turns it toward its target by at most
+ *              MISSILE_TURN_RATE radians a second. A missile whose target has been
+ *              destroyed, or unloaded with its chunk, flies straight on.
+ */
+function steerMissile(missile, deltaT)
+{
+    let speed = Math.min(vec3.length(missile.velocity) + MISSILE_ACCEL * deltaT, MISSILE_MAX_SPEED);
+
+    vec3.normalize(projectileDirection, missile.velocity);
+
+    if (missile.target != null && (missile.target.isDestroyed || missile.target.isUnloaded))
+    {
+        missile.target = null;
+    }
+
+    if (missile.target != null)
+    {
+        vec3.set(projectileTargetDirection, missile.target.x - missile.x, missile.target.y - missile.y, missile.target.z - missile.z);
+        vec3.normalize(projectileTargetDirection, projectileTargetDirection);
+
+        let angle = Math.acos(Math.max(-1.0, Math.min(1.0, vec3.dot(projectileDirection, projectileTargetDirection))));
+        let maxTurn = MISSILE_TURN_RATE * deltaT;
+
+        if (angle <= maxTurn)
+        {
+            vec3.copy(projectileDirection, projectileTargetDirection);
+        }
+        else
+        {
+            // Lean part of the way toward the target, which turns by about maxTurn
+            vec3.lerp(projectileDirection, projectileDirection, projectileTargetDirection, maxTurn / angle);
+            vec3.normalize(projectileDirection, projectileDirection);
+        }
+    }
+
+    vec3.scale(missile.velocity, projectileDirection, speed);
+}
+
+/**
+ * Function: findProjectileHit
+ *
+ * Input: projectile projectile
+ * Output: Object
+ *
+ * Description: Returns what the projectile first runs into while moving by projectileStep
+ *              from projectileStart, as {t, object, ship} with t the fraction of the step
+ *              covered and one of object and ship null, or null if it hits nothing
+ */
+function findProjectileHit(projectile)
+{
+    let hit = null;
+
+    let halfLength = vec3.length(projectileStep) / 2.0;
+
+    querySpatialIndex(exteriorSpatialIndex,
+        projectileStart[0] + projectileStep[0] / 2.0,
+        projectileStart[1] + projectileStep[1] / 2.0,
+        projectileStart[2] + projectileStep[2] / 2.0,
+        halfLength, projectileHitCandidates);
+
+    for (let i = 0; i < projectileHitCandidates.length; i++)
+    {
+        let object = projectileHitCandidates[i];
+        let t = intersectStepWithSphere(object.x, object.y, object.z, getObjectRadius(object));
+
+        if (t >= 0.0 && (hit == null || t < hit.t))
+        {
+            hit = { t: t, object: object, ship: null };
+        }
+    }
+
+    for (let i = 0; i < ships.length; i++)
+    {
+        if (ships[i] == projectile.owner)
+        {
+            continue;
+        }
+
+        let t = intersectStepWithSphere(ships[i].x, ships[i].y, ships[i].z, ships[i].hullRadius);
+
+        if (t >= 0.0 && (hit == null || t < hit.t))
+        {
+            hit = { t: t, object: null, ship: ships[i] };
+        }
+    }
+
+    return hit;
+}
+
+/**
+ * Function: intersectStepWithSphere
+ *
+ * Input: Double x, y, z, radius
+ * Output: Double
+ *
+ * Description: Returns the fraction of projectileStep, from projectileStart, at which it
+ *              first touches the sphere of radius around (x, y, z), 0 if it starts inside
+ *              it, or -1 if the step misses it
+ */
+function intersectStepWithSphere(x, y, z, radius)
+{
+    let fromX = projectileStart[0] - x;
+    let fromY = projectileStart[1] - y;
+    let fromZ = projectileStart[2] - z;
+
+    let c = fromX * fromX + fromY * fromY + fromZ * fromZ - radius * radius;
+
+    if (c <= 0.0)
+    {
+        return 0.0;
+    }
+
+    let a = vec3.dot(projectileStep, projectileStep);
+    let b = 2.0 * (fromX * projectileStep[0] + fromY * projectileStep[1] + fromZ * projectileStep[2]);
+    let discriminant = b * b - 4.0 * a * c;
+
+    if (a == 0.0 || discriminant < 0.0)
+    {
+        return -1.0;
+    }
+
+    let t = (-b - Math.sqrt(discriminant)) / (2.0 * a);
+
+    if (t < 0.0 || t > 1.0)
+    {
+        return -1.0;
+    }
+
+    return t;
+}
+
+/**
+ * Function: explodeMissile
+ *
+ * Input: projectile missile
+ * Output: None
+ *
+ * Description: Destroys every exterior object and damages every ship that the blast
+ *              around the missile reaches
+ */
+function explodeMissile(missile)
+{
+    querySpatialIndex(exteriorSpatialIndex, missile.x, missile.y, missile.z, MISSILE_BLAST_RADIUS, projectileHitCandidates);
+
+    for (let i = 0; i < projectileHitCandidates.length; i++)
+    {
+        let object = projectileHitCandidates[i];
+
+        if (isWithinBlast(missile, object, getObjectRadius(object)))
+        {
+            destroyExteriorObject(object);
+        }
+    }
+
+    for (let i = 0; i < ships.length; i++)
+    {
+        if (isWithinBlast(missile, ships[i], ships[i].hullRadius))
+        {
+            damageShip(ships[i], MISSILE_DAMAGE);
+        }
+    }
+}
+
+/**
+ * Function: isWithinBlast
+ *
+ * Input: projectile missile, Object body, Double radius
+ * Output: Boolean
+ *
+ * Description: Returns whether a body of radius is touched by the missile's blast
+ */
+function isWithinBlast(missile, body, radius)
+{
+    let dx = body.x - missile.x;
+    let dy = body.y - missile.y;
+    let dz = body.z - missile.z;
+    let reach = MISSILE_BLAST_RADIUS + radius;
+
+    return dx * dx + dy * dy + dz * dz <= reach * reach;
+}
+
+/**
+ * Function: damageShip
+ *
+ * Input: ship ship, Double damage
+ * Output: None
+ *
+ * Description: Takes damage from the ship's hull integrity, which does not go below zero
+ */
+function damageShip(ship, damage)
+{
+    ship.hullIntegrity = Math.max(0.0, ship.hullIntegrity - damage);
+}
+
+/**
+ * Function: destroyExteriorObject
+ *
+ * Input: object object
+ * Output: None
+ *
+ * Description: Marks object as destroyed and takes it out of exteriorSpatialIndex. If it
+ *              was generated by a chunk, the chunk remembers, so it stays destroyed. The
+ *              object is taken out of exteriorObjects at the end of updateProjectiles.
+ */
+function destroyExteriorObject(object)
+{
+    if (object.isDestroyed)
+    {
+        return;
+    }
+
+    object.isDestroyed = true;
+    removeFromSpatialIndex(exteriorSpatialIndex, object);
+    markChunkObjectDestroyed(object);
+}
+
+/**
+ * Function: fragmentExteriorObject
+ *
+ * Input: object object
+ * Output: None
+ *
+ * Description: Destroys object, and puts eight pieces half its size in the eight corners
+ *              of where it was, spinning as it did. The pieces belong to the chunks they are
+ *              in. Nothing is left of objects whose pieces would be smaller than MIN_FRAGMENT_SCALE.
+ */
+function fragmentExteriorObject(object)
+{
+    destroyExteriorObject(object);
+
+    let scale = object.scale / 2.0;
+
+    if (scale < MIN_FRAGMENT_SCALE)
+    {
+        return;
+    }
+
+    for (let i = 0; i < 8; i++)
+    {
+        let fragment = {
+
+            x: object.x + (((i & 1) * 2) - 1) * scale,
+            y: object.y + ((((i >> 1) & 1) * 2) - 1) * scale,
+            z: object.z + ((((i >> 2) & 1) * 2) - 1) * scale,
+
+            roll: object.roll,
+            pitch: object.pitch,
+            yaw: object.yaw,
+
+            rollSpeed: object.rollSpeed,
+            pitchSpeed: object.pitchSpeed,
+            yawSpeed: object.yawSpeed,
+
+            scale: scale,
+
+            model: object.model
+        };
+
+        addChunkFragment(fragment);
+    }
+}
+
+/**
+ * Function: drawProjectiles
+ *
+ * Input: None
+ * Output: None
+ *
+ * Description: Draws every projectile on the hud as a streak from where it was
+ *              PROJECTILE_STREAK_TIME ago to where it is. Uses projectionMatrix and
+ *              worldViewMatrix from the last drawScene. Streaks with either end behind
+ *              the camera are not drawn.
+ */
+function drawProjectiles()
+{
+    hudCtx.lineWidth = Math.max(1.0, 3.0 * hudScale);
+
+    for (let i = 0; i < projectiles.length; i++)
+    {
+        let projectile = projectiles[i];
+
+        vec4.set(streakHeadPosition, projectile.x, projectile.y, projectile.z, 1.0);
+        vec4.set(streakTailPosition,
+            projectile.x - projectile.velocity[0] * PROJECTILE_STREAK_TIME,
+            projectile.y - projectile.velocity[1] * PROJECTILE_STREAK_TIME,
+            projectile.z - projectile.velocity[2] * PROJECTILE_STREAK_TIME, 1.0);
+
+        vec4.transformMat4(streakHeadPosition, streakHeadPosition, worldViewMatrix);
+        vec4.transformMat4(streakHeadPosition, streakHeadPosition, projectionMatrix);
+        vec4.transformMat4(streakTailPosition, streakTailPosition, worldViewMatrix);
+        vec4.transformMat4(streakTailPosition, streakTailPosition, projectionMatrix);
+
+        if (streakHeadPosition[3] <= 0.0 || streakTailPosition[3] <= 0.0)
+        {
+            continue;
+        }
+
+        hudCtx.strokeStyle = LASER_COLOR;
+
+        if (projectile.type == PROJECTILE_MISSILE)
+        {
+            hudCtx.strokeStyle = MISSILE_COLOR;
+        }
+
+        hudCtx.beginPath();
+        hudCtx.moveTo((streakHeadPosition[0] / streakHeadPosition[3] + 1.0) / 2.0 * hudCtx.canvas.width,
+                      (1.0 - streakHeadPosition[1] / streakHeadPosition[3]) / 2.0 * hudCtx.canvas.height);
+        hudCtx.lineTo((streakTailPosition[0] / streakTailPosition[3] + 1.0) / 2.0 * hudCtx.canvas.width,
+                      (1.0 - streakTailPosition[1] / streakTailPosition[3]) / 2.0 * hudCtx.canvas.height);
+        hudCtx.stroke();
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ *               Filename: overlayLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Messages shown over the page in place of alert(), which blocks the page
+ *                         and can be turned off by the browser. Shared by Nimbus, Clouds and 3D Goo
+ *                         for errors such as WebGL not being supported. The overlay styles itself,
+ *                         so pages do not need any CSS for it.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *
+ *           Dependencies: None
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+/**
+ * Function: showMessageOverlay
+ *
+ * Input: String title, String message
+ * Output: HTMLDivElement
+ *
+ * Description: Shows title and message in a box over the middle of the page, and returns
+ *              the box. It stays until the page is reloaded.
+ */
+function showMessageOverlay(title, message)
+{
+    let overlay = document.createElement("div");
+    overlay.style.position = "fixed";
+    overlay.style.left = "50%";
+    overlay.style.top = "50%";
+    overlay.style.transform = "translate(-50%, -50%)";
+    overlay.style.zIndex = "10";
+    overlay.style.maxWidth = "80%";
+    overlay.style.padding = "20px";
+    overlay.style.backgroundColor = "rgba(0, 0, 0, 0.85)";
+    overlay.style.color = "white";
+    overlay.style.fontFamily = "monospace";
+
+    let heading = document.createElement("h2");
+    heading.textContent = title;
+    overlay.appendChild(heading);
+
+    let text = document.createElement("p");
+    text.textContent = message;
+    overlay.appendChild(text);
+
+    document.body.appendChild(overlay);
+
+    return overlay;
+}
@@ -0,0 +1,360 @@
+/**
+ *               Filename: skyboxLibrary.js
+ *
+ *                 Author: Browning Keith Smith
+ *           Date Created: October 19, 2026
+ *          Date Modified: October 19, 2026
+ *
+ *            Description: Skyboxes shared by Nimbus, Clouds and 3D Goo. The sky is stored in one
+ *                         cube map texture and drawn as a single cube around the camera. Its six
+ *                         faces are either loaded from images, or rendered into like any other
+ *                         framebuffer target, using getSkyboxFaceMatrix to find the direction
+ *                         each pixel of a face looks in.
+ *
+ *                         Faces are named by the direction they are seen in: posX, negX, posY,
+ *                         negY, posZ and negZ. Looking down a face's axis, up is +y, or -z for
+ *                         posY and +z for negY.
+ *
+ * Execution Requirements: Google Chrome. Program not currently supported in other browsers.
+ *                         Browser must support HTML5 <canvas> element and WebGL context.
+ *
+ *           Dependencies: gl-matrix.js https://cdnjs.cloudflare.com/ajax/libs/gl-matrix/2.8.1/gl-matrix-min.js
+ *                         A global WebGLRenderingContext ctx, and createShaderProgram, which every demo provides
+ *
+ * Copyright (c) 2026, Browning Keith Smith. All rights reserved.
+ */
+
+// Names of the six faces, in the order faces are rendered
+const SKYBOX_FACES = ["negZ", "negX", "posZ", "posX", "posY", "negY"];
+
+// Offset of each face's cube map target from TEXTURE_CUBE_MAP_POSITIVE_X. The sky is sampled
+// with z flipped, so that faces keep the orientation of the six panels they replaced, which
+// swaps the two z faces.
+const SKYBOX_FACE_OFFSETS = {
+
+    posX: 0,
+    negX: 1,
+    posY: 2,
+    negY: 3,
+    posZ: 5,
+    negZ: 4,
+};
+
+// Matrices turning (x, y, -1.0, 1.0), with x and y from -1.0 to 1.0 across a face's texture,
+// into the direction that point of the face is seen in. Column major, as gl-matrix expects.
+const SKYBOX_FACE_MATRICES = {
+
+    posX: mat4.fromValues(0, 0, 1, 0,   0, -1, 0, 0,   -1, 0, 0, 0,   0, 0, 0, 1),
+    negX: mat4.fromValues(0, 0, -1, 0,   0, -1, 0, 0,   1, 0, 0, 0,   0, 0, 0, 1),
+    posY: mat4.fromValues(1, 0, 0, 0,   0, 0, -1, 0,   0, -1, 0, 0,   0, 0, 0, 1),
+    negY: mat4.fromValues(1, 0, 0, 0,   0, 0, 1, 0,   0, 1, 0, 0,   0, 0, 0, 1),
+    posZ: mat4.fromValues(-1, 0, 0, 0,   0, -1, 0, 0,   0, 0, -1, 0,   0, 0, 0, 1),
+    negZ: mat4.fromValues(1, 0, 0, 0,   0, -1, 0, 0,   0, 0, 1, 0,   0, 0, 0, 1),
+};
+
+// Corners of the cube the sky is drawn on
+const SKYBOX_VERTICES = [
+
+    -1.0, -1.0, -1.0,
+    1.0, -1.0, -1.0,
+    -1.0, 1.0, -1.0,
+    1.0, 1.0, -1.0,
+    -1.0, -1.0, 1.0,
+    1.0, -1.0, 1.0,
+    -1.0, 1.0, 1.0,
+    1.0, 1.0, 1.0,
+];
+
+// Triangles of the cube, counter clockwise as seen from inside
+const SKYBOX_DRAW_POINTS = [
+
+    0, 1, 3,   0, 3, 2, // -z
+    5, 4, 6,   5, 6, 7, // +z
+    4, 0, 2,   4, 2, 6, // -x
+    1, 5, 7,   1, 7, 3, // +x
+    2, 3, 7,   2, 7, 6, // +y
+    4, 5, 1,   4, 1, 0, // -y
+];
+
+let cubeSkyboxShader = {
+
+    vertexShaderCode: `
+
+        attribute vec4 a_vertexPosition;
+
+        uniform mat4 u_projectionMatrix;
+        uniform mat4 u_worldViewMatrix;
+
+        varying highp vec3 v_direction;
+
+        void main(void)
+        {
+            gl_Position = u_projectionMatrix * u_worldViewMatrix * a_vertexPosition; // Calculate vertex position in frame
+            v_direction = a_vertexPosition.xyz; // Direction from the camera to this point of the sky
+        }
+    `,
+
+    fragmentShaderCode: `
+
+        varying highp vec3 v_direction;
+
+        uniform samplerCube u_sampler;
+
+        void main(void)
+        {
+            gl_FragColor = textureCube(u_sampler, vec3(v_direction.x, v_direction.y, v_direction.z * -1.0)); // Sample with z flipped, see SKYBOX_FACE_OFFSETS
+        }
+    `,
+
+    program: null,
+    attributes: null,
+    uniforms: null,
+
+    tieLocations: function() {
+
+        //Get location of attributes and uniforms, store in the ShaderData object
+        this.attributes = {
+
+            vertexPosition: ctx.getAttribLocation(this.program, "a_vertexPosition"),
+        };
+
+        this.uniforms = {
+
+            projectionMatrix: ctx.getUniformLocation(this.program, "u_projectionMatrix"),
+            worldViewMatrix: ctx.getUniformLocation(this.program, "u_worldViewMatrix"),
+            sampler: ctx.getUniformLocation(this.program, "u_sampler"),
+        };
+    },
+};
+
+/**
+ * Object: skybox
+ *
+ * Attributes: WebGLTexture texture - Cube map holding the six faces
+ *             Integer size - Width and height of every face, in pixels
+ *             Object buffers - vertex and drawPoint buffers of the cube
+ */
+
+/**
+ * Function: createSkybox
+ *
+ * Input: None
+ * Output: skybox
+ *
+ * Description: Creates a skybox whose faces are a single blue pixel until they are loaded
+ *              with loadSkyboxImages or allocated with allocateSkyboxFaces. Compiles the
+ *              skybox shader the first time it is called.
+ */
+function createSkybox()
+{
+    if (cubeSkyboxShader.program == null)
+    {
+        createShaderProgram(cubeSkyboxShader);
+    }
+
+    let texture = ctx.createTexture();
+    ctx.bindTexture(ctx.TEXTURE_CUBE_MAP, texture);
+
+    const pixel = new Uint8Array([0, 0, 255, 255]); // opaque blue
+    for (let i = 0; i < SKYBOX_FACES.length; i++)
+    {
+        ctx.texImage2D(getSkyboxFaceTarget(SKYBOX_FACES[i]), 0, ctx.RGBA, 1, 1, 0, ctx.RGBA, ctx.UNSIGNED_BYTE, pixel);
+    }
+
+    ctx.texParameteri(ctx.TEXTURE_CUBE_MAP, ctx.TEXTURE_WRAP_S, ctx.CLAMP_TO_EDGE);
+    ctx.texParameteri(ctx.TEXTURE_CUBE_MAP, ctx.TEXTURE_WRAP_T, ctx.CLAMP_TO_EDGE);
+    ctx.texParameteri(ctx.TEXTURE_CUBE_MAP, ctx.TEXTURE_MIN_FILTER, ctx.LINEAR);
+    ctx.texParameteri(ctx.TEXTURE_CUBE_MAP, ctx.TEXTURE_MAG_FILTER, ctx.LINEAR);
+
+    //Create and fill the cube's buffers
+    let vertexBuffer = ctx.createBuffer();
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, vertexBuffer);
+    ctx.bufferData(ctx.ARRAY_BUFFER, new Float32Array(SKYBOX_VERTICES), ctx.STATIC_DRAW);
+
+    let drawPointBuffer = ctx.createBuffer();
+    ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, drawPointBuffer);
+    ctx.bufferData(ctx.ELEMENT_ARRAY_BUFFER, new Uint16Array(SKYBOX_DRAW_POINTS), ctx.STATIC_DRAW);
+
+    return {
+
+        texture: texture,
+        size: 1,
+        buffers: {
+
+            vertex: vertexBuffer,
+            drawPoint: drawPointBuffer,
+        },
+    };
+}
+
+/**
+ * Function: getSkyboxFaceTarget
+ *
+ * Input: String face
+ * Output: GLenum
+ *
+ * Description: Returns the cube map target face is stored in
+ */
+function getSkyboxFaceTarget(face)
+{
+    return ctx.TEXTURE_CUBE_MAP_POSITIVE_X + SKYBOX_FACE_OFFSETS[face];
+}
+
+/**
+ * Function: getSkyboxFaceMatrix
+ *
+ * Input: String face
+ * Output: mat4
+ *
+ * Description: Returns the matrix turning (x, y, -1.0, 1.0), with x and y from -1.0
+ *              to 1.0 across face from left to right and bottom to top, into the
+ *              direction that point of the sky is in. Used by shaders rendering into a face.
+ */
+function getSkyboxFaceMatrix(face)
+{
+    return SKYBOX_FACE_MATRICES[face];
+}
+
+/**
+ * Function: loadSkyboxImages
+ *
+ * Input: skybox skybox, Object urls
+ * Output: Promise
+ *
+ * Description: Loads the image for each face from urls, keyed by face name, and
+ *              fills the faces with them once all six have loaded. The promise
+ *              resolves with skybox, or rejects if an image cannot be loaded.
+ */
+function loadSkyboxImages(skybox, urls)
+{
+    let loads = [];
+
+    for (let i = 0; i < SKYBOX_FACES.length; i++)
+    {
+        loads.push(loadSkyboxImage(urls[SKYBOX_FACES[i]]));
+    }
+
+    return Promise.all(loads).then(function(images) {
+
+        for (let i = 0; i < SKYBOX_FACES.length; i++)
+        {
+            setSkyboxFace(skybox, SKYBOX_FACES[i], images[i]);
+        }
+
+        return skybox;
+    });
+}
+
+/**
+ * Function: setSkyboxFace
+ *
+ * Input: skybox skybox, String face, HTMLImageElement image
+ * Output: None
+ *
+ * Description: Fills face with image. All six faces must be filled with images of the
+ *              same square size before the skybox can be drawn.
+ */
+function setSkyboxFace(skybox, face, image)
+{
+    ctx.bindTexture(ctx.TEXTURE_CUBE_MAP, skybox.texture);
+    ctx.texImage2D(getSkyboxFaceTarget(face), 0, ctx.RGBA, ctx.RGBA, ctx.UNSIGNED_BYTE, image);
+
+    skybox.size = image.width;
+}
+
+/**
+ * Function: loadSkyboxImage
+ *
+ * Input: String url
+ * Output: Promise
+ *
+ * Description: Returns a promise resolving with the image at url once it has loaded
+ */
+function loadSkyboxImage(url)
+{
+    return new Promise(function(resolve, reject) {
+
+        const image = new Image();
+
+        image.onload = function() {
+
+            resolve(image);
+        };
+
+        image.onerror = function() {
+
+            reject(new Error("Could not load skybox image " + url));
+        };
+
+        image.crossOrigin = "";
+        image.src = url;
+    });
+}
+
+/**
+ * Function: allocateSkyboxFaces
+ *
+ * Input: skybox skybox, Integer size
+ * Output: None
+ *
+ * Description: Allocates empty size by size faces, to be rendered into with attachSkyboxFace
+ */
+function allocateSkyboxFaces(skybox, size)
+{
+    ctx.bindTexture(ctx.TEXTURE_CUBE_MAP, skybox.texture);
+
+    for (let i = 0; i < SKYBOX_FACES.length; i++)
+    {
+        ctx.texImage2D(getSkyboxFaceTarget(SKYBOX_FACES[i]), 0, ctx.RGBA, size, size, 0, ctx.RGBA, ctx.UNSIGNED_BYTE, null);
+    }
+
+    skybox.size = size;
+}
+
+/**
+ * Function: attachSkyboxFace
+ *
+ * Input: skybox skybox, String face
+ * Output: None
+ *
+ * Description: Attaches face as the color target of the bound framebuffer
+ */
+function attachSkyboxFace(skybox, face)
+{
+    ctx.framebufferTexture2D(ctx.FRAMEBUFFER, ctx.COLOR_ATTACHMENT0, getSkyboxFaceTarget(face), skybox.texture, 0);
+}
+
+/**
+ * Function: drawSkybox
+ *
+ * Input: skybox skybox, mat4 projection, mat4 rotation
+ * Output: None
+ *
+ * Description: Draws the sky around the camera in one draw call. rotation turns the
+ *              world the opposite way the camera is facing, without moving it.
+ */
+function drawSkybox(skybox, projection, rotation)
+{
+    //Tell WebGL to use the shader program
+    ctx.useProgram(cubeSkyboxShader.program);
+
+    //Set worldview and projection uniforms
+    ctx.uniformMatrix4fv(cubeSkyboxShader.uniforms.projectionMatrix, false, projection);
+    ctx.uniformMatrix4fv(cubeSkyboxShader.uniforms.worldViewMatrix, false, rotation);
+
+    //Instruct WebGL how to pull out vertices
+    ctx.bindBuffer(ctx.ARRAY_BUFFER, skybox.buffers.vertex);
+    ctx.vertexAttribPointer(cubeSkyboxShader.attributes.vertexPosition, 3, ctx.FLOAT, false, 0, 0); //Pull out 3 values at a time, no offsets
+    ctx.enableVertexAttribArray(cubeSkyboxShader.attributes.vertexPosition); //Enable the pointer to the buffer
+
+    //Instruct WebGL on which texture to use
+    ctx.activeTexture(ctx.TEXTURE0);
+    ctx.bindTexture(ctx.TEXTURE_CUBE_MAP, skybox.texture);
+    ctx.uniform1i(cubeSkyboxShader.uniforms.sampler, 0);
+
+    //Give WebGL the element array
+    ctx.bindBuffer(ctx.ELEMENT_ARRAY_BUFFER, skybox.buffers.drawPoint);
+
+    //Draw triangles
+    ctx.drawElements(ctx.TRIANGLES, SKYBOX_DRAW_POINTS.length, ctx.UNSIGNED_SHORT, 0);
+}